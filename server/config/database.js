@@ -1,14 +1,42 @@
 const fs = require('fs');
 const path = require('path');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 
-// Simple file-based database for this demo
-// In production, use PostgreSQL, MongoDB, or MySQL
+/**
+ * Raised when a data file cannot be parsed
+ */
+class DatabaseCorruptionError extends Error {
+  constructor(filePath, cause) {
+    super(`Database file ${path.basename(filePath)} is corrupted: ${cause.message}`);
+    this.name = 'DatabaseCorruptionError';
+    this.statusCode = 500;
+    this.filePath = filePath;
+  }
+}
+
+// Simple file-based database, used when DATABASE_URL is not set.
+// See ./postgres.js for the PostgreSQL implementation of the same API.
+//
+// Every mutation runs through a per-file queue: the change is appended to
+// the file's journal, the whole file is rewritten atomically (temp file +
+// rename), then the journal is cleared. Journal entries left behind by a
+// crash are replayed on startup.
 class Database {
-  constructor() {
-    this.dbPath = path.join(__dirname, '../data');
+  constructor({ dbPath = path.join(__dirname, '../data') } = {}) {
+    this.dbPath = dbPath;
     this.usersFile = path.join(this.dbPath, 'users.json');
     this.moviesFile = path.join(this.dbPath, 'movies.json');
     this.searchHistoryFile = path.join(this.dbPath, 'search_history.json');
+    this.sessionsFile = path.join(this.dbPath, 'user_sessions.json');
+    this.userTokensFile = path.join(this.dbPath, 'user_tokens.json');
+    this.auditLogFile = path.join(this.dbPath, 'audit_log.json');
+    this.settingsFile = path.join(this.dbPath, 'settings.json');
+    this.apiTokensFile = path.join(this.dbPath, 'api_tokens.json');
+    this.identitiesFile = path.join(this.dbPath, 'user_identities.json');
+    this.jobsFile = path.join(this.dbPath, 'identification_jobs.json');
+    this.aiUsageFile = path.join(this.dbPath, 'ai_usage.json');
+    this.promptTemplatesFile = path.join(this.dbPath, 'prompt_templates.json');
+    this.queues = new Map();
     
     this.ensureDirectoryExists();
     this.initializeFiles();
@@ -24,43 +52,246 @@ class Database {
     const files = [
       { path: this.usersFile, defaultData: [] },
       { path: this.moviesFile, defaultData: [] },
-      { path: this.searchHistoryFile, defaultData: [] }
+      { path: this.searchHistoryFile, defaultData: [] },
+      { path: this.sessionsFile, defaultData: [] },
+      { path: this.userTokensFile, defaultData: [] },
+      { path: this.auditLogFile, defaultData: [] },
+      { path: this.settingsFile, defaultData: [] },
+      { path: this.apiTokensFile, defaultData: [] },
+      { path: this.identitiesFile, defaultData: [] },
+      { path: this.jobsFile, defaultData: [] },
+      { path: this.aiUsageFile, defaultData: [] },
+      { path: this.promptTemplatesFile, defaultData: [] }
     ];
 
-    files.forEach(({ path, defaultData }) => {
-      if (!fs.existsSync(path)) {
-        fs.writeFileSync(path, JSON.stringify(defaultData, null, 2));
+    files.forEach(({ path: filePath, defaultData }) => {
+      this.removeTempFiles(filePath);
+
+      if (!fs.existsSync(filePath)) {
+        this.writeFile(filePath, this.readBackup(filePath) || defaultData);
       }
+
+      let data;
+      try {
+        data = this.readFile(filePath);
+      } catch (error) {
+        if (!(error instanceof DatabaseCorruptionError)) throw error;
+        data = this.recoverFile(filePath, defaultData);
+      }
+
+      this.replayJournal(filePath, data);
     });
   }
 
   readFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
     try {
-      const data = fs.readFileSync(filePath, 'utf8');
-      return JSON.parse(data);
+      return JSON.parse(raw);
     } catch (error) {
-      console.error(`Error reading file ${filePath}:`, error);
-      return [];
+      throw new DatabaseCorruptionError(filePath, error);
     }
   }
 
   writeFile(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(data, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+    fs.copyFileSync(filePath, `${filePath}.bak`);
+    return true;
+  }
+
+  removeTempFiles(filePath) {
+    const prefix = `${path.basename(filePath)}.`;
+    fs.readdirSync(path.dirname(filePath))
+      .filter(name => name.startsWith(prefix) && name.endsWith('.tmp'))
+      .forEach(name => fs.unlinkSync(path.join(path.dirname(filePath), name)));
+  }
+
+  readBackup(filePath) {
+    const backupPath = `${filePath}.bak`;
+    if (!fs.existsSync(backupPath)) return null;
+
     try {
-      fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-      return true;
+      return JSON.parse(fs.readFileSync(backupPath, 'utf8'));
     } catch (error) {
-      console.error(`Error writing file ${filePath}:`, error);
-      return false;
+      return null;
     }
   }
 
+  /**
+   * Move a corrupted file aside and restore the last good copy
+   */
+  recoverFile(filePath, defaultData) {
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    fs.renameSync(filePath, corruptPath);
+
+    const backup = this.readBackup(filePath);
+    console.error(
+      `⚠️  ${path.basename(filePath)} is corrupted, moved to ${path.basename(corruptPath)}. ` +
+      (backup ? 'Restored from backup.' : 'No valid backup found, starting empty.')
+    );
+
+    const data = backup || defaultData;
+    this.writeFile(filePath, data);
+    return data;
+  }
+
+  // Journal operations
+  getJournalPath(filePath) {
+    return `${filePath}.journal`;
+  }
+
+  appendJournal(filePath, entries) {
+    const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    const fd = fs.openSync(this.getJournalPath(filePath), 'a');
+    try {
+      fs.writeSync(fd, lines);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  clearJournal(filePath) {
+    const journalPath = this.getJournalPath(filePath);
+    if (fs.existsSync(journalPath)) {
+      fs.unlinkSync(journalPath);
+    }
+  }
+
+  readJournal(filePath) {
+    const journalPath = this.getJournalPath(filePath);
+    if (!fs.existsSync(journalPath)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(journalPath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A torn last line means the process died mid-append; the mutation never happened
+        break;
+      }
+    }
+    return entries;
+  }
+
+  replayJournal(filePath, data) {
+    const entries = this.readJournal(filePath);
+    if (entries.length > 0) {
+      console.log(`🔁 Replaying ${entries.length} journal entries for ${path.basename(filePath)}`);
+      this.writeFile(filePath, this.applyEntries(data, entries));
+    }
+    this.clearJournal(filePath);
+  }
+
+  applyEntries(data, entries) {
+    return entries.reduce((records, entry) => {
+      switch (entry.op) {
+        case 'insert': {
+          // Skip records that already reached the file before a crash
+          const serialized = JSON.stringify(entry.record);
+          if (records.some(record => JSON.stringify(record) === serialized)) return records;
+          return [...records, entry.record];
+        }
+        case 'put': {
+          const index = records.findIndex(record => record.id === entry.record.id);
+          if (index === -1) return [...records, entry.record];
+          return records.map((record, i) => (i === index ? entry.record : record));
+        }
+        case 'delete':
+          return records.filter(record => record.id !== entry.id);
+        case 'replace':
+          return entry.data;
+        default:
+          return records;
+      }
+    }, data);
+  }
+
+  /**
+   * Run a read-modify-write against a file, serialized with every other
+   * mutation of the same file. `buildChanges` receives the current records
+   * and returns the journal entries to apply plus the value to resolve with.
+   */
+  mutate(filePath, buildChanges) {
+    const previous = this.queues.get(filePath) || Promise.resolve();
+    const run = () => {
+      const data = this.readFile(filePath);
+      const { entries, result } = buildChanges(data);
+
+      if (entries.length > 0) {
+        this.appendJournal(filePath, entries);
+        this.writeFile(filePath, this.applyEntries(data, entries));
+        this.clearJournal(filePath);
+      }
+
+      return result;
+    };
+
+    const task = previous.then(run, run);
+    this.queues.set(filePath, task.catch(() => {}));
+    return task;
+  }
+
+  /**
+   * One-time migration from legacy timestamp IDs to UUIDs.
+   * Search history userIds are rewritten to follow their users.
+   */
+  async migrateToUuids() {
+    const userIds = new Map();
+    const assignUuid = (record, idMap) => {
+      if (isUuid(record.id)) return record;
+      const id = uuidv4();
+      if (idMap) idMap.set(record.id, id);
+      return { ...record, id };
+    };
+    const migrateFile = (filePath, migrateRecord) => this.mutate(filePath, (records) => {
+      const migrated = records.map(migrateRecord);
+      const changed = migrated.filter((record, i) => record !== records[i]).length;
+      return {
+        entries: changed > 0 ? [{ op: 'replace', data: migrated }] : [],
+        result: changed
+      };
+    });
+
+    const users = await migrateFile(this.usersFile, user => assignUuid(user, userIds));
+    const movies = await migrateFile(this.moviesFile, movie => assignUuid(movie));
+    const searchHistory = await migrateFile(this.searchHistoryFile, (entry) => {
+      const migrated = assignUuid(entry);
+      if (!userIds.has(entry.userId)) return migrated;
+      return { ...migrated, userId: userIds.get(entry.userId) };
+    });
+
+    return { users, movies, searchHistory };
+  }
+
+  /**
+   * Replace all users, movies and search history
+   */
+  async importData({ users, movies, searchHistory }) {
+    await this.saveUsers(users);
+    await this.saveMovies(movies);
+    await this.saveSearchHistory(searchHistory);
+    return true;
+  }
+
   // User operations
   getUsers() {
     return this.readFile(this.usersFile);
   }
 
   saveUsers(users) {
-    return this.writeFile(this.usersFile, users);
+    return this.mutate(this.usersFile, () => ({
+      entries: [{ op: 'replace', data: users }],
+      result: true
+    }));
   }
 
   findUserByEmail(email) {
@@ -74,30 +305,90 @@ class Database {
   }
 
   createUser(userData) {
-    const users = this.getUsers();
     const newUser = {
-      id: Date.now().toString(),
+      id: uuidv4(),
       ...userData,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
-    users.push(newUser);
-    this.saveUsers(users);
-    return newUser;
+    return this.mutate(this.usersFile, () => ({
+      entries: [{ op: 'insert', record: newUser }],
+      result: newUser
+    }));
   }
 
   updateUser(id, updateData) {
-    const users = this.getUsers();
-    const userIndex = users.findIndex(user => user.id === id);
-    if (userIndex === -1) return null;
+    return this.mutate(this.usersFile, (users) => {
+      const user = users.find(u => u.id === id);
+      if (!user) return { entries: [], result: null };
 
-    users[userIndex] = {
-      ...users[userIndex],
-      ...updateData,
-      updatedAt: new Date().toISOString()
-    };
-    this.saveUsers(users);
-    return users[userIndex];
+      const updatedUser = {
+        ...user,
+        ...updateData,
+        updatedAt: new Date().toISOString()
+      };
+      return { entries: [{ op: 'put', record: updatedUser }], result: updatedUser };
+    });
+  }
+
+  /**
+   * Count a failed login. Failures before `since` no longer count, so the
+   * counter starts over after a quiet period.
+   */
+  incrementFailedLogins(id, { since } = {}) {
+    return this.mutate(this.usersFile, (users) => {
+      const user = users.find(u => u.id === id);
+      if (!user) return { entries: [], result: null };
+
+      const isStale = !user.lastFailedLoginAt || (since && new Date(user.lastFailedLoginAt) < since);
+      const updatedUser = {
+        ...user,
+        failedLoginAttempts: isStale ? 1 : (user.failedLoginAttempts || 0) + 1,
+        lastFailedLoginAt: new Date().toISOString()
+      };
+      return { entries: [{ op: 'put', record: updatedUser }], result: updatedUser };
+    });
+  }
+
+  /**
+   * Delete a user along with their search history, sessions and tokens.
+   * Prompt templates they wrote are kept without an author. Resolves to
+   * false if the user doesn't exist.
+   */
+  async deleteUser(id) {
+    const deleted = await this.mutate(this.usersFile, (users) => {
+      if (!users.some(user => user.id === id)) return { entries: [], result: false };
+      return { entries: [{ op: 'delete', id }], result: true };
+    });
+    if (!deleted) return false;
+
+    // Uploads of the user's unfinished jobs would otherwise stay on disk
+    const uploads = this.readFile(this.jobsFile)
+      .filter(job => job.userId === id && job.upload)
+      .map(job => job.upload.path);
+
+    const ownedFiles = [
+      this.searchHistoryFile,
+      this.sessionsFile,
+      this.userTokensFile,
+      this.apiTokensFile,
+      this.identitiesFile,
+      this.jobsFile,
+      this.aiUsageFile
+    ];
+    await Promise.all(ownedFiles.map(filePath => this.mutate(filePath, (records) => {
+      const ids = records.filter(record => record.userId === id).map(record => record.id);
+      return { entries: ids.map(recordId => ({ op: 'delete', id: recordId })), result: ids.length };
+    })));
+    // As ON DELETE SET NULL does in Postgres
+    await this.mutate(this.promptTemplatesFile, (templates) => {
+      const authored = templates
+        .filter(template => template.createdBy === id)
+        .map(template => ({ ...template, createdBy: null }));
+      return { entries: authored.map(record => ({ op: 'put', record })), result: authored.length };
+    });
+    await Promise.all(uploads.map(uploadPath => fs.promises.rm(uploadPath, { force: true })));
+    return true;
   }
 
   // Movie operations
@@ -106,19 +397,52 @@ class Database {
   }
 
   saveMovies(movies) {
-    return this.writeFile(this.moviesFile, movies);
+    return this.mutate(this.moviesFile, () => ({
+      entries: [{ op: 'replace', data: movies }],
+      result: true
+    }));
   }
 
   addMovie(movieData) {
-    const movies = this.getMovies();
     const newMovie = {
-      id: Date.now().toString(),
+      id: uuidv4(),
       ...movieData,
       createdAt: new Date().toISOString()
     };
-    movies.push(newMovie);
-    this.saveMovies(movies);
-    return newMovie;
+    return this.mutate(this.moviesFile, () => ({
+      entries: [{ op: 'insert', record: newMovie }],
+      result: newMovie
+    }));
+  }
+
+  /**
+   * Catalog entry of each movie, matched by title (ignoring case) and year,
+   * adding the ones not in the catalog yet. Movies keep their ID unless the
+   * catalog already uses it.
+   */
+  findOrCreateMovies(movies) {
+    return this.mutate(this.moviesFile, (catalog) => {
+      const added = [];
+      const result = movies.map((movie) => {
+        const existing = [...catalog, ...added].find(m =>
+          m.title.toLowerCase() === movie.title.toLowerCase() && m.year === movie.year
+        );
+        if (existing) return existing;
+
+        const idTaken = !movie.id || [...catalog, ...added].some(m => m.id === movie.id);
+        const newMovie = {
+          ...movie,
+          id: idTaken ? uuidv4() : movie.id,
+          createdAt: new Date().toISOString()
+        };
+        added.push(newMovie);
+        return newMovie;
+      });
+      return {
+        entries: added.map(record => ({ op: 'insert', record })),
+        result
+      };
+    });
   }
 
   // Search history operations
@@ -128,26 +452,468 @@ class Database {
   }
 
   addSearchHistory(userId, searchData) {
-    const history = this.readFile(this.searchHistoryFile);
     const newEntry = {
-      id: Date.now().toString(),
+      id: uuidv4(),
       userId,
       ...searchData,
       timestamp: new Date().toISOString()
     };
-    history.push(newEntry);
-    this.writeFile(this.searchHistoryFile, history);
-    return newEntry;
+    return this.mutate(this.searchHistoryFile, () => ({
+      entries: [{ op: 'insert', record: newEntry }],
+      result: newEntry
+    }));
+  }
+
+  getAllSearchHistory() {
+    return this.readFile(this.searchHistoryFile);
+  }
+
+  saveSearchHistory(history) {
+    return this.mutate(this.searchHistoryFile, () => ({
+      entries: [{ op: 'replace', data: history }],
+      result: true
+    }));
+  }
+
+  findSearchHistoryEntry(id) {
+    const history = this.readFile(this.searchHistoryFile);
+    return history.find(item => item.id === id);
+  }
+
+  deleteSearchHistoryEntry(id) {
+    return this.mutate(this.searchHistoryFile, (history) => {
+      const entry = history.find(item => item.id === id);
+      if (!entry) return { entries: [], result: null };
+      return { entries: [{ op: 'delete', id }], result: entry };
+    });
+  }
+
+  clearSearchHistory(userId) {
+    return this.mutate(this.searchHistoryFile, (history) => {
+      const ids = history.filter(item => item.userId === userId).map(item => item.id);
+      return { entries: ids.map(id => ({ op: 'delete', id })), result: ids.length };
+    });
+  }
+
+  /**
+   * Remove entries older than maxAgeDays and beyond the newest maxEntries
+   */
+  pruneSearchHistory(userId, { maxAgeDays, maxEntries } = {}) {
+    return this.mutate(this.searchHistoryFile, (history) => {
+      const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+      const ids = history
+        .filter(item => item.userId === userId)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .filter((item, index) =>
+          (cutoff !== null && new Date(item.timestamp).getTime() < cutoff) ||
+          (maxEntries ? index >= maxEntries : false)
+        )
+        .map(item => item.id);
+
+      return { entries: ids.map(id => ({ op: 'delete', id })), result: ids.length };
+    });
+  }
+
+  // Session operations
+  createSession(sessionData) {
+    const newSession = {
+      id: uuidv4(),
+      ...sessionData,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null,
+      replacedBy: null
+    };
+    return this.mutate(this.sessionsFile, () => ({
+      entries: [{ op: 'insert', record: newSession }],
+      result: newSession
+    }));
+  }
+
+  findSessionByTokenHash(tokenHash) {
+    const sessions = this.readFile(this.sessionsFile);
+    return sessions.find(session => session.tokenHash === tokenHash);
+  }
+
+  updateSession(id, updateData) {
+    return this.mutate(this.sessionsFile, (sessions) => {
+      const session = sessions.find(s => s.id === id);
+      if (!session) return { entries: [], result: null };
+
+      const updatedSession = { ...session, ...updateData };
+      return { entries: [{ op: 'put', record: updatedSession }], result: updatedSession };
+    });
+  }
+
+  /**
+   * Revoke one session. Resolves to false if it was already revoked.
+   */
+  revokeSession(id) {
+    return this.revokeSessionsWhere(session => session.id === id)
+      .then(count => count > 0);
+  }
+
+  revokeSessionFamily(familyId) {
+    return this.revokeSessionsWhere(session => session.familyId === familyId);
+  }
+
+  getUserSessions(userId) {
+    return this.readFile(this.sessionsFile).filter(session => session.userId === userId);
+  }
+
+  revokeUserSessions(userId) {
+    return this.revokeSessionsWhere(session => session.userId === userId);
+  }
+
+  revokeSessionsWhere(predicate) {
+    return this.mutate(this.sessionsFile, (sessions) => {
+      const revokedAt = new Date().toISOString();
+      const entries = sessions
+        .filter(session => !session.revokedAt && predicate(session))
+        .map(session => ({ op: 'put', record: { ...session, revokedAt } }));
+      return { entries, result: entries.length };
+    });
+  }
+
+  hasActiveSession(familyId) {
+    const now = new Date();
+    const sessions = this.readFile(this.sessionsFile);
+    return sessions.some(session =>
+      session.familyId === familyId && !session.revokedAt && new Date(session.expiresAt) > now
+    );
+  }
+
+  // One-time token operations (password reset, email verification)
+
+  /**
+   * Store a new token, replacing the user's outstanding tokens of the same type
+   */
+  createUserToken(tokenData) {
+    const newToken = {
+      id: uuidv4(),
+      ...tokenData,
+      usedAt: null,
+      createdAt: new Date().toISOString()
+    };
+    return this.mutate(this.userTokensFile, (tokens) => {
+      const stale = tokens.filter(token =>
+        token.userId === tokenData.userId && token.type === tokenData.type
+      );
+      return {
+        entries: [
+          ...stale.map(token => ({ op: 'delete', id: token.id })),
+          { op: 'insert', record: newToken }
+        ],
+        result: newToken
+      };
+    });
+  }
+
+  /**
+   * Mark an unused, unexpired token as used. Resolves to the token, or null
+   * if it does not exist, has expired or was already used.
+   */
+  consumeUserToken(tokenHash, type) {
+    return this.mutate(this.userTokensFile, (tokens) => {
+      const token = tokens.find(t => t.tokenHash === tokenHash && t.type === type);
+      if (!token || token.usedAt || new Date(token.expiresAt) <= new Date()) {
+        return { entries: [], result: null };
+      }
+
+      const usedToken = { ...token, usedAt: new Date().toISOString() };
+      return { entries: [{ op: 'put', record: usedToken }], result: usedToken };
+    });
+  }
+
+  // Audit log operations
+  addAuditEntry(entryData) {
+    const newEntry = {
+      id: uuidv4(),
+      ...entryData,
+      timestamp: new Date().toISOString()
+    };
+    return this.mutate(this.auditLogFile, () => ({
+      entries: [{ op: 'insert', record: newEntry }],
+      result: newEntry
+    }));
+  }
+
+  /**
+   * Newest entries first, optionally filtered by action or target user
+   */
+  getAuditLog({ action, targetUserId, limit = 100 } = {}) {
+    return this.readFile(this.auditLogFile)
+      .filter(entry => !action || entry.action === action)
+      .filter(entry => !targetUserId || entry.targetUserId === targetUserId)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, limit);
+  }
+
+  /**
+   * Remove a user from the audit log: entries keep their action and time,
+   * but lose the user's ID, IP address and details. Resolves to the number changed.
+   */
+  anonymizeAuditLog(userId) {
+    return this.mutate(this.auditLogFile, (entries) => {
+      const changed = entries
+        .filter(entry => entry.targetUserId === userId || entry.actorId === userId)
+        .map(entry => ({
+          ...entry,
+          actorId: entry.actorId === userId ? null : entry.actorId,
+          targetUserId: entry.targetUserId === userId ? null : entry.targetUserId,
+          ipAddress: null,
+          details: entry.targetUserId === userId ? {} : entry.details
+        }));
+      return { entries: changed.map(record => ({ op: 'put', record })), result: changed.length };
+    });
+  }
+
+  // Personal access token operations
+  createApiToken(tokenData) {
+    const newToken = {
+      id: uuidv4(),
+      ...tokenData,
+      lastUsedAt: null,
+      revokedAt: null,
+      createdAt: new Date().toISOString()
+    };
+    return this.mutate(this.apiTokensFile, () => ({
+      entries: [{ op: 'insert', record: newToken }],
+      result: newToken
+    }));
+  }
+
+  getApiTokens(userId) {
+    return this.readFile(this.apiTokensFile).filter(token => token.userId === userId);
+  }
+
+  findApiTokenByHash(tokenHash) {
+    return this.readFile(this.apiTokensFile).find(token => token.tokenHash === tokenHash);
+  }
+
+  touchApiToken(id) {
+    return this.mutate(this.apiTokensFile, (tokens) => {
+      const token = tokens.find(t => t.id === id);
+      if (!token) return { entries: [], result: null };
+
+      const updatedToken = { ...token, lastUsedAt: new Date().toISOString() };
+      return { entries: [{ op: 'put', record: updatedToken }], result: updatedToken };
+    });
+  }
+
+  /**
+   * Revoke one of a user's tokens. Resolves to false if it doesn't exist or is already revoked.
+   */
+  revokeApiToken(id, userId) {
+    return this.mutate(this.apiTokensFile, (tokens) => {
+      const token = tokens.find(t => t.id === id && t.userId === userId && !t.revokedAt);
+      if (!token) return { entries: [], result: false };
+
+      const revokedToken = { ...token, revokedAt: new Date().toISOString() };
+      return { entries: [{ op: 'put', record: revokedToken }], result: true };
+    });
+  }
+
+  // External identity (OIDC) operations
+  findUserIdentity(provider, subject) {
+    return this.readFile(this.identitiesFile)
+      .find(identity => identity.provider === provider && identity.subject === subject);
+  }
+
+  getUserIdentities(userId) {
+    return this.readFile(this.identitiesFile).filter(identity => identity.userId === userId);
+  }
+
+  createUserIdentity(identityData) {
+    const newIdentity = {
+      id: uuidv4(),
+      ...identityData,
+      createdAt: new Date().toISOString(),
+      lastLoginAt: new Date().toISOString()
+    };
+    return this.mutate(this.identitiesFile, () => ({
+      entries: [{ op: 'insert', record: newIdentity }],
+      result: newIdentity
+    }));
+  }
+
+  touchUserIdentity(id) {
+    return this.mutate(this.identitiesFile, (identities) => {
+      const identity = identities.find(i => i.id === id);
+      if (!identity) return { entries: [], result: null };
+
+      const updatedIdentity = { ...identity, lastLoginAt: new Date().toISOString() };
+      return { entries: [{ op: 'put', record: updatedIdentity }], result: updatedIdentity };
+    });
+  }
+
+  // Identification job operations
+  createJob(jobData) {
+    const now = new Date().toISOString();
+    const newJob = {
+      id: uuidv4(),
+      status: 'queued',
+      progress: [],
+      result: null,
+      error: null,
+      ...jobData,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+    return this.mutate(this.jobsFile, () => ({
+      entries: [{ op: 'insert', record: newJob }],
+      result: newJob
+    }));
+  }
+
+  findJobById(id) {
+    return this.readFile(this.jobsFile).find(job => job.id === id);
+  }
+
+  /**
+   * Jobs with one of the given statuses, oldest first
+   */
+  getJobsByStatus(statuses) {
+    return this.readFile(this.jobsFile)
+      .filter(job => statuses.includes(job.status))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Update a job. With `fromStatuses`, only a job currently in one of them
+   * is updated, so a cancelled job isn't marked done. Resolves to the
+   * updated job, or null if it doesn't exist or has another status.
+   */
+  updateJob(id, updateData, { fromStatuses } = {}) {
+    return this.mutate(this.jobsFile, (jobs) => {
+      const job = jobs.find(j => j.id === id);
+      if (!job || (fromStatuses && !fromStatuses.includes(job.status))) return { entries: [], result: null };
+
+      const updatedJob = { ...job, ...updateData, updatedAt: new Date().toISOString() };
+      return { entries: [{ op: 'put', record: updatedJob }], result: updatedJob };
+    });
+  }
+
+  /**
+   * Remove jobs with one of the given statuses that finished before `before`
+   */
+  pruneJobs(statuses, before) {
+    return this.mutate(this.jobsFile, (jobs) => {
+      const ids = jobs
+        .filter(job => statuses.includes(job.status) && new Date(job.finishedAt || job.updatedAt) < before)
+        .map(job => job.id);
+      return { entries: ids.map(id => ({ op: 'delete', id })), result: ids.length };
+    });
+  }
+
+  // AI usage operations
+  addUsageRecord(recordData) {
+    const newRecord = {
+      id: uuidv4(),
+      ...recordData,
+      createdAt: new Date().toISOString()
+    };
+    return this.mutate(this.aiUsageFile, () => ({
+      entries: [{ op: 'insert', record: newRecord }],
+      result: newRecord
+    }));
+  }
+
+  /**
+   * Usage records of a user, or of an anonymous IP address, created at or
+   * after `since`, oldest first
+   */
+  getUsageRecords({ userId, ipAddress }, since) {
+    return this.readFile(this.aiUsageFile)
+      .filter(record => (userId ? record.userId === userId : !record.userId && record.ipAddress === ipAddress))
+      .filter(record => new Date(record.createdAt) >= since)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Remove usage records created before `before`
+   */
+  pruneUsageRecords(before) {
+    return this.mutate(this.aiUsageFile, (records) => {
+      const ids = records.filter(record => new Date(record.createdAt) < before).map(record => record.id);
+      return { entries: ids.map(id => ({ op: 'delete', id })), result: ids.length };
+    });
+  }
+
+  // Prompt template operations
+  /**
+   * Stored versions of a provider's prompt template for a search type, oldest first
+   */
+  getPromptTemplates(provider, type) {
+    return this.readFile(this.promptTemplatesFile)
+      .filter(template => template.provider === provider && template.type === type)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Store the next version of a template, numbered from `firstVersion`
+   */
+  addPromptTemplate(templateData, { firstVersion = 1 } = {}) {
+    return this.mutate(this.promptTemplatesFile, (templates) => {
+      const versions = templates
+        .filter(template => template.provider === templateData.provider && template.type === templateData.type)
+        .map(template => template.version);
+      const newTemplate = {
+        id: uuidv4(),
+        ...templateData,
+        version: Math.max(firstVersion - 1, ...versions) + 1,
+        createdAt: new Date().toISOString()
+      };
+      return { entries: [{ op: 'insert', record: newTemplate }], result: newTemplate };
+    });
+  }
+
+  // Application settings, stored as one record per key
+  getSetting(key) {
+    const setting = this.readFile(this.settingsFile).find(record => record.id === key);
+    return setting ? setting.value : undefined;
+  }
+
+  setSetting(key, value) {
+    const record = { id: key, value, updatedAt: new Date().toISOString() };
+    return this.mutate(this.settingsFile, () => ({
+      entries: [{ op: 'put', record }],
+      result: value
+    }));
   }
 }
 
-const db = new Database();
+/**
+ * Pick the storage backend: PostgreSQL when DATABASE_URL is set,
+ * otherwise the file-based store
+ */
+const createDatabase = () => {
+  if (process.env.DATABASE_URL) {
+    const { PostgresDatabase } = require('./postgres');
+    return new PostgresDatabase({ connectionString: process.env.DATABASE_URL });
+  }
+
+  return new Database();
+};
+
+const db = createDatabase();
 
-const connectDB = () => {
-  console.log('📁 File-based database initialized');
-  
-  // Database initialized - no sample data
-  console.log('✅ Database ready for production use');
+const connectDB = async () => {
+  if (!process.env.DATABASE_URL) {
+    console.log('📁 File-based database initialized');
+    console.log('✅ Database ready for production use');
+    return;
+  }
+
+  try {
+    await db.connect();
+    console.log('🐘 PostgreSQL database connected');
+  } catch (error) {
+    console.error('❌ PostgreSQL connection failed:', error.message);
+    process.exit(1);
+  }
 };
 
-module.exports = { db, connectDB };
\ No newline at end of file
+module.exports = { db, connectDB, Database, DatabaseCorruptionError, createDatabase };
@@ -0,0 +1,1018 @@
+const fs = require('fs');
+const { Pool } = require('pg');
+const { validate: isUuid } = require('uuid');
+
+const toIsoString = (value) => (value instanceof Date ? value.toISOString() : value);
+
+/**
+ * Map database rows to the object shapes used by the file-based store
+ */
+const mapUser = (row) => row && {
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  password: row.password,
+  role: row.role,
+  preferences: row.preferences || {},
+  searchHistoryRetention: row.search_history_retention || null,
+  emailVerified: row.email_verified,
+  emailVerifiedAt: toIsoString(row.email_verified_at),
+  failedLoginAttempts: row.failed_login_attempts || 0,
+  lastFailedLoginAt: toIsoString(row.last_failed_login_at),
+  lockedUntil: toIsoString(row.locked_until),
+  twoFactorEnabled: Boolean(row.two_factor_enabled),
+  twoFactorSecret: row.two_factor_secret,
+  twoFactorPendingSecret: row.two_factor_pending_secret,
+  twoFactorRecoveryCodes: row.two_factor_recovery_codes || [],
+  twoFactorLastUsedStep: row.two_factor_last_used_step,
+  twoFactorEnabledAt: toIsoString(row.two_factor_enabled_at),
+  disabled: Boolean(row.disabled),
+  disabledAt: toIsoString(row.disabled_at),
+  disabledReason: row.disabled_reason,
+  passwordResetRequired: Boolean(row.password_reset_required),
+  createdAt: toIsoString(row.created_at),
+  updatedAt: toIsoString(row.updated_at)
+};
+
+const mapMovie = (row) => row && {
+  id: row.id,
+  title: row.title,
+  year: row.year,
+  type: row.type,
+  genre: row.genre || [],
+  rating: Number(row.rating),
+  duration: row.duration,
+  description: row.description,
+  poster: row.poster,
+  backdrop: row.backdrop,
+  cast: row.cast || [],
+  director: row.director,
+  confidence: row.confidence,
+  platforms: row.platforms || [],
+  createdAt: toIsoString(row.created_at)
+};
+
+const mapSession = (row) => row && {
+  id: row.id,
+  userId: row.user_id,
+  familyId: row.family_id,
+  tokenHash: row.token_hash,
+  expiresAt: toIsoString(row.expires_at),
+  createdAt: toIsoString(row.created_at),
+  lastUsedAt: toIsoString(row.last_used_at),
+  revokedAt: toIsoString(row.revoked_at),
+  replacedBy: row.replaced_by,
+  twoFactorVerified: Boolean(row.two_factor_verified),
+  userAgent: row.user_agent,
+  ipAddress: row.ip_address
+};
+
+const mapUserToken = (row) => row && {
+  id: row.id,
+  userId: row.user_id,
+  type: row.token_type,
+  tokenHash: row.token_hash,
+  expiresAt: toIsoString(row.expires_at),
+  usedAt: toIsoString(row.used_at),
+  createdAt: toIsoString(row.created_at)
+};
+
+const mapAuditEntry = (row) => row && {
+  id: row.id,
+  action: row.action,
+  actorId: row.actor_id,
+  targetUserId: row.target_user_id,
+  ipAddress: row.ip_address,
+  details: row.details || {},
+  timestamp: toIsoString(row.created_at)
+};
+
+const mapApiToken = (row) => row && {
+  id: row.id,
+  userId: row.user_id,
+  name: row.name,
+  scopes: row.scopes || [],
+  tokenHash: row.token_hash,
+  tokenPrefix: row.token_prefix,
+  expiresAt: toIsoString(row.expires_at),
+  lastUsedAt: toIsoString(row.last_used_at),
+  revokedAt: toIsoString(row.revoked_at),
+  createdAt: toIsoString(row.created_at)
+};
+
+const mapUserIdentity = (row) => row && {
+  id: row.id,
+  userId: row.user_id,
+  provider: row.provider,
+  subject: row.subject,
+  email: row.email,
+  createdAt: toIsoString(row.created_at),
+  lastLoginAt: toIsoString(row.last_login_at)
+};
+
+const mapJob = (row) => row && {
+  id: row.id,
+  userId: row.user_id,
+  ipAddress: row.ip_address,
+  status: row.status,
+  type: row.search_type,
+  query: row.query,
+  mode: row.mode,
+  upload: row.upload,
+  progress: row.progress || [],
+  result: row.result,
+  error: row.error,
+  createdAt: toIsoString(row.created_at),
+  updatedAt: toIsoString(row.updated_at),
+  startedAt: toIsoString(row.started_at),
+  finishedAt: toIsoString(row.finished_at)
+};
+
+const mapUsageRecord = (row) => row && {
+  id: row.id,
+  userId: row.user_id,
+  ipAddress: row.ip_address,
+  provider: row.provider,
+  model: row.model,
+  outcome: row.outcome,
+  attempts: row.attempts,
+  inputTokens: row.input_tokens,
+  outputTokens: row.output_tokens,
+  // NUMERIC columns come back as strings
+  cost: Number(row.cost),
+  latency: row.latency_ms,
+  createdAt: toIsoString(row.created_at)
+};
+
+const mapSearchHistory = (row) => row && {
+  id: row.id,
+  userId: row.user_id,
+  type: row.search_type,
+  query: row.query,
+  results: row.results_count,
+  confidence: row.confidence,
+  processingTime: row.processing_time,
+  provider: row.ai_provider,
+  promptVersions: row.prompt_versions || [],
+  timestamp: toIsoString(row.created_at)
+};
+
+const mapPromptTemplate = (row) => row && {
+  id: row.id,
+  provider: row.provider,
+  type: row.search_type,
+  version: row.version,
+  system: row.system_prompt,
+  prompt: row.prompt,
+  notes: row.notes,
+  createdBy: row.created_by,
+  createdAt: toIsoString(row.created_at)
+};
+
+// User fields that can be updated, mapped to their columns
+const USER_COLUMNS = {
+  name: 'name',
+  email: 'email',
+  password: 'password',
+  role: 'role',
+  preferences: 'preferences',
+  searchHistoryRetention: 'search_history_retention',
+  emailVerified: 'email_verified',
+  emailVerifiedAt: 'email_verified_at',
+  failedLoginAttempts: 'failed_login_attempts',
+  lastFailedLoginAt: 'last_failed_login_at',
+  lockedUntil: 'locked_until',
+  twoFactorEnabled: 'two_factor_enabled',
+  twoFactorSecret: 'two_factor_secret',
+  twoFactorPendingSecret: 'two_factor_pending_secret',
+  twoFactorRecoveryCodes: 'two_factor_recovery_codes',
+  twoFactorLastUsedStep: 'two_factor_last_used_step',
+  twoFactorEnabledAt: 'two_factor_enabled_at',
+  disabled: 'disabled',
+  disabledAt: 'disabled_at',
+  disabledReason: 'disabled_reason',
+  passwordResetRequired: 'password_reset_required'
+};
+
+const JSON_USER_FIELDS = ['preferences', 'searchHistoryRetention', 'twoFactorRecoveryCodes'];
+
+// Job fields that can be updated, mapped to their columns
+const JOB_COLUMNS = {
+  status: 'status',
+  progress: 'progress',
+  result: 'result',
+  error: 'error',
+  startedAt: 'started_at',
+  finishedAt: 'finished_at'
+};
+
+const JSON_JOB_FIELDS = ['progress', 'result'];
+
+/**
+ * PostgreSQL database implementing the same API as the file-based store.
+ * Expects the schema from supabase/migrations to be applied.
+ */
+class PostgresDatabase {
+  constructor({ connectionString, pool } = {}) {
+    this.pool = pool || new Pool({ connectionString });
+  }
+
+  async connect() {
+    await this.pool.query('SELECT 1');
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  async query(text, params = []) {
+    const { rows } = await this.pool.query(text, params);
+    return rows;
+  }
+
+  async transaction(callback) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace all users, movies and search history in one transaction
+   */
+  async importData({ users, movies, searchHistory }) {
+    await this.transaction(async (client) => {
+      await client.query('DELETE FROM search_history');
+      await client.query('DELETE FROM movies');
+      await this.replaceUsers(client, users);
+      for (const movie of movies) await this.insertMovie(client, movie);
+      for (const entry of searchHistory) await this.insertSearchHistory(client, entry);
+    });
+    return true;
+  }
+
+  async getAllSearchHistory() {
+    const rows = await this.query('SELECT * FROM search_history ORDER BY created_at');
+    return rows.map(mapSearchHistory);
+  }
+
+  // User operations
+  async getUsers() {
+    const rows = await this.query('SELECT * FROM users ORDER BY created_at');
+    return rows.map(mapUser);
+  }
+
+  async saveUsers(users) {
+    await this.transaction(client => this.replaceUsers(client, users));
+    return true;
+  }
+
+  /**
+   * Replace all users. Users that stay are updated in place, so like in the
+   * file store they keep their sessions, tokens, linked identities, jobs and
+   * AI usage. Only removed users lose theirs.
+   */
+  async replaceUsers(client, users) {
+    const ids = users.map(user => user.id).filter(id => isUuid(id));
+    await client.query('DELETE FROM users WHERE NOT (id = ANY($1::uuid[]))', [ids]);
+    for (const user of users) {
+      await this.insertUser(client, user, { upsert: true });
+    }
+  }
+
+  async findUserByEmail(email) {
+    const rows = await this.query('SELECT * FROM users WHERE email = $1', [email]);
+    return mapUser(rows[0]);
+  }
+
+  async findUserById(id) {
+    if (!isUuid(id)) return undefined;
+    const rows = await this.query('SELECT * FROM users WHERE id = $1', [id]);
+    return mapUser(rows[0]);
+  }
+
+  async createUser(userData) {
+    return this.insertUser(this.pool, userData);
+  }
+
+  /**
+   * Insert a user. With `upsert`, a user with the same ID is overwritten.
+   */
+  async insertUser(client, user, { upsert = false } = {}) {
+    const onConflict = upsert
+      ? `ON CONFLICT (id) DO UPDATE SET ${[...Object.values(USER_COLUMNS), 'created_at', 'updated_at']
+        .map(column => `${column} = EXCLUDED.${column}`).join(', ')}`
+      : '';
+    const { rows } = await client.query(
+      `INSERT INTO users (id, name, email, password, role, preferences,
+         search_history_retention, email_verified, email_verified_at,
+         failed_login_attempts, last_failed_login_at, locked_until,
+         two_factor_enabled, two_factor_secret, two_factor_pending_secret, two_factor_recovery_codes,
+         two_factor_last_used_step, two_factor_enabled_at,
+         disabled, disabled_at, disabled_reason, password_reset_required,
+         created_at, updated_at)
+       VALUES (COALESCE($1::uuid, gen_random_uuid()), $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+         $13, $14, $15, $16, $17, $18, $19, $20, $21, $22,
+         COALESCE($23::timestamptz, CURRENT_TIMESTAMP), COALESCE($24::timestamptz, CURRENT_TIMESTAMP))
+       ${onConflict}
+       RETURNING *`,
+      [
+        isUuid(user.id) ? user.id : null,
+        user.name,
+        user.email,
+        user.password,
+        user.role || 'user',
+        JSON.stringify(user.preferences || {}),
+        user.searchHistoryRetention ? JSON.stringify(user.searchHistoryRetention) : null,
+        user.emailVerified !== false,
+        user.emailVerifiedAt || null,
+        user.failedLoginAttempts || 0,
+        user.lastFailedLoginAt || null,
+        user.lockedUntil || null,
+        Boolean(user.twoFactorEnabled),
+        user.twoFactorSecret || null,
+        user.twoFactorPendingSecret || null,
+        JSON.stringify(user.twoFactorRecoveryCodes || []),
+        user.twoFactorLastUsedStep ?? null,
+        user.twoFactorEnabledAt || null,
+        Boolean(user.disabled),
+        user.disabledAt || null,
+        user.disabledReason || null,
+        Boolean(user.passwordResetRequired),
+        user.createdAt || null,
+        user.updatedAt || null
+      ]
+    );
+    return mapUser(rows[0]);
+  }
+
+  async updateUser(id, updateData) {
+    if (!isUuid(id)) return null;
+
+    const fields = Object.keys(USER_COLUMNS).filter(field => updateData[field] !== undefined);
+    const values = fields.map(field =>
+      JSON_USER_FIELDS.includes(field) ? JSON.stringify(updateData[field]) : updateData[field]
+    );
+    const assignments = fields.map((field, index) => `${USER_COLUMNS[field]} = $${index + 2}`);
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+
+    const rows = await this.query(
+      `UPDATE users SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      [id, ...values]
+    );
+    return mapUser(rows[0]) || null;
+  }
+
+  /**
+   * Count a failed login. Failures before `since` no longer count, so the
+   * counter starts over after a quiet period.
+   */
+  async incrementFailedLogins(id, { since } = {}) {
+    if (!isUuid(id)) return null;
+
+    const rows = await this.query(
+      `UPDATE users
+       SET failed_login_attempts = CASE
+             WHEN last_failed_login_at IS NULL OR last_failed_login_at < $2 THEN 1
+             ELSE failed_login_attempts + 1
+           END,
+           last_failed_login_at = $3
+       WHERE id = $1
+       RETURNING *`,
+      [id, (since || new Date(0)).toISOString(), new Date().toISOString()]
+    );
+    return mapUser(rows[0]) || null;
+  }
+
+  /**
+   * Delete a user. Search history, sessions and tokens go with it through
+   * ON DELETE CASCADE.
+   */
+  async deleteUser(id) {
+    if (!isUuid(id)) return false;
+    // Uploads of the user's unfinished jobs would otherwise stay on disk
+    const jobs = await this.query(
+      'SELECT upload FROM identification_jobs WHERE user_id = $1 AND upload IS NOT NULL',
+      [id]
+    );
+    const rows = await this.query('DELETE FROM users WHERE id = $1 RETURNING id', [id]);
+    await Promise.all(jobs.map(job => fs.promises.rm(job.upload.path, { force: true })));
+    return rows.length > 0;
+  }
+
+  // Movie operations
+  async getMovies() {
+    const rows = await this.query('SELECT * FROM movies ORDER BY created_at');
+    return rows.map(mapMovie);
+  }
+
+  async saveMovies(movies) {
+    await this.transaction(async (client) => {
+      await client.query('DELETE FROM movies');
+      for (const movie of movies) {
+        await this.insertMovie(client, movie);
+      }
+    });
+    return true;
+  }
+
+  async addMovie(movieData) {
+    return this.insertMovie(this.pool, movieData);
+  }
+
+  /**
+   * Catalog entry of each movie, matched by title (ignoring case) and year,
+   * adding the ones not in the catalog yet. Movies keep their ID unless the
+   * catalog already uses it.
+   */
+  async findOrCreateMovies(movies) {
+    return this.transaction(async (client) => {
+      const catalogMovies = [];
+      for (const movie of movies) {
+        // The no-op update makes RETURNING yield the row already in the catalog
+        const { rows } = await client.query(
+          `INSERT INTO movies (id, title, year, type, genre, rating, duration, description,
+             poster, backdrop, "cast", director, confidence, platforms)
+           VALUES (CASE WHEN $1::uuid IS NULL OR EXISTS (SELECT 1 FROM movies WHERE id = $1::uuid)
+               THEN gen_random_uuid() ELSE $1::uuid END,
+             $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+           ON CONFLICT (lower(title), year) DO UPDATE SET title = movies.title
+           RETURNING *`,
+          [
+            isUuid(movie.id) ? movie.id : null,
+            movie.title,
+            movie.year,
+            movie.type,
+            movie.genre || [],
+            movie.rating || 0,
+            movie.duration,
+            movie.description,
+            movie.poster,
+            movie.backdrop,
+            movie.cast || [],
+            movie.director,
+            Math.round(movie.confidence || 0),
+            JSON.stringify(movie.platforms || [])
+          ]
+        );
+        catalogMovies.push(mapMovie(rows[0]));
+      }
+      return catalogMovies;
+    });
+  }
+
+  async insertMovie(client, movie) {
+    const { rows } = await client.query(
+      `INSERT INTO movies (id, title, year, type, genre, rating, duration, description,
+         poster, backdrop, "cast", director, confidence, platforms, created_at)
+       VALUES (COALESCE($1::uuid, gen_random_uuid()), $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+         COALESCE($15::timestamptz, CURRENT_TIMESTAMP))
+       RETURNING *`,
+      [
+        isUuid(movie.id) ? movie.id : null,
+        movie.title,
+        movie.year,
+        movie.type,
+        movie.genre || [],
+        movie.rating || 0,
+        movie.duration,
+        movie.description,
+        movie.poster,
+        movie.backdrop,
+        movie.cast || [],
+        movie.director,
+        Math.round(movie.confidence || 0),
+        JSON.stringify(movie.platforms || []),
+        movie.createdAt || null
+      ]
+    );
+    return mapMovie(rows[0]);
+  }
+
+  // Search history operations
+  async getSearchHistory(userId) {
+    if (!isUuid(userId)) return [];
+    const rows = await this.query(
+      'SELECT * FROM search_history WHERE user_id = $1 ORDER BY created_at',
+      [userId]
+    );
+    return rows.map(mapSearchHistory);
+  }
+
+  async addSearchHistory(userId, searchData) {
+    return this.insertSearchHistory(this.pool, { ...searchData, userId });
+  }
+
+  async saveSearchHistory(history) {
+    await this.transaction(async (client) => {
+      await client.query('DELETE FROM search_history');
+      for (const entry of history) {
+        await this.insertSearchHistory(client, entry);
+      }
+    });
+    return true;
+  }
+
+  async insertSearchHistory(client, entry) {
+    const { rows } = await client.query(
+      `INSERT INTO search_history (id, user_id, search_type, query, results_count,
+         confidence, processing_time, ai_provider, prompt_versions, created_at)
+       VALUES (COALESCE($1::uuid, gen_random_uuid()), $2, $3, $4, $5, $6, $7, $8, $9,
+         COALESCE($10::timestamptz, CURRENT_TIMESTAMP))
+       RETURNING *`,
+      [
+        isUuid(entry.id) ? entry.id : null,
+        entry.userId,
+        entry.type,
+        entry.query,
+        entry.results || 0,
+        Math.round(entry.confidence || 0),
+        entry.processingTime || 0,
+        entry.provider || null,
+        JSON.stringify(entry.promptVersions || []),
+        entry.timestamp || null
+      ]
+    );
+    return mapSearchHistory(rows[0]);
+  }
+
+  async findSearchHistoryEntry(id) {
+    if (!isUuid(id)) return undefined;
+    const rows = await this.query('SELECT * FROM search_history WHERE id = $1', [id]);
+    return mapSearchHistory(rows[0]);
+  }
+
+  async deleteSearchHistoryEntry(id) {
+    if (!isUuid(id)) return null;
+    const rows = await this.query('DELETE FROM search_history WHERE id = $1 RETURNING *', [id]);
+    return mapSearchHistory(rows[0]) || null;
+  }
+
+  async clearSearchHistory(userId) {
+    if (!isUuid(userId)) return 0;
+    const rows = await this.query(
+      'DELETE FROM search_history WHERE user_id = $1 RETURNING id',
+      [userId]
+    );
+    return rows.length;
+  }
+
+  /**
+   * Remove entries older than maxAgeDays and beyond the newest maxEntries
+   */
+  async pruneSearchHistory(userId, { maxAgeDays, maxEntries } = {}) {
+    if (!isUuid(userId)) return 0;
+    let removed = 0;
+
+    if (maxAgeDays) {
+      const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
+      const rows = await this.query(
+        'DELETE FROM search_history WHERE user_id = $1 AND created_at < $2 RETURNING id',
+        [userId, cutoff]
+      );
+      removed += rows.length;
+    }
+
+    if (maxEntries) {
+      const rows = await this.query(
+        `DELETE FROM search_history WHERE id IN (
+           SELECT id FROM search_history WHERE user_id = $1
+           ORDER BY created_at DESC OFFSET $2
+         ) RETURNING id`,
+        [userId, maxEntries]
+      );
+      removed += rows.length;
+    }
+
+    return removed;
+  }
+
+  // Session operations
+  async createSession(sessionData) {
+    const rows = await this.query(
+      `INSERT INTO user_sessions (user_id, family_id, token_hash, expires_at, user_agent, ip_address,
+         two_factor_verified)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        sessionData.userId,
+        sessionData.familyId,
+        sessionData.tokenHash,
+        sessionData.expiresAt,
+        sessionData.userAgent || null,
+        sessionData.ipAddress || null,
+        Boolean(sessionData.twoFactorVerified)
+      ]
+    );
+    return mapSession(rows[0]);
+  }
+
+  async findSessionByTokenHash(tokenHash) {
+    const rows = await this.query('SELECT * FROM user_sessions WHERE token_hash = $1', [tokenHash]);
+    return mapSession(rows[0]);
+  }
+
+  async updateSession(id, updateData) {
+    const rows = await this.query(
+      `UPDATE user_sessions
+       SET replaced_by = COALESCE($2::uuid, replaced_by),
+           last_used_at = COALESCE($3::timestamptz, last_used_at)
+       WHERE id = $1
+       RETURNING *`,
+      [id, updateData.replacedBy || null, updateData.lastUsedAt || null]
+    );
+    return mapSession(rows[0]) || null;
+  }
+
+  /**
+   * Revoke one session. Resolves to false if it was already revoked.
+   */
+  async revokeSession(id) {
+    const rows = await this.query(
+      `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [id]
+    );
+    return rows.length > 0;
+  }
+
+  async revokeSessionFamily(familyId) {
+    if (!isUuid(familyId)) return 0;
+    const rows = await this.query(
+      `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE family_id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [familyId]
+    );
+    return rows.length;
+  }
+
+  async getUserSessions(userId) {
+    if (!isUuid(userId)) return [];
+    const rows = await this.query(
+      'SELECT * FROM user_sessions WHERE user_id = $1 ORDER BY created_at',
+      [userId]
+    );
+    return rows.map(mapSession);
+  }
+
+  async revokeUserSessions(userId) {
+    if (!isUuid(userId)) return 0;
+    const rows = await this.query(
+      `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [userId]
+    );
+    return rows.length;
+  }
+
+  async hasActiveSession(familyId) {
+    if (!isUuid(familyId)) return false;
+    const rows = await this.query(
+      `SELECT id FROM user_sessions
+       WHERE family_id = $1 AND revoked_at IS NULL AND expires_at > $2
+       LIMIT 1`,
+      [familyId, new Date().toISOString()]
+    );
+    return rows.length > 0;
+  }
+
+  // One-time token operations (password reset, email verification)
+  async createUserToken(tokenData) {
+    return this.transaction(async (client) => {
+      await client.query(
+        'DELETE FROM user_tokens WHERE user_id = $1 AND token_type = $2',
+        [tokenData.userId, tokenData.type]
+      );
+      const { rows } = await client.query(
+        `INSERT INTO user_tokens (user_id, token_type, token_hash, expires_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [tokenData.userId, tokenData.type, tokenData.tokenHash, tokenData.expiresAt]
+      );
+      return mapUserToken(rows[0]);
+    });
+  }
+
+  async consumeUserToken(tokenHash, type) {
+    const rows = await this.query(
+      `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND token_type = $2 AND used_at IS NULL AND expires_at > $3
+       RETURNING *`,
+      [tokenHash, type, new Date().toISOString()]
+    );
+    return mapUserToken(rows[0]) || null;
+  }
+
+  // Audit log operations
+  async addAuditEntry(entryData) {
+    const rows = await this.query(
+      `INSERT INTO audit_log (action, actor_id, target_user_id, ip_address, details)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        entryData.action,
+        entryData.actorId || null,
+        entryData.targetUserId || null,
+        entryData.ipAddress || null,
+        JSON.stringify(entryData.details || {})
+      ]
+    );
+    return mapAuditEntry(rows[0]);
+  }
+
+  async getAuditLog({ action, targetUserId, limit = 100 } = {}) {
+    if (targetUserId && !isUuid(targetUserId)) return [];
+
+    const conditions = [];
+    const params = [];
+    if (action) {
+      params.push(action);
+      conditions.push(`action = $${params.length}`);
+    }
+    if (targetUserId) {
+      params.push(targetUserId);
+      conditions.push(`target_user_id = $${params.length}`);
+    }
+    params.push(limit);
+
+    const rows = await this.query(
+      `SELECT * FROM audit_log
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return rows.map(mapAuditEntry);
+  }
+
+  async anonymizeAuditLog(userId) {
+    if (!isUuid(userId)) return 0;
+    const rows = await this.query(
+      `UPDATE audit_log
+       SET details = CASE WHEN target_user_id = $1 THEN '{}'::jsonb ELSE details END,
+           actor_id = CASE WHEN actor_id = $1 THEN NULL ELSE actor_id END,
+           target_user_id = CASE WHEN target_user_id = $1 THEN NULL ELSE target_user_id END,
+           ip_address = NULL
+       WHERE target_user_id = $1 OR actor_id = $1
+       RETURNING id`,
+      [userId]
+    );
+    return rows.length;
+  }
+
+  // Personal access token operations
+  async createApiToken(tokenData) {
+    const rows = await this.query(
+      `INSERT INTO api_tokens (user_id, name, scopes, token_hash, token_prefix, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        tokenData.userId,
+        tokenData.name,
+        tokenData.scopes,
+        tokenData.tokenHash,
+        tokenData.tokenPrefix,
+        tokenData.expiresAt || null
+      ]
+    );
+    return mapApiToken(rows[0]);
+  }
+
+  async getApiTokens(userId) {
+    if (!isUuid(userId)) return [];
+    const rows = await this.query(
+      'SELECT * FROM api_tokens WHERE user_id = $1 ORDER BY created_at',
+      [userId]
+    );
+    return rows.map(mapApiToken);
+  }
+
+  async findApiTokenByHash(tokenHash) {
+    const rows = await this.query('SELECT * FROM api_tokens WHERE token_hash = $1', [tokenHash]);
+    return mapApiToken(rows[0]);
+  }
+
+  async touchApiToken(id) {
+    const rows = await this.query(
+      'UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [id]
+    );
+    return mapApiToken(rows[0]) || null;
+  }
+
+  async revokeApiToken(id, userId) {
+    if (!isUuid(id) || !isUuid(userId)) return false;
+    const rows = await this.query(
+      `UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [id, userId]
+    );
+    return rows.length > 0;
+  }
+
+  // Identification job operations
+  async createJob(jobData) {
+    const rows = await this.query(
+      `INSERT INTO identification_jobs (user_id, ip_address, search_type, query, mode, upload, progress)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        jobData.userId || null,
+        jobData.ipAddress || null,
+        jobData.type,
+        jobData.query || null,
+        jobData.mode || null,
+        jobData.upload ? JSON.stringify(jobData.upload) : null,
+        JSON.stringify([])
+      ]
+    );
+    return mapJob(rows[0]);
+  }
+
+  async findJobById(id) {
+    if (!isUuid(id)) return undefined;
+    const rows = await this.query('SELECT * FROM identification_jobs WHERE id = $1', [id]);
+    return mapJob(rows[0]);
+  }
+
+  async getJobsByStatus(statuses) {
+    const rows = await this.query(
+      'SELECT * FROM identification_jobs WHERE status = ANY($1) ORDER BY created_at',
+      [statuses]
+    );
+    return rows.map(mapJob);
+  }
+
+  async updateJob(id, updateData, { fromStatuses } = {}) {
+    if (!isUuid(id)) return null;
+
+    const fields = Object.keys(JOB_COLUMNS).filter(field => updateData[field] !== undefined);
+    const values = fields.map(field =>
+      JSON_JOB_FIELDS.includes(field) ? JSON.stringify(updateData[field]) : updateData[field]
+    );
+    const assignments = fields.map((field, index) => `${JOB_COLUMNS[field]} = $${index + 2}`);
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+
+    const params = [id, ...values];
+    let condition = 'id = $1';
+    if (fromStatuses) {
+      params.push(fromStatuses);
+      condition += ` AND status = ANY($${params.length})`;
+    }
+
+    const rows = await this.query(
+      `UPDATE identification_jobs SET ${assignments.join(', ')} WHERE ${condition} RETURNING *`,
+      params
+    );
+    return mapJob(rows[0]) || null;
+  }
+
+  /**
+   * Remove jobs with one of the given statuses that finished before `before`
+   */
+  async pruneJobs(statuses, before) {
+    const rows = await this.query(
+      'DELETE FROM identification_jobs WHERE status = ANY($1) AND COALESCE(finished_at, updated_at) < $2 RETURNING id',
+      [statuses, before]
+    );
+    return rows.length;
+  }
+
+  // AI usage operations
+  async addUsageRecord(recordData) {
+    const rows = await this.query(
+      `INSERT INTO ai_usage (user_id, ip_address, provider, model, outcome, attempts, input_tokens, output_tokens, cost, latency_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        recordData.userId || null,
+        recordData.ipAddress || null,
+        recordData.provider,
+        recordData.model || null,
+        recordData.outcome,
+        recordData.attempts,
+        recordData.inputTokens,
+        recordData.outputTokens,
+        recordData.cost,
+        recordData.latency
+      ]
+    );
+    return mapUsageRecord(rows[0]);
+  }
+
+  async getUsageRecords({ userId, ipAddress }, since) {
+    if (userId && !isUuid(userId)) return [];
+
+    const [condition, subject] = userId
+      ? ['user_id = $1', userId]
+      : ['user_id IS NULL AND ip_address = $1', ipAddress];
+    const rows = await this.query(
+      `SELECT * FROM ai_usage WHERE ${condition} AND created_at >= $2 ORDER BY created_at`,
+      [subject, since]
+    );
+    return rows.map(mapUsageRecord);
+  }
+
+  /**
+   * Remove usage records created before `before`
+   */
+  async pruneUsageRecords(before) {
+    const rows = await this.query('DELETE FROM ai_usage WHERE created_at < $1 RETURNING id', [before]);
+    return rows.length;
+  }
+
+  // Prompt template operations
+  async getPromptTemplates(provider, type) {
+    const rows = await this.query(
+      'SELECT * FROM prompt_templates WHERE provider = $1 AND search_type = $2 ORDER BY version',
+      [provider, type]
+    );
+    return rows.map(mapPromptTemplate);
+  }
+
+  async addPromptTemplate(templateData, { firstVersion = 1 } = {}) {
+    // Two admins saving at once can't get the same version, the unique constraint rejects the second
+    const rows = await this.query(
+      `INSERT INTO prompt_templates (provider, search_type, version, system_prompt, prompt, notes, created_by)
+       SELECT $1, $2, GREATEST($3, COALESCE(MAX(version), 0) + 1), $4, $5, $6, $7
+       FROM prompt_templates WHERE provider = $1 AND search_type = $2
+       RETURNING *`,
+      [
+        templateData.provider,
+        templateData.type,
+        firstVersion,
+        templateData.system,
+        templateData.prompt,
+        templateData.notes || null,
+        isUuid(templateData.createdBy) ? templateData.createdBy : null
+      ]
+    );
+    return mapPromptTemplate(rows[0]);
+  }
+
+  // External identity (OIDC) operations
+  async findUserIdentity(provider, subject) {
+    const rows = await this.query(
+      'SELECT * FROM user_identities WHERE provider = $1 AND subject = $2',
+      [provider, subject]
+    );
+    return mapUserIdentity(rows[0]);
+  }
+
+  async getUserIdentities(userId) {
+    if (!isUuid(userId)) return [];
+    const rows = await this.query(
+      'SELECT * FROM user_identities WHERE user_id = $1 ORDER BY created_at',
+      [userId]
+    );
+    return rows.map(mapUserIdentity);
+  }
+
+  async createUserIdentity(identityData) {
+    const rows = await this.query(
+      `INSERT INTO user_identities (user_id, provider, subject, email)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [identityData.userId, identityData.provider, identityData.subject, identityData.email || null]
+    );
+    return mapUserIdentity(rows[0]);
+  }
+
+  async touchUserIdentity(id) {
+    const rows = await this.query(
+      'UPDATE user_identities SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [id]
+    );
+    return mapUserIdentity(rows[0]) || null;
+  }
+
+  // Application settings
+  async getSetting(key) {
+    const rows = await this.query('SELECT value FROM app_settings WHERE key = $1', [key]);
+    return rows[0] ? rows[0].value : undefined;
+  }
+
+  async setSetting(key, value) {
+    await this.query(
+      `INSERT INTO app_settings (key, value, updated_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP)
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at`,
+      [key, JSON.stringify(value)]
+    );
+    return value;
+  }
+}
+
+module.exports = { PostgresDatabase };
@@ -11,14 +11,20 @@ const authRoutes = require('./routes/auth');
 const movieRoutes = require('./routes/movies');
 const userRoutes = require('./routes/users');
 const aiRoutes = require('./routes/ai');
+const adminRoutes = require('./routes/admin');
 const { errorHandler } = require('./middleware/errorHandler');
 const { connectDB } = require('./config/database');
+const { startHistorySweeper } = require('./services/historySweeper');
+const { resumeJobs } = require('./services/jobService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Connect to database
-connectDB();
+// Connect to database, then pick up identification jobs left unfinished
+connectDB().then(resumeJobs);
+
+// Enforce search history and AI usage retention in the background
+startHistorySweeper();
 
 // Security middleware
 app.use(helmet({
@@ -109,6 +115,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/movies', movieRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -1,8 +1,68 @@
 const jwt = require('jsonwebtoken');
 const { db } = require('../config/database');
+const { getJwtSecret } = require('../services/tokenService');
+const { isEmailVerified } = require('../services/accountService');
+const { isTwoFactorRequired } = require('../services/twoFactorService');
+const { isApiToken, resolveApiToken } = require('../services/apiTokenService');
 
 /**
- * Authentication middleware to verify JWT tokens
+ * Let a route accept personal access tokens that carry `scope`.
+ * Routes without it refuse API tokens. Must run before authenticateToken
+ * or optionalAuth.
+ */
+const acceptApiToken = (scope) => (req, res, next) => {
+  req.apiTokenScope = scope;
+  next();
+};
+
+/**
+ * Authenticate a request carrying a personal access token
+ */
+const authenticateApiToken = async (req, res, next, token) => {
+  try {
+    const resolved = await resolveApiToken(token);
+    if (!resolved) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or revoked API token'
+      });
+    }
+
+    const { apiToken, user } = resolved;
+    if (user.disabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is disabled'
+      });
+    }
+    if (!req.apiTokenScope) {
+      return res.status(403).json({
+        success: false,
+        message: 'API tokens are not accepted for this endpoint'
+      });
+    }
+    if (!apiToken.scopes.includes(req.apiTokenScope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API token is missing the ${req.apiTokenScope} scope`
+      });
+    }
+
+    req.user = {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      apiTokenId: apiToken.id,
+      scopes: apiToken.scopes
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authentication middleware to verify JWT access tokens and personal access tokens
  */
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -15,33 +75,59 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-    if (err) {
+  if (isApiToken(token)) {
+    return authenticateApiToken(req, res, next, token);
+  }
+
+  jwt.verify(token, getJwtSecret(), async (err, user) => {
+    // 2FA challenge tokens are not access tokens
+    if (err || user.purpose) {
       return res.status(403).json({
         success: false,
         message: 'Invalid or expired token'
       });
     }
 
-    // Verify user still exists
-    const dbUser = db.findUserById(user.id);
-    if (!dbUser) {
-      return res.status(403).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+    try {
+      // Verify user still exists
+      const dbUser = await db.findUserById(user.id);
+      if (!dbUser) {
+        return res.status(403).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
 
-    req.user = user;
-    next();
+      if (dbUser.disabled) {
+        return res.status(403).json({
+          success: false,
+          message: 'Account is disabled'
+        });
+      }
+
+      // Reject tokens whose session was logged out or revoked
+      if (!user.sid || !(await db.hasActiveSession(user.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+
+      // Role changes apply immediately, not when the access token expires
+      req.user = { ...user, role: dbUser.role };
+      next();
+    } catch (error) {
+      next(error);
+    }
   });
 };
 
 /**
- * Authorization middleware to check user roles
+ * Authorization middleware to check user roles.
+ * Roles that require 2FA also need a session that passed the second factor.
  */
 const authorizeRoles = (...roles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -56,33 +142,76 @@ const authorizeRoles = (...roles) => {
       });
     }
 
-    next();
+    try {
+      if (!req.user.tfa && await isTwoFactorRequired(req.user.role)) {
+        const user = await db.findUserById(req.user.id);
+        return res.status(403).json({
+          success: false,
+          message: user && user.twoFactorEnabled
+            ? 'Please log in again with two-factor authentication'
+            : 'Two-factor authentication is required for your role',
+          twoFactorRequired: true
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
 
+/**
+ * Restrict a route to users who have verified their email address.
+ * Must run after authenticateToken.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await db.findUserById(req.user.id);
+    if (!user || !isEmailVerified(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Email verification required'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Optional authentication middleware
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
+  // An API token is an explicit attempt to authenticate, so it must be valid
+  if (isApiToken(token)) {
+    return authenticateApiToken(req, res, next, token);
+  }
+
   if (token) {
-    jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-      if (!err) {
-        const dbUser = db.findUserById(user.id);
-        if (dbUser) {
-          req.user = user;
-        }
+    try {
+      const user = jwt.verify(token, getJwtSecret());
+      const dbUser = await db.findUserById(user.id);
+      if (dbUser && !dbUser.disabled && !user.purpose && user.sid && await db.hasActiveSession(user.sid)) {
+        req.user = { ...user, role: dbUser.role };
       }
-    });
+    } catch (error) {
+      // Invalid tokens are treated as anonymous requests
+    }
   }
 
   next();
 };
 
 module.exports = {
+  acceptApiToken,
   authenticateToken,
   authorizeRoles,
+  requireVerifiedEmail,
   optionalAuth
 };
\ No newline at end of file
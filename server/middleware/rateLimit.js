@@ -0,0 +1,45 @@
+const rateLimit = require('express-rate-limit');
+const { asyncHandler } = require('./errorHandler');
+const { getUsageSubject, findExceededQuota } = require('../services/usageService');
+
+// Shared with tests so counters can be reset between cases
+const loginLimiterStore = new rateLimit.MemoryStore();
+
+/**
+ * Limit failed logins per IP address and account. Complements the
+ * per-account lockout, which can't tell one attacker from many.
+ * Must run after validateLogin so the email is normalized.
+ */
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: loginLimiterStore,
+  keyGenerator: (req) => `${req.ip}:${req.body.email}`,
+  message: {
+    success: false,
+    message: 'Too many failed login attempts for this account from your IP address, please try again later.'
+  }
+});
+
+/**
+ * Refuse AI requests from callers who have used up their daily or monthly
+ * quota of provider calls. Must run after authentication so the quota of
+ * the caller's role applies.
+ */
+const aiQuotaLimiter = asyncHandler(async (req, res, next) => {
+  const exceeded = await findExceededQuota(getUsageSubject(req));
+  if (!exceeded) return next();
+
+  const { period, limit, resetAt } = exceeded;
+  res.set('Retry-After', String(Math.ceil((new Date(resetAt) - Date.now()) / 1000)));
+  res.status(429).json({
+    success: false,
+    message: `${period === 'daily' ? 'Daily' : 'Monthly'} AI usage quota of ${limit} requests exceeded. It resets at ${resetAt}.`,
+    quota: { period, limit, resetAt }
+  });
+});
+
+module.exports = { loginLimiter, loginLimiterStore, aiQuotaLimiter };
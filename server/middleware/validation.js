@@ -1,4 +1,5 @@
 const { body, validationResult } = require('express-validator');
+const { API_TOKEN_SCOPES } = require('../services/apiTokenService');
 
 /**
  * Handle validation errors
@@ -54,6 +55,251 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+/**
+ * Refresh token validation rules
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * OIDC callback validation rules
+ */
+const validateOidcCallback = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+  
+  body('loginBinding')
+    .isString()
+    .notEmpty()
+    .withMessage('Login binding is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Forgot password validation rules
+ */
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Password reset validation rules
+ */
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Email verification validation rules
+ */
+const validateEmailVerification = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Authenticator code validation rules
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+/**
+ * A 6-digit authenticator code or a recovery code
+ */
+const secondFactorRules = [
+  body('code')
+    .optional()
+    .isString()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  body('recoveryCode')
+    .optional()
+    .isString(),
+  
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('An authenticator code or recovery code is required')
+];
+
+/**
+ * Second login step validation rules
+ */
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  ...secondFactorRules,
+  handleValidationErrors
+];
+
+/**
+ * Disable 2FA validation rules
+ */
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  ...secondFactorRules,
+  handleValidationErrors
+];
+
+/**
+ * 2FA role policy validation rules
+ */
+const validateTwoFactorPolicy = [
+  body('requiredRoles')
+    .isArray()
+    .withMessage('requiredRoles must be an array'),
+  
+  body('requiredRoles.*')
+    .isIn(['user', 'admin'])
+    .withMessage('Invalid role'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Admin role change validation rules
+ */
+const validateRoleUpdate = [
+  body('role')
+    .isIn(['user', 'admin'])
+    .withMessage('Role must be user or admin'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Admin disable account validation rules
+ */
+const validateUserDisable = [
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Prompt template validation rules
+ */
+const validatePromptTemplate = [
+  body('system')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('System prompt must be between 1 and 10000 characters'),
+  
+  body('prompt')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Prompt must be between 1 and 10000 characters'),
+  
+  body('notes')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be at most 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Account deletion validation rules
+ */
+const validateAccountDeletion = [
+  body('password')
+    .optional()
+    .isString()
+    .notEmpty(),
+  
+  body('confirmationToken')
+    .optional()
+    .isString()
+    .notEmpty(),
+  
+  body()
+    .custom(value => Boolean(value.password || value.confirmationToken))
+    .withMessage('Your password or an emailed confirmation token is required to delete your account'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Personal access token validation rules
+ */
+const validateApiToken = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(Object.values(API_TOKEN_SCOPES))
+    .withMessage(`Scopes must be one of: ${Object.values(API_TOKEN_SCOPES).join(', ')}`),
+  
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
 /**
  * Movie search validation rules
  */
@@ -69,6 +315,11 @@ const validateMovieSearch = [
     .isIn(['text', 'image', 'video', 'actor'])
     .withMessage('Invalid search type'),
   
+  body('mode')
+    .optional()
+    .isIn(['failover', 'ensemble'])
+    .withMessage('Invalid identification mode'),
+  
   handleValidationErrors
 ];
 
@@ -95,10 +346,44 @@ const validateProfileUpdate = [
   handleValidationErrors
 ];
 
+/**
+ * Search history retention validation rules
+ */
+const validateHistoryRetention = [
+  body('maxAgeDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('maxAgeDays must be between 1 and 3650')
+    .toInt(),
+  
+  body('maxEntries')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('maxEntries must be between 1 and 10000')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
 module.exports = {
   validateRegistration,
   validateLogin,
+  validateRefreshToken,
+  validateOidcCallback,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateTwoFactorPolicy,
+  validateRoleUpdate,
+  validateUserDisable,
+  validatePromptTemplate,
+  validateApiToken,
+  validateAccountDeletion,
   validateMovieSearch,
   validateProfileUpdate,
+  validateHistoryRetention,
   handleValidationErrors
 };
\ No newline at end of file
@@ -0,0 +1,943 @@
+const express = require('express');
+const multer = require('multer');
+const { db } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const {
+  validateTwoFactorPolicy,
+  validateRoleUpdate,
+  validateUserDisable,
+  validatePromptTemplate
+} = require('../middleware/validation');
+const {
+  createBackupStream,
+  parseArchive,
+  validateArchive,
+  restoreArchive
+} = require('../services/backupService');
+const { unlockAccount } = require('../services/loginProtection');
+const { getTwoFactorRequiredRoles, setTwoFactorRequiredRoles } = require('../services/twoFactorService');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+const { resultCache } = require('../services/resultCache');
+const { toPublicUser, requestPasswordReset } = require('../services/accountService');
+const { CAPABILITIES, LOCAL_PROVIDER, getRegisteredProviders } = require('../services/aiService');
+const {
+  DEFAULT_TEMPLATE_PROVIDER,
+  TEMPLATE_VARIABLES,
+  findUnknownVariables,
+  getTemplateVersions,
+  getActiveTemplate,
+  saveTemplate
+} = require('../services/promptTemplates');
+
+const router = express.Router();
+
+// Configure multer for archive uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB limit
+  }
+});
+
+router.use(authenticateToken, authorizeRoles('admin'));
+
+/**
+ * @swagger
+ * /api/admin/backup:
+ *   get:
+ *     summary: Download a backup of all users, movies and search history (Admin only)
+ *     description: Streams a gzip-compressed, versioned JSON archive.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Backup archive
+ *         content:
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/backup', asyncHandler(async (req, res) => {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  // The archive holds every user's password hash
+  await recordAudit(AUDIT_ACTIONS.BACKUP_DOWNLOADED, {
+    actorId: req.user.id,
+    ipAddress: req.ip
+  });
+
+  res.setHeader('Content-Type', 'application/gzip');
+  res.setHeader('Content-Disposition', `attachment; filename="cineai-backup-${timestamp}.json.gz"`);
+
+  const stream = createBackupStream();
+  stream.on('error', (error) => {
+    console.error('Backup stream failed:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}));
+
+/**
+ * @swagger
+ * /api/admin/restore:
+ *   post:
+ *     summary: Restore a backup archive (Admin only)
+ *     description: Validates the archive, then replaces all users, movies and search history with its contents.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               archive:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Backup restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 restored:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: integer
+ *                     movies:
+ *                       type: integer
+ *                     searchHistory:
+ *                       type: integer
+ *       400:
+ *         description: Missing or invalid archive, or one larger than BACKUP_MAX_UNCOMPRESSED_SIZE uncompressed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post('/restore', upload.single('archive'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Backup archive file is required'
+    });
+  }
+
+  let archive;
+  try {
+    archive = parseArchive(req.file.buffer);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Backup archive could not be read',
+      error: error.message
+    });
+  }
+
+  const errors = validateArchive(archive);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid backup archive',
+      errors
+    });
+  }
+
+  const restored = await restoreArchive(archive);
+  await recordAudit(AUDIT_ACTIONS.BACKUP_RESTORED, {
+    actorId: req.user.id,
+    ipAddress: req.ip,
+    details: { createdAt: archive.createdAt, restored }
+  });
+
+  res.json({
+    success: true,
+    message: 'Backup restored successfully',
+    restored
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after failed logins (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/unlock', asyncHandler(async (req, res) => {
+  const user = await db.findUserById(req.params.id);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  await unlockAccount(user, { actorId: req.user.id, ipAddress: req.ip });
+
+  res.json({
+    success: true,
+    message: 'Account unlocked successfully'
+  });
+}));
+
+// Loads the target user into req.targetUser. Admins can't use these
+// endpoints on themselves, so there is always an admin left.
+const loadTargetUser = asyncHandler(async (req, res, next) => {
+  const user = await db.findUserById(req.params.id);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (user.id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot change your own account here'
+    });
+  }
+
+  req.targetUser = user;
+  next();
+});
+
+const auditAdminAction = (req, action, details = {}) => recordAudit(action, {
+  actorId: req.user.id,
+  targetUserId: req.targetUser.id,
+  ipAddress: req.ip,
+  details
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role (Admin only)
+ *     description: Takes effect on the user's next request.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error, or the target is the current admin
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:id/role', validateRoleUpdate, loadTargetUser, asyncHandler(async (req, res) => {
+  const previousRole = req.targetUser.role;
+  const user = await db.updateUser(req.targetUser.id, { role: req.body.role });
+  await auditAdminAction(req, AUDIT_ACTIONS.USER_ROLE_CHANGED, { from: previousRole, to: req.body.role });
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    user: toPublicUser(user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/disable:
+ *   post:
+ *     summary: Disable an account (Admin only)
+ *     description: Ends every session. The user can't log in or use API tokens until re-enabled.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account disabled
+ *       400:
+ *         description: Validation error, or the target is the current admin
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/disable', validateUserDisable, loadTargetUser, asyncHandler(async (req, res) => {
+  const reason = req.body.reason || null;
+  const user = await db.updateUser(req.targetUser.id, {
+    disabled: true,
+    disabledAt: new Date().toISOString(),
+    disabledReason: reason
+  });
+  const revokedSessions = await db.revokeUserSessions(user.id);
+  await auditAdminAction(req, AUDIT_ACTIONS.USER_DISABLED, { reason, revokedSessions });
+
+  res.json({
+    success: true,
+    message: 'Account disabled successfully',
+    user: toPublicUser(user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/enable:
+ *   post:
+ *     summary: Re-enable a disabled account (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account enabled
+ *       400:
+ *         description: The target is the current admin
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/enable', loadTargetUser, asyncHandler(async (req, res) => {
+  const user = await db.updateUser(req.targetUser.id, {
+    disabled: false,
+    disabledAt: null,
+    disabledReason: null
+  });
+  await auditAdminAction(req, AUDIT_ACTIONS.USER_ENABLED);
+
+  res.json({
+    success: true,
+    message: 'Account enabled successfully',
+    user: toPublicUser(user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/force-password-reset:
+ *   post:
+ *     summary: Require a user to reset their password (Admin only)
+ *     description: Ends every session, blocks password and SSO logins until the password is reset, and emails the user a reset link.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Password reset required and email sent
+ *       400:
+ *         description: The target is the current admin
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/force-password-reset', loadTargetUser, asyncHandler(async (req, res) => {
+  await db.updateUser(req.targetUser.id, { passwordResetRequired: true });
+  const revokedSessions = await db.revokeUserSessions(req.targetUser.id);
+  await requestPasswordReset(req.targetUser.email);
+  await auditAdminAction(req, AUDIT_ACTIONS.USER_PASSWORD_RESET_FORCED, { revokedSessions });
+
+  res.json({
+    success: true,
+    message: 'Password reset required. A reset link has been sent to the user.'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   delete:
+ *     summary: Delete a user and their data (Admin only)
+ *     description: Removes the user with their search history, sessions, tokens and linked identities.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deleted
+ *       400:
+ *         description: The target is the current admin
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.delete('/users/:id', loadTargetUser, asyncHandler(async (req, res) => {
+  await db.deleteUser(req.targetUser.id);
+  await auditAdminAction(req, AUDIT_ACTIONS.USER_DELETED, {
+    email: req.targetUser.email,
+    role: req.targetUser.role
+  });
+
+  res.json({
+    success: true,
+    message: 'User deleted successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     summary: List audit log entries, newest first (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Only entries with this action, e.g. account.locked
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Only entries about this user
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/audit-log', asyncHandler(async (req, res) => {
+  const { action, userId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  const entries = await db.getAuditLog({ action, targetUserId: userId, limit });
+
+  res.json({
+    success: true,
+    entries
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/settings/two-factor:
+ *   get:
+ *     summary: Get the roles that must use 2FA (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current 2FA policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 requiredRoles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/settings/two-factor', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    requiredRoles: await getTwoFactorRequiredRoles()
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/settings/two-factor:
+ *   put:
+ *     summary: Set the roles that must use 2FA (Admin only)
+ *     description: Users in these roles can't use role-restricted endpoints until they log in with 2FA. To avoid locking yourself out, making 2FA mandatory for admins requires a 2FA-verified session.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requiredRoles
+ *             properties:
+ *               requiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [user, admin]
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Validation error, or the current session did not use 2FA
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.put('/settings/two-factor', validateTwoFactorPolicy, asyncHandler(async (req, res) => {
+  const requiredRoles = [...new Set(req.body.requiredRoles)];
+
+  if (requiredRoles.includes(req.user.role) && !req.user.tfa) {
+    return res.status(400).json({
+      success: false,
+      message: 'Log in with two-factor authentication before making it mandatory for your own role'
+    });
+  }
+
+  const previousRoles = await getTwoFactorRequiredRoles();
+  await setTwoFactorRequiredRoles(requiredRoles);
+  await recordAudit(AUDIT_ACTIONS.SETTINGS_UPDATED, {
+    actorId: req.user.id,
+    ipAddress: req.ip,
+    details: { setting: 'twoFactorRequiredRoles', from: previousRoles, to: requiredRoles }
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor policy updated',
+    requiredRoles
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/ai-cache:
+ *   get:
+ *     summary: Get statistics for the AI result cache (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cache statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 cache:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     entries:
+ *                       type: integer
+ *                     maxEntries:
+ *                       type: integer
+ *                     ttlMs:
+ *                       type: integer
+ *                     hits:
+ *                       type: integer
+ *                     misses:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/ai-cache', (req, res) => {
+  res.json({
+    success: true,
+    cache: resultCache.getStats()
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/ai-cache:
+ *   delete:
+ *     summary: Purge the AI result cache (Admin only)
+ *     description: Later identifications ask the AI providers again, e.g. after changing a provider or its model.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cache purged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 purged:
+ *                   type: integer
+ *                   description: Number of cached results removed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.delete('/ai-cache', asyncHandler(async (req, res) => {
+  const purged = resultCache.clear();
+  await recordAudit(AUDIT_ACTIONS.AI_CACHE_PURGED, {
+    actorId: req.user.id,
+    ipAddress: req.ip,
+    details: { purged }
+  });
+
+  res.json({
+    success: true,
+    message: 'AI result cache purged',
+    purged
+  });
+}));
+
+// Providers that can have their own prompt templates. The local catalog uses no prompt.
+const getTemplateProviders = () => [
+  DEFAULT_TEMPLATE_PROVIDER,
+  ...getRegisteredProviders().filter(name => name !== LOCAL_PROVIDER)
+];
+
+const checkPromptTemplate = (req, res, next) => {
+  const { provider, type } = req.params;
+  if (!getTemplateProviders().includes(provider) || !CAPABILITIES.includes(type)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Prompt template not found'
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromptTemplate:
+ *       type: object
+ *       properties:
+ *         provider:
+ *           type: string
+ *           description: Provider name, or `default` for providers without their own template
+ *         type:
+ *           type: string
+ *           enum: [text, image, video, actor]
+ *         version:
+ *           type: integer
+ *           description: Version 1 is the built-in template
+ *         builtIn:
+ *           type: boolean
+ *         system:
+ *           type: string
+ *         prompt:
+ *           type: string
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         createdBy:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/admin/prompts:
+ *   get:
+ *     summary: List the latest version of every prompt template (Admin only)
+ *     description: Providers without a template of their own for a search type use the `default` one.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Prompt templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PromptTemplate'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/prompts', asyncHandler(async (req, res) => {
+  const providers = getTemplateProviders();
+  const templates = [];
+  for (const provider of providers) {
+    for (const type of CAPABILITIES) {
+      const versions = await getTemplateVersions(provider, type);
+      if (versions.length > 0) templates.push(versions[versions.length - 1]);
+    }
+  }
+
+  res.json({
+    success: true,
+    providers,
+    templates
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/prompts/{provider}/{type}:
+ *   get:
+ *     summary: Get a provider's prompt template for a search type and its versions (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [text, image, video, actor]
+ *     responses:
+ *       200:
+ *         description: The template the provider uses, every version of its own, and the variables templates can use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 active:
+ *                   $ref: '#/components/schemas/PromptTemplate'
+ *                 versions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PromptTemplate'
+ *                 variables:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Unknown provider or search type
+ */
+router.get('/prompts/:provider/:type', checkPromptTemplate, asyncHandler(async (req, res) => {
+  const { provider, type } = req.params;
+
+  res.json({
+    success: true,
+    active: await getActiveTemplate(provider, type),
+    versions: await getTemplateVersions(provider, type),
+    variables: TEMPLATE_VARIABLES[type]
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/prompts/{provider}/{type}:
+ *   put:
+ *     summary: Save a new version of a prompt template (Admin only)
+ *     description: The new version is used from the next identification on, and cached results are purged. Earlier versions are kept, and search history records which version answered each search. Templates insert variables with `{{name}}`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [text, image, video, actor]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - system
+ *               - prompt
+ *             properties:
+ *               system:
+ *                 type: string
+ *                 description: System prompt. Gemini receives it after the prompt.
+ *               prompt:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Template version created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 template:
+ *                   $ref: '#/components/schemas/PromptTemplate'
+ *       400:
+ *         description: Validation error, or the template uses a variable its search type doesn't have
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Unknown provider or search type
+ */
+router.put('/prompts/:provider/:type', checkPromptTemplate, validatePromptTemplate, asyncHandler(async (req, res) => {
+  const { provider, type } = req.params;
+  const { system, prompt, notes } = req.body;
+
+  const unknown = findUnknownVariables(type, [system, prompt]);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown template variables: ${unknown.join(', ')}. ${type} templates can use: ${TEMPLATE_VARIABLES[type].join(', ')}`
+    });
+  }
+
+  const previous = await getActiveTemplate(provider, type);
+  const template = await saveTemplate(provider, type, { system, prompt, notes }, req.user.id);
+  // Cached answers came from the previous prompt
+  resultCache.clear();
+  await recordAudit(AUDIT_ACTIONS.PROMPT_TEMPLATE_UPDATED, {
+    actorId: req.user.id,
+    ipAddress: req.ip,
+    details: {
+      template: `${provider}/${type}`,
+      from: previous && `${previous.provider}/${previous.type}@${previous.version}`,
+      version: template.version
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Prompt template ${provider}/${type} saved as version ${template.version}`,
+    template
+  });
+}));
+
+module.exports = router;
@@ -1,12 +1,14 @@
 const express = require('express');
 const multer = require('multer');
-const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
-const { db } = require('../config/database');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { validateMovieSearch } = require('../middleware/validation');
-const { optionalAuth } = require('../middleware/auth');
-const { AIService } = require('../services/aiService');
+const { acceptApiToken, optionalAuth } = require('../middleware/auth');
+const { aiQuotaLimiter } = require('../middleware/rateLimit');
+const { db } = require('../config/database');
+const { aiService, identifySearch } = require('../services/identificationService');
+const { jobQueue, toPublicJob } = require('../services/jobService');
+const { API_TOKEN_SCOPES } = require('../services/apiTokenService');
 
 const router = express.Router();
 
@@ -26,8 +28,6 @@ const upload = multer({
   }
 });
 
-const aiService = new AIService();
-
 /**
  * @swagger
  * components:
@@ -66,6 +66,27 @@ const aiService = new AIService();
  *           type: string
  *         confidence:
  *           type: number
+ *         evidence:
+ *           type: array
+ *           description: Video searches only, the frames the result was recognized in
+ *           items:
+ *             type: object
+ *             properties:
+ *               frame:
+ *                 type: integer
+ *               timestamp:
+ *                 type: number
+ *                 description: Seconds from the start of the clip
+ *         providers:
+ *           type: array
+ *           description: Ensemble mode only, the providers that suggested the title
+ *           items:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *               confidence:
+ *                 type: number
  *         platforms:
  *           type: array
  *           items:
@@ -83,11 +104,41 @@ const aiService = new AIService();
  *                 type: boolean
  */
 
+// Whether the request has what its search type needs
+const hasSearchInput = ({ body: { type, query }, file }) =>
+  Boolean(type) && !(type === 'text' && !query) && !((type === 'image' || type === 'video') && !file);
+
+// Identify the search in a request
+const identify = (req, onProgress, signal) => identifySearch(
+  { ...req.body, file: req.file, userId: req.user?.id, ipAddress: req.ip },
+  { onProgress, signal }
+);
+
+const identifyMiddleware = [
+  acceptApiToken(API_TOKEN_SCOPES.IDENTIFY),
+  optionalAuth,
+  aiQuotaLimiter,
+  upload.single('file'),
+  validateMovieSearch
+];
+
+const rejectMissingInput = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid input. Please provide appropriate data for the selected search type.'
+});
+
 /**
  * @swagger
  * /api/ai/identify:
  *   post:
  *     summary: Identify movie or series using AI
+ *     description: |
+ *       Also accepts personal access tokens with the identify scope.
+ *       Video clips are sampled into keyframes at scene changes, which are sent
+ *       together to providers that can identify video. When a transcriber is
+ *       configured, quotes from the clip's dialogue are sent along too.
+ *       In ensemble mode every configured provider is asked at once and their
+ *       rankings are merged. Titles several providers agree on rank higher.
  *     tags: [AI Identification]
  *     security:
  *       - bearerAuth: []
@@ -105,6 +156,10 @@ const aiService = new AIService();
  *               query:
  *                 type: string
  *                 example: "A movie about a hacker in a simulated reality"
+ *               mode:
+ *                 type: string
+ *                 enum: [failover, ensemble]
+ *                 default: failover
  *         multipart/form-data:
  *           schema:
  *             type: object
@@ -115,6 +170,10 @@ const aiService = new AIService();
  *               file:
  *                 type: string
  *                 format: binary
+ *               mode:
+ *                 type: string
+ *                 enum: [failover, ensemble]
+ *                 default: failover
  *     responses:
  *       200:
  *         description: Content identified successfully
@@ -135,85 +194,335 @@ const aiService = new AIService();
  *                   type: number
  *                 provider:
  *                   type: string
+ *                   description: Provider that answered, "ensemble" in ensemble mode, null if none did
+ *                 providersTried:
+ *                   type: array
+ *                   description: Providers in the order they were tried
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       provider:
+ *                         type: string
+ *                       outcome:
+ *                         type: string
+ *                         enum: [success, failed, skipped]
+ *                       attempts:
+ *                         type: integer
+ *                       latency:
+ *                         type: integer
+ *                       error:
+ *                         type: string
+ *                 cached:
+ *                   type: boolean
+ *                   description: Whether the results came from the cache of recent identifications
+ *                 cachedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the cached results were first identified, cached responses only
+ *                 frames:
+ *                   type: array
+ *                   description: Video searches only, the keyframes that were analysed
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       timestamp:
+ *                         type: number
+ *                       thumbnail:
+ *                         type: string
+ *                         description: JPEG data URL
+ *                 transcript:
+ *                   type: object
+ *                   description: Video searches with transcription enabled only
+ *                   properties:
+ *                     language:
+ *                       type: string
+ *                     text:
+ *                       type: string
+ *                     quotes:
+ *                       type: array
+ *                       description: Lines of dialogue used to identify the clip
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           start:
+ *                             type: number
+ *                           end:
+ *                             type: number
+ *                           text:
+ *                             type: string
  *       400:
  *         description: Invalid request
+ *       422:
+ *         description: The video clip could not be processed
+ *       429:
+ *         description: Daily or monthly AI usage quota exceeded
+ *       503:
+ *         description: Video processing is unavailable on this server
  *       500:
  *         description: AI processing error
  */
-router.post('/identify', optionalAuth, upload.single('file'), validateMovieSearch, asyncHandler(async (req, res) => {
-  const { type, query } = req.body;
-  const file = req.file;
-
-  // Validate input
-  if (!type || (type === 'text' && !query) || ((type === 'image' || type === 'video') && !file)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid input. Please provide appropriate data for the selected search type.'
-    });
+router.post('/identify', identifyMiddleware, asyncHandler(async (req, res) => {
+  if (!hasSearchInput(req)) {
+    return rejectMissingInput(res);
   }
 
-  let processedFile = null;
-  if (file) {
-    // Process image files
-    if (file.mimetype.startsWith('image/')) {
-      processedFile = await sharp(file.buffer)
-        .resize(800, 600, { fit: 'inside', withoutEnlargement: true })
-        .jpeg({ quality: 85 })
-        .toBuffer();
-    } else {
-      processedFile = file.buffer;
-    }
+  res.json(await identify(req));
+}));
+
+/**
+ * @swagger
+ * /api/ai/identify/stream:
+ *   post:
+ *     summary: Identify movie or series using AI, streaming progress
+ *     description: |
+ *       Takes the same input as /api/ai/identify and answers with server-sent
+ *       events. `progress` events report each stage as it completes, with a
+ *       `stage` of upload_processed, frames_extracted, dialogue_transcribed,
+ *       cache_hit, provider_queried, provider_finished or candidate (a
+ *       provider's best match, before results are merged). The stream ends
+ *       with a `result` event holding the /api/ai/identify response, or an
+ *       `error` event with a message and status code.
+ *     tags: [AI Identification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [text, actor]
+ *               query:
+ *                 type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [failover, ensemble]
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [image, video]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mode:
+ *                 type: string
+ *                 enum: [failover, ensemble]
+ *     responses:
+ *       200:
+ *         description: Event stream of progress events ending with the result
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 event: progress
+ *                 data: {"stage":"provider_queried","provider":"openai"}
+ *
+ *                 event: result
+ *                 data: {"success":true,"results":[],"provider":"openai"}
+ *       400:
+ *         description: Invalid request
+ *       429:
+ *         description: Daily or monthly AI usage quota exceeded
+ */
+router.post('/identify/stream', identifyMiddleware, asyncHandler(async (req, res) => {
+  if (!hasSearchInput(req)) {
+    return rejectMissingInput(res);
   }
 
-  // Prepare AI input
-  const aiInput = {
-    type,
-    content: processedFile || query,
-    query,
-    metadata: {
-      originalFilename: file?.originalname,
-      mimeType: file?.mimetype,
-      size: file?.size
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from holding events back
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
     }
   };
 
-  // Process with AI
-  const startTime = Date.now();
-  const aiResponse = await aiService.identifyContent(aiInput);
-  const processingTime = Date.now() - startTime;
+  // A client that disconnects no longer needs the answer, so stop asking providers
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
 
-  // Save search history if user is authenticated
-  if (req.user && aiResponse.success) {
-    db.addSearchHistory(req.user.id, {
-      type,
-      query: query || 'File upload',
-      results: aiResponse.results.length,
-      confidence: aiResponse.confidence,
-      processingTime
+  try {
+    send('result', await identify(req, progress => send('progress', progress), controller.signal));
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Streaming identification failed:', error);
+    send('error', {
+      success: false,
+      statusCode: error.statusCode || 500,
+      message: error.statusCode ? error.message : 'AI processing error'
     });
   }
+  res.end();
+}));
 
-  // Save identified movies to database
-  if (aiResponse.success) {
-    aiResponse.results.forEach(movie => {
-      const existingMovies = db.getMovies();
-      const exists = existingMovies.find(m => 
-        m.title.toLowerCase() === movie.title.toLowerCase() && m.year === movie.year
-      );
-      
-      if (!exists) {
-        db.addMovie(movie);
-      }
+// Loads the job into req.job. Jobs started by a signed-in user are only
+// visible to that user and admins. Anonymous jobs have no owner to check,
+// so their random ID is the only credential: anyone holding it can read or
+// cancel the job.
+const loadJob = asyncHandler(async (req, res, next) => {
+  const job = await db.findJobById(req.params.id);
+  if (!job || (job.userId && job.userId !== req.user?.id && req.user?.role !== 'admin')) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  req.job = job;
+  next();
+});
+
+/**
+ * @swagger
+ * /api/ai/jobs:
+ *   post:
+ *     summary: Queue an identification to run in the background
+ *     description: |
+ *       Takes the same input as /api/ai/identify and answers straight away
+ *       with the queued job. Poll /api/ai/jobs/{id} for its progress and
+ *       result. Jobs are kept across server restarts.
+ *     tags: [AI Identification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [text, actor]
+ *               query:
+ *                 type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [failover, ensemble]
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [image, video]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mode:
+ *                 type: string
+ *                 enum: [failover, ensemble]
+ *     responses:
+ *       202:
+ *         description: Job queued
+ *         headers:
+ *           Location:
+ *             description: URL to poll for the job
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid request
+ *       429:
+ *         description: Daily or monthly AI usage quota exceeded
+ */
+router.post('/jobs', identifyMiddleware, asyncHandler(async (req, res) => {
+  if (!hasSearchInput(req)) {
+    return rejectMissingInput(res);
+  }
+
+  const job = await jobQueue.enqueue({ ...req.body, file: req.file, userId: req.user?.id, ipAddress: req.ip });
+
+  res.status(202)
+    .location(`${req.baseUrl}/jobs/${job.id}`)
+    .json({
+      success: true,
+      job: toPublicJob(job)
+    });
+}));
+
+/**
+ * @swagger
+ * /api/ai/jobs/{id}:
+ *   get:
+ *     summary: Get the status, progress and result of an identification job
+ *     description: |
+ *       `status` is queued, running, succeeded, failed or cancelled.
+ *       `progress` lists the stages reported so far, as in
+ *       /api/ai/identify/stream, and `result` holds the /api/ai/identify
+ *       response once the job has finished.
+ *     tags: [AI Identification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The job
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:id', acceptApiToken(API_TOKEN_SCOPES.IDENTIFY), optionalAuth, loadJob, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    job: toPublicJob(req.job)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/ai/jobs/{id}:
+ *   delete:
+ *     summary: Cancel a queued or running identification job
+ *     tags: [AI Identification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: The job has already finished
+ */
+router.delete('/jobs/:id', acceptApiToken(API_TOKEN_SCOPES.IDENTIFY), optionalAuth, loadJob, asyncHandler(async (req, res) => {
+  const job = await jobQueue.cancel(req.job.id);
+  if (!job) {
+    return res.status(409).json({
+      success: false,
+      message: 'Job has already finished'
     });
   }
 
   res.json({
-    success: aiResponse.success,
-    results: aiResponse.results,
-    processingTime,
-    confidence: aiResponse.confidence,
-    provider: aiService.getCurrentProvider(),
-    error: aiResponse.error
+    success: true,
+    message: 'Job cancelled',
+    job: toPublicJob(job)
   });
 }));
 
@@ -236,15 +545,40 @@ router.post('/identify', optionalAuth, upload.single('file'), validateMovieSearc
  *                 providers:
  *                   type: array
  *                   items:
- *                     type: string
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: openai
+ *                       displayName:
+ *                         type: string
+ *                       capabilities:
+ *                         type: array
+ *                         description: Search types the provider can identify
+ *                         items:
+ *                           type: string
+ *                           enum: [text, image, video, actor]
+ *                       model:
+ *                         type: string
+ *                         nullable: true
  *                 current:
  *                   type: string
+ *                 chain:
+ *                   type: array
+ *                   description: Order in which providers are tried
+ *                   items:
+ *                     type: string
+ *                 health:
+ *                   type: object
+ *                   description: Circuit state per provider (closed, open or half_open)
  */
 router.get('/providers', asyncHandler(async (req, res) => {
   res.json({
     success: true,
-    providers: aiService.getAvailableProviders(),
-    current: aiService.getCurrentProvider()
+    providers: aiService.getProviderDetails(),
+    current: aiService.getCurrentProvider(),
+    chain: aiService.getProviderChain(),
+    health: aiService.getProviderHealth()
   });
 }));
 
@@ -1,13 +1,87 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { db } = require('../config/database');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { validateRegistration, validateLogin } = require('../middleware/validation');
+const {
+  validateRegistration,
+  validateLogin,
+  validateRefreshToken,
+  validateOidcCallback,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
+} = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
+const { loginLimiter } = require('../middleware/rateLimit');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../services/tokenService');
+const {
+  toPublicUser,
+  isEmailVerified,
+  sendVerificationEmail,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail
+} = require('../services/accountService');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../services/loginProtection');
+const {
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  isTwoFactorRequired
+} = require('../services/twoFactorService');
+const {
+  getOidcProviders,
+  getOidcProvider,
+  createAuthorizationUrl,
+  completeOidcLogin
+} = require('../services/oidcService');
 
 const router = express.Router();
 
+const getClientMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+/**
+ * Respond to a login attempt refused by brute-force protection
+ */
+const sendLoginRefused = (res, { reason, retryAfter }) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(reason === 'locked' ? 423 : 429).json({
+    success: false,
+    message: reason === 'locked'
+      ? 'Account is temporarily locked due to too many failed login attempts'
+      : 'Too many failed login attempts, please wait before trying again',
+    retryAfter
+  });
+};
+
+const sendAccountDisabled = (res) => res.status(403).json({
+  success: false,
+  message: 'Account is disabled'
+});
+
+const sendPasswordResetRequired = (res) => res.status(403).json({
+  success: false,
+  message: 'A password reset is required. Use the link sent to your email address.',
+  passwordResetRequired: true
+});
+
 /**
  * @swagger
  * components:
@@ -32,6 +106,12 @@ const router = express.Router();
  *           type: string
  *           enum: [user, admin]
  *           description: The user's role
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the user has confirmed their email address
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Whether login requires an authenticator code
  *         preferences:
  *           type: object
  *           properties:
@@ -56,6 +136,7 @@ const router = express.Router();
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: Sends an email verification link. Unverified accounts have limited access until the link is used.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -93,6 +174,13 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use refresh token
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
  *       400:
  *         description: Validation error or user already exists
  */
@@ -100,7 +188,7 @@ router.post('/register', validateRegistration, asyncHandler(async (req, res) =>
   const { name, email, password } = req.body;
 
   // Check if user already exists
-  const existingUser = db.findUserByEmail(email);
+  const existingUser = await db.findUserByEmail(email);
   if (existingUser) {
     return res.status(400).json({
       success: false,
@@ -118,33 +206,33 @@ router.post('/register', validateRegistration, asyncHandler(async (req, res) =>
     email,
     password: hashedPassword,
     role: 'user',
+    emailVerified: false,
     preferences: {
       favoriteGenres: [],
       preferredLanguages: ['English']
     }
   };
 
-  const user = db.createUser(userData);
+  const user = await db.createUser(userData);
+
+  // The account works without verification, so a mail failure shouldn't block signup
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+  }
 
-  // Generate JWT token
-  const token = jwt.sign(
-    { 
-      id: user.id, 
-      email: user.email, 
-      role: user.role 
-    },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
+  // Start a new session with an access and refresh token
+  const { tokens } = await issueTokens(user, getClientMeta(req));
 
-  // Remove password from response
-  const { password: _, ...userResponse } = user;
+  // Remove password and 2FA secrets from response
+  const userResponse = toPublicUser(user);
 
   res.status(201).json({
     success: true,
     message: 'User registered successfully',
     user: userResponse,
-    token
+    ...tokens
   });
 }));
 
@@ -153,6 +241,7 @@ router.post('/register', validateRegistration, asyncHandler(async (req, res) =>
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: For accounts with 2FA, responds with twoFactorRequired and a challengeToken to pass to /api/auth/login/2fa instead of tokens.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -186,14 +275,27 @@ router.post('/register', validateRegistration, asyncHandler(async (req, res) =>
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use refresh token
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account is disabled, or an admin requires a password reset
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts, retry after the delay in the Retry-After header
  */
-router.post('/login', validateLogin, asyncHandler(async (req, res) => {
+router.post('/login', validateLogin, loginLimiter, asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
   // Find user by email
-  const user = db.findUserByEmail(email);
+  const user = await db.findUserByEmail(email);
   if (!user) {
     return res.status(401).json({
       success: false,
@@ -201,34 +303,302 @@ router.post('/login', validateLogin, asyncHandler(async (req, res) => {
     });
   }
 
-  // Check password
-  const isPasswordValid = await bcrypt.compare(password, user.password);
+  // Refuse attempts while the account is locked or cooling down
+  const loginCheck = checkLoginAllowed(user);
+  if (!loginCheck.allowed) {
+    return sendLoginRefused(res, loginCheck);
+  }
+
+  // Check password. Accounts created through an identity provider have none.
+  const isPasswordValid = Boolean(user.password) && await bcrypt.compare(password, user.password);
   if (!isPasswordValid) {
+    const failure = await recordFailedLogin(user, getClientMeta(req));
+    if (failure.locked) {
+      return sendLoginRefused(res, { reason: 'locked', retryAfter: failure.retryAfter });
+    }
+
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials'
     });
   }
 
-  // Generate JWT token
-  const token = jwt.sign(
-    { 
-      id: user.id, 
-      email: user.email, 
-      role: user.role 
-    },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
+  if (user.disabled) {
+    return sendAccountDisabled(res);
+  }
+
+  if (user.passwordResetRequired) {
+    return sendPasswordResetRequired(res);
+  }
+
+  // Accounts with 2FA get a challenge token for the second step instead of a session
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken: signChallengeToken(user)
+    });
+  }
 
-  // Remove password from response
-  const { password: _, ...userResponse } = user;
+  await recordSuccessfulLogin(user);
+
+  // Start a new session with an access and refresh token
+  const { tokens } = await issueTokens(user, getClientMeta(req));
+
+  // Remove password and 2FA secrets from response
+  const userResponse = toPublicUser(user);
 
   res.json({
     success: true,
     message: 'Login successful',
     user: userResponse,
-    token
+    ...tokens
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete a 2FA login
+ *     description: Exchanges the challenge token from /api/auth/login plus an authenticator or recovery code for a session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit authenticator code
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Single-use recovery code, instead of code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid or expired challenge token, or wrong code
+ *       403:
+ *         description: Account is disabled, or an admin requires a password reset
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post('/login/2fa', validateTwoFactorLogin, asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const userId = verifyChallengeToken(challengeToken);
+  const user = userId && await db.findUserById(userId);
+  if (!user || !user.twoFactorEnabled) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired challenge token'
+    });
+  }
+
+  // The account may have been disabled or flagged since the challenge was issued
+  if (user.disabled) {
+    return sendAccountDisabled(res);
+  }
+
+  if (user.passwordResetRequired) {
+    return sendPasswordResetRequired(res);
+  }
+
+  const loginCheck = checkLoginAllowed(user);
+  if (!loginCheck.allowed) {
+    return sendLoginRefused(res, loginCheck);
+  }
+
+  // Wrong codes count as failed logins, so codes can't be brute-forced
+  const verification = await verifySecondFactor(user, { code, recoveryCode });
+  if (!verification.valid) {
+    const failure = await recordFailedLogin(user, getClientMeta(req));
+    if (failure.locked) {
+      return sendLoginRefused(res, { reason: 'locked', retryAfter: failure.retryAfter });
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  await recordSuccessfulLogin(user);
+
+  const { tokens } = await issueTokens(user, { ...getClientMeta(req), twoFactorVerified: true });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    user: toPublicUser(user),
+    ...tokens,
+    ...(verification.method === 'recovery_code' && {
+      recoveryCodesRemaining: verification.recoveryCodesRemaining
+    })
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/oidc/providers:
+ *   get:
+ *     summary: List the configured OpenID Connect login providers
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Providers that can be used with /api/auth/oidc/{provider}/authorize
+ */
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: getOidcProviders().map(({ name, displayName }) => ({ name, displayName }))
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}/authorize:
+ *   get:
+ *     summary: Start an OpenID Connect login
+ *     description: |
+ *       Returns the provider URL to send the browser to. The provider redirects back to the configured
+ *       redirect URI with a code and state. Keep `loginBinding` in the browser, for example in
+ *       sessionStorage, and send it with the callback.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *       404:
+ *         description: Unknown provider
+ *       502:
+ *         description: Identity provider is unreachable
+ */
+router.get('/oidc/:provider/authorize', asyncHandler(async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown login provider'
+    });
+  }
+
+  const { authorizationUrl, loginBinding } = await createAuthorizationUrl(provider);
+
+  res.json({
+    success: true,
+    authorizationUrl,
+    loginBinding
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}/callback:
+ *   post:
+ *     summary: Complete an OpenID Connect login
+ *     description: |
+ *       Exchanges the code from the provider redirect for a session. The identity is linked
+ *       to the account with the same verified email, or a new account without a password is
+ *       created. Accounts with 2FA get a challengeToken for /api/auth/login/2fa instead.
+ *       The loginBinding from /authorize must be sent by the same browser, so a code and
+ *       state from a login someone else started are refused.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *               - loginBinding
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               loginBinding:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid or expired state, or a login started in another browser
+ *       401:
+ *         description: ID token could not be verified
+ *       403:
+ *         description: The provider did not supply a verified email, the account is disabled, or a password reset is required
+ *       404:
+ *         description: Unknown provider
+ *       423:
+ *         description: Account temporarily locked
+ */
+router.post('/oidc/:provider/callback', validateOidcCallback, asyncHandler(async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown login provider'
+    });
+  }
+
+  const { user, created } = await completeOidcLogin(provider, req.body, getClientMeta(req));
+
+  if (user.disabled) {
+    return sendAccountDisabled(res);
+  }
+
+  // A lockout still applies, delays from failed password attempts don't
+  const loginCheck = checkLoginAllowed(user);
+  if (!loginCheck.allowed && loginCheck.reason === 'locked') {
+    return sendLoginRefused(res, loginCheck);
+  }
+
+  // A forced password reset covers every way of logging in
+  if (user.passwordResetRequired) {
+    return sendPasswordResetRequired(res);
+  }
+
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken: signChallengeToken(user)
+    });
+  }
+
+  const { tokens } = await issueTokens(user, getClientMeta(req));
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    accountCreated: created,
+    user: toPublicUser(user),
+    ...tokens
   });
 }));
 
@@ -256,7 +626,7 @@ router.post('/login', validateLogin, asyncHandler(async (req, res) => {
  *         description: Unauthorized
  */
 router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
-  const user = db.findUserById(req.user.id);
+  const user = await db.findUserById(req.user.id);
   if (!user) {
     return res.status(404).json({
       success: false,
@@ -264,8 +634,8 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
     });
   }
 
-  // Remove password from response
-  const { password: _, ...userResponse } = user;
+  // Remove password and 2FA secrets from response
+  const userResponse = toPublicUser(user);
 
   res.json({
     success: true,
@@ -277,10 +647,20 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
  * @swagger
  * /api/auth/refresh:
  *   post:
- *     summary: Refresh JWT token
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens are single-use. Presenting one that was already used revokes every session in its family.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Token refreshed successfully
@@ -293,32 +673,489 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
  *                   type: boolean
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post('/refresh', validateRefreshToken, asyncHandler(async (req, res) => {
+  const result = await rotateRefreshToken(req.body.refreshToken, getClientMeta(req));
+
+  if (result.status !== 'ok') {
+    const messages = {
+      invalid: 'Invalid refresh token',
+      expired: 'Refresh token expired',
+      reused: 'Refresh token reuse detected. All sessions in this family have been revoked.'
+    };
+    return res.status(401).json({
+      success: false,
+      message: messages[result.status]
+    });
+  }
+
+  res.json({
+    success: true,
+    ...result.tokens
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
+  await db.revokeSessionFamily(req.user.sid);
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out all sessions on every device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 revoked:
+ *                   type: integer
  *       401:
  *         description: Unauthorized
  */
-router.post('/refresh', authenticateToken, asyncHandler(async (req, res) => {
-  const user = db.findUserById(req.user.id);
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await db.revokeUserSessions(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'All sessions logged out successfully',
+    revoked
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds the same way so it can't be used to discover registered emails.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password', validateForgotPassword, asyncHandler(async (req, res) => {
+  await requestPasswordReset(req.body.email);
+
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: Reset tokens are single-use and expire. A successful reset logs out every session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error or invalid, used or expired token
+ */
+router.post('/reset-password', validatePasswordReset, asyncHandler(async (req, res) => {
+  const user = await resetPassword(req.body.token, req.body.password);
   if (!user) {
-    return res.status(404).json({
+    return res.status(400).json({
       success: false,
-      message: 'User not found'
+      message: 'Invalid or expired reset token'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Password reset successfully. Please log in with your new password.'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address using a verification token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Validation error or invalid, used or expired token
+ */
+router.post('/verify-email', validateEmailVerification, asyncHandler(async (req, res) => {
+  const user = await verifyEmail(req.body.token);
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired verification token'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/resend-verification', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await db.findUserById(req.user.id);
+  if (isEmailVerified(user)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is already verified'
+    });
+  }
+
+  await sendVerificationEmail(user);
+
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start 2FA enrollment
+ *     description: Returns a new TOTP secret and an otpauth:// URI to show as a QR code. 2FA is not active until confirmed with /api/auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 secret:
+ *                   type: string
+ *                 otpauthUrl:
+ *                   type: string
+ *       400:
+ *         description: 2FA is already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/setup', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await db.findUserById(req.user.id);
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const { secret, otpauthUrl } = await beginEnrollment(user);
+
+  res.json({
+    success: true,
+    secret,
+    otpauthUrl
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm 2FA enrollment with a code from the authenticator app
+ *     description: Returns recovery codes, shown only once, and a new token pair for a 2FA-verified session. Other sessions are logged out.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *       400:
+ *         description: Invalid code or no enrollment in progress
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/enable', authenticateToken, validateTwoFactorCode, asyncHandler(async (req, res) => {
+  const user = await db.findUserById(req.user.id);
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const recoveryCodes = await confirmEnrollment(user, req.body.code);
+  if (!recoveryCodes) {
+    return res.status(400).json({
+      success: false,
+      message: user.twoFactorPendingSecret ? 'Invalid two-factor code' : 'Start enrollment with /api/auth/2fa/setup first'
+    });
+  }
+
+  // Sessions from before 2FA did not pass a second factor
+  await db.revokeUserSessions(user.id);
+  const { tokens } = await issueTokens(user, { ...getClientMeta(req), twoFactorVerified: true });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    recoveryCodes,
+    ...tokens
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off 2FA
+ *     description: Requires the account password and an authenticator or recovery code. Not allowed for roles where 2FA is mandatory.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: 2FA is not enabled
+ *       401:
+ *         description: Wrong password or code
+ *       403:
+ *         description: 2FA is mandatory for the user's role
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post('/2fa/disable', authenticateToken, validateTwoFactorDisable, asyncHandler(async (req, res) => {
+  const user = await db.findUserById(req.user.id);
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (await isTwoFactorRequired(user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for your role'
+    });
+  }
+
+  const loginCheck = checkLoginAllowed(user);
+  if (!loginCheck.allowed) {
+    return sendLoginRefused(res, loginCheck);
+  }
+
+  // Wrong passwords or codes count as failed logins, so a stolen access token can't be used to guess them
+  const isPasswordValid = Boolean(user.password) && await bcrypt.compare(req.body.password, user.password);
+  const verification = isPasswordValid && await verifySecondFactor(user, req.body);
+  if (!verification || !verification.valid) {
+    const failure = await recordFailedLogin(user, getClientMeta(req));
+    if (failure.locked) {
+      return sendLoginRefused(res, { reason: 'locked', retryAfter: failure.retryAfter });
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid password or two-factor code'
+    });
+  }
+
+  await recordSuccessfulLogin(user);
+  await disableTwoFactor(user);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes
+ *     description: Requires a current authenticator code. The old recovery codes stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: 2FA is not enabled
+ *       401:
+ *         description: Invalid code
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post('/2fa/recovery-codes', authenticateToken, validateTwoFactorCode, asyncHandler(async (req, res) => {
+  const user = await db.findUserById(req.user.id);
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  const loginCheck = checkLoginAllowed(user);
+  if (!loginCheck.allowed) {
+    return sendLoginRefused(res, loginCheck);
+  }
+
+  // Wrong codes count as failed logins, as on /login/2fa
+  const verification = await verifySecondFactor(user, { code: req.body.code });
+  if (!verification.valid) {
+    const failure = await recordFailedLogin(user, getClientMeta(req));
+    if (failure.locked) {
+      return sendLoginRefused(res, { reason: 'locked', retryAfter: failure.retryAfter });
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid two-factor code'
     });
   }
 
-  // Generate new JWT token
-  const token = jwt.sign(
-    { 
-      id: user.id, 
-      email: user.email, 
-      role: user.role 
-    },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
+  await recordSuccessfulLogin(user);
+  const recoveryCodes = await regenerateRecoveryCodes(user);
 
   res.json({
     success: true,
-    token
+    recoveryCodes
   });
 }));
 
@@ -1,7 +1,8 @@
 const express = require('express');
 const { db } = require('../config/database');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { optionalAuth } = require('../middleware/auth');
+const { acceptApiToken, optionalAuth } = require('../middleware/auth');
+const { API_TOKEN_SCOPES } = require('../services/apiTokenService');
 
 const router = express.Router();
 
@@ -10,6 +11,7 @@ const router = express.Router();
  * /api/movies:
  *   get:
  *     summary: Get all movies with optional filtering
+ *     description: Also accepts personal access tokens with the catalog:read scope.
  *     tags: [Movies]
  *     parameters:
  *       - in: query
@@ -66,7 +68,7 @@ const router = express.Router();
  *                 totalPages:
  *                   type: integer
  */
-router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/', acceptApiToken(API_TOKEN_SCOPES.CATALOG_READ), optionalAuth, asyncHandler(async (req, res) => {
   const {
     genre,
     year,
@@ -76,7 +78,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
     offset = 0
   } = req.query;
 
-  let movies = db.getMovies();
+  let movies = await db.getMovies();
 
   // Apply filters
   if (genre) {
@@ -162,7 +164,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
  */
 router.get('/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const movies = db.getMovies();
+  const movies = await db.getMovies();
   const movie = movies.find(m => m.id === id);
 
   if (!movie) {
@@ -200,7 +202,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *                     type: string
  */
 router.get('/meta/genres', asyncHandler(async (req, res) => {
-  const movies = db.getMovies();
+  const movies = await db.getMovies();
   const genresSet = new Set();
 
   movies.forEach(movie => {
@@ -251,7 +253,7 @@ router.get('/meta/genres', asyncHandler(async (req, res) => {
  *                           type: integer
  */
 router.get('/meta/stats', asyncHandler(async (req, res) => {
-  const movies = db.getMovies();
+  const movies = await db.getMovies();
   
   const stats = {
     totalMovies: movies.filter(m => m.type === 'movie').length,
@@ -1,8 +1,29 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const { db } = require('../config/database');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { validateProfileUpdate } = require('../middleware/validation');
+const {
+  acceptApiToken,
+  authenticateToken,
+  authorizeRoles,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const {
+  validateProfileUpdate,
+  validateHistoryRetention,
+  validateApiToken,
+  validateAccountDeletion
+} = require('../middleware/validation');
+const { getRetentionPolicy } = require('../services/historySweeper');
+const {
+  toPublicUser,
+  buildUserExport,
+  sendDeletionConfirmation,
+  consumeDeletionConfirmation,
+  deleteAccount
+} = require('../services/accountService');
+const { API_TOKEN_SCOPES, createApiToken, toPublicApiToken } = require('../services/apiTokenService');
+const { getUsageSubject, getUsageReport } = require('../services/usageService');
 
 const router = express.Router();
 
@@ -48,7 +69,7 @@ const router = express.Router();
  *         description: Unauthorized
  */
 router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
-  const user = db.findUserById(req.user.id);
+  const user = await db.findUserById(req.user.id);
   if (!user) {
     return res.status(404).json({
       success: false,
@@ -56,12 +77,12 @@ router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
     });
   }
 
-  const searchHistory = db.getSearchHistory(req.user.id)
+  const searchHistory = (await db.getSearchHistory(req.user.id))
     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
     .slice(0, 50); // Last 50 searches
 
-  // Remove password from response
-  const { password: _, ...userResponse } = user;
+  // Remove password and 2FA secrets from response
+  const userResponse = toPublicUser(user);
 
   res.json({
     success: true,
@@ -119,15 +140,17 @@ router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email verification required
  */
-router.put('/profile', authenticateToken, validateProfileUpdate, asyncHandler(async (req, res) => {
+router.put('/profile', authenticateToken, requireVerifiedEmail, validateProfileUpdate, asyncHandler(async (req, res) => {
   const { name, preferences } = req.body;
   
   const updateData = {};
   if (name) updateData.name = name;
   if (preferences) updateData.preferences = preferences;
 
-  const updatedUser = db.updateUser(req.user.id, updateData);
+  const updatedUser = await db.updateUser(req.user.id, updateData);
   if (!updatedUser) {
     return res.status(404).json({
       success: false,
@@ -135,8 +158,8 @@ router.put('/profile', authenticateToken, validateProfileUpdate, asyncHandler(as
     });
   }
 
-  // Remove password from response
-  const { password: _, ...userResponse } = updatedUser;
+  // Remove password and 2FA secrets from response
+  const userResponse = toPublicUser(updatedUser);
 
   res.json({
     success: true,
@@ -150,6 +173,7 @@ router.put('/profile', authenticateToken, validateProfileUpdate, asyncHandler(as
  * /api/users/search-history:
  *   get:
  *     summary: Get user's search history
+ *     description: Also accepts personal access tokens with the history:read scope.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -172,10 +196,10 @@ router.put('/profile', authenticateToken, validateProfileUpdate, asyncHandler(as
  *       401:
  *         description: Unauthorized
  */
-router.get('/search-history', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/search-history', acceptApiToken(API_TOKEN_SCOPES.HISTORY_READ), authenticateToken, asyncHandler(async (req, res) => {
   const { limit = 20, offset = 0 } = req.query;
   
-  const allHistory = db.getSearchHistory(req.user.id)
+  const allHistory = (await db.getSearchHistory(req.user.id))
     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   
   const total = allHistory.length;
@@ -218,15 +242,477 @@ router.get('/search-history', authenticateToken, asyncHandler(async (req, res) =
 router.delete('/search-history/:id', authenticateToken, asyncHandler(async (req, res) => {
   const { id } = req.params;
   
-  // This would require implementing delete functionality in the database layer
-  // For now, return success (in production, implement proper deletion)
-  
+  // Entries owned by other users are reported as missing
+  const entry = await db.findSearchHistoryEntry(id);
+  if (!entry || entry.userId !== req.user.id) {
+    return res.status(404).json({
+      success: false,
+      message: 'Search history entry not found'
+    });
+  }
+
+  await db.deleteSearchHistoryEntry(id);
+
   res.json({
     success: true,
     message: 'Search history entry deleted successfully'
   });
 }));
 
+/**
+ * @swagger
+ * /api/users/search-history:
+ *   delete:
+ *     summary: Clear the user's entire search history
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Search history cleared successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 deleted:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/search-history', authenticateToken, asyncHandler(async (req, res) => {
+  const deleted = await db.clearSearchHistory(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Search history cleared successfully',
+    deleted
+  });
+}));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HistoryRetention:
+ *       type: object
+ *       properties:
+ *         maxAgeDays:
+ *           type: integer
+ *           nullable: true
+ *           description: Delete entries older than this many days
+ *           example: 90
+ *         maxEntries:
+ *           type: integer
+ *           nullable: true
+ *           description: Keep only the newest N entries
+ *           example: 500
+ */
+
+/**
+ * @swagger
+ * /api/users/search-history/retention:
+ *   get:
+ *     summary: Get the search history retention policy
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Retention policy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 retention:
+ *                   $ref: '#/components/schemas/HistoryRetention'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/search-history/retention', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await db.findUserById(req.user.id);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    retention: getRetentionPolicy(user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/search-history/retention:
+ *   put:
+ *     summary: Set the search history retention policy
+ *     description: Existing entries outside the new policy are removed immediately. Send null for both fields to keep history forever.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HistoryRetention'
+ *     responses:
+ *       200:
+ *         description: Retention policy updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/search-history/retention', authenticateToken, validateHistoryRetention, asyncHandler(async (req, res) => {
+  const maxAgeDays = req.body.maxAgeDays || null;
+  const maxEntries = req.body.maxEntries || null;
+  const retention = maxAgeDays || maxEntries ? { maxAgeDays, maxEntries } : null;
+
+  const updatedUser = await db.updateUser(req.user.id, { searchHistoryRetention: retention });
+  if (!updatedUser) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const deleted = retention ? await db.pruneSearchHistory(req.user.id, retention) : 0;
+
+  res.json({
+    success: true,
+    message: 'Retention policy updated successfully',
+    retention,
+    deleted
+  });
+}));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UsagePeriod:
+ *       type: object
+ *       properties:
+ *         calls:
+ *           type: integer
+ *         inputTokens:
+ *           type: integer
+ *         outputTokens:
+ *           type: integer
+ *         cost:
+ *           type: number
+ *           example: 0.0125
+ *         limit:
+ *           type: integer
+ *           nullable: true
+ *         remaining:
+ *           type: integer
+ *           nullable: true
+ *         resetAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/users/usage:
+ *   get:
+ *     summary: Get the current user's AI usage and quotas
+ *     description: |
+ *       Provider calls, counting each retry, tokens and estimated cost
+ *       (USD) today and this month, in UTC, with the quota of the user's
+ *       role and when each period resets. A `limit` of null means
+ *       unlimited. `byProvider` breaks this month's usage down by provider
+ *       and model.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 usage:
+ *                   type: object
+ *                   properties:
+ *                     role:
+ *                       type: string
+ *                     daily:
+ *                       $ref: '#/components/schemas/UsagePeriod'
+ *                     monthly:
+ *                       $ref: '#/components/schemas/UsagePeriod'
+ *                     byProvider:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           provider:
+ *                             type: string
+ *                           model:
+ *                             type: string
+ *                           calls:
+ *                             type: integer
+ *                           inputTokens:
+ *                             type: integer
+ *                           outputTokens:
+ *                             type: integer
+ *                           cost:
+ *                             type: number
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/usage', authenticateToken, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    usage: await getUsageReport(getUsageSubject(req))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/tokens:
+ *   get:
+ *     summary: List the user's personal access tokens
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tokens retrieved successfully (without token values)
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/tokens', authenticateToken, asyncHandler(async (req, res) => {
+  const tokens = (await db.getApiTokens(req.user.id))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(toPublicApiToken);
+
+  res.json({
+    success: true,
+    tokens
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/tokens:
+ *   post:
+ *     summary: Create a personal access token
+ *     description: The token value is only returned in this response. Send it as a Bearer token.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Nightly import script
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [identify, catalog:read, history:read]
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Leave out for a token that doesn't expire
+ *     responses:
+ *       201:
+ *         description: Token created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Email verification required
+ */
+router.post('/tokens', authenticateToken, requireVerifiedEmail, validateApiToken, asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const { token, apiToken } = await createApiToken(req.user, { name, scopes, expiresInDays });
+
+  res.status(201).json({
+    success: true,
+    message: 'API token created. Copy it now, it will not be shown again.',
+    token,
+    apiToken
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Token not found
+ */
+router.delete('/tokens/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await db.revokeApiToken(req.params.id, req.user.id);
+  if (!revoked) {
+    return res.status(404).json({
+      success: false,
+      message: 'API token not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'API token revoked successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   get:
+ *     summary: Download all personal data as JSON
+ *     description: Includes the profile, preferences, full search history, sessions, API tokens, linked identities and AI usage. Files are only kept while a background job waits to run, so uploadedFiles holds those of pending jobs, base64-encoded.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: JSON export, sent as a file download
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/export', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await db.findUserById(req.user.id);
+  const data = await buildUserExport(user);
+
+  const date = data.exportedAt.slice(0, 10);
+  res.set('Content-Disposition', `attachment; filename="cineai-export-${date}.json"`);
+  res.json(data);
+}));
+
+/**
+ * @swagger
+ * /api/users/me/deletion-confirmation:
+ *   post:
+ *     summary: Email a token confirming the deletion of your account
+ *     description: For accounts without a password, such as those created through single sign-on. Send the token to DELETE /api/users/me. Earlier tokens stop working.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Confirmation email sent
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/me/deletion-confirmation', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await db.findUserById(req.user.id);
+  await sendDeletionConfirmation(user);
+
+  res.status(202).json({
+    success: true,
+    message: 'A confirmation link has been sent to your email address'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   delete:
+ *     summary: Permanently delete your account
+ *     description: Removes the account with its search history, sessions, tokens, linked identities, AI usage and the uploads of pending jobs, and strips it from the audit log. Confirm with the account password, or with a token from /api/users/me/deletion-confirmation.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               confirmationToken:
+ *                 type: string
+ *                 description: Emailed confirmation token, instead of password
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *       400:
+ *         description: Validation error, or the account is the last admin
+ *       401:
+ *         description: Wrong password or invalid confirmation token
+ */
+router.delete('/me', authenticateToken, validateAccountDeletion, asyncHandler(async (req, res) => {
+  const user = await db.findUserById(req.user.id);
+
+  if (req.body.confirmationToken) {
+    if (!await consumeDeletionConfirmation(user, req.body.confirmationToken)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired confirmation token'
+      });
+    }
+  } else {
+    const isPasswordValid = Boolean(user.password) && await bcrypt.compare(req.body.password, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password'
+      });
+    }
+  }
+
+  if (user.role === 'admin') {
+    const admins = (await db.getUsers()).filter(account => account.role === 'admin' && !account.disabled);
+    if (admins.length <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'The last admin account cannot be deleted'
+      });
+    }
+  }
+
+  await deleteAccount(user);
+
+  res.json({
+    success: true,
+    message: 'Account deleted permanently'
+  });
+}));
+
 /**
  * @swagger
  * /api/users:
@@ -257,14 +743,14 @@ router.delete('/search-history/:id', authenticateToken, asyncHandler(async (req,
 router.get('/', authenticateToken, authorizeRoles('admin'), asyncHandler(async (req, res) => {
   const { limit = 20, offset = 0 } = req.query;
   
-  const allUsers = db.getUsers();
+  const allUsers = await db.getUsers();
   const total = allUsers.length;
   const startIndex = parseInt(offset);
   const endIndex = startIndex + parseInt(limit);
   const paginatedUsers = allUsers.slice(startIndex, endIndex);
 
-  // Remove passwords from response
-  const usersResponse = paginatedUsers.map(({ password, ...user }) => user);
+  // Remove passwords and 2FA secrets from response
+  const usersResponse = paginatedUsers.map(toPublicUser);
 
   res.json({
     success: true,
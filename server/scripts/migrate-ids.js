@@ -0,0 +1,25 @@
+/**
+ * One-time migration of the file database from timestamp IDs to UUIDs.
+ *
+ * Usage: npm run db:migrate-ids
+ *
+ * Safe to run more than once: records that already have a UUID are left
+ * alone. Users must log in again afterwards, since existing JWTs carry the
+ * old user IDs.
+ */
+const { Database } = require('../config/database');
+
+const main = async () => {
+  const fileDb = new Database();
+  const migrated = await fileDb.migrateToUuids();
+
+  console.log('✅ ID migration complete');
+  console.log(`   users:          ${migrated.users}`);
+  console.log(`   movies:         ${migrated.movies}`);
+  console.log(`   search history: ${migrated.searchHistory}`);
+};
+
+main().catch((error) => {
+  console.error('❌ ID migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+/**
+ * Copy the file database (server/data/*.json) into PostgreSQL.
+ *
+ * Usage: DATABASE_URL=postgresql://... npm run db:migrate-json-to-sql [-- --force]
+ *
+ * The target must already have the schema from supabase/migrations applied.
+ * Legacy timestamp IDs in the JSON files are converted to UUIDs first (see
+ * migrate-ids.js). The target tables are replaced, so the script refuses to
+ * run against a database that already has users unless --force is given.
+ */
+require('dotenv').config();
+const { Database } = require('../config/database');
+const { PostgresDatabase } = require('../config/postgres');
+const { generateArchive, validateArchive, restoreArchive } = require('../services/backupService');
+
+const readArchive = async (source) => {
+  let text = '';
+  for await (const chunk of generateArchive(source)) {
+    text += chunk;
+  }
+  return JSON.parse(text);
+};
+
+const main = async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL must point at the target PostgreSQL database');
+  }
+
+  const force = process.argv.includes('--force');
+  const source = new Database();
+  const target = new PostgresDatabase({ connectionString: process.env.DATABASE_URL });
+
+  try {
+    await target.connect();
+
+    const existingUsers = await target.getUsers();
+    if (existingUsers.length > 0 && !force) {
+      throw new Error(
+        `Target database already has ${existingUsers.length} users. Re-run with --force to replace them.`
+      );
+    }
+
+    await source.migrateToUuids();
+    const archive = await readArchive(source);
+
+    const errors = validateArchive(archive);
+    if (errors.length > 0) {
+      throw new Error(`Source data is invalid:\n  ${errors.join('\n  ')}`);
+    }
+
+    const migrated = await restoreArchive(archive, target);
+
+    console.log('✅ JSON to PostgreSQL migration complete');
+    console.log(`   users:          ${migrated.users}`);
+    console.log(`   movies:         ${migrated.movies}`);
+    console.log(`   search history: ${migrated.searchHistory}`);
+  } finally {
+    await target.close();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const { db } = require('../config/database');
+const { mailService } = require('./mailService');
+const { hashToken } = require('./tokenService');
+const { toPublicApiToken } = require('./apiTokenService');
+
+const TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  ACCOUNT_DELETION: 'account_deletion'
+};
+
+const DEFAULT_RESET_TOKEN_MINUTES = 60;
+const DEFAULT_DELETION_TOKEN_MINUTES = 30;
+const DEFAULT_VERIFICATION_TOKEN_HOURS = 24;
+
+const EXPORT_FORMAT = 'cineai-export';
+const EXPORT_VERSION = 1;
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Fields that never leave the server
+const PRIVATE_USER_FIELDS = [
+  'password',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastUsedStep'
+];
+
+/**
+ * Strip the password and 2FA secrets from a user before sending it to a client
+ */
+const toPublicUser = (user) => Object.fromEntries(
+  Object.entries(user).filter(([field]) => !PRIVATE_USER_FIELDS.includes(field))
+);
+
+/**
+ * Accounts created before email verification existed have no flag and count as verified
+ */
+const isEmailVerified = (user) => user.emailVerified !== false;
+
+/**
+ * Create a single-use token for a user and return the raw value.
+ * Any earlier token of the same type stops working.
+ */
+const createOneTimeToken = async (userId, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.createUserToken({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs).toISOString()
+  });
+  return token;
+};
+
+const sendVerificationEmail = async (user) => {
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_EXPIRE_HOURS) || DEFAULT_VERIFICATION_TOKEN_HOURS;
+  const token = await createOneTimeToken(user.id, TOKEN_TYPES.EMAIL_VERIFICATION, hours * 60 * 60 * 1000);
+  const link = `${getFrontendUrl()}/verify-email?token=${token}`;
+
+  await mailService.send({
+    to: user.email,
+    subject: 'Verify your CineAI email address',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\n` +
+      `The link expires in ${hours} hours.`
+  });
+};
+
+/**
+ * Send a password reset link. Unknown emails are ignored so the
+ * endpoint does not reveal which addresses have accounts.
+ */
+const requestPasswordReset = async (email) => {
+  const user = await db.findUserByEmail(email);
+  if (!user) return false;
+
+  const minutes = parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRE_MINUTES) || DEFAULT_RESET_TOKEN_MINUTES;
+  const token = await createOneTimeToken(user.id, TOKEN_TYPES.PASSWORD_RESET, minutes * 60 * 1000);
+  const link = `${getFrontendUrl()}/reset-password?token=${token}`;
+
+  await mailService.send({
+    to: user.email,
+    subject: 'Reset your CineAI password',
+    text: `Hi ${user.name},\n\nReset your password by opening this link:\n${link}\n\n` +
+      `The link expires in ${minutes} minutes. If you did not ask for a reset, you can ignore this email.`
+  });
+  return true;
+};
+
+/**
+ * Set a new password with a reset token and log out every session.
+ * Resolves to the updated user, or null if the token is not valid.
+ */
+const resetPassword = async (token, newPassword) => {
+  const record = await db.consumeUserToken(hashToken(token), TOKEN_TYPES.PASSWORD_RESET);
+  if (!record) return null;
+
+  const user = await db.findUserById(record.userId);
+  if (!user) return null;
+
+  const saltRounds = 12;
+  const updates = { password: await bcrypt.hash(newPassword, saltRounds) };
+
+  // The reset link also proves ownership of the mailbox
+  if (!isEmailVerified(user)) {
+    updates.emailVerified = true;
+    updates.emailVerifiedAt = new Date().toISOString();
+  }
+  if (user.passwordResetRequired) {
+    updates.passwordResetRequired = false;
+  }
+
+  const updatedUser = await db.updateUser(user.id, updates);
+  await db.revokeUserSessions(user.id);
+  return updatedUser;
+};
+
+/**
+ * Mark a user's email as verified. Resolves to the user, or null if the token is not valid.
+ */
+const verifyEmail = async (token) => {
+  const record = await db.consumeUserToken(hashToken(token), TOKEN_TYPES.EMAIL_VERIFICATION);
+  if (!record) return null;
+
+  return db.updateUser(record.userId, {
+    emailVerified: true,
+    emailVerifiedAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Email a user a token confirming the deletion of their account. Accounts
+ * created through single sign-on have no password to confirm it with.
+ */
+const sendDeletionConfirmation = async (user) => {
+  const minutes = parseInt(process.env.ACCOUNT_DELETION_TOKEN_EXPIRE_MINUTES) || DEFAULT_DELETION_TOKEN_MINUTES;
+  const token = await createOneTimeToken(user.id, TOKEN_TYPES.ACCOUNT_DELETION, minutes * 60 * 1000);
+  const link = `${getFrontendUrl()}/delete-account?token=${token}`;
+
+  await mailService.send({
+    to: user.email,
+    subject: 'Confirm the deletion of your CineAI account',
+    text: `Hi ${user.name},\n\nTo permanently delete your account and all its data, open this link while signed in:\n${link}\n\n` +
+      `The link expires in ${minutes} minutes. If you did not ask to delete your account, you can ignore this email.`
+  });
+};
+
+/**
+ * Use up a deletion confirmation token. Resolves to true if it was issued to `user` and still valid.
+ */
+const consumeDeletionConfirmation = async (user, token) => {
+  const record = await db.consumeUserToken(hashToken(token), TOKEN_TYPES.ACCOUNT_DELETION);
+  return Boolean(record) && record.userId === user.id;
+};
+
+/**
+ * Files a user uploaded for background jobs that haven't finished. Other
+ * uploads are only analysed in memory, and a job's upload is removed once
+ * it has run.
+ */
+const getPendingUploads = async (userId) => {
+  const jobs = await db.getJobsByStatus(['queued', 'running']);
+  const uploads = [];
+  for (const job of jobs.filter(j => j.userId === userId && j.upload)) {
+    const data = await fs.promises.readFile(job.upload.path).catch(() => null);
+    if (data) {
+      uploads.push({
+        jobId: job.id,
+        name: job.upload.originalname,
+        mimeType: job.upload.mimetype,
+        size: job.upload.size,
+        data: data.toString('base64')
+      });
+    }
+  }
+  return uploads;
+};
+
+/**
+ * Collect everything stored about a user for a personal data export,
+ * including the files of their pending jobs
+ */
+const buildUserExport = async (user) => {
+  const [searchHistory, sessions, apiTokens, identities, aiUsage, uploadedFiles] = await Promise.all([
+    db.getSearchHistory(user.id),
+    db.getUserSessions(user.id),
+    db.getApiTokens(user.id),
+    db.getUserIdentities(user.id),
+    db.getUsageRecords({ userId: user.id }, new Date(0)),
+    getPendingUploads(user.id)
+  ]);
+  const { preferences = {}, searchHistoryRetention = null, ...profile } = toPublicUser(user);
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile,
+    preferences,
+    searchHistoryRetention,
+    searchHistory,
+    sessions: sessions.map(({ tokenHash, ...session }) => session),
+    apiTokens: apiTokens.map(toPublicApiToken),
+    linkedIdentities: identities,
+    aiUsage,
+    uploadedFiles
+  };
+};
+
+/**
+ * Permanently remove a user from every store, along with the uploads of
+ * their pending jobs, and strip them from the audit log
+ */
+const deleteAccount = async (user) => {
+  await db.deleteUser(user.id);
+  await db.anonymizeAuditLog(user.id);
+};
+
+module.exports = {
+  TOKEN_TYPES,
+  toPublicUser,
+  isEmailVerified,
+  sendVerificationEmail,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  sendDeletionConfirmation,
+  consumeDeletionConfirmation,
+  buildUserExport,
+  deleteAccount
+};
@@ -0,0 +1,156 @@
+/**
+ * Raised when a provider call takes longer than its timeout
+ */
+class ProviderTimeoutError extends Error {
+  constructor(provider, timeoutMs) {
+    super(`${provider} did not respond within ${timeoutMs}ms`);
+    this.name = 'ProviderTimeoutError';
+    this.timeout = true;
+  }
+}
+
+// Retries may be 0, so an unset or invalid value falls back to the default instead
+const parseRetries = (value, defaultValue) => {
+  const retries = parseInt(value);
+  return Number.isInteger(retries) && retries >= 0 ? retries : defaultValue;
+};
+
+/**
+ * Timeout, retry and circuit breaker settings for provider calls, from env
+ */
+const getResiliencePolicy = () => ({
+  timeoutMs: parseInt(process.env.AI_PROVIDER_TIMEOUT_MS) || 30 * 1000,
+  // Retries after the first attempt, only for rate limits, 5xx errors and timeouts
+  maxRetries: parseRetries(process.env.AI_PROVIDER_MAX_RETRIES, 2),
+  retryBaseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 500,
+  retryMaxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS) || 8 * 1000,
+  // Consecutive failed calls that open a provider's circuit
+  failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 3,
+  cooldownMs: parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS) || 60 * 1000
+});
+
+const isRetryableError = (error) =>
+  Boolean(error.timeout) || error.status === 429 || (error.status >= 500 && error.status < 600);
+
+/**
+ * Exponential backoff with jitter, so parallel requests don't retry in lockstep
+ */
+const getRetryDelayMs = (retry, policy) => {
+  const delay = Math.min(policy.retryBaseDelayMs * 2 ** retry, policy.retryMaxDelayMs);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Wait `ms`. Aborting `signal` rejects with its reason straight away.
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Run `fn(signal)` and reject with a ProviderTimeoutError if it takes longer
+ * than `timeoutMs`. The signal is aborted on timeout so the request can stop.
+ * Aborting `parentSignal` aborts it too and rejects with its reason.
+ */
+const withTimeout = (fn, timeoutMs, label, parentSignal) => {
+  parentSignal?.throwIfAborted();
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new ProviderTimeoutError(label, timeoutMs));
+    }, timeoutMs);
+    onAbort = () => {
+      controller.abort(parentSignal.reason);
+      reject(parentSignal.reason);
+    };
+    parentSignal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([fn(controller.signal), timeout]).finally(() => {
+    clearTimeout(timer);
+    parentSignal?.removeEventListener('abort', onAbort);
+  });
+};
+
+/**
+ * Tracks consecutive failures of one provider. Once the threshold is reached
+ * the circuit opens and the provider is skipped until the cooldown passes.
+ * The next call after that is a trial: one more failure opens it again.
+ * Other calls are turned away while the trial runs.
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold, cooldownMs }) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openUntil = 0;
+    this.trialInFlight = false;
+  }
+
+  isOpen(now = Date.now()) {
+    return this.openUntil > now;
+  }
+
+  getState(now = Date.now()) {
+    if (this.isOpen(now)) return 'open';
+    return this.failures >= this.failureThreshold ? 'half_open' : 'closed';
+  }
+
+  /**
+   * Whether a call may go through now
+   */
+  allowsRequest(now = Date.now()) {
+    return !this.isOpen(now) && !this.trialInFlight;
+  }
+
+  /**
+   * Note that a call is starting. Resolves to true if it is the half-open
+   * trial, which must then end with recordSuccess, recordFailure or releaseTrial.
+   */
+  startCall(now = Date.now()) {
+    if (this.getState(now) !== 'half_open') return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  // The trial ended without telling whether the provider recovered
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openUntil = 0;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(now = Date.now()) {
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.failures >= this.failureThreshold) {
+      this.openUntil = now + this.cooldownMs;
+    }
+  }
+}
+
+module.exports = {
+  ProviderTimeoutError,
+  CircuitBreaker,
+  getResiliencePolicy,
+  isRetryableError,
+  getRetryDelayMs,
+  withTimeout,
+  sleep
+};
@@ -1,27 +1,159 @@
 const OpenAI = require('openai');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { v4: uuidv4 } = require('uuid');
+const {
+  CircuitBreaker,
+  getResiliencePolicy,
+  isRetryableError,
+  getRetryDelayMs,
+  withTimeout,
+  sleep
+} = require('./aiResilience');
+const {
+  InvalidProviderOutputError,
+  validateMovieResults,
+  requestMovieResults
+} = require('./movieResultSchema');
+const { LocalCatalogProvider } = require('./localCatalogProvider');
+const { aggregateFrameResults } = require('./keyframeService');
+const { ResultCache, buildCacheKey } = require('./resultCache');
+const { mergeProviderResults } = require('./ensemble');
+const { getActiveTemplate, getBuiltInTemplate, renderPrompts } = require('./promptTemplates');
+
+// Built-in provider answering from the catalog, always tried last
+const LOCAL_PROVIDER = 'local';
+
+// Identification mode that asks every provider and merges their answers
+const ENSEMBLE_MODE = 'ensemble';
+
+// Search types a provider can declare it handles
+const CAPABILITIES = ['text', 'image', 'video', 'actor'];
+
+// Provider definitions by name, in the order they are initialized
+const providerRegistry = new Map();
+
+const parseCapabilities = (value) => {
+  if (!value) return undefined;
+  return value.split(',').map(type => type.trim()).filter(type => CAPABILITIES.includes(type));
+};
+
+/**
+ * Names of every registered provider, configured or not
+ */
+const getRegisteredProviders = () => [...providerRegistry.keys()];
+
+/**
+ * Register an AI provider.
+ *
+ * - `create(config)` builds the provider: an object with an async
+ *   identify(input, { signal, template, takeCall }) method. `config` holds
+ *   the apiKey, model, baseUrl, capabilities and displayName, with the
+ *   defaults below filled in. `template` is the provider's active prompt
+ *   template, or the default one if it has none; render it with
+ *   renderPrompts. Any request beyond the first, such as a repair prompt,
+ *   must first get `takeCall()` to return true. Responses may include
+ *   `usage` with the `inputTokens` and `outputTokens` the provider's API
+ *   reported.
+ * - `envPrefix` reads `<PREFIX>_API_KEY`, `_MODEL`, `_BASE_URL` and
+ *   `_CAPABILITIES` from the environment.
+ * - `isConfigured(config)` decides whether the provider starts enabled.
+ */
+const registerProvider = (name, {
+  displayName = name,
+  capabilities = CAPABILITIES,
+  defaultModel = null,
+  defaultBaseUrl,
+  envPrefix,
+  isConfigured = config => Boolean(config.apiKey),
+  create
+}) => {
+  providerRegistry.set(name, { displayName, capabilities, defaultModel, defaultBaseUrl, envPrefix, isConfigured, create });
+};
+
+const readProviderConfig = (definition) => {
+  if (!definition.envPrefix) return {};
+
+  const env = (key) => process.env[`${definition.envPrefix}_${key}`];
+  return {
+    apiKey: env('API_KEY'),
+    model: env('MODEL'),
+    baseUrl: env('BASE_URL'),
+    capabilities: parseCapabilities(env('CAPABILITIES'))
+  };
+};
+
+/**
+ * Images to send with a request: the uploaded image, or the keyframes
+ * sampled from a video clip
+ */
+const getInputImages = (input) => {
+  if (input.type === 'image' && Buffer.isBuffer(input.content)) {
+    return [{ data: input.content, mimeType: input.metadata?.mimeType || 'image/jpeg' }];
+  }
+  if (input.type === 'video' && Array.isArray(input.frames)) {
+    return input.frames.map(frame => ({ data: frame.image, mimeType: frame.mimeType }));
+  }
+  return [];
+};
+
+// Token counts reported by a provider, summed over the requests it made
+const createUsage = () => ({ inputTokens: 0, outputTokens: 0 });
+
+const addUsage = (total, usage) => {
+  total.inputTokens += usage?.inputTokens || 0;
+  total.outputTokens += usage?.outputTokens || 0;
+  return total;
+};
+
+const resolveProviderConfig = (definition, config) => ({
+  displayName: definition.displayName,
+  model: definition.defaultModel,
+  baseUrl: definition.defaultBaseUrl,
+  capabilities: definition.capabilities,
+  ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined))
+});
+
+/**
+ * Provider API calls a search may still make, shared by every provider it
+ * asks. A limit of null means no limit. `release()` gives back a call that
+ * was taken but never made.
+ */
+const createCallBudget = (limit) => ({
+  remaining: limit ?? Infinity,
+  take() {
+    if (this.remaining <= 0) return false;
+    this.remaining -= 1;
+    return true;
+  },
+  release() {
+    this.remaining += 1;
+  }
+});
 
 /**
  * Enhanced AI Service for movie identification
  */
 class AIService {
-  constructor() {
+  /**
+   * `cache` is the ResultCache for answers, a new one by default or null
+   * to always ask the providers
+   */
+  constructor({ resilience, cache } = {}) {
     this.providers = new Map();
     this.currentProvider = 'openai';
+    this.resilience = { ...getResiliencePolicy(), ...resilience };
+    this.breakers = new Map();
+    this.cache = cache === undefined ? new ResultCache() : cache;
     this.initializeProviders();
   }
 
   initializeProviders() {
-    // Initialize providers with environment variables or fallback
-    const openaiKey = process.env.OPENAI_API_KEY;
-    const geminiKey = process.env.GEMINI_API_KEY;
-
-    if (openaiKey) {
-      this.providers.set('openai', new OpenAIProvider(openaiKey));
-    }
-
-    if (geminiKey) {
-      this.providers.set('gemini', new GeminiProvider(geminiKey));
+    // Enable every registered provider configured in the environment
+    for (const [name, definition] of providerRegistry) {
+      const config = resolveProviderConfig(definition, readProviderConfig(definition));
+      if (definition.isConfigured(config)) {
+        this.providers.set(name, definition.create(config));
+      }
     }
   }
 
@@ -34,32 +166,309 @@ class AIService {
   }
 
   setApiKey(provider, apiKey) {
-    if (provider === 'openai') {
-      this.providers.set('openai', new OpenAIProvider(apiKey));
-    } else if (provider === 'gemini') {
-      this.providers.set('gemini', new GeminiProvider(apiKey));
+    const definition = providerRegistry.get(provider);
+    if (!definition) {
+      throw new Error(`Provider ${provider} not available`);
     }
+
+    const config = resolveProviderConfig(definition, { ...readProviderConfig(definition), apiKey });
+    if (!definition.isConfigured(config)) {
+      throw new Error(`Provider ${provider} is missing configuration`);
+    }
+    this.providers.set(provider, definition.create(config));
+    // A new key gets a fresh circuit
+    this.breakers.delete(provider);
   }
 
-  async identifyContent(input) {
-    const provider = this.providers.get(this.currentProvider);
-    
-    if (!provider) {
-      return this.getFallbackResponse(input);
+  /**
+   * Providers in the order they are tried: AI_PROVIDER_ORDER if set,
+   * otherwise the current provider followed by the others. The local
+   * catalog comes last unless it is named explicitly.
+   */
+  getProviderChain() {
+    const available = this.getAvailableProviders();
+    const configured = (process.env.AI_PROVIDER_ORDER || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => available.includes(name));
+    const preferred = configured.length > 0 ? configured : [this.currentProvider];
+
+    const remaining = available.filter(name => name !== LOCAL_PROVIDER);
+
+    return [...new Set([...preferred, ...remaining, LOCAL_PROVIDER])].filter(name => this.providers.has(name));
+  }
+
+  getBreaker(providerName) {
+    if (!this.breakers.has(providerName)) {
+      this.breakers.set(providerName, new CircuitBreaker(this.resilience));
+    }
+    return this.breakers.get(providerName);
+  }
+
+  /**
+   * Call one provider with a timeout per attempt, retrying rate limits,
+   * 5xx errors and timeouts with backoff. Invalid output is not retried.
+   * Resolves to the successful response, the number of attempts and the
+   * tokens used by all of them, or rejects with the last error carrying
+   * the attempts and usage. Aborting `signal` stops the call and any retries.
+   * Each retry and repair prompt takes a call from `budget` and counts as
+   * an attempt; without one left, the last error is final.
+   */
+  async callProvider(providerName, input, template = null, signal = undefined, budget = createCallBudget(null)) {
+    const provider = this.providers.get(providerName);
+    const { timeoutMs, maxRetries } = this.resilience;
+    const usage = createUsage();
+    let repairs = 0;
+    const takeCall = () => {
+      if (!budget.take()) return false;
+      repairs++;
+      return true;
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await withTimeout(
+          attemptSignal => provider.identify(input, { signal: attemptSignal, template, takeCall }),
+          timeoutMs,
+          providerName,
+          signal
+        );
+        addUsage(usage, response.usage);
+        if (!response.success) {
+          throw Object.assign(new Error(response.error || `${providerName} failed`), { status: response.status });
+        }
+        // Whatever the provider, only schema-valid results reach users and the catalog
+        const validation = validateMovieResults(response.results);
+        if (!validation.valid) {
+          throw new InvalidProviderOutputError(providerName, validation.errors);
+        }
+        return { response: { ...response, results: validation.results }, attempts: attempt + repairs, usage };
+      } catch (error) {
+        error.attempts = attempt + repairs;
+        error.usage = usage;
+        if (signal?.aborted || attempt > maxRetries || !isRetryableError(error) || !budget.take()) throw error;
+        // Cancelling during the backoff ends the call with the last error
+        await sleep(getRetryDelayMs(attempt - 1, this.resilience), signal).catch(() => { throw error; });
+      }
+    }
+  }
+
+  /**
+   * Identify a search, answering repeated searches and near-identical
+   * images from the cache. The response says whether it was cached.
+   *
+   * In the default `failover` mode providers are tried one at a time. In
+   * `ensemble` mode all of them are asked and their rankings merged.
+   *
+   * `onProgress` is called with an event for each stage: cache_hit,
+   * provider_queried, provider_finished, and candidate with a provider's
+   * best match before the results are merged.
+   *
+   * Aborting `signal` stops the provider calls in flight and asks no more
+   * providers. The response then lists the calls already made, so they can
+   * still be metered, and isn't cached.
+   *
+   * `maxCalls` caps the provider API calls, retries included, the search
+   * may make across all providers, so it can't overrun the caller's quota.
+   * Providers left without a call are skipped. The local catalog is free.
+   */
+  async identifyContent(input, { onProgress = () => {}, signal, maxCalls = null } = {}) {
+    const cacheKey = this.cache && await buildCacheKey(input);
+    const cached = cacheKey && this.cache.get(cacheKey.key, cacheKey);
+    if (cached) {
+      onProgress({ stage: 'cache_hit', cachedAt: cached.storedAt });
+      return { ...cached.value, cached: true, cachedAt: cached.storedAt, providersTried: [] };
     }
 
+    const budget = createCallBudget(maxCalls);
+    const response = input.mode === ENSEMBLE_MODE
+      ? await this.askAllProviders(input, onProgress, signal, budget)
+      : await this.askProviders(input, onProgress, signal, budget);
+    // Which template version each provider was asked with, kept with cached answers too
+    response.promptVersions = response.providersTried
+      .filter(tried => tried.prompt)
+      .map(tried => ({ provider: tried.provider, ...tried.prompt }));
+    // The local catalog answers instantly and changes as movies are saved
+    if (cacheKey && !signal?.aborted && response.success && response.results.length > 0 && response.provider !== LOCAL_PROVIDER) {
+      this.cache.set(cacheKey.key, response, cacheKey);
+    }
+    return { ...response, cached: false };
+  }
+
+  // Why a provider is passed over for a search, or null if it isn't
+  getSkipReason(providerName, type, budget = createCallBudget(null)) {
+    if (!this.getCapabilities(providerName).includes(type)) return 'unsupported_type';
+    if (!this.getBreaker(providerName).allowsRequest()) return 'circuit_open';
+    if (providerName !== LOCAL_PROVIDER && budget.remaining <= 0) return 'quota_exhausted';
+    return null;
+  }
+
+  /**
+   * Ask one provider and update its circuit. Resolves to its entry for
+   * providersTried, with the model, prompt template version and tokens
+   * used, and its response if it answered. Video results are merged across
+   * keyframes. A call stopped by `signal` is cancelled rather than failed,
+   * and doesn't count against the provider's circuit. Its calls, retries
+   * included, are taken from `budget`.
+   */
+  async tryProvider(providerName, input, onProgress, signal, budget = createCallBudget(null)) {
+    const breaker = this.getBreaker(providerName);
+    // Claimed before anything is awaited, so concurrent searches can't both take the half-open trial
+    // and providers asked at once can't overrun the budget
+    const isTrial = breaker.startCall();
+    const callBudget = providerName === LOCAL_PROVIDER ? createCallBudget(null) : budget;
+    callBudget.take();
+    const model = this.providers.get(providerName).model || null;
+    // The local catalog searches itself and needs no prompt
+    const template = providerName === LOCAL_PROVIDER
+      ? null
+      : await getActiveTemplate(providerName, input.type).catch(error => {
+        // No call was made, so the trial and the call go back
+        if (isTrial) breaker.releaseTrial();
+        callBudget.release();
+        throw error;
+      });
+    const prompt = template && { template: `${template.provider}/${template.type}`, version: template.version };
+    const startTime = Date.now();
+    onProgress({ stage: 'provider_queried', provider: providerName });
     try {
-      const response = await provider.identify(input);
-      
-      if (response.success) {
-        response.results = await this.enhanceResults(response.results);
+      const { response, attempts, usage } = await this.callProvider(providerName, input, template, signal, callBudget);
+      breaker.recordSuccess();
+
+      const results = input.frames
+        ? aggregateFrameResults(response.results, input.frames)
+        : response.results;
+      const tried = { provider: providerName, model, prompt, outcome: 'success', attempts, latency: Date.now() - startTime, usage };
+      onProgress({ stage: 'provider_finished', ...tried });
+      if (results[0]) {
+        const { title, year, type, confidence } = results[0];
+        onProgress({ stage: 'candidate', provider: providerName, candidate: { title, year, type, confidence } });
       }
-      
-      return response;
+
+      return {
+        tried,
+        response: {
+          ...response,
+          ...(input.frames && { confidence: results[0]?.confidence || 0 }),
+          results
+        }
+      };
     } catch (error) {
-      console.error('AI Service Error:', error);
+      const cancelled = Boolean(signal?.aborted);
+      if (!cancelled) {
+        console.error(`AI provider ${providerName} failed:`, error.message);
+        breaker.recordFailure();
+      } else if (isTrial) {
+        breaker.releaseTrial();
+      }
+      const tried = {
+        provider: providerName,
+        model,
+        prompt,
+        outcome: cancelled ? 'cancelled' : 'failed',
+        attempts: error.attempts || 1,
+        latency: Date.now() - startTime,
+        usage: error.usage || createUsage(),
+        error: error.message
+      };
+      onProgress({ stage: 'provider_finished', ...tried });
+      return { tried };
+    }
+  }
+
+  /**
+   * Try each provider in the chain until one answers. Providers whose
+   * circuit is open, or that can't handle the search type, are skipped. The response names the provider that
+   * answered and lists every provider tried.
+   */
+  async askProviders(input, onProgress = () => {}, signal = undefined, budget = createCallBudget(null)) {
+    const chain = this.getProviderChain();
+    if (chain.length === 0) {
       return this.getFallbackResponse(input);
     }
+
+    const providersTried = [];
+    for (const providerName of chain) {
+      if (signal?.aborted) break;
+      const reason = this.getSkipReason(providerName, input.type, budget);
+      if (reason) {
+        providersTried.push({ provider: providerName, outcome: 'skipped', reason });
+        continue;
+      }
+
+      const { tried, response } = await this.tryProvider(providerName, input, onProgress, signal, budget);
+      providersTried.push(tried);
+      if (response) {
+        return {
+          ...response,
+          results: await this.enhanceResults(response.results),
+          provider: providerName,
+          providersTried
+        };
+      }
+    }
+
+    return this.getFailedResponse(input, providersTried);
+  }
+
+  /**
+   * Ask every provider in the chain at once and merge their rankings, so
+   * titles several providers agree on rank higher. Each result lists the
+   * providers that suggested it. The local catalog is only asked, as in
+   * failover mode, when no other provider can handle the search.
+   */
+  async askAllProviders(input, onProgress = () => {}, signal = undefined, budget = createCallBudget(null)) {
+    const chain = this.getProviderChain().filter(providerName => providerName !== LOCAL_PROVIDER);
+    if (chain.every(providerName => this.getSkipReason(providerName, input.type, budget))) {
+      return this.askProviders(input, onProgress, signal, budget);
+    }
+
+    const outcomes = await Promise.all(chain.map(providerName => {
+      const reason = this.getSkipReason(providerName, input.type, budget);
+      return reason
+        ? { tried: { provider: providerName, outcome: 'skipped', reason } }
+        : this.tryProvider(providerName, input, onProgress, signal, budget);
+    }));
+    const providersTried = outcomes.map(outcome => outcome.tried);
+    const answers = outcomes
+      .filter(outcome => outcome.response)
+      .map(({ tried, response }) => ({ provider: tried.provider, ...response }));
+
+    if (answers.length === 0) {
+      return this.getFailedResponse(input, providersTried);
+    }
+
+    const results = mergeProviderResults(answers);
+    return {
+      success: true,
+      results: await this.enhanceResults(results),
+      processingTime: Math.max(...answers.map(answer => answer.processingTime || 0)),
+      confidence: results[0]?.confidence || 0,
+      provider: ENSEMBLE_MODE,
+      providersTried
+    };
+  }
+
+  getFailedResponse(input, providersTried) {
+    return {
+      success: false,
+      results: [],
+      processingTime: 0,
+      confidence: 0,
+      provider: null,
+      providersTried,
+      error: this.describeFailure(input, providersTried)
+    };
+  }
+
+  describeFailure(input, providersTried) {
+    if (providersTried.every(tried => tried.reason === 'unsupported_type')) {
+      return `No configured AI provider can identify ${input.type} searches. Please configure OpenAI or Gemini API keys.`;
+    }
+    if (providersTried.some(tried => tried.reason === 'quota_exhausted')) {
+      return 'AI usage quota used up before a provider could answer.';
+    }
+    return 'All AI providers failed or are temporarily unavailable.';
   }
 
   async enhanceResults(results) {
@@ -87,7 +496,7 @@ class AIService {
   }
 
   getFallbackResponse(input) {
-    // No fallback data - require real AI providers
+    // Only reached when even the local catalog provider was removed
     return {
       success: false,
       results: [],
@@ -101,44 +510,78 @@ class AIService {
     return Array.from(this.providers.keys());
   }
 
+  getCapabilities(providerName) {
+    return this.providers.get(providerName).capabilities || CAPABILITIES;
+  }
+
+  /**
+   * Name, display name, capabilities and model of each enabled provider
+   */
+  getProviderDetails() {
+    return this.getAvailableProviders().map(name => {
+      const provider = this.providers.get(name);
+      return {
+        name,
+        displayName: provider.name || name,
+        capabilities: this.getCapabilities(name),
+        model: provider.model || null
+      };
+    });
+  }
+
+  /**
+   * Circuit state per provider: closed, open or half_open
+   */
+  getProviderHealth() {
+    return Object.fromEntries(
+      this.getAvailableProviders().map(name => [name, this.getBreaker(name).getState()])
+    );
+  }
+
   getCurrentProvider() {
     return this.currentProvider;
   }
 }
 
 /**
- * OpenAI GPT-4 Vision Provider
+ * Provider for the OpenAI chat completions API. With a base URL it talks to
+ * any compatible server instead, such as vLLM, LocalAI or Ollama.
  */
 class OpenAIProvider {
-  constructor(apiKey) {
-    this.name = 'OpenAI GPT-4 Vision';
-    this.client = new OpenAI({ apiKey });
+  constructor({ apiKey, model, baseUrl, capabilities, displayName = 'OpenAI' }) {
+    this.name = displayName;
+    this.model = model;
+    this.capabilities = capabilities;
+    // AIService handles retries, so the client doesn't retry on its own.
+    // Self-hosted servers often need no key, but the client requires one.
+    this.client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: baseUrl, maxRetries: 0 });
   }
 
-  async identify(input) {
+  async identify(input, { signal, template, takeCall } = {}) {
     const startTime = Date.now();
+    const usage = createUsage();
     
     try {
-      let prompt = this.buildPrompt(input);
+      const { system, prompt } = renderPrompts(template || getBuiltInTemplate('default', input.type), input);
       let messages = [
         {
           role: 'system',
-          content: this.getSystemPrompt()
+          content: system
         }
       ];
 
-      if (input.type === 'image' && Buffer.isBuffer(input.content)) {
-        const base64Image = input.content.toString('base64');
+      const images = getInputImages(input);
+      if (images.length > 0) {
         messages.push({
           role: 'user',
           content: [
             { type: 'text', text: prompt },
-            { 
-              type: 'image_url', 
-              image_url: { 
-                url: `data:${input.metadata?.mimeType || 'image/jpeg'};base64,${base64Image}` 
-              } 
-            }
+            ...images.map(image => ({
+              type: 'image_url',
+              image_url: {
+                url: `data:${image.mimeType};base64,${image.data.toString('base64')}`
+              }
+            }))
           ]
         });
       } else {
@@ -148,29 +591,36 @@ class OpenAIProvider {
         });
       }
 
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-4-vision-preview',
-        messages,
-        max_tokens: 2000,
-        temperature: 0.3
-      });
-
-      const content = response.choices[0]?.message?.content;
-      if (!content) throw new Error('No response from OpenAI');
+      const results = await requestMovieResults(async (repairPrompt, previousOutput) => {
+        const conversation = repairPrompt
+          ? [...messages, { role: 'assistant', content: previousOutput }, { role: 'user', content: repairPrompt }]
+          : messages;
+        const response = await this.client.chat.completions.create({
+          model: this.model,
+          messages: conversation,
+          max_tokens: 2000,
+          temperature: 0.3
+        }, { signal });
+        addUsage(usage, {
+          inputTokens: response.usage?.prompt_tokens,
+          outputTokens: response.usage?.completion_tokens
+        });
 
-      const parsedResponse = JSON.parse(content);
+        return response.choices[0]?.message?.content;
+      }, this.name, takeCall);
       const processingTime = Date.now() - startTime;
 
       return {
         success: true,
-        results: parsedResponse.results.map(result => ({
+        results: results.map(result => ({
           ...result,
           id: this.generateId(),
           poster: this.generatePosterUrl(result.title),
           backdrop: this.generateBackdropUrl(result.title)
         })),
         processingTime,
-        confidence: parsedResponse.results[0]?.confidence || 85
+        confidence: results[0]?.confidence || 0,
+        usage
       };
 
     } catch (error) {
@@ -179,48 +629,15 @@ class OpenAIProvider {
         results: [],
         processingTime: Date.now() - startTime,
         confidence: 0,
-        error: error.message
+        error: error.message,
+        status: error.status,
+        usage
       };
     }
   }
 
-  buildPrompt(input) {
-    switch (input.type) {
-      case 'text':
-        return `Identify movies or TV series based on this description: "${input.content}". Return detailed information including title, year, genre, cast, director, and streaming platforms.`;
-      case 'image':
-        return 'Analyze this image and identify the movie or TV series. Look for actors, scenes, logos, or any visual clues. Provide detailed information about the identified content.';
-      case 'actor':
-        return `Find movies and TV series featuring the actor/actress: "${input.content}". Include their most popular and recent works with detailed information.`;
-      case 'video':
-        return 'This is a video clip from a movie or TV series. Analyze the visual content, actors, scenes, and dialogue to identify the source material.';
-      default:
-        return 'Identify the movie or TV series from the provided content.';
-    }
-  }
-
-  getSystemPrompt() {
-    return `You are an expert movie and TV series identification AI. Always respond with a JSON object containing an array of identified content with the following structure:
-    {
-      "results": [
-        {
-          "title": "Movie/Series Title",
-          "year": 2023,
-          "type": "movie" or "series",
-          "genre": ["Action", "Drama"],
-          "rating": 8.5,
-          "duration": "120 min" or "45 min/episode",
-          "description": "Brief description",
-          "cast": ["Actor 1", "Actor 2"],
-          "director": "Director Name",
-          "confidence": 95
-        }
-      ]
-    }`;
-  }
-
   generateId() {
-    return Math.random().toString(36).substr(2, 9);
+    return uuidv4();
   }
 
   generatePosterUrl(title) {
@@ -236,41 +653,60 @@ class OpenAIProvider {
  * Google Gemini Vision Provider
  */
 class GeminiProvider {
-  constructor(apiKey) {
-    this.name = 'Google Gemini Vision';
+  constructor({ apiKey, model, capabilities, displayName = 'Google Gemini' }) {
+    this.name = displayName;
+    this.model = model;
+    this.capabilities = capabilities;
     this.client = new GoogleGenerativeAI(apiKey);
   }
 
-  async identify(input) {
+  async identify(input, { signal, template, takeCall } = {}) {
     const startTime = Date.now();
+    const usage = createUsage();
     
     try {
-      const model = this.client.getGenerativeModel({ model: 'gemini-1.0-pro-vision' });
+      const model = this.client.getGenerativeModel({ model: this.model });
       
-      let prompt = this.buildPrompt(input);
-      let parts = [prompt];
+      // Gemini takes no system message, so it follows the prompt
+      const { system, prompt } = renderPrompts(template || getBuiltInTemplate('gemini', input.type), input);
+      let parts = [{ text: `${prompt}\n\n${system}` }];
 
-      if (input.type === 'image' && Buffer.isBuffer(input.content)) {
+      getInputImages(input).forEach(image => {
         parts.push({
           inlineData: {
-            data: input.content.toString('base64'),
-            mimeType: input.metadata?.mimeType || 'image/jpeg'
+            data: image.data.toString('base64'),
+            mimeType: image.mimeType
           }
         });
-      }
-
-      const result = await model.generateContent(parts);
-      const response = await result.response;
-      const text = response.text();
+      });
 
-      const parsedResponse = this.parseGeminiResponse(text);
+      const results = await requestMovieResults(async (repairPrompt, previousOutput) => {
+        const contents = [{ role: 'user', parts }];
+        if (repairPrompt) {
+          contents.push(
+            { role: 'model', parts: [{ text: previousOutput || '' }] },
+            { role: 'user', parts: [{ text: repairPrompt }] }
+          );
+        }
+        const result = await model.generateContent({ contents }, { signal });
+        const response = await result.response;
+        addUsage(usage, {
+          inputTokens: response.usageMetadata?.promptTokenCount,
+          outputTokens: response.usageMetadata?.candidatesTokenCount
+        });
+        return response.text();
+      }, this.name, takeCall);
       const processingTime = Date.now() - startTime;
 
       return {
         success: true,
-        results: parsedResponse,
+        results: results.map(result => ({
+          ...result,
+          id: uuidv4()
+        })),
         processingTime,
-        confidence: 88
+        confidence: results[0]?.confidence || 0,
+        usage
       };
 
     } catch (error) {
@@ -279,51 +715,63 @@ class GeminiProvider {
         results: [],
         processingTime: Date.now() - startTime,
         confidence: 0,
-        error: error.message
+        error: error.message,
+        status: error.status,
+        usage
       };
     }
   }
-
-  buildPrompt(input) {
-    switch (input.type) {
-      case 'text':
-        return `Identify movies or TV series based on this description: "${input.content}". Provide detailed JSON response with title, year, genre, cast, director, and streaming availability.`;
-      case 'image':
-        return 'Analyze this image to identify the movie or TV series. Look for actors, scenes, text, or visual elements that can help identify the content.';
-      case 'actor':
-        return `Find movies and TV series featuring: "${input.content}". Include popular works with detailed information in JSON format.`;
-      default:
-        return 'Identify the movie or TV series from the provided content and return detailed information in JSON format.';
-    }
-  }
-
-  parseGeminiResponse(text) {
-    try {
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return parsed.results || [parsed];
-      }
-    } catch (e) {
-      // Fallback parsing logic
-    }
-    
-    return [{
-      id: Math.random().toString(36).substr(2, 9),
-      title: 'Content Identified',
-      year: 2023,
-      type: 'movie',
-      genre: ['Unknown'],
-      rating: 7.0,
-      duration: '120 min',
-      description: text.substring(0, 200) + '...',
-      poster: 'https://images.pexels.com/photos/7991579/pexels-photo-7991579.jpeg?auto=compress&cs=tinysrgb&w=400',
-      backdrop: 'https://images.pexels.com/photos/7991579/pexels-photo-7991579.jpeg?auto=compress&cs=tinysrgb&w=800',
-      cast: ['Unknown'],
-      director: 'Unknown',
-      confidence: 75
-    }];
-  }
 }
 
-module.exports = { AIService, OpenAIProvider, GeminiProvider };
\ No newline at end of file
+registerProvider('openai', {
+  displayName: 'OpenAI',
+  capabilities: ['text', 'image', 'video', 'actor'],
+  defaultModel: 'gpt-4-vision-preview',
+  envPrefix: 'OPENAI',
+  create: config => new OpenAIProvider(config)
+});
+
+registerProvider('gemini', {
+  displayName: 'Google Gemini',
+  capabilities: ['text', 'image', 'video', 'actor'],
+  defaultModel: 'gemini-1.0-pro-vision',
+  envPrefix: 'GEMINI',
+  create: config => new GeminiProvider(config)
+});
+
+// Any server implementing the OpenAI chat completions API
+registerProvider('openai-compatible', {
+  displayName: 'OpenAI-compatible server',
+  capabilities: ['text', 'actor'],
+  envPrefix: 'OPENAI_COMPATIBLE',
+  isConfigured: config => Boolean(config.baseUrl && config.model),
+  create: config => new OpenAIProvider(config)
+});
+
+// Ollama serves the same API under /v1 and needs no key
+registerProvider('ollama', {
+  displayName: 'Ollama',
+  capabilities: ['text', 'actor'],
+  defaultBaseUrl: 'http://localhost:11434/v1',
+  envPrefix: 'OLLAMA',
+  isConfigured: config => Boolean(config.model),
+  create: config => new OpenAIProvider(config)
+});
+
+registerProvider(LOCAL_PROVIDER, {
+  displayName: 'Local Catalog',
+  capabilities: ['text', 'actor'],
+  isConfigured: () => true,
+  create: () => new LocalCatalogProvider()
+});
+
+module.exports = {
+  AIService,
+  OpenAIProvider,
+  GeminiProvider,
+  LocalCatalogProvider,
+  CAPABILITIES,
+  LOCAL_PROVIDER,
+  getRegisteredProviders,
+  registerProvider
+};
\ No newline at end of file
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const { hashToken } = require('./tokenService');
+
+const API_TOKEN_PREFIX = 'cineai_pat_';
+
+const API_TOKEN_SCOPES = {
+  IDENTIFY: 'identify',
+  CATALOG_READ: 'catalog:read',
+  HISTORY_READ: 'history:read'
+};
+
+// Writing lastUsedAt on every request would rewrite the token store constantly
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+/**
+ * Token metadata safe to return to clients
+ */
+const toPublicApiToken = ({ tokenHash, ...apiToken }) => apiToken;
+
+/**
+ * Create a token for a user. The raw token is only returned here.
+ */
+const createApiToken = async (user, { name, scopes, expiresInDays }) => {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiToken = await db.createApiToken({
+    userId: user.id,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null
+  });
+
+  return { token, apiToken: toPublicApiToken(apiToken) };
+};
+
+/**
+ * Look up a raw token. Resolves to { apiToken, user } for an active token
+ * whose owner still exists, otherwise null. Records the last use.
+ */
+const resolveApiToken = async (token) => {
+  const apiToken = await db.findApiTokenByHash(hashToken(token));
+  if (!apiToken || apiToken.revokedAt) return null;
+  if (apiToken.expiresAt && new Date(apiToken.expiresAt) <= new Date()) return null;
+
+  const user = await db.findUserById(apiToken.userId);
+  if (!user) return null;
+
+  const lastUsed = apiToken.lastUsedAt ? new Date(apiToken.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+    await db.touchApiToken(apiToken.id);
+  }
+
+  return { apiToken, user };
+};
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  API_TOKEN_SCOPES,
+  isApiToken,
+  toPublicApiToken,
+  createApiToken,
+  resolveApiToken
+};
@@ -0,0 +1,25 @@
+const { db } = require('../config/database');
+
+const AUDIT_ACTIONS = {
+  ACCOUNT_LOCKED: 'account.locked',
+  ACCOUNT_UNLOCKED: 'account.unlocked',
+  IDENTITY_LINKED: 'identity.linked',
+  USER_ROLE_CHANGED: 'user.role_changed',
+  USER_DISABLED: 'user.disabled',
+  USER_ENABLED: 'user.enabled',
+  USER_PASSWORD_RESET_FORCED: 'user.password_reset_forced',
+  USER_DELETED: 'user.deleted',
+  SETTINGS_UPDATED: 'settings.updated',
+  BACKUP_DOWNLOADED: 'backup.downloaded',
+  BACKUP_RESTORED: 'backup.restored',
+  AI_CACHE_PURGED: 'ai_cache.purged',
+  PROMPT_TEMPLATE_UPDATED: 'prompt_template.updated'
+};
+
+/**
+ * Record a security-relevant event
+ */
+const recordAudit = (action, { actorId = null, targetUserId = null, ipAddress = null, details = {} } = {}) =>
+  db.addAuditEntry({ action, actorId, targetUserId, ipAddress, details });
+
+module.exports = { AUDIT_ACTIONS, recordAudit };
@@ -0,0 +1,157 @@
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { db } = require('../config/database');
+
+const BACKUP_FORMAT = 'cineai-backup';
+const BACKUP_VERSION = 1;
+
+const COLLECTIONS = ['users', 'movies', 'searchHistory'];
+
+/**
+ * Yield the archive as JSON text, one record at a time
+ */
+async function* generateArchive(source = db) {
+  const collections = {
+    users: await source.getUsers(),
+    movies: await source.getMovies(),
+    searchHistory: await source.getAllSearchHistory()
+  };
+
+  yield `{"format":"${BACKUP_FORMAT}","version":${BACKUP_VERSION},` +
+    `"createdAt":"${new Date().toISOString()}",` +
+    `"counts":${JSON.stringify(Object.fromEntries(
+      COLLECTIONS.map(name => [name, collections[name].length])
+    ))},"data":{`;
+
+  for (const [index, name] of COLLECTIONS.entries()) {
+    yield `${index > 0 ? ',' : ''}"${name}":[`;
+    for (const [i, record] of collections[name].entries()) {
+      yield (i > 0 ? ',' : '') + JSON.stringify(record);
+    }
+    yield ']';
+  }
+
+  yield '}}';
+}
+
+/**
+ * Create a gzip-compressed stream of the whole database
+ */
+const createBackupStream = (source = db) =>
+  Readable.from(generateArchive(source)).pipe(zlib.createGzip());
+
+// Bytes a compressed archive may expand to, so a small upload can't exhaust memory
+const DEFAULT_MAX_ARCHIVE_SIZE = 256 * 1024 * 1024;
+
+const gunzipArchive = (buffer) => {
+  const maxOutputLength = parseInt(process.env.BACKUP_MAX_UNCOMPRESSED_SIZE) || DEFAULT_MAX_ARCHIVE_SIZE;
+  try {
+    return zlib.gunzipSync(buffer, { maxOutputLength });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error(`Archive is larger than ${maxOutputLength} bytes uncompressed`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Parse an uploaded archive, gzip-compressed or plain JSON. Compressed
+ * archives may expand to BACKUP_MAX_UNCOMPRESSED_SIZE bytes.
+ */
+const parseArchive = (buffer) => {
+  const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  const text = (isGzip ? gunzipArchive(buffer) : buffer).toString('utf8');
+  return JSON.parse(text);
+};
+
+/**
+ * Check an archive's structure and references. Returns a list of problems.
+ */
+const validateArchive = (archive) => {
+  const errors = [];
+
+  if (!archive || typeof archive !== 'object') {
+    return ['Archive must be a JSON object'];
+  }
+  if (archive.format !== BACKUP_FORMAT) {
+    errors.push(`Unknown archive format: ${archive.format}`);
+  }
+  if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+    errors.push(`Unsupported archive version: ${archive.version}`);
+  }
+
+  const data = archive.data || {};
+  for (const name of COLLECTIONS) {
+    if (!Array.isArray(data[name])) {
+      errors.push(`data.${name} must be an array`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const checkIds = (name, records) => {
+    const seen = new Set();
+    records.forEach((record, i) => {
+      if (!record || typeof record.id !== 'string') {
+        errors.push(`data.${name}[${i}] is missing an id`);
+      } else if (seen.has(record.id)) {
+        errors.push(`data.${name}[${i}] has duplicate id ${record.id}`);
+      } else {
+        seen.add(record.id);
+      }
+    });
+    return seen;
+  };
+
+  const userIds = checkIds('users', data.users);
+  checkIds('movies', data.movies);
+  checkIds('searchHistory', data.searchHistory);
+
+  const emails = new Set();
+  data.users.forEach((user, i) => {
+    if (!user.email) {
+      errors.push(`data.users[${i}] must have an email`);
+    } else if (emails.has(user.email)) {
+      errors.push(`data.users[${i}] has duplicate email ${user.email}`);
+    } else {
+      emails.add(user.email);
+    }
+  });
+
+  data.movies.forEach((movie, i) => {
+    if (!movie.title) {
+      errors.push(`data.movies[${i}] must have a title`);
+    }
+  });
+
+  data.searchHistory.forEach((entry, i) => {
+    if (!userIds.has(entry.userId)) {
+      errors.push(`data.searchHistory[${i}] references unknown user ${entry.userId}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Replace the database contents with a validated archive
+ */
+const restoreArchive = async (archive, target = db) => {
+  const { users, movies, searchHistory } = archive.data;
+  await target.importData({ users, movies, searchHistory });
+  return {
+    users: users.length,
+    movies: movies.length,
+    searchHistory: searchHistory.length
+  };
+};
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  generateArchive,
+  createBackupStream,
+  parseArchive,
+  validateArchive,
+  restoreArchive
+};
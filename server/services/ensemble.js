@@ -0,0 +1,90 @@
+const { normalizeQuery } = require('./resultCache');
+
+// How alike two normalized titles must be, 0-1, to be the same title
+const TITLE_SIMILARITY = 0.85;
+// Release years providers may disagree by, e.g. festival vs. theatrical release
+const YEAR_TOLERANCE = 1;
+
+/**
+ * Title without case, accents, punctuation, spacing or a leading article,
+ * so "The Matrix" and "Matrix" or "Spider-Man" and "Spiderman" compare equal
+ */
+const compactTitle = (title) => normalizeQuery(title)
+  .replace(/^(the|a|an) /, '')
+  .replace(/ /g, '');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const titleSimilarity = (a, b) => {
+  const left = compactTitle(a);
+  const right = compactTitle(b);
+  const length = Math.max(left.length, right.length);
+  return length === 0 ? 0 : 1 - levenshtein(left, right) / length;
+};
+
+/**
+ * Whether two candidates refer to the same title: a near-identical title
+ * and, when both have one, a release year at most a year apart
+ */
+const isSameTitle = (a, b) =>
+  titleSimilarity(a.title, b.title) >= TITLE_SIMILARITY &&
+  (!a.year || !b.year || Math.abs(a.year - b.year) <= YEAR_TOLERANCE);
+
+/**
+ * Merge the results of several providers into one ranking.
+ *
+ * `answers` is a list of { provider, results }. Candidates for the same
+ * title are merged, keeping the details of the most confident one. The
+ * combined confidence is the agreeing providers' average confidence,
+ * lowered when other providers didn't suggest the title. Each result lists
+ * the providers that agreed, with their confidence.
+ */
+const mergeProviderResults = (answers) => {
+  const groups = [];
+
+  answers
+    .flatMap(({ provider, results }) => results.map(result => ({ provider, result })))
+    .sort((a, b) => b.result.confidence - a.result.confidence)
+    .forEach(({ provider, result }) => {
+      const group = groups.find(candidate => isSameTitle(candidate.best, result));
+      if (!group) {
+        groups.push({ best: result, providers: new Map([[provider, result.confidence]]) });
+      } else if (!group.providers.has(provider)) {
+        // Candidates are visited most confident first, so a provider's best match wins
+        group.providers.set(provider, result.confidence);
+      }
+    });
+
+  return groups
+    .map(({ best, providers }) => {
+      const confidences = [...providers.values()];
+      const average = confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length;
+      const share = providers.size / answers.length;
+      return {
+        ...best,
+        confidence: Math.round(average * (0.6 + 0.4 * share)),
+        providers: [...providers].map(([provider, confidence]) => ({ provider, confidence }))
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence || b.providers.length - a.providers.length);
+};
+
+module.exports = {
+  isSameTitle,
+  titleSimilarity,
+  mergeProviderResults
+};
@@ -0,0 +1,67 @@
+const { db } = require('../config/database');
+const { pruneUsageRecords } = require('./usageService');
+const { pruneJobs } = require('./jobService');
+
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Default retention for users without their own setting, from env
+ */
+const getDefaultRetention = () => {
+  const maxAgeDays = parseInt(process.env.SEARCH_HISTORY_MAX_AGE_DAYS) || null;
+  const maxEntries = parseInt(process.env.SEARCH_HISTORY_MAX_ENTRIES) || null;
+  return maxAgeDays || maxEntries ? { maxAgeDays, maxEntries } : null;
+};
+
+/**
+ * Resolve the retention policy that applies to a user
+ */
+const getRetentionPolicy = (user) => user.searchHistoryRetention || getDefaultRetention();
+
+/**
+ * Apply every user's retention policy to the search history
+ */
+const sweepSearchHistory = async () => {
+  const users = await db.getUsers();
+  let removed = 0;
+
+  for (const user of users) {
+    const policy = getRetentionPolicy(user);
+    if (policy) {
+      removed += await db.pruneSearchHistory(user.id, policy);
+    }
+  }
+
+  return removed;
+};
+
+/**
+ * Run the sweeper, and the pruning of old AI usage records and finished
+ * identification jobs, periodically in the background
+ */
+const startHistorySweeper = (intervalMs = parseInt(process.env.SEARCH_HISTORY_SWEEP_INTERVAL_MS) || DEFAULT_SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(async () => {
+    try {
+      const removed = await sweepSearchHistory();
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} search history entries past retention`);
+      }
+      const pruned = await pruneUsageRecords();
+      if (pruned > 0) {
+        console.log(`🧹 Removed ${pruned} AI usage records past retention`);
+      }
+      const prunedJobs = await pruneJobs();
+      if (prunedJobs > 0) {
+        console.log(`🧹 Removed ${prunedJobs} finished identification jobs past retention`);
+      }
+    } catch (error) {
+      console.error('Search history sweep failed:', error);
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+};
+
+module.exports = { sweepSearchHistory, startHistorySweeper, getRetentionPolicy };
@@ -0,0 +1,128 @@
+const sharp = require('sharp');
+const { db } = require('../config/database');
+const { AIService } = require('./aiService');
+const { extractKeyframes, describeFrames } = require('./keyframeService');
+const { transcriptionService } = require('./transcriptionService');
+const { resultCache } = require('./resultCache');
+const { isEmailVerified } = require('./accountService');
+const { recordProviderCalls, getRemainingCalls } = require('./usageService');
+
+// Shared by the identify endpoints and background jobs
+const aiService = new AIService({ cache: resultCache });
+
+// Fields a catalog movie has in every store. Details of one search, such as
+// evidence frames, quotes or the providers that agreed, stay in its response.
+const CATALOG_FIELDS = [
+  'id', 'title', 'year', 'type', 'genre', 'rating', 'duration', 'description',
+  'poster', 'backdrop', 'cast', 'director', 'confidence', 'platforms'
+];
+
+const toCatalogMovie = (movie) => Object.fromEntries(
+  Object.entries(movie).filter(([field]) => CATALOG_FIELDS.includes(field))
+);
+
+/**
+ * Identify a search and build the response body for it. `file` is an
+ * upload with its buffer, mimetype, originalname and size, `userId` the
+ * user the search is saved for, and `userId` or else `ipAddress` who the
+ * provider calls are metered against. Calls `onProgress` with each stage as
+ * it completes. Aborting `signal` stops the search at the next stage.
+ */
+const identifySearch = async ({ type, query, mode, file, userId, ipAddress }, { onProgress = () => {}, signal } = {}) => {
+  let processedFile = null;
+  let frames = null;
+  let transcript = null;
+  if (file) {
+    // Process image files
+    if (file.mimetype.startsWith('image/')) {
+      processedFile = await sharp(file.buffer)
+        .resize(800, 600, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 85 })
+        .toBuffer();
+    } else {
+      processedFile = file.buffer;
+    }
+    signal?.throwIfAborted();
+    onProgress({ stage: 'upload_processed', size: file.size });
+
+    // Video clips are identified from distinct keyframes and their dialogue
+    if (type === 'video' && file.mimetype.startsWith('video/')) {
+      frames = await extractKeyframes(file.buffer);
+      signal?.throwIfAborted();
+      onProgress({ stage: 'frames_extracted', frames: frames.length });
+
+      transcript = await transcriptionService.transcribeClip(file.buffer).catch(error => {
+        // The frames alone can still identify the clip
+        console.error('Transcription failed:', error.message);
+        return null;
+      });
+      signal?.throwIfAborted();
+      if (transcript) {
+        onProgress({ stage: 'dialogue_transcribed', quotes: transcript.quotes.length });
+      }
+    }
+  }
+
+  // Prepare AI input
+  const aiInput = {
+    type,
+    mode,
+    content: processedFile || query,
+    query,
+    frames,
+    quotes: transcript?.quotes,
+    metadata: {
+      originalFilename: file?.originalname,
+      mimeType: file?.mimetype,
+      size: file?.size
+    }
+  };
+
+  // Process with AI, within what is left of the caller's quota
+  const maxCalls = await getRemainingCalls({ userId, ipAddress });
+  const startTime = Date.now();
+  const aiResponse = await aiService.identifyContent(aiInput, { onProgress, signal, maxCalls });
+  const processingTime = Date.now() - startTime;
+  // Calls made before a cancellation still count
+  await recordProviderCalls({ userId, ipAddress }, aiResponse.providersTried);
+  signal?.throwIfAborted();
+
+  // Save search history if user is authenticated and verified
+  const historyUser = userId && await db.findUserById(userId);
+  if (historyUser && isEmailVerified(historyUser) && aiResponse.success) {
+    await db.addSearchHistory(userId, {
+      type,
+      query: query || 'File upload',
+      results: aiResponse.results.length,
+      confidence: aiResponse.confidence,
+      processingTime,
+      provider: aiResponse.provider,
+      promptVersions: aiResponse.promptVersions
+    });
+  }
+
+  // Save identified movies to database. Results keep their ID in the
+  // catalog, and results already in the catalog take over its ID.
+  if (aiResponse.success) {
+    const catalogMovies = await db.findOrCreateMovies(aiResponse.results.map(toCatalogMovie));
+    aiResponse.results.forEach((movie, i) => {
+      movie.id = catalogMovies[i].id;
+    });
+  }
+
+  return {
+    success: aiResponse.success,
+    results: aiResponse.results,
+    processingTime,
+    confidence: aiResponse.confidence,
+    provider: aiResponse.provider || null,
+    providersTried: aiResponse.providersTried || [],
+    cached: aiResponse.cached || false,
+    ...(aiResponse.cached && { cachedAt: aiResponse.cachedAt }),
+    ...(frames && { frames: await describeFrames(frames) }),
+    ...(transcript && { transcript }),
+    error: aiResponse.error
+  };
+};
+
+module.exports = { aiService, identifySearch };
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/database');
+const { identifySearch } = require('./identificationService');
+
+const JOB_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Jobs that haven't finished and can still be cancelled
+const ACTIVE_STATUSES = [JOB_STATUSES.QUEUED, JOB_STATUSES.RUNNING];
+// Jobs that are done, with their result, and can be pruned
+const FINISHED_STATUSES = [JOB_STATUSES.SUCCEEDED, JOB_STATUSES.FAILED, JOB_STATUSES.CANCELLED];
+
+const DEFAULT_JOB_RETENTION_DAYS = 7;
+
+/**
+ * Worker settings, from env
+ */
+const getJobOptions = () => ({
+  concurrency: parseInt(process.env.AI_JOB_CONCURRENCY) || 2,
+  // Uploads wait here until their job has run
+  uploadDir: process.env.AI_JOB_UPLOAD_DIR || path.join(__dirname, '../data/job-uploads')
+});
+
+/**
+ * A job as returned to its owner, without where its upload is stored
+ */
+const toPublicJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  type: job.type,
+  query: job.query,
+  mode: job.mode,
+  progress: job.progress,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+/**
+ * In-process queue running identification jobs in the background, at most
+ * `concurrency` at a time. Job state lives in the database, so jobs that
+ * were queued or running when the server stopped are picked up by resume().
+ */
+class JobQueue {
+  constructor(options = {}) {
+    const { concurrency, uploadDir } = { ...getJobOptions(), ...options };
+    this.concurrency = concurrency;
+    this.uploadDir = uploadDir;
+    // Queued jobs, with their upload in case the record is gone when they start
+    this.pending = [];
+    // AbortControllers of running jobs by job ID
+    this.running = new Map();
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Store a search as a job and queue it. `file` is an upload with its
+   * buffer, which is kept on disk until the job has run. The job is
+   * metered against `userId`, or else `ipAddress`.
+   */
+  async enqueue({ type, query, mode, file, userId, ipAddress }) {
+    let upload = null;
+    if (file) {
+      await fs.promises.mkdir(this.uploadDir, { recursive: true });
+      upload = {
+        path: path.join(this.uploadDir, uuidv4()),
+        originalname: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size
+      };
+      await fs.promises.writeFile(upload.path, file.buffer);
+    }
+
+    const job = await db.createJob({
+      userId: userId || null,
+      ipAddress: ipAddress || null,
+      type,
+      query: query || null,
+      mode: mode || null,
+      upload
+    });
+    this.pending.push(job);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running job. A running job stops at its next stage.
+   * Resolves to the cancelled job, or null if it had already finished.
+   */
+  async cancel(jobId) {
+    const job = await db.updateJob(jobId, {
+      status: JOB_STATUSES.CANCELLED,
+      finishedAt: new Date().toISOString()
+    }, { fromStatuses: ACTIVE_STATUSES });
+    if (!job) return null;
+
+    this.pending = this.pending.filter(pending => pending.id !== jobId);
+    if (this.running.has(jobId)) {
+      this.running.get(jobId).abort();
+    } else {
+      await this.removeUpload(job);
+    }
+    return job;
+  }
+
+  /**
+   * Queue the jobs left unfinished by a restart, oldest first. Jobs that
+   * were running start over. Resolves to the number of jobs queued.
+   */
+  async resume() {
+    const jobs = await db.getJobsByStatus(ACTIVE_STATUSES);
+    for (const job of jobs) {
+      if (job.status === JOB_STATUSES.RUNNING) {
+        await db.updateJob(job.id, { status: JOB_STATUSES.QUEUED, startedAt: null, progress: [] }, {
+          fromStatuses: [JOB_STATUSES.RUNNING]
+        });
+      }
+      if (!this.pending.some(pending => pending.id === job.id) && !this.running.has(job.id)) {
+        this.pending.push(job);
+      }
+    }
+    this.drain();
+    return jobs.length;
+  }
+
+  /**
+   * Resolves once no job is queued or running
+   */
+  onIdle() {
+    if (this.pending.length === 0 && this.running.size === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const queued = this.pending.shift();
+      const jobId = queued.id;
+      const controller = new AbortController();
+      this.running.set(jobId, controller);
+
+      this.run(queued, controller.signal)
+        .catch(error => console.error(`Identification job ${jobId} failed:`, error))
+        .finally(() => {
+          this.running.delete(jobId);
+          this.drain();
+          if (this.pending.length === 0 && this.running.size === 0) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+          }
+        });
+    }
+  }
+
+  async run(queued, signal) {
+    const jobId = queued.id;
+    const job = await db.updateJob(jobId, {
+      status: JOB_STATUSES.RUNNING,
+      startedAt: new Date().toISOString()
+    }, { fromStatuses: [JOB_STATUSES.QUEUED] });
+    // Cancelled or deleted with its owner while it waited
+    if (!job) {
+      await this.removeUpload(queued);
+      return;
+    }
+
+    const progress = [];
+    let progressSaved = Promise.resolve();
+    try {
+      const file = job.upload && { ...job.upload, buffer: await fs.promises.readFile(job.upload.path) };
+      const result = await identifySearch(
+        { type: job.type, query: job.query, mode: job.mode, file, userId: job.userId, ipAddress: job.ipAddress },
+        {
+          signal,
+          onProgress: event => {
+            progress.push(event);
+            const snapshot = [...progress];
+            progressSaved = progressSaved.then(() =>
+              db.updateJob(jobId, { progress: snapshot }, { fromStatuses: [JOB_STATUSES.RUNNING] }));
+          }
+        }
+      );
+      await progressSaved;
+
+      await db.updateJob(jobId, {
+        status: result.success ? JOB_STATUSES.SUCCEEDED : JOB_STATUSES.FAILED,
+        result,
+        error: result.success ? null : result.error,
+        finishedAt: new Date().toISOString()
+      }, { fromStatuses: [JOB_STATUSES.RUNNING] });
+    } catch (error) {
+      await progressSaved.catch(() => {});
+      if (!signal.aborted) {
+        console.error(`Identification job ${jobId} failed:`, error);
+        await db.updateJob(jobId, {
+          status: JOB_STATUSES.FAILED,
+          error: error.statusCode ? error.message : 'AI processing error',
+          finishedAt: new Date().toISOString()
+        }, { fromStatuses: [JOB_STATUSES.RUNNING] });
+      }
+    } finally {
+      await this.removeUpload(job);
+    }
+  }
+
+  async removeUpload(job) {
+    if (job.upload) {
+      await fs.promises.rm(job.upload.path, { force: true });
+    }
+  }
+}
+
+const jobQueue = new JobQueue();
+
+/**
+ * Pick up the jobs left unfinished when the server last stopped
+ */
+const resumeJobs = async () => {
+  try {
+    const resumed = await jobQueue.resume();
+    if (resumed > 0) {
+      console.log(`⏳ Resumed ${resumed} identification jobs`);
+    }
+  } catch (error) {
+    console.error('Resuming identification jobs failed:', error);
+  }
+};
+
+/**
+ * Remove finished jobs, and their results, older than AI_JOB_RETENTION_DAYS.
+ * Resolves to the number of jobs removed.
+ */
+const pruneJobs = (now = new Date()) => {
+  const days = parseInt(process.env.AI_JOB_RETENTION_DAYS) || DEFAULT_JOB_RETENTION_DAYS;
+  return db.pruneJobs(FINISHED_STATUSES, new Date(now.getTime() - days * 24 * 60 * 60 * 1000));
+};
+
+module.exports = {
+  JobQueue,
+  JOB_STATUSES,
+  toPublicJob,
+  resumeJobs,
+  pruneJobs,
+  jobQueue
+};
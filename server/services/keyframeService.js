@@ -0,0 +1,233 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+/**
+ * Raised when a video clip can't be turned into frames or audio
+ */
+class VideoProcessingError extends Error {
+  constructor(message, statusCode = 422) {
+    super(message);
+    this.name = 'VideoProcessingError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Keyframe and audio sampling settings, from env
+ */
+const getKeyframeOptions = () => ({
+  ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+  maxFrames: parseInt(process.env.VIDEO_MAX_FRAMES) || 6,
+  // 0-1, how different a frame must be from the previous one to count as a new scene
+  sceneThreshold: parseFloat(process.env.VIDEO_SCENE_THRESHOLD) || 0.3,
+  frameWidth: 800,
+  // Only the start of long clips is transcribed
+  maxAudioSeconds: parseInt(process.env.VIDEO_MAX_AUDIO_SECONDS) || 120,
+  timeoutMs: parseInt(process.env.FFMPEG_TIMEOUT_MS) || 30 * 1000
+});
+
+// Keep only the end of a command's log, which has the frames and any error
+const MAX_LOG_LENGTH = 256 * 1024;
+
+/**
+ * The first frame plus every frame that starts a new scene, scaled down.
+ * showinfo logs the timestamp of each selected frame.
+ */
+const buildFfmpegArgs = (inputPath, outputPattern, { maxFrames, sceneThreshold, frameWidth }) => [
+  '-hide_banner',
+  '-nostdin',
+  '-i', inputPath,
+  '-vf', `select='eq(n,0)+gt(scene,${sceneThreshold})',showinfo,scale='min(${frameWidth},iw)':-2`,
+  '-vsync', 'vfr',
+  '-frames:v', String(maxFrames),
+  '-q:v', '3',
+  outputPattern
+];
+
+const parseFrameTimestamps = (log) =>
+  [...log.matchAll(/Parsed_showinfo\S*.*?\bpts_time:\s*(-?[\d.]+)/g)].map(match => parseFloat(match[1]));
+
+/**
+ * Run a command-line tool, killing it after `timeoutMs`. Resolves to its
+ * exit code and stderr, or rejects if it can't be started.
+ */
+const runProcess = (command, args, timeoutMs) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+  let log = '';
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    child.kill('SIGKILL');
+  }, timeoutMs);
+
+  child.stderr.on('data', chunk => {
+    log = (log + chunk).slice(-MAX_LOG_LENGTH);
+  });
+  child.on('error', error => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  child.on('close', code => {
+    clearTimeout(timer);
+    resolve({ code, log, timedOut });
+  });
+});
+
+const runFfmpeg = async (args, { ffmpegPath, timeoutMs }) => {
+  let outcome;
+  try {
+    outcome = await runProcess(ffmpegPath, args, timeoutMs);
+  } catch (error) {
+    throw error.code === 'ENOENT'
+      ? new VideoProcessingError('Video identification is unavailable: ffmpeg is not installed', 503)
+      : error;
+  }
+
+  if (outcome.timedOut) {
+    throw new VideoProcessingError('The video clip took too long to process');
+  }
+  return outcome;
+};
+
+const withClipFile = async (videoBuffer, fn) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cineai-clip-'));
+  try {
+    // A file rather than stdin, since MP4s often keep their index at the end
+    const inputPath = path.join(workDir, 'clip');
+    await fs.promises.writeFile(inputPath, videoBuffer);
+    return await fn(inputPath, workDir);
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Sample distinct frames from a clip with ffmpeg scene-change detection.
+ * Resolves to JPEG frames in clip order with their timestamp in seconds.
+ */
+const extractKeyframes = async (videoBuffer, options = {}) => {
+  const settings = { ...getKeyframeOptions(), ...options };
+
+  return withClipFile(videoBuffer, async (inputPath, workDir) => {
+    const { code, log } = await runFfmpeg(
+      buildFfmpegArgs(inputPath, path.join(workDir, 'frame-%03d.jpg'), settings),
+      settings
+    );
+    if (code !== 0) {
+      throw new VideoProcessingError('The video clip could not be read');
+    }
+
+    const timestamps = parseFrameTimestamps(log);
+    const frameFiles = (await fs.promises.readdir(workDir))
+      .filter(name => /^frame-\d+\.jpg$/.test(name))
+      .sort();
+
+    if (frameFiles.length === 0) {
+      throw new VideoProcessingError('No frames could be extracted from the video clip');
+    }
+
+    return Promise.all(frameFiles.map(async (name, index) => ({
+      index,
+      timestamp: timestamps[index] ?? null,
+      mimeType: 'image/jpeg',
+      image: await fs.promises.readFile(path.join(workDir, name))
+    })));
+  });
+};
+
+/**
+ * The clip's first audio track as 16 kHz mono WAV, the input speech
+ * recognizers expect. Resolves to null when the clip has no audio.
+ */
+const extractAudio = async (videoBuffer, options = {}) => {
+  const settings = { ...getKeyframeOptions(), ...options };
+
+  return withClipFile(videoBuffer, async (inputPath, workDir) => {
+    const outputPath = path.join(workDir, 'audio.wav');
+    const { code, log } = await runFfmpeg([
+      '-hide_banner',
+      '-nostdin',
+      '-i', inputPath,
+      '-map', '0:a:0?',
+      '-vn',
+      '-ac', '1',
+      '-ar', '16000',
+      '-t', String(settings.maxAudioSeconds),
+      '-f', 'wav',
+      outputPath
+    ], settings);
+
+    if (code !== 0) {
+      if (/does not contain any stream|matches no streams/.test(log)) return null;
+      throw new VideoProcessingError('The video clip could not be read');
+    }
+    return fs.promises.readFile(outputPath);
+  });
+};
+
+/**
+ * Frame index, timestamp and a small preview, for showing evidence to users
+ */
+const describeFrames = (frames) => Promise.all(frames.map(async frame => {
+  const thumbnail = await sharp(frame.image)
+    .resize(160, 90, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+
+  return {
+    index: frame.index,
+    timestamp: frame.timestamp,
+    thumbnail: `data:image/jpeg;base64,${thumbnail.toString('base64')}`
+  };
+}));
+
+const normalizeTitle = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Merge per-frame candidates into one ranked list. Candidates with the
+ * same title and year are combined, and a title recognized in more of the
+ * frames ranks higher. Each result lists its evidence frames.
+ */
+const aggregateFrameResults = (results, frames) => {
+  const groups = new Map();
+
+  results.forEach(({ frames: frameIndexes, ...result }) => {
+    const key = `${normalizeTitle(result.title)}|${result.year}`;
+    const group = groups.get(key) || { best: result, frames: new Set() };
+    if (result.confidence > group.best.confidence) group.best = result;
+    (frameIndexes || [])
+      .filter(index => index >= 0 && index < frames.length)
+      .forEach(index => group.frames.add(index));
+    groups.set(key, group);
+  });
+
+  return [...groups.values()]
+    .map(({ best, frames: evidence }) => {
+      const share = evidence.size / frames.length;
+      return {
+        ...best,
+        confidence: Math.round(best.confidence * (0.75 + 0.25 * share)),
+        evidence: [...evidence].sort((a, b) => a - b).map(index => ({
+          frame: index,
+          timestamp: frames[index].timestamp
+        }))
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence || b.evidence.length - a.evidence.length);
+};
+
+module.exports = {
+  VideoProcessingError,
+  getKeyframeOptions,
+  buildFfmpegArgs,
+  parseFrameTimestamps,
+  runProcess,
+  extractKeyframes,
+  extractAudio,
+  describeFrames,
+  aggregateFrameResults
+};
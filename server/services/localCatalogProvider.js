@@ -0,0 +1,157 @@
+const { db } = require('../config/database');
+
+// Words that say nothing about which title is meant
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'by', 'film', 'for', 'from', 'has', 'his', 'her',
+  'in', 'into', 'is', 'it', 'its', 'movie', 'of', 'on', 'one', 'or', 'series', 'show', 'that',
+  'the', 'their', 'this', 'to', 'tv', 'was', 'where', 'who', 'with'
+]);
+
+// How much a query term counts for, by the field it was found in
+const FIELD_WEIGHTS = {
+  title: 1,
+  cast: 0.9,
+  director: 0.9,
+  genre: 0.6,
+  description: 0.5
+};
+
+const MAX_CONFIDENCE = 95;
+const MIN_CONFIDENCE = 25;
+const MAX_RESULTS = 5;
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Match "hackers" with "hacker" without a full stemmer
+const stem = (token) => (token.length > 3 && token.endsWith('s') ? token.slice(0, -1) : token);
+
+const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+/**
+ * Offline provider that ranks the titles already in the catalog. It needs
+ * no network access and answers text and actor searches only.
+ */
+class LocalCatalogProvider {
+  constructor() {
+    this.name = 'Local Catalog';
+    this.model = null;
+    this.capabilities = ['text', 'actor'];
+  }
+
+  async identify(input) {
+    const startTime = Date.now();
+
+    if (!this.capabilities.includes(input.type)) {
+      return {
+        success: false,
+        results: [],
+        processingTime: 0,
+        confidence: 0,
+        error: `The local catalog cannot identify ${input.type} searches`,
+        status: 400
+      };
+    }
+
+    const query = typeof input.content === 'string' ? input.content : input.query;
+    const movies = await db.getMovies();
+    const score = input.type === 'actor'
+      ? movie => this.scoreActor(movie, query)
+      : movie => this.scoreText(movie, query);
+
+    const results = movies
+      .map(movie => ({ movie, confidence: Math.round(score(movie) * MAX_CONFIDENCE) }))
+      .filter(({ confidence }) => confidence >= MIN_CONFIDENCE)
+      .sort((a, b) => b.confidence - a.confidence || (b.movie.rating || 0) - (a.movie.rating || 0))
+      .slice(0, MAX_RESULTS)
+      .map(({ movie, confidence }) => this.toMovieResult(movie, confidence));
+
+    return {
+      success: true,
+      results,
+      processingTime: Date.now() - startTime,
+      confidence: results[0]?.confidence || 0
+    };
+  }
+
+  /**
+   * Share of the query terms found in the movie, each weighted by the best
+   * field it appears in. A query naming the full title scores near the top.
+   */
+  scoreText(movie, query) {
+    const queryTokens = tokenize(query);
+    const meaningful = queryTokens.filter(token => !STOP_WORDS.has(token));
+    const terms = [...new Set((meaningful.length > 0 ? meaningful : queryTokens).map(stem))];
+    if (terms.length === 0) return 0;
+
+    const fields = {
+      title: movie.title,
+      cast: toList(movie.cast).join(' '),
+      director: movie.director,
+      genre: toList(movie.genre).join(' '),
+      description: movie.description
+    };
+    const fieldTerms = Object.entries(fields).map(([field, text]) => ({
+      weight: FIELD_WEIGHTS[field],
+      tokens: new Set(tokenize(text).map(stem))
+    }));
+
+    const matched = terms.reduce((sum, term) => {
+      const weights = fieldTerms.filter(({ tokens }) => tokens.has(term)).map(({ weight }) => weight);
+      return sum + Math.max(0, ...weights);
+    }, 0);
+    let score = matched / terms.length;
+
+    const title = tokenize(movie.title).join(' ');
+    if (title && ` ${queryTokens.join(' ')} `.includes(` ${title} `)) {
+      score = Math.max(score, 1);
+    }
+    return score;
+  }
+
+  /**
+   * How well the query names someone in the cast or the director. A full
+   * name match scores high, a shared first or last name much lower.
+   */
+  scoreActor(movie, query) {
+    const nameTokens = tokenize(query);
+    if (nameTokens.length === 0) return 0;
+
+    const people = [...toList(movie.cast), ...toList(movie.director)];
+    return people.reduce((best, person) => {
+      const personTokens = tokenize(person);
+      const shared = nameTokens.filter(token => personTokens.includes(token)).length;
+      let score;
+      if (shared === nameTokens.length) {
+        score = shared === personTokens.length ? 1 : 0.9;
+      } else {
+        score = (shared / nameTokens.length) * 0.6;
+      }
+      return Math.max(best, score);
+    }, 0);
+  }
+
+  toMovieResult(movie, confidence) {
+    return {
+      id: movie.id,
+      title: movie.title,
+      year: movie.year,
+      type: movie.type,
+      genre: toList(movie.genre),
+      rating: movie.rating,
+      duration: movie.duration,
+      description: movie.description,
+      poster: movie.poster,
+      backdrop: movie.backdrop,
+      cast: toList(movie.cast),
+      director: movie.director,
+      confidence
+    };
+  }
+}
+
+module.exports = { LocalCatalogProvider };
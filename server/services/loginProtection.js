@@ -0,0 +1,114 @@
+const { db } = require('../config/database');
+const { AUDIT_ACTIONS, recordAudit } = require('./auditLog');
+
+/**
+ * Login throttling settings, from env
+ */
+const getLoginPolicy = () => ({
+  // Failed attempts allowed before each further attempt has to wait
+  delayAfterAttempts: parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3,
+  baseDelayMs: parseInt(process.env.LOGIN_BASE_DELAY_MS) || 1000,
+  maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS) || 30 * 1000,
+  // Failed attempts that lock the account
+  lockoutThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+  // How long a lockout lasts, and how long failures are remembered
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000
+});
+
+/**
+ * Wait required after `attempts` failures, doubling with each one
+ */
+const getLoginDelayMs = (attempts, policy = getLoginPolicy()) => {
+  if (attempts < policy.delayAfterAttempts) return 0;
+  return Math.min(policy.baseDelayMs * 2 ** (attempts - policy.delayAfterAttempts), policy.maxDelayMs);
+};
+
+/**
+ * Check whether a user may attempt to log in right now.
+ * Returns { allowed: true } or { allowed: false, reason: 'locked' | 'delayed', retryAfter }
+ * where retryAfter is in seconds.
+ */
+const checkLoginAllowed = (user, now = Date.now()) => {
+  const policy = getLoginPolicy();
+  const retryAfter = (until) => Math.ceil((until - now) / 1000);
+
+  const lockedUntil = user.lockedUntil ? new Date(user.lockedUntil).getTime() : 0;
+  if (lockedUntil > now) {
+    return { allowed: false, reason: 'locked', retryAfter: retryAfter(lockedUntil) };
+  }
+
+  const lastFailure = user.lastFailedLoginAt ? new Date(user.lastFailedLoginAt).getTime() : 0;
+  if (lastFailure > now - policy.lockoutMs) {
+    const nextAttemptAt = lastFailure + getLoginDelayMs(user.failedLoginAttempts || 0, policy);
+    if (nextAttemptAt > now) {
+      return { allowed: false, reason: 'delayed', retryAfter: retryAfter(nextAttemptAt) };
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Count a failed login and lock the account once the threshold is reached.
+ * Resolves to { locked, retryAfter }.
+ */
+const recordFailedLogin = async (user, { ipAddress } = {}) => {
+  const policy = getLoginPolicy();
+  const updated = await db.incrementFailedLogins(user.id, {
+    since: new Date(Date.now() - policy.lockoutMs)
+  });
+
+  if (!updated || updated.failedLoginAttempts < policy.lockoutThreshold) {
+    return { locked: false };
+  }
+
+  const lockedUntil = new Date(Date.now() + policy.lockoutMs).toISOString();
+  await db.updateUser(user.id, { lockedUntil });
+  await recordAudit(AUDIT_ACTIONS.ACCOUNT_LOCKED, {
+    targetUserId: user.id,
+    ipAddress,
+    details: { failedAttempts: updated.failedLoginAttempts, lockedUntil }
+  });
+
+  return { locked: true, retryAfter: Math.ceil(policy.lockoutMs / 1000) };
+};
+
+/**
+ * Clear failure tracking after a successful login
+ */
+const recordSuccessfulLogin = async (user) => {
+  if (user.failedLoginAttempts || user.lockedUntil) {
+    await db.updateUser(user.id, {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null
+    });
+  }
+};
+
+/**
+ * Lift a lockout on behalf of an admin
+ */
+const unlockAccount = async (user, { actorId, ipAddress } = {}) => {
+  const updated = await db.updateUser(user.id, {
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null
+  });
+  await recordAudit(AUDIT_ACTIONS.ACCOUNT_UNLOCKED, {
+    actorId,
+    targetUserId: user.id,
+    ipAddress,
+    details: { wasLockedUntil: user.lockedUntil || null }
+  });
+  return updated;
+};
+
+module.exports = {
+  getLoginPolicy,
+  getLoginDelayMs,
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Writes each message as a JSON file to an outbox directory instead of
+ * sending it. Used in development and tests so no SMTP server is needed.
+ */
+class FileTransport {
+  constructor({ outboxDir = path.join(__dirname, '../data/outbox') } = {}) {
+    this.outboxDir = outboxDir;
+    this.sequence = 0;
+  }
+
+  async send(message) {
+    fs.mkdirSync(this.outboxDir, { recursive: true });
+
+    const id = uuidv4();
+    const sentAt = new Date().toISOString();
+    // The sequence keeps messages sent within the same millisecond in order
+    this.sequence += 1;
+    const fileName = `${sentAt.replace(/[:.]/g, '-')}-${String(this.sequence).padStart(6, '0')}-${id}.json`;
+    const filePath = path.join(this.outboxDir, fileName);
+    fs.writeFileSync(filePath, JSON.stringify({ id, sentAt, ...message }, null, 2));
+
+    return { id, path: filePath };
+  }
+
+  /**
+   * Read every message in the outbox, oldest first
+   */
+  readMessages() {
+    if (!fs.existsSync(this.outboxDir)) return [];
+
+    return fs.readdirSync(this.outboxDir)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .map(name => JSON.parse(fs.readFileSync(path.join(this.outboxDir, name), 'utf8')));
+  }
+
+  clear() {
+    fs.rmSync(this.outboxDir, { recursive: true, force: true });
+  }
+}
+
+// Transport factories by name, selected with MAIL_TRANSPORT
+const transports = new Map([
+  ['file', () => new FileTransport({ outboxDir: process.env.MAIL_OUTBOX_DIR })]
+]);
+
+/**
+ * Register a transport factory, e.g. an SMTP or API-based sender.
+ * A transport is any object with an async send(message) method.
+ */
+const registerTransport = (name, factory) => {
+  transports.set(name, factory);
+};
+
+const createTransport = (name = process.env.MAIL_TRANSPORT || 'file') => {
+  const factory = transports.get(name);
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return factory();
+};
+
+/**
+ * Sends application email through a pluggable transport
+ */
+class MailService {
+  constructor(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport();
+    }
+    return this.transport;
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text, html }) {
+    return this.getTransport().send({
+      from: process.env.MAIL_FROM || 'CineAI <no-reply@cineai.com>',
+      to,
+      subject,
+      text,
+      html
+    });
+  }
+}
+
+const mailService = new MailService();
+
+module.exports = {
+  MailService,
+  FileTransport,
+  registerTransport,
+  createTransport,
+  mailService
+};
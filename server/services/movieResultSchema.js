@@ -0,0 +1,231 @@
+// Output format every model is asked for, shared with the browser's providers
+const { resultFormat: MOVIE_RESULT_FORMAT } = require('../prompts/defaultTemplates.json');
+
+/**
+ * Raised when a provider's output still doesn't match the MovieResult
+ * schema after the repair prompt
+ */
+class InvalidProviderOutputError extends Error {
+  constructor(provider, errors) {
+    super(`${provider} returned invalid results: ${errors.slice(0, 3).join('; ')}`);
+    this.name = 'InvalidProviderOutputError';
+    this.errors = errors;
+  }
+}
+
+const FIRST_RELEASE_YEAR = 1888;
+
+const TYPE_ALIASES = {
+  movie: 'movie',
+  film: 'movie',
+  feature: 'movie',
+  series: 'series',
+  'tv series': 'series',
+  'tv show': 'series',
+  show: 'series',
+  miniseries: 'series',
+  'web series': 'series'
+};
+
+// Titles models use when they could not identify anything
+const PLACEHOLDER_TITLES = /^(content identified|unknown( (movie|title|series))?|untitled|n\/a|none|movie\/series title)$/i;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+  const match = value.match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : NaN;
+};
+
+const toStringList = (value) => {
+  if (typeof value === 'string') value = value.split(',');
+  if (!Array.isArray(value)) return null;
+  return value.filter(item => typeof item === 'string').map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Validate one result, coercing what has an unambiguous meaning: year
+ * strings, ratings out of 100 or out of range, confidences given as a
+ * fraction, comma-separated lists. Returns the clean result or the errors.
+ */
+const validateMovieResult = (raw, path = 'result') => {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { errors: [`${path} must be an object`] };
+  }
+
+  const result = {};
+
+  const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+  if (!title) {
+    errors.push(`${path}.title is required`);
+  } else if (PLACEHOLDER_TITLES.test(title)) {
+    errors.push(`${path}.title "${title}" is a placeholder, not a real title`);
+  }
+  result.title = title;
+
+  // "1999", "1999-2003" and "(2010)" all mean the first year
+  const year = typeof raw.year === 'string' ? parseInt(raw.year.match(/\d{4}/)?.[0]) : raw.year;
+  const latestYear = new Date().getFullYear() + 5;
+  if (!Number.isInteger(year) || year < FIRST_RELEASE_YEAR || year > latestYear) {
+    errors.push(`${path}.year must be a year between ${FIRST_RELEASE_YEAR} and ${latestYear}`);
+  }
+  result.year = year;
+
+  const type = TYPE_ALIASES[String(raw.type || '').trim().toLowerCase()];
+  if (!type) {
+    errors.push(`${path}.type must be "movie" or "series"`);
+  }
+  result.type = type;
+
+  if (raw.genre !== undefined) {
+    const genre = toStringList(raw.genre);
+    if (!genre) errors.push(`${path}.genre must be a list of strings`);
+    result.genre = genre || [];
+  } else {
+    result.genre = [];
+  }
+
+  if (raw.rating !== undefined && raw.rating !== null) {
+    let rating = toNumber(raw.rating);
+    if (Number.isNaN(rating)) {
+      errors.push(`${path}.rating must be a number`);
+    } else {
+      // Ratings out of 100 are scaled down, anything else is clamped to 0-10
+      if (rating > 10 && rating <= 100) rating /= 10;
+      result.rating = Math.round(clamp(rating, 0, 10) * 10) / 10;
+    }
+  }
+
+  if (typeof raw.duration === 'number' && raw.duration > 0) {
+    result.duration = `${Math.round(raw.duration)} min`;
+  } else if (typeof raw.duration === 'string' && raw.duration.trim()) {
+    result.duration = raw.duration.trim();
+  }
+
+  if (raw.description !== undefined && typeof raw.description !== 'string') {
+    errors.push(`${path}.description must be a string`);
+  }
+  result.description = typeof raw.description === 'string' ? raw.description.trim() : '';
+
+  if (raw.cast !== undefined) {
+    const cast = toStringList(raw.cast);
+    if (!cast) errors.push(`${path}.cast must be a list of strings`);
+    result.cast = cast || [];
+  } else {
+    result.cast = [];
+  }
+
+  const director = Array.isArray(raw.director) ? toStringList(raw.director).join(', ') : raw.director;
+  if (director !== undefined && director !== null && typeof director !== 'string') {
+    errors.push(`${path}.director must be a string`);
+  } else if (director) {
+    result.director = director.trim();
+  }
+
+  let confidence = toNumber(raw.confidence);
+  if (Number.isNaN(confidence)) {
+    errors.push(`${path}.confidence must be a number from 0 to 100`);
+  } else {
+    // 0.87 means 87%
+    if (confidence > 0 && confidence <= 1 && !Number.isInteger(confidence)) confidence *= 100;
+    result.confidence = Math.round(clamp(confidence, 0, 100));
+  }
+
+  // Numbers of the video frames a result was recognized in
+  if (raw.frames !== undefined) {
+    const frames = Array.isArray(raw.frames) ? raw.frames.map(toNumber) : null;
+    if (!frames || frames.some(frame => !Number.isInteger(frame) || frame < 0)) {
+      errors.push(`${path}.frames must be a list of frame numbers`);
+    } else {
+      result.frames = frames;
+    }
+  }
+
+  // Fields set by the provider rather than the model
+  ['id', 'poster', 'backdrop'].forEach(field => {
+    if (typeof raw[field] === 'string' && raw[field]) result[field] = raw[field];
+  });
+
+  return errors.length > 0 ? { errors } : { result };
+};
+
+/**
+ * Validate a list of results. A single invalid result rejects the list,
+ * so the model is asked to repair the whole response.
+ */
+const validateMovieResults = (results) => {
+  if (!Array.isArray(results)) {
+    return { valid: false, errors: ['results must be an array'] };
+  }
+
+  const validated = results.map((raw, index) => validateMovieResult(raw, `results[${index}]`));
+  const errors = validated.flatMap(item => item.errors || []);
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+  return { valid: true, results: validated.map(item => item.result) };
+};
+
+/**
+ * Parse raw model text into validated results. Tolerates a markdown code
+ * fence or text around the JSON object, nothing else.
+ */
+const parseMovieResults = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { valid: false, errors: ['response is empty'] };
+  }
+
+  const unfenced = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(unfenced);
+  } catch (error) {
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    try {
+      parsed = JSON.parse(unfenced.slice(start, end + 1));
+    } catch (innerError) {
+      return { valid: false, errors: ['response is not valid JSON'] };
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.results)) {
+    return { valid: false, errors: ['response must be an object with a "results" array'] };
+  }
+  return validateMovieResults(parsed.results);
+};
+
+const buildRepairPrompt = (errors) =>
+  `Your previous response did not match the required format:\n- ${errors.join('\n- ')}\n` +
+  'Reply again with only the corrected JSON object. Leave out any result you cannot fix rather than inventing values.';
+
+/**
+ * Ask a model for results and re-prompt it once with the validation errors
+ * if its output is invalid. `complete(repairPrompt, previousOutput)` returns
+ * the model's raw text; both arguments are undefined on the first call.
+ * The repair is another billed request, so it is only sent when
+ * `takeCall()` allows one.
+ */
+const requestMovieResults = async (complete, provider, takeCall = () => true) => {
+  const output = await complete();
+  const validation = parseMovieResults(output);
+  if (validation.valid) return validation.results;
+  if (!takeCall()) throw new InvalidProviderOutputError(provider, validation.errors);
+
+  const repaired = parseMovieResults(await complete(buildRepairPrompt(validation.errors), output));
+  if (repaired.valid) return repaired.results;
+
+  throw new InvalidProviderOutputError(provider, repaired.errors);
+};
+
+module.exports = {
+  InvalidProviderOutputError,
+  MOVIE_RESULT_FORMAT,
+  validateMovieResult,
+  validateMovieResults,
+  parseMovieResults,
+  requestMovieResults
+};
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db } = require('../config/database');
+const { AUDIT_ACTIONS, recordAudit } = require('./auditLog');
+
+const DEFAULT_SCOPES = 'openid email profile';
+const PENDING_LOGIN_TTL_MS = 10 * 60 * 1000;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+/**
+ * Raised when an OIDC login can't be completed
+ */
+class OidcError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'OidcError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Providers configured through env. OIDC_PROVIDERS lists provider names and
+ * each one reads OIDC_<NAME>_ISSUER, _CLIENT_ID and _CLIENT_SECRET, plus the
+ * optional _DISPLAY_NAME, _SCOPES and _REDIRECT_URI. Incomplete entries are skipped.
+ */
+const getOidcProviders = () => (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean)
+  .map((name) => {
+    const env = (key) => process.env[`OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${key}`];
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    return {
+      name,
+      displayName: env('DISPLAY_NAME') || name,
+      issuer: env('ISSUER'),
+      clientId: env('CLIENT_ID'),
+      clientSecret: env('CLIENT_SECRET'),
+      scopes: env('SCOPES') || DEFAULT_SCOPES,
+      redirectUri: env('REDIRECT_URI') || `${frontendUrl}/auth/oidc/${name}/callback`
+    };
+  })
+  .filter(provider => provider.issuer && provider.clientId && provider.clientSecret);
+
+const getOidcProvider = (name) => getOidcProviders().find(provider => provider.name === name) || null;
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  } catch (error) {
+    throw new OidcError(`Identity provider is unreachable: ${error.message}`, 502);
+  }
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new OidcError(body.error_description || body.error || `Identity provider returned ${response.status}`, 502);
+  }
+  return body;
+};
+
+// Discovery documents and key sets, cached per issuer and JWKS URL
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const discover = async (issuer) => {
+  const cached = discoveryCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.config;
+
+  const config = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  discoveryCache.set(issuer, { config, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  return config;
+};
+
+/**
+ * Find the signing key for an ID token, refetching the key set once when
+ * the key ID is unknown so key rotation is picked up.
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let key = jwksCache.has(jwksUri) && findKey(jwksCache.get(jwksUri));
+  if (!key) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, keys);
+    key = findKey(keys);
+  }
+  if (!key) {
+    throw new OidcError('ID token is signed with an unknown key');
+  }
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+const clearOidcCache = () => {
+  discoveryCache.clear();
+  jwksCache.clear();
+};
+
+// Logins waiting for the provider callback, keyed by state. Kept in memory,
+// so the callback must reach the instance that started the login.
+const pendingLogins = new Map();
+
+const prunePendingLogins = (now = Date.now()) => {
+  for (const [state, pending] of pendingLogins) {
+    if (pending.expiresAt <= now) pendingLogins.delete(state);
+  }
+};
+
+const base64UrlSha256 = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+/**
+ * Start a login: build the provider's authorization URL with state, nonce
+ * and a PKCE challenge. The returned loginBinding stays with the browser
+ * that started the login and must come back with the callback, so a code
+ * and state from someone else's login can't be completed in it.
+ */
+const createAuthorizationUrl = async (provider) => {
+  const config = await discover(provider.issuer);
+
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const loginBinding = crypto.randomBytes(24).toString('base64url');
+
+  prunePendingLogins();
+  pendingLogins.set(state, {
+    provider: provider.name,
+    nonce,
+    codeVerifier,
+    bindingHash: base64UrlSha256(loginBinding),
+    expiresAt: Date.now() + PENDING_LOGIN_TTL_MS
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: base64UrlSha256(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+  return { authorizationUrl: `${config.authorization_endpoint}?${params}`, state, loginBinding };
+};
+
+const exchangeCode = async (provider, config, code, codeVerifier) => {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // Prefer client_secret_post, fall back to HTTP Basic as the spec default
+  const authMethods = config.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (authMethods.includes('client_secret_post')) {
+    params.set('client_id', provider.clientId);
+    params.set('client_secret', provider.clientSecret);
+  } else {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  return fetchJson(config.token_endpoint, { method: 'POST', headers, body: params });
+};
+
+const verifyIdToken = async (provider, config, idToken, nonce) => {
+  if (!idToken) {
+    throw new OidcError('Identity provider did not return an ID token', 502);
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OidcError('Malformed ID token');
+  }
+
+  const key = await getSigningKey(config.jwks_uri, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: config.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    throw new OidcError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError('ID token nonce does not match');
+  }
+  return claims;
+};
+
+/**
+ * Find the local user for verified ID token claims: an already linked
+ * identity first, then an account with the same verified email, otherwise
+ * a new account without a password.
+ */
+const resolveUser = async (provider, claims, { ipAddress } = {}) => {
+  const identity = await db.findUserIdentity(provider.name, claims.sub);
+  if (identity) {
+    const user = await db.findUserById(identity.userId);
+    if (user) {
+      await db.touchUserIdentity(identity.id);
+      return { user, created: false };
+    }
+  }
+
+  const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : '';
+  if (!email || claims.email_verified !== true) {
+    throw new OidcError('The identity provider did not supply a verified email address', 403);
+  }
+
+  let user = await db.findUserByEmail(email);
+  const created = !user;
+  if (!user) {
+    user = await db.createUser({
+      name: claims.name || email.split('@')[0],
+      email,
+      password: null,
+      role: 'user',
+      preferences: {},
+      emailVerified: true,
+      emailVerifiedAt: new Date().toISOString()
+    });
+  } else if (user.emailVerified === false) {
+    // Someone else may have registered this unverified address. The provider
+    // proved who owns it, so drop the password and sessions set up before.
+    user = await db.updateUser(user.id, {
+      password: null,
+      emailVerified: true,
+      emailVerifiedAt: new Date().toISOString()
+    });
+    await db.revokeUserSessions(user.id);
+  }
+
+  await db.createUserIdentity({
+    userId: user.id,
+    provider: provider.name,
+    subject: claims.sub,
+    email
+  });
+  await recordAudit(AUDIT_ACTIONS.IDENTITY_LINKED, {
+    targetUserId: user.id,
+    ipAddress,
+    details: { provider: provider.name, newAccount: created }
+  });
+
+  return { user, created };
+};
+
+/**
+ * Finish a login with the code and state from the provider callback and
+ * the loginBinding of the browser that started it. Resolves to { user, created }.
+ */
+const completeOidcLogin = async (provider, { code, state, loginBinding }, meta = {}) => {
+  prunePendingLogins();
+  const pending = pendingLogins.get(state);
+  pendingLogins.delete(state);
+  if (!pending || pending.provider !== provider.name) {
+    throw new OidcError('Invalid or expired login state', 400);
+  }
+
+  const bindingHash = base64UrlSha256(String(loginBinding || ''));
+  if (!crypto.timingSafeEqual(Buffer.from(bindingHash), Buffer.from(pending.bindingHash))) {
+    throw new OidcError('Login was started in another browser', 400);
+  }
+
+  const config = await discover(provider.issuer);
+  const tokens = await exchangeCode(provider, config, code, pending.codeVerifier);
+  const claims = await verifyIdToken(provider, config, tokens.id_token, pending.nonce);
+
+  return resolveUser(provider, claims, meta);
+};
+
+module.exports = {
+  OidcError,
+  getOidcProviders,
+  getOidcProvider,
+  createAuthorizationUrl,
+  completeOidcLogin,
+  clearOidcCache
+};
@@ -0,0 +1,106 @@
+const { db } = require('../config/database');
+const builtIn = require('../prompts/defaultTemplates.json');
+const { MOVIE_RESULT_FORMAT } = require('./movieResultSchema');
+
+// Templates under this name apply to providers without their own
+const DEFAULT_TEMPLATE_PROVIDER = 'default';
+
+// Built-in templates are version 1 of their provider and search type
+const BUILT_IN_VERSION = 1;
+
+// Variables the templates of each search type can use
+const TEMPLATE_VARIABLES = {
+  text: ['query', 'format'],
+  actor: ['query', 'format'],
+  image: ['format'],
+  video: ['frameCount', 'lastFrame', 'dialogue', 'format']
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Replace each {{name}} in a template with its variable
+ */
+const renderTemplate = (text, variables) =>
+  text.replace(VARIABLE_PATTERN, (_, name) => String(variables[name] ?? ''));
+
+/**
+ * Variables used in a template that its search type doesn't provide
+ */
+const findUnknownVariables = (type, texts) => {
+  const known = TEMPLATE_VARIABLES[type] || [];
+  const used = texts.flatMap(text => [...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]));
+  return [...new Set(used.filter(name => !known.includes(name)))];
+};
+
+const getBuiltInTemplate = (provider, type) => {
+  const template = builtIn.templates.find(t => t.provider === provider && t.type === type);
+  return template && { ...template, version: BUILT_IN_VERSION, builtIn: true, notes: null, createdBy: null, createdAt: null };
+};
+
+/**
+ * Every version of a provider's template for a search type, oldest first,
+ * starting with the built-in one if there is one
+ */
+const getTemplateVersions = async (provider, type) => {
+  const stored = await db.getPromptTemplates(provider, type);
+  const original = getBuiltInTemplate(provider, type);
+  return original ? [original, ...stored] : stored;
+};
+
+/**
+ * The template a provider uses for a search type: the latest version of
+ * its own, or else of the default template. Null if there is neither.
+ */
+const getActiveTemplate = async (provider, type) => {
+  for (const name of [provider, DEFAULT_TEMPLATE_PROVIDER]) {
+    const versions = await getTemplateVersions(name, type);
+    if (versions.length > 0) return versions[versions.length - 1];
+  }
+  return null;
+};
+
+/**
+ * Store a new version of a provider's template for a search type
+ */
+const saveTemplate = (provider, type, { system, prompt, notes }, createdBy) => db.addPromptTemplate({
+  provider,
+  type,
+  system,
+  prompt,
+  notes: notes || null,
+  createdBy
+}, { firstVersion: getBuiltInTemplate(provider, type) ? BUILT_IN_VERSION + 1 : 1 });
+
+/**
+ * The system and user prompts for an identification
+ */
+const renderPrompts = (template, input) => {
+  const frames = input.frames || [];
+  const quotes = input.quotes || [];
+  const variables = {
+    query: typeof input.content === 'string' ? input.content : input.query,
+    format: MOVIE_RESULT_FORMAT,
+    frameCount: frames.length,
+    lastFrame: frames.length - 1,
+    dialogue: quotes.length > 0
+      ? renderTemplate(builtIn.dialogue, { quotes: quotes.map(quote => `- ${JSON.stringify(quote.text)}`).join('\n') })
+      : ''
+  };
+  return {
+    system: renderTemplate(template.system, variables),
+    prompt: renderTemplate(template.prompt, variables)
+  };
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE_PROVIDER,
+  TEMPLATE_VARIABLES,
+  renderTemplate,
+  findUnknownVariables,
+  getBuiltInTemplate,
+  getTemplateVersions,
+  getActiveTemplate,
+  saveTemplate,
+  renderPrompts
+};
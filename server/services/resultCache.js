@@ -0,0 +1,195 @@
+const sharp = require('sharp');
+
+// 0 is a meaningful setting here, so an unset or invalid value falls back to the default instead
+const parseSetting = (value, defaultValue) => {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : defaultValue;
+};
+
+/**
+ * Cache settings, from env. A TTL of 0 turns the cache off.
+ */
+const getCacheOptions = () => ({
+  ttlMs: parseSetting(process.env.AI_CACHE_TTL_MS, 60 * 60 * 1000),
+  maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES) || 500,
+  // Differing bits out of 64 for two images to count as the same picture
+  imageDistance: parseSetting(process.env.AI_CACHE_IMAGE_DISTANCE, 4)
+});
+
+/**
+ * Lowercase, without accents, punctuation or extra whitespace, so
+ * "The Matrix!" and "the  matrix" share a cache entry
+ */
+const normalizeQuery = (query) => String(query)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * 64-bit difference hash of an image as 16 hex digits. It compares the
+ * brightness of neighbouring pixels in a 9x8 greyscale thumbnail, so
+ * resized or recompressed copies of a picture hash the same or nearly so.
+ */
+const perceptualHash = async (image) => {
+  const pixels = await sharp(image)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let column = 0; column < 8; column++) {
+      const offset = row * 9 + column;
+      hash = (hash << 1n) | (pixels[offset] > pixels[offset + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+const hammingDistance = (a, b) => {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (difference) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return distance;
+};
+
+/**
+ * Cache key for an identification request, or null when it can't be
+ * cached. Images are keyed by their perceptual hash, which is also
+ * returned for near-duplicate lookups, and searches by their normalized
+ * query. Ensemble answers are kept apart from single-provider ones.
+ */
+const buildCacheKey = async (input) => {
+  const scope = input.mode === 'ensemble' ? 'ensemble:' : '';
+
+  if (input.type === 'image' && Buffer.isBuffer(input.content)) {
+    // Images sharp can't decode are left to the providers, uncached
+    const imageHash = await perceptualHash(input.content).catch(() => null);
+    return imageHash && { key: `${scope}image:${imageHash}`, imageHash };
+  }
+  const text = input.query || (typeof input.content === 'string' && input.content);
+  if ((input.type === 'text' || input.type === 'actor') && text) {
+    const query = normalizeQuery(text);
+    return query ? { key: `${scope}${input.type}:${query}` } : null;
+  }
+  // Video clips differ too much between uploads to be worth caching
+  return null;
+};
+
+/**
+ * In-memory LRU cache of identification responses with a TTL. Image
+ * entries also match images within a few bits of their hash.
+ */
+class ResultCache {
+  constructor(options = {}) {
+    const { ttlMs, maxEntries, imageDistance } = { ...getCacheOptions(), ...options };
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.imageDistance = imageDistance;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  isEnabled() {
+    return this.ttlMs > 0 && this.maxEntries > 0;
+  }
+
+  isExpired(entry) {
+    return Date.now() - entry.storedAt >= this.ttlMs;
+  }
+
+  findSimilarImage(imageKey, imageHash) {
+    // Only images cached under the same kind of key, e.g. the same mode
+    const scope = imageKey.slice(0, -imageHash.length);
+    let closest = null;
+    for (const [key, entry] of this.entries) {
+      if (!entry.imageHash || !key.startsWith(scope) || this.isExpired(entry)) continue;
+      const distance = hammingDistance(imageHash, entry.imageHash);
+      if (distance <= this.imageDistance && (!closest || distance < closest.distance)) {
+        closest = { key, distance };
+      }
+    }
+    return closest?.key;
+  }
+
+  /**
+   * The cached response and when it was stored, or null on a miss
+   */
+  get(key, { imageHash } = {}) {
+    if (!this.isEnabled()) return null;
+
+    let entry = this.entries.get(key);
+    if (entry && this.isExpired(entry)) {
+      this.entries.delete(key);
+      entry = null;
+    }
+    if (!entry && imageHash) {
+      key = this.findSimilarImage(key, imageHash);
+      entry = key && this.entries.get(key);
+    }
+
+    if (!entry) {
+      this.misses += 1;
+      return null;
+    }
+
+    // Most recently used entries are kept longest
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits += 1;
+    return { value: structuredClone(entry.value), storedAt: new Date(entry.storedAt).toISOString() };
+  }
+
+  set(key, value, { imageHash } = {}) {
+    if (!this.isEnabled()) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), imageHash, storedAt: Date.now() });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove every entry. Returns how many were removed.
+   */
+  clear() {
+    const purged = this.entries.size;
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+    return purged;
+  }
+
+  getStats() {
+    return {
+      enabled: this.isEnabled(),
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+// Shared by the identify endpoint and the admin cache endpoints
+const resultCache = new ResultCache();
+
+module.exports = {
+  ResultCache,
+  getCacheOptions,
+  normalizeQuery,
+  perceptualHash,
+  hammingDistance,
+  buildCacheKey,
+  resultCache
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/database');
+
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+const getRefreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS) * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a token for storage. Only hashes are ever persisted.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const TWO_FACTOR_CHALLENGE_PURPOSE = 'two_factor_challenge';
+
+/**
+ * Sign a short-lived access token bound to a session family.
+ * `tfa` records whether the login passed a second factor.
+ */
+const signAccessToken = (user, sessionFamilyId, twoFactorVerified = false) => jwt.sign(
+  {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    sid: sessionFamilyId,
+    tfa: twoFactorVerified
+  },
+  getJwtSecret(),
+  { expiresIn: process.env.JWT_EXPIRE || '15m' }
+);
+
+/**
+ * Sign the token returned after the password step of a 2FA login.
+ * It only proves the password was correct and can't be used as an access token.
+ */
+const signChallengeToken = (user) => jwt.sign(
+  { id: user.id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+  getJwtSecret(),
+  { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+);
+
+/**
+ * Returns the user id from a challenge token, or null if it is invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    return payload.purpose === TWO_FACTOR_CHALLENGE_PURPOSE ? payload.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Store a new refresh token and sign a matching access token.
+ * A new login starts a new token family; rotations stay in the same family.
+ */
+const issueTokens = async (user, { familyId = uuidv4(), userAgent, ipAddress, twoFactorVerified = false } = {}) => {
+  const refreshToken = generateRefreshToken();
+  const expiresAt = new Date(Date.now() + getRefreshTokenTtlMs()).toISOString();
+
+  const session = await db.createSession({
+    userId: user.id,
+    familyId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt,
+    userAgent,
+    ipAddress,
+    twoFactorVerified
+  });
+
+  return {
+    session,
+    tokens: {
+      token: signAccessToken(user, familyId, twoFactorVerified),
+      refreshToken,
+      refreshTokenExpiresAt: expiresAt
+    }
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting a token that was already rotated or revoked is treated as
+ * theft: the whole family is revoked, logging out every holder. Disabled
+ * accounts and accounts that must reset their password can't refresh.
+ *
+ * Resolves to { status: 'ok', user, tokens } or { status: 'invalid' | 'expired' | 'reused' }.
+ */
+const rotateRefreshToken = async (refreshToken, meta = {}) => {
+  const session = await db.findSessionByTokenHash(hashToken(refreshToken));
+  if (!session) {
+    return { status: 'invalid' };
+  }
+
+  if (session.revokedAt) {
+    await db.revokeSessionFamily(session.familyId);
+    return { status: 'reused' };
+  }
+
+  if (new Date(session.expiresAt) <= new Date()) {
+    await db.revokeSessionFamily(session.familyId);
+    return { status: 'expired' };
+  }
+
+  const user = await db.findUserById(session.userId);
+  if (!user) {
+    return { status: 'invalid' };
+  }
+
+  // Accounts that may no longer log in lose their sessions too
+  if (user.disabled || user.passwordResetRequired) {
+    await db.revokeSessionFamily(session.familyId);
+    return { status: 'invalid' };
+  }
+
+  // A lockout is temporary, so keep the session for when it ends
+  if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+    return { status: 'invalid' };
+  }
+
+  // Claim the token atomically so two concurrent refreshes can't both succeed
+  const claimed = await db.revokeSession(session.id);
+  if (!claimed) {
+    await db.revokeSessionFamily(session.familyId);
+    return { status: 'reused' };
+  }
+
+  const { session: next, tokens } = await issueTokens(user, {
+    familyId: session.familyId,
+    twoFactorVerified: Boolean(session.twoFactorVerified),
+    ...meta
+  });
+
+  await db.updateSession(session.id, {
+    replacedBy: next.id,
+    lastUsedAt: new Date().toISOString()
+  });
+
+  return { status: 'ok', user, tokens };
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  issueTokens,
+  rotateRefreshToken,
+  getJwtSecret
+};
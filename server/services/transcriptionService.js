@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractAudio, runProcess } = require('./keyframeService');
+
+// Quotes sent to the model and returned with the results
+const MAX_QUOTES = 8;
+const MAX_QUOTE_LENGTH = 200;
+const MIN_QUOTE_WORDS = 3;
+
+/**
+ * Transcribes with a local whisper.cpp build. Runs the CLI on 16 kHz mono
+ * WAV and reads the JSON it writes next to the output prefix.
+ */
+class WhisperCppTranscriber {
+  constructor({
+    binaryPath = 'whisper-cli',
+    modelPath,
+    language = 'auto',
+    timeoutMs = 120 * 1000
+  } = {}) {
+    this.binaryPath = binaryPath;
+    this.modelPath = modelPath;
+    this.language = language;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async transcribe(audio) {
+    if (!this.modelPath) {
+      throw new Error('WHISPER_MODEL_PATH is not set');
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cineai-whisper-'));
+    try {
+      const audioPath = path.join(workDir, 'audio.wav');
+      const outputPrefix = path.join(workDir, 'transcript');
+      await fs.promises.writeFile(audioPath, audio);
+
+      const { code, log, timedOut } = await runProcess(this.binaryPath, [
+        '-m', this.modelPath,
+        '-f', audioPath,
+        '-l', this.language,
+        '-oj',
+        '-of', outputPrefix,
+        '-np'
+      ], this.timeoutMs);
+      if (timedOut) throw new Error('whisper.cpp timed out');
+      if (code !== 0) throw new Error(`whisper.cpp failed: ${log.trim().split('\n').pop()}`);
+
+      const output = JSON.parse(await fs.promises.readFile(`${outputPrefix}.json`, 'utf8'));
+      return {
+        language: output.result?.language || null,
+        segments: (output.transcription || []).map(segment => ({
+          start: segment.offsets.from / 1000,
+          end: segment.offsets.to / 1000,
+          text: segment.text
+        }))
+      };
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Returns fixed segments instead of listening to the audio. Used in tests
+ * and demos without a speech model.
+ */
+class StubTranscriber {
+  constructor(segments = [], language = 'en') {
+    this.segments = segments;
+    this.language = language;
+    this.calls = 0;
+  }
+
+  async transcribe() {
+    this.calls += 1;
+    return { language: this.language, segments: this.segments };
+  }
+}
+
+// Transcriber factories by name, selected with TRANSCRIBER
+const transcribers = new Map([
+  ['whisper-cpp', () => new WhisperCppTranscriber({
+    binaryPath: process.env.WHISPER_CPP_PATH,
+    modelPath: process.env.WHISPER_MODEL_PATH,
+    language: process.env.WHISPER_LANGUAGE,
+    timeoutMs: parseInt(process.env.WHISPER_TIMEOUT_MS) || undefined
+  })],
+  ['stub', () => new StubTranscriber()]
+]);
+
+/**
+ * Register a transcriber factory, e.g. for a hosted speech-to-text API.
+ * A transcriber is any object with an async transcribe(wavBuffer) method
+ * resolving to { language, segments: [{ start, end, text }] }.
+ */
+const registerTranscriber = (name, factory) => {
+  transcribers.set(name, factory);
+};
+
+/**
+ * Create the configured transcriber, or null when transcription is off
+ */
+const createTranscriber = (name = process.env.TRANSCRIBER) => {
+  if (!name || name === 'none') return null;
+
+  const factory = transcribers.get(name);
+  if (!factory) {
+    throw new Error(`Unknown transcriber: ${name}`);
+  }
+  return factory();
+};
+
+// Sound descriptions such as "[Music]" or "(applause)" aren't dialogue
+const isSoundDescription = (text) => /^[[(*♪].*[\])*♪]$/.test(text);
+
+/**
+ * Spoken lines worth quoting: real dialogue of a few words or more, in
+ * clip order, trimmed to a sensible length
+ */
+const selectQuotes = (segments) => segments
+  .filter(segment => !isSoundDescription(segment.text))
+  .filter(segment => segment.text.split(/\s+/).length >= MIN_QUOTE_WORDS)
+  .slice(0, MAX_QUOTES)
+  .map(segment => ({
+    ...segment,
+    text: segment.text.length > MAX_QUOTE_LENGTH ? `${segment.text.slice(0, MAX_QUOTE_LENGTH - 1)}…` : segment.text
+  }));
+
+/**
+ * Transcribes the dialogue of uploaded clips through a pluggable transcriber
+ */
+class TranscriptionService {
+  constructor(transcriber) {
+    this.transcriber = transcriber;
+  }
+
+  getTranscriber() {
+    if (this.transcriber === undefined) {
+      this.transcriber = createTranscriber();
+    }
+    return this.transcriber;
+  }
+
+  setTranscriber(transcriber) {
+    this.transcriber = transcriber;
+  }
+
+  /**
+   * Transcribe a video clip. Resolves to the language, full text and the
+   * quotes to use as evidence, or null when transcription is off or the
+   * clip has no audio.
+   */
+  async transcribeClip(videoBuffer) {
+    const transcriber = this.getTranscriber();
+    if (!transcriber) return null;
+
+    const audio = await extractAudio(videoBuffer);
+    if (!audio) return null;
+
+    const { language, segments } = await transcriber.transcribe(audio);
+    const spoken = segments
+      .map(segment => ({ start: segment.start, end: segment.end, text: String(segment.text || '').trim() }))
+      .filter(segment => segment.text);
+
+    return {
+      language: language || null,
+      text: spoken.map(segment => segment.text).join(' '),
+      quotes: selectQuotes(spoken)
+    };
+  }
+}
+
+const transcriptionService = new TranscriptionService();
+
+module.exports = {
+  TranscriptionService,
+  WhisperCppTranscriber,
+  StubTranscriber,
+  registerTranscriber,
+  createTranscriber,
+  selectQuotes,
+  transcriptionService
+};
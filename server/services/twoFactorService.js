@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const { hashToken } = require('./tokenService');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+const REQUIRED_ROLES_SETTING = 'twoFactorRequiredRoles';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * RFC 6238 time-based one-time password for a time step
+ */
+const generateTotp = (secret, step, digits = TOTP_DIGITS) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return code.toString().padStart(digits, '0');
+};
+
+const getTimeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Check a code against the current step and one step either side to allow
+ * for clock drift. Returns the matching step, or null.
+ */
+const verifyTotp = (secret, code, { now = Date.now(), window = 1 } = {}) => {
+  if (!/^\d{6}$/.test(String(code))) return null;
+
+  const current = getTimeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const buildOtpauthUrl = (email, secret) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'CineAI';
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Generate recovery codes. Returns the codes to show once and the hashes to store.
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+/**
+ * Start enrollment by storing a pending secret. 2FA stays off until a code
+ * from the authenticator app is confirmed.
+ */
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  await db.updateUser(user.id, { twoFactorPendingSecret: secret });
+  return { secret, otpauthUrl: buildOtpauthUrl(user.email, secret) };
+};
+
+/**
+ * Turn 2FA on if the code matches the pending secret.
+ * Resolves to the new recovery codes, or null if the code is wrong.
+ */
+const confirmEnrollment = async (user, code) => {
+  if (!user.twoFactorPendingSecret) return null;
+
+  const step = verifyTotp(user.twoFactorPendingSecret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await db.updateUser(user.id, {
+    twoFactorEnabled: true,
+    twoFactorSecret: user.twoFactorPendingSecret,
+    twoFactorPendingSecret: null,
+    twoFactorRecoveryCodes: hashes,
+    twoFactorLastUsedStep: step,
+    twoFactorEnabledAt: new Date().toISOString()
+  });
+  return codes;
+};
+
+const disableTwoFactor = (user) => db.updateUser(user.id, {
+  twoFactorEnabled: false,
+  twoFactorSecret: null,
+  twoFactorPendingSecret: null,
+  twoFactorRecoveryCodes: [],
+  twoFactorLastUsedStep: null,
+  twoFactorEnabledAt: null
+});
+
+const regenerateRecoveryCodes = async (user) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await db.updateUser(user.id, { twoFactorRecoveryCodes: hashes });
+  return codes;
+};
+
+/**
+ * Check an authenticator code or a recovery code for a user with 2FA on.
+ * Codes can't be reused: TOTP steps must move forward and recovery codes
+ * are removed once used.
+ *
+ * Resolves to { valid: false } or { valid: true, method, recoveryCodesRemaining }.
+ */
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (!user.twoFactorEnabled) return { valid: false };
+
+  if (code) {
+    const step = verifyTotp(user.twoFactorSecret, code);
+    const lastUsedStep = user.twoFactorLastUsedStep ?? -1;
+    if (step === null || step <= lastUsedStep) {
+      return { valid: false };
+    }
+    await db.updateUser(user.id, { twoFactorLastUsedStep: step });
+    return { valid: true, method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const remaining = (user.twoFactorRecoveryCodes || []).filter(stored => stored !== hash);
+    if (remaining.length === (user.twoFactorRecoveryCodes || []).length) {
+      return { valid: false };
+    }
+    await db.updateUser(user.id, { twoFactorRecoveryCodes: remaining });
+    return { valid: true, method: 'recovery_code', recoveryCodesRemaining: remaining.length };
+  }
+
+  return { valid: false };
+};
+
+// Role policy
+
+const getTwoFactorRequiredRoles = async () => (await db.getSetting(REQUIRED_ROLES_SETTING)) || [];
+
+const setTwoFactorRequiredRoles = (roles) => db.setSetting(REQUIRED_ROLES_SETTING, roles);
+
+const isTwoFactorRequired = async (role) => (await getTwoFactorRequiredRoles()).includes(role);
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  getTwoFactorRequiredRoles,
+  setTwoFactorRequiredRoles,
+  isTwoFactorRequired
+};
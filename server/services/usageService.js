@@ -0,0 +1,203 @@
+const { db } = require('../config/database');
+
+// Role whose quotas apply to callers who aren't signed in
+const ANONYMOUS_ROLE = 'anonymous';
+
+// The built-in catalog makes no API calls, so it isn't metered
+const UNMETERED_PROVIDERS = ['local'];
+
+const QUOTA_PERIODS = ['daily', 'monthly'];
+
+const DEFAULT_USAGE_RETENTION_DAYS = 90;
+
+// Provider calls allowed per period; 0 means unlimited
+const DEFAULT_QUOTAS = {
+  anonymous: { daily: 20, monthly: 200 },
+  user: { daily: 200, monthly: 3000 },
+  admin: { daily: 0, monthly: 0 }
+};
+
+// Estimated USD per million input and output tokens. Models not listed,
+// such as self-hosted ones, are counted as free.
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4-vision-preview': { input: 10, output: 30 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.0-pro-vision': { input: 0.5, output: 1.5 }
+};
+
+/**
+ * Model prices, with AI_MODEL_PRICES (JSON of the same shape) overriding
+ * and extending the defaults
+ */
+const getModelPrices = () => {
+  if (!process.env.AI_MODEL_PRICES) return DEFAULT_MODEL_PRICES;
+  try {
+    return { ...DEFAULT_MODEL_PRICES, ...JSON.parse(process.env.AI_MODEL_PRICES) };
+  } catch (error) {
+    console.error('AI_MODEL_PRICES is not valid JSON, using the default prices:', error.message);
+    return DEFAULT_MODEL_PRICES;
+  }
+};
+
+const estimateCost = (model, { inputTokens, outputTokens }) => {
+  const price = getModelPrices()[model];
+  if (!price) return 0;
+  const cost = (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+// Unset or malformed limits fall back to the default instead of lifting the quota
+const parseLimit = (value, defaultValue) => {
+  const parsed = value === undefined || value.trim() === '' ? NaN : Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : defaultValue;
+};
+
+/**
+ * Provider calls a role may make per period, from AI_QUOTA_<ROLE>_DAILY
+ * and AI_QUOTA_<ROLE>_MONTHLY. A limit of null means unlimited.
+ */
+const getQuota = (role) => {
+  const defaults = DEFAULT_QUOTAS[role] || DEFAULT_QUOTAS.user;
+  return Object.fromEntries(QUOTA_PERIODS.map(period => {
+    const value = process.env[`AI_QUOTA_${role.toUpperCase()}_${period.toUpperCase()}`];
+    const limit = parseLimit(value, defaults[period]);
+    return [period, limit > 0 ? limit : null];
+  }));
+};
+
+// Periods are calendar days and months in UTC
+const getPeriodStart = (period, now = new Date()) => (period === 'daily'
+  ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+  : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)));
+
+const getPeriodReset = (period, now = new Date()) => (period === 'daily'
+  ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+  : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)));
+
+/**
+ * Who a request's usage is metered against: the signed-in user, or the
+ * IP address of an anonymous caller
+ */
+const getUsageSubject = (req) => ({
+  userId: req.user?.id || null,
+  ipAddress: req.ip,
+  // Users stored without a role are regular users
+  role: req.user ? req.user.role || 'user' : ANONYMOUS_ROLE
+});
+
+/**
+ * Record the provider calls made for an identification, from its
+ * providersTried list. Skipped providers and the local catalog cost nothing.
+ */
+const recordProviderCalls = async ({ userId, ipAddress }, providersTried = []) => {
+  const calls = providersTried.filter(tried =>
+    tried.outcome !== 'skipped' && !UNMETERED_PROVIDERS.includes(tried.provider));
+
+  for (const tried of calls) {
+    const usage = tried.usage || { inputTokens: 0, outputTokens: 0 };
+    await db.addUsageRecord({
+      userId: userId || null,
+      ipAddress: ipAddress || null,
+      provider: tried.provider,
+      model: tried.model || null,
+      outcome: tried.outcome,
+      attempts: tried.attempts || 1,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      cost: estimateCost(tried.model, usage),
+      latency: tried.latency ?? null
+    });
+  }
+};
+
+// Each retry of a provider is a separate call to its API
+const summarize = (records) => ({
+  calls: records.reduce((sum, record) => sum + (record.attempts || 1), 0),
+  inputTokens: records.reduce((sum, record) => sum + record.inputTokens, 0),
+  outputTokens: records.reduce((sum, record) => sum + record.outputTokens, 0),
+  cost: Math.round(records.reduce((sum, record) => sum + record.cost, 0) * 1e6) / 1e6
+});
+
+/**
+ * Usage and quota of each period for a subject, and this month's usage
+ * by provider and model
+ */
+const getUsageReport = async (subject, now = new Date()) => {
+  const quota = getQuota(subject.role);
+  const records = await db.getUsageRecords(subject, getPeriodStart('monthly', now));
+
+  const periods = Object.fromEntries(QUOTA_PERIODS.map(period => {
+    const start = getPeriodStart(period, now);
+    const used = summarize(records.filter(record => new Date(record.createdAt) >= start));
+    return [period, {
+      ...used,
+      limit: quota[period],
+      remaining: quota[period] === null ? null : Math.max(0, quota[period] - used.calls),
+      resetAt: getPeriodReset(period, now).toISOString()
+    }];
+  }));
+
+  const byModel = new Map();
+  records.forEach(record => {
+    const key = `${record.provider}:${record.model}`;
+    byModel.set(key, [...(byModel.get(key) || []), record]);
+  });
+
+  return {
+    role: subject.role,
+    ...periods,
+    byProvider: [...byModel.values()].map(group => ({
+      provider: group[0].provider,
+      model: group[0].model,
+      ...summarize(group)
+    }))
+  };
+};
+
+/**
+ * The quota period a subject has used up, the one resetting last if
+ * several, or null if it may make more provider calls
+ */
+const findExceededQuota = async (subject, now = new Date()) => {
+  const report = await getUsageReport(subject, now);
+  const period = QUOTA_PERIODS.filter(name => report[name].remaining === 0).pop();
+  return period ? { period, ...report[period] } : null;
+};
+
+/**
+ * Provider calls a user, or an anonymous IP address, may still make before
+ * a quota runs out, or null if unlimited
+ */
+const getRemainingCalls = async ({ userId, ipAddress }, now = new Date()) => {
+  const user = userId && await db.findUserById(userId);
+  const role = user ? user.role || 'user' : ANONYMOUS_ROLE;
+  const report = await getUsageReport({ userId, ipAddress, role }, now);
+  const remaining = QUOTA_PERIODS.map(period => report[period].remaining).filter(value => value !== null);
+  return remaining.length > 0 ? Math.min(...remaining) : null;
+};
+
+/**
+ * Remove usage records older than AI_USAGE_RETENTION_DAYS. Records of the
+ * current month are always kept, as its quota counts them.
+ */
+const pruneUsageRecords = (now = new Date()) => {
+  const days = parseInt(process.env.AI_USAGE_RETENTION_DAYS) || DEFAULT_USAGE_RETENTION_DAYS;
+  const cutoff = Math.min(now.getTime() - days * 24 * 60 * 60 * 1000, getPeriodStart('monthly', now).getTime());
+  return db.pruneUsageRecords(new Date(cutoff));
+};
+
+module.exports = {
+  ANONYMOUS_ROLE,
+  getQuota,
+  estimateCost,
+  getUsageSubject,
+  recordProviderCalls,
+  getUsageReport,
+  findExceededQuota,
+  getRemainingCalls,
+  pruneUsageRecords
+};
@@ -1,9 +1,31 @@
 import React, { useState } from 'react';
-import { Search, Upload, Video, User, Star, Play, Clock, Calendar, Globe, Settings, Zap, Brain, ExternalLink } from 'lucide-react';
+import { Search, Upload, Video, User, Star, Play, Clock, Calendar, Globe, Settings, Zap, Brain, ExternalLink, CheckCircle, XCircle, Loader2 } from 'lucide-react';
 import { AISettings } from './components/AISettings';
 import { aiService } from './services/aiService';
-import { MovieResult, GoogleSearchResult } from './types/ai';
+import { streamIdentification, StreamUnavailableError } from './services/identificationStream';
+import { MovieResult, GoogleSearchResult, AIResponse, IdentificationProgress } from './types/ai';
 
+const describeStage = (progress: IdentificationProgress) => {
+  switch (progress.stage) {
+    case 'upload_processed':
+      return 'Upload processed';
+    case 'frames_extracted':
+      return `Extracted ${progress.frames} keyframes`;
+    case 'dialogue_transcribed':
+      return `Transcribed ${progress.quotes} lines of dialogue`;
+    case 'cache_hit':
+      return 'Found in recent identifications';
+    case 'provider_queried':
+      return `Asking ${progress.provider}...`;
+    case 'provider_finished':
+      if (progress.outcome === 'cancelled') return `${progress.provider} cancelled`;
+      return progress.outcome === 'failed'
+        ? `${progress.provider} failed: ${progress.error}`
+        : `${progress.provider} answered`;
+    case 'candidate':
+      return `${progress.provider} suggests ${progress.candidate?.title} (${progress.candidate?.year}), ${progress.candidate?.confidence}% confident`;
+  }
+};
 
 function App() {
   const [searchQuery, setSearchQuery] = useState('');
@@ -15,12 +37,14 @@ function App() {
   const [showSettings, setShowSettings] = useState(false);
   const [processingTime, setProcessingTime] = useState(0);
   const [aiProvider, setAiProvider] = useState('');
+  const [stages, setStages] = useState<IdentificationProgress[]>([]);
 
   const handleSearch = async () => {
     if (!searchQuery.trim() && !selectedFile) return;
     
     setIsSearching(true);
     setProcessingTime(0);
+    setStages([]);
     
     try {
       const input = {
@@ -29,13 +53,20 @@ function App() {
         query: searchQuery
       };
 
-      const response = await aiService.identifyContent(input);
+      let response: AIResponse;
+      try {
+        response = await streamIdentification(input, progress => setStages(current => [...current, progress]));
+      } catch (error) {
+        if (!(error instanceof StreamUnavailableError)) throw error;
+        // Without the API server, identify with the providers configured in the browser
+        response = await aiService.identifyContent(input);
+      }
       
       if (response.success) {
         setSearchResults(response.results);
         setGoogleResults(response.googleResults || []);
         setProcessingTime(response.processingTime);
-        setAiProvider(aiService.getCurrentProvider());
+        setAiProvider(response.provider || aiService.getCurrentProvider());
       } else {
         console.error('AI identification failed:', response.error);
         // Show error message to user
@@ -321,6 +352,30 @@ function App() {
                 'Identify with AI'
               )}
             </button>
+
+            {/* Identification progress */}
+            {isSearching && stages.length > 0 && (
+              <ul className="space-y-2">
+                {stages
+                  // A provider's answer replaces the line saying it is being asked
+                  .filter(progress => progress.stage !== 'provider_queried' || !stages.some(later =>
+                    later.stage === 'provider_finished' && later.provider === progress.provider))
+                  .map((progress, index) => (
+                    <li key={index} className="flex items-center gap-3 text-sm text-gray-300">
+                      {progress.stage === 'provider_queried' ? (
+                        <Loader2 className="text-blue-400 animate-spin flex-shrink-0" size={16} />
+                      ) : progress.outcome === 'failed' ? (
+                        <XCircle className="text-red-400 flex-shrink-0" size={16} />
+                      ) : progress.outcome === 'cancelled' ? (
+                        <XCircle className="text-gray-400 flex-shrink-0" size={16} />
+                      ) : (
+                        <CheckCircle className="text-green-400 flex-shrink-0" size={16} />
+                      )}
+                      {describeStage(progress)}
+                    </li>
+                  ))}
+              </ul>
+            )}
           </div>
         </div>
 
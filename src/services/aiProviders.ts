@@ -1,6 +1,7 @@
 import OpenAI from 'openai';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { AIProvider, AIInput, AIResponse, MovieResult } from '../types/ai';
+import { renderBuiltInPrompt, RenderedPrompt } from './promptTemplates';
 
 // OpenAI GPT-4 Vision Provider
 class OpenAIProvider implements AIProvider {
@@ -20,21 +21,21 @@ class OpenAIProvider implements AIProvider {
     try {
       let prompt = '';
       let imageUrl = '';
+      let system = renderBuiltInPrompt('default', 'text').system;
 
       switch (input.type) {
         case 'text':
-          prompt = `Identify movies or TV series based on this description: "${input.content}". Return detailed information including title, year, genre, cast, director, and streaming platforms.`;
+        case 'actor':
+          ({ system, prompt } = renderBuiltInPrompt('default', input.type, String(input.content)));
           break;
         case 'image':
           if (input.content instanceof File) {
             imageUrl = await this.fileToBase64(input.content);
-            prompt = 'Analyze this image and identify the movie or TV series. Look for actors, scenes, logos, or any visual clues. Provide detailed information about the identified content.';
+            ({ system, prompt } = renderBuiltInPrompt('default', 'image'));
           }
           break;
-        case 'actor':
-          prompt = `Find movies and TV series featuring the actor/actress: "${input.content}". Include their most popular and recent works with detailed information.`;
-          break;
         case 'video':
+          // The server's video prompt describes extracted keyframes, which the browser doesn't have
           prompt = 'This is a video clip from a movie or TV series. Analyze the visual content, actors, scenes, and dialogue to identify the source material.';
           break;
       }
@@ -42,30 +43,7 @@ class OpenAIProvider implements AIProvider {
       const messages: any[] = [
         {
           role: 'system',
-          content: `You are an expert movie and TV series identification AI. Always respond with a JSON object containing an array of identified content with the following structure:
-          {
-            "results": [
-              {
-                "title": "Movie/Series Title",
-                "year": 2023,
-                "type": "movie" or "series",
-                "genre": ["Action", "Drama"],
-                "rating": 8.5,
-                "duration": "120 min" or "45 min/episode",
-                "description": "Brief description",
-                "cast": ["Actor 1", "Actor 2"],
-                "director": "Director Name",
-                "confidence": 95,
-                "platforms": [
-                  {
-                    "name": "Netflix",
-                    "available": true,
-                    "subscription": true
-                  }
-                ]
-              }
-            ]
-          }`
+          content: system
         }
       ];
 
@@ -101,7 +79,7 @@ class OpenAIProvider implements AIProvider {
         success: true,
         results: parsedResponse.results.map((result: any) => ({
           ...result,
-          id: Math.random().toString(36).substr(2, 9),
+          id: crypto.randomUUID(),
           poster: this.generatePosterUrl(result.title),
           backdrop: this.generateBackdropUrl(result.title)
         })),
@@ -159,7 +137,8 @@ class GeminiProvider implements AIProvider {
 
       switch (input.type) {
         case 'text':
-          prompt = `Identify movies or TV series based on this description: "${input.content}". Provide detailed JSON response with title, year, genre, cast, director, and streaming availability.`;
+        case 'actor':
+          prompt = this.withFormat(renderBuiltInPrompt('gemini', input.type, String(input.content)));
           break;
         case 'image':
           if (input.content instanceof File) {
@@ -170,12 +149,9 @@ class GeminiProvider implements AIProvider {
                 mimeType: input.content.type
               }
             }];
-            prompt = 'Analyze this image to identify the movie or TV series. Look for actors, scenes, text, or visual elements that can help identify the content.';
+            prompt = this.withFormat(renderBuiltInPrompt('gemini', 'image'));
           }
           break;
-        case 'actor':
-          prompt = `Find movies and TV series featuring: "${input.content}". Include popular works with detailed information in JSON format.`;
-          break;
       }
 
       const result = await model.generateContent([prompt, ...imageParts]);
@@ -188,7 +164,7 @@ class GeminiProvider implements AIProvider {
 
       return {
         success: true,
-        results: parsedResponse,
+        results: parsedResponse.map(result => ({ ...result, id: crypto.randomUUID() })),
         processingTime,
         confidence: 88
       };
@@ -204,6 +180,11 @@ class GeminiProvider implements AIProvider {
     }
   }
 
+  // Gemini takes no system message, so it follows the prompt
+  private withFormat({ system, prompt }: RenderedPrompt): string {
+    return `${prompt}\n\n${system}`;
+  }
+
   private async fileToArrayBuffer(file: File): Promise<ArrayBuffer> {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -0,0 +1,104 @@
+import { AIInput, AIResponse, IdentificationProgress } from '../types/ai';
+
+interface StreamEvent {
+  event: string;
+  data: string;
+}
+
+const parseEvent = (block: string): StreamEvent => {
+  const event: StreamEvent = { event: 'message', data: '' };
+  block.split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    const field = line.slice(0, separator);
+    const value = line.slice(separator + 1).trimStart();
+    if (field === 'event') event.event = value;
+    if (field === 'data') event.data += value;
+  });
+  return event;
+};
+
+/**
+ * Raised when the identification endpoint can't be reached at all, as
+ * opposed to the server answering with an error of its own
+ */
+export class StreamUnavailableError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'StreamUnavailableError';
+  }
+}
+
+// Statuses meaning the API server isn't there, rather than that it refused the search
+const UNAVAILABLE_STATUSES = [404, 502, 503, 504];
+
+const errorResponse = (message: string): AIResponse => ({
+  success: false, results: [], processingTime: 0, confidence: 0, error: message
+});
+
+/**
+ * Identify a search on the server, calling `onProgress` as each stage
+ * completes. Resolves to the final response, including the server's own
+ * rejections (quota, validation, authentication) as unsuccessful responses.
+ * Rejects with a `StreamUnavailableError` only when the server can't be
+ * reached, so callers can fall back to the browser providers.
+ */
+export const streamIdentification = async (
+  input: AIInput,
+  onProgress: (progress: IdentificationProgress) => void
+): Promise<AIResponse> => {
+  let body: FormData | string;
+  const headers: Record<string, string> = {};
+  if (input.content instanceof File) {
+    body = new FormData();
+    body.append('type', input.type);
+    body.append('file', input.content);
+  } else {
+    body = JSON.stringify({ type: input.type, query: input.content });
+    headers['Content-Type'] = 'application/json';
+  }
+
+  let response: Response;
+  try {
+    response = await fetch('/api/ai/identify/stream', { method: 'POST', headers, body });
+  } catch (error) {
+    throw new StreamUnavailableError(`Identification server unreachable: ${(error as Error).message}`);
+  }
+
+  if (UNAVAILABLE_STATUSES.includes(response.status)) {
+    throw new StreamUnavailableError(`Identification stream unavailable (HTTP ${response.status})`);
+  }
+  if (!response.ok) {
+    const payload = await response.json().catch(() => null);
+    return errorResponse(payload?.message || `Identification failed (HTTP ${response.status})`);
+  }
+  if (!response.body || !response.headers.get('Content-Type')?.startsWith('text/event-stream')) {
+    throw new StreamUnavailableError(`Identification stream unavailable (HTTP ${response.status})`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop() || '';
+    for (const block of blocks) {
+      const { event, data } = parseEvent(block);
+      if (event === 'progress') {
+        onProgress(JSON.parse(data));
+      } else if (event === 'result') {
+        return JSON.parse(data);
+      } else if (event === 'error') {
+        const { message } = JSON.parse(data);
+        return errorResponse(message);
+      }
+    }
+
+    if (done) {
+      throw new Error('Identification stream ended without a result');
+    }
+  }
+};
@@ -0,0 +1,31 @@
+import defaultTemplates from '../../server/prompts/defaultTemplates.json';
+
+export interface PromptTemplate {
+  provider: string;
+  type: string;
+  system: string;
+  prompt: string;
+}
+
+export interface RenderedPrompt {
+  system: string;
+  prompt: string;
+}
+
+/**
+ * The server's built-in prompts for a provider and search type, so the
+ * browser providers ask the same questions. Versions edited by admins only
+ * apply to identifications on the server.
+ */
+export const renderBuiltInPrompt = (
+  provider: 'default' | 'gemini',
+  type: 'text' | 'image' | 'actor',
+  query = ''
+): RenderedPrompt => {
+  const template = (defaultTemplates.templates as PromptTemplate[])
+    .find(t => t.provider === provider && t.type === type) as PromptTemplate;
+  const variables: Record<string, string> = { query, format: defaultTemplates.resultFormat };
+  const render = (text: string) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name: string) => variables[name] ?? '');
+
+  return { system: render(template.system), prompt: render(template.prompt) };
+};
@@ -15,9 +15,29 @@ export interface AIResponse {
   googleResults?: GoogleSearchResult[];
   processingTime: number;
   confidence: number;
+  provider?: string | null;
+  cached?: boolean;
   error?: string;
 }
 
+// Progress reported by the server while it identifies a search
+export interface IdentificationProgress {
+  stage:
+    | 'upload_processed'
+    | 'frames_extracted'
+    | 'dialogue_transcribed'
+    | 'cache_hit'
+    | 'provider_queried'
+    | 'provider_finished'
+    | 'candidate';
+  provider?: string;
+  outcome?: 'success' | 'failed' | 'cancelled';
+  error?: string;
+  frames?: number;
+  quotes?: number;
+  candidate?: Pick<MovieResult, 'title' | 'year' | 'type' | 'confidence'>;
+}
+
 export interface GoogleSearchResult {
   title: string;
   link: string;
@@ -0,0 +1,7 @@
+-- Per-user search history retention
+-- Shape: {"maxAgeDays": 90, "maxEntries": 500}; NULL keeps history forever
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS search_history_retention JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_search_history_user_created_at
+    ON search_history(user_id, created_at DESC);
@@ -0,0 +1,17 @@
+-- Refresh token rotation
+-- Each row in user_sessions is one refresh token (stored as a SHA-256 hash).
+-- Rotating a token revokes its row and inserts a new one in the same family;
+-- replaying a revoked token revokes the whole family.
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS family_id UUID;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS replaced_by UUID;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64);
+
+UPDATE user_sessions SET family_id = id WHERE family_id IS NULL;
+ALTER TABLE user_sessions ALTER COLUMN family_id SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_sessions_token_hash ON user_sessions(token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_family_id ON user_sessions(family_id);
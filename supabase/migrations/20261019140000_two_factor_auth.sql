@@ -0,0 +1,20 @@
+-- TOTP two-factor authentication
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_pending_secret VARCHAR(64);
+-- SHA-256 hashes of unused recovery codes
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_recovery_codes JSONB NOT NULL DEFAULT '[]';
+-- Last accepted TOTP time step, so a code can't be replayed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_used_step INTEGER;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP WITH TIME ZONE;
+
+-- Whether the session's login passed the second factor
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS two_factor_verified BOOLEAN NOT NULL DEFAULT false;
+
+-- Application-wide settings, e.g. roles that must use 2FA
+CREATE TABLE IF NOT EXISTS app_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
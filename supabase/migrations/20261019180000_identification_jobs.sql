@@ -0,0 +1,23 @@
+-- Identification jobs run in the background by the server's worker queue.
+-- Uploads wait on the server's disk; upload holds their path and metadata.
+
+CREATE TABLE IF NOT EXISTS identification_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+    search_type VARCHAR(20) NOT NULL,
+    query TEXT,
+    mode VARCHAR(20),
+    upload JSONB,
+    progress JSONB NOT NULL DEFAULT '[]',
+    result JSONB,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_identification_jobs_status ON identification_jobs(status);
+CREATE INDEX IF NOT EXISTS idx_identification_jobs_user_id ON identification_jobs(user_id);
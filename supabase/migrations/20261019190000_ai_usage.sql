@@ -0,0 +1,23 @@
+-- AI provider calls metered per user, or per IP address for anonymous
+-- callers, for usage reports and quotas. Cost is an estimate in USD.
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    ip_address VARCHAR(64),
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100),
+    outcome VARCHAR(20) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    latency_ms INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_id_created_at ON ai_usage(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ip_address_created_at ON ai_usage(ip_address, created_at);
+
+-- Background jobs of anonymous callers are metered against their IP address
+ALTER TABLE identification_jobs ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64);
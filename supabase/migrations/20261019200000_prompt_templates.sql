@@ -0,0 +1,18 @@
+-- Versions of the identification prompt templates edited by admins. The
+-- built-in templates ship with the server and aren't stored here.
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    provider VARCHAR(50) NOT NULL,
+    search_type VARCHAR(20) NOT NULL,
+    version INTEGER NOT NULL,
+    system_prompt TEXT NOT NULL,
+    prompt TEXT NOT NULL,
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, search_type, version)
+);
+
+-- The template version each provider was asked with
+ALTER TABLE search_history ADD COLUMN IF NOT EXISTS prompt_versions JSONB;
@@ -0,0 +1,12 @@
+-- One catalog entry per title (ignoring case) and year, so identified
+-- movies can be saved with INSERT ... ON CONFLICT. Duplicates keep the
+-- oldest entry.
+
+DELETE FROM movies a
+    USING movies b
+    WHERE lower(a.title) = lower(b.title)
+      AND a.year = b.year
+      AND (a.created_at, a.id) > (b.created_at, b.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_movies_title_year_unique
+    ON movies(lower(title), year);
@@ -0,0 +1,407 @@
+const zlib = require('zlib');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../server/index');
+const { db } = require('../server/config/database');
+const { resultCache } = require('../server/services/resultCache');
+
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Admin Endpoints', () => {
+  let admin;
+  let adminToken;
+  let userToken;
+
+  beforeEach(async () => {
+    admin = await db.createUser(global.testUtils.createTestUser({
+      email: 'admin@example.com',
+      password: 'hashed-admin-password',
+      role: 'admin'
+    }));
+    const user = await db.createUser(global.testUtils.createTestUser({
+      email: 'user@example.com',
+      password: 'hashed-user-password',
+      role: 'user'
+    }));
+    await db.addMovie(global.testUtils.createTestMovie({ title: 'The Matrix' }));
+    await db.addSearchHistory(user.id, { type: 'text', query: 'simulation hackers' });
+
+    adminToken = await global.testUtils.createAuthToken(admin);
+    userToken = await global.testUtils.createAuthToken(user);
+  });
+
+  const downloadBackup = () => request(app)
+    .get('/api/admin/backup')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .buffer(true)
+    .parse(binaryParser)
+    .expect(200);
+
+  describe('GET /api/admin/backup', () => {
+    it('should stream a versioned archive of all data', async () => {
+      const response = await downloadBackup();
+
+      expect(response.headers['content-type']).toBe('application/gzip');
+      const archive = JSON.parse(zlib.gunzipSync(response.body).toString('utf8'));
+      expect(archive.format).toBe('cineai-backup');
+      expect(archive.version).toBe(1);
+      expect(archive.data.users).toHaveLength(2);
+      expect(archive.data.movies).toHaveLength(1);
+      expect(archive.data.searchHistory).toHaveLength(1);
+      expect(archive.counts).toEqual({ users: 2, movies: 1, searchHistory: 1 });
+
+      const [entry] = await db.getAuditLog({ action: 'backup.downloaded' });
+      expect(entry).toMatchObject({ actorId: admin.id });
+    });
+
+    it('should reject non-admin users', async () => {
+      await request(app)
+        .get('/api/admin/backup')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/admin/restore', () => {
+    it('should restore a downloaded archive', async () => {
+      const backup = await downloadBackup();
+
+      await db.saveMovies([]);
+      await db.saveSearchHistory([]);
+
+      const response = await request(app)
+        .post('/api/admin/restore')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('archive', backup.body, 'backup.json.gz')
+        .expect(200);
+
+      expect(response.body.restored).toEqual({ users: 2, movies: 1, searchHistory: 1 });
+      expect(db.getMovies()[0].title).toBe('The Matrix');
+      expect(db.getAllSearchHistory()).toHaveLength(1);
+
+      const [entry] = await db.getAuditLog({ action: 'backup.restored' });
+      expect(entry).toMatchObject({ actorId: admin.id });
+      expect(entry.details.restored).toEqual({ users: 2, movies: 1, searchHistory: 1 });
+    });
+
+    it('should restore users created through single sign-on', async () => {
+      await db.createUser(global.testUtils.createTestUser({
+        email: 'sso@example.com',
+        password: null,
+        role: 'user'
+      }));
+      const backup = await downloadBackup();
+
+      const response = await request(app)
+        .post('/api/admin/restore')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('archive', backup.body, 'backup.json.gz')
+        .expect(200);
+
+      expect(response.body.restored.users).toBe(3);
+      const restored = db.getUsers().find(user => user.email === 'sso@example.com');
+      expect(restored.password).toBeNull();
+    });
+
+    it('should reject an archive with dangling references', async () => {
+      const archive = {
+        format: 'cineai-backup',
+        version: 1,
+        data: {
+          users: [],
+          movies: [],
+          searchHistory: [{ id: 'entry-1', userId: 'missing-user' }]
+        }
+      };
+
+      const response = await request(app)
+        .post('/api/admin/restore')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('archive', Buffer.from(JSON.stringify(archive)), 'backup.json')
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid backup archive');
+      expect(response.body.errors[0]).toContain('unknown user');
+      expect(db.getUsers()).toHaveLength(2);
+    });
+
+    it('should reject an archive from a newer version', async () => {
+      const archive = {
+        format: 'cineai-backup',
+        version: 99,
+        data: { users: [], movies: [], searchHistory: [] }
+      };
+
+      const response = await request(app)
+        .post('/api/admin/restore')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('archive', Buffer.from(JSON.stringify(archive)), 'backup.json')
+        .expect(400);
+
+      expect(response.body.errors).toContain('Unsupported archive version: 99');
+    });
+
+    it('should refuse an archive that expands past the size limit', async () => {
+      const archive = zlib.gzipSync(JSON.stringify({
+        format: 'cineai-backup',
+        version: 1,
+        data: { users: [], movies: [{ description: 'x'.repeat(4096) }], searchHistory: [] }
+      }));
+      process.env.BACKUP_MAX_UNCOMPRESSED_SIZE = '1024';
+
+      try {
+        const response = await request(app)
+          .post('/api/admin/restore')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .attach('archive', archive, 'backup.json.gz')
+          .expect(400);
+
+        expect(response.body.error).toBe('Archive is larger than 1024 bytes uncompressed');
+        expect(db.getMovies()[0].title).toBe('The Matrix');
+      } finally {
+        delete process.env.BACKUP_MAX_UNCOMPRESSED_SIZE;
+      }
+    });
+
+    it('should require an archive file', async () => {
+      await request(app)
+        .post('/api/admin/restore')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/admin/users/:id/unlock', () => {
+    it('should unlock the account and record who did it', async () => {
+      const user = db.findUserByEmail('user@example.com');
+      await db.updateUser(user.id, {
+        failedLoginAttempts: 10,
+        lastFailedLoginAt: new Date().toISOString(),
+        lockedUntil: new Date(Date.now() + 15 * 60 * 1000).toISOString()
+      });
+
+      await request(app)
+        .post(`/api/admin/users/${user.id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const unlocked = db.findUserById(user.id);
+      expect(unlocked.failedLoginAttempts).toBe(0);
+      expect(unlocked.lockedUntil).toBeNull();
+
+      const response = await request(app)
+        .get('/api/admin/audit-log?action=account.unlocked')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.entries).toHaveLength(1);
+      expect(response.body.entries[0]).toMatchObject({ actorId: admin.id, targetUserId: user.id });
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      await request(app)
+        .post('/api/admin/users/missing/unlock')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should reject non-admin users', async () => {
+      await request(app)
+        .post(`/api/admin/users/${admin.id}/unlock`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('user management', () => {
+    let user;
+
+    beforeEach(() => {
+      user = db.findUserByEmail('user@example.com');
+    });
+
+    const auditActions = async () => (await db.getAuditLog({ targetUserId: user.id })).map(entry => entry.action);
+
+    it('should change a role and apply it to existing sessions', async () => {
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      const response = await request(app)
+        .put(`/api/admin/users/${user.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' })
+        .expect(200);
+
+      expect(response.body.user.role).toBe('admin');
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const [entry] = await db.getAuditLog({ action: 'user.role_changed' });
+      expect(entry).toMatchObject({ actorId: admin.id, targetUserId: user.id, details: { from: 'user', to: 'admin' } });
+    });
+
+    it('should reject invalid roles and changes to the current admin', async () => {
+      await request(app)
+        .put(`/api/admin/users/${user.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'superuser' })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/admin/users/${admin.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'user' })
+        .expect(400);
+
+      await request(app)
+        .delete(`/api/admin/users/${admin.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should disable and re-enable an account', async () => {
+      await db.updateUser(user.id, { password: bcrypt.hashSync('Password123', 4) });
+
+      await request(app)
+        .post(`/api/admin/users/${user.id}/disable`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Spam' })
+        .expect(200);
+
+      expect(db.findUserById(user.id)).toMatchObject({ disabled: true, disabledReason: 'Spam' });
+
+      const refused = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+      expect(refused.body.message).toBe('Account is disabled');
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'user@example.com', password: 'Password123' })
+        .expect(403);
+
+      await request(app)
+        .post(`/api/admin/users/${user.id}/enable`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      // Disabling ended the old sessions, but logging in works again
+      await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'user@example.com', password: 'Password123' })
+        .expect(200);
+
+      expect(await auditActions()).toEqual(expect.arrayContaining(['user.disabled', 'user.enabled']));
+    });
+
+    it('should force a password reset', async () => {
+      await db.updateUser(user.id, { password: bcrypt.hashSync('Password123', 4) });
+
+      await request(app)
+        .post(`/api/admin/users/${user.id}/force-password-reset`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(401);
+
+      const refused = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'user@example.com', password: 'Password123' })
+        .expect(403);
+      expect(refused.body.passwordResetRequired).toBe(true);
+
+      const [message] = global.testUtils.readOutbox();
+      expect(message.to).toBe('user@example.com');
+      const token = message.text.match(/token=([\w-]+)/)[1];
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'NewPassword123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'user@example.com', password: 'NewPassword123' })
+        .expect(200);
+
+      expect(await auditActions()).toContain('user.password_reset_forced');
+    });
+
+    it('should delete a user with their data', async () => {
+      const template = await db.addPromptTemplate({
+        provider: 'default',
+        type: 'text',
+        system: 'System',
+        prompt: 'Find {{query}}',
+        createdBy: user.id
+      });
+
+      await request(app)
+        .delete(`/api/admin/users/${user.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(db.findUserById(user.id)).toBeUndefined();
+      expect(db.getSearchHistory(user.id)).toHaveLength(0);
+      expect(db.readFile(db.sessionsFile).filter(session => session.userId === user.id)).toHaveLength(0);
+      // The template history stays, without its author
+      expect(db.readFile(db.promptTemplatesFile).find(t => t.id === template.id)).toMatchObject({ version: 1, createdBy: null });
+      expect(await auditActions()).toContain('user.deleted');
+
+      await request(app)
+        .delete(`/api/admin/users/${user.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('/api/admin/ai-cache', () => {
+    it('should report statistics and purge the cache', async () => {
+      resultCache.set('text:the matrix', { success: true, results: [] });
+      resultCache.get('text:the matrix');
+
+      const stats = await request(app)
+        .get('/api/admin/ai-cache')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(stats.body.cache).toMatchObject({ entries: 1, hits: 1, misses: 0 });
+
+      const response = await request(app)
+        .delete('/api/admin/ai-cache')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(response.body).toEqual({ success: true, message: 'AI result cache purged', purged: 1 });
+      expect(resultCache.get('text:the matrix')).toBeNull();
+
+      const [entry] = await db.getAuditLog({ action: 'ai_cache.purged' });
+      expect(entry).toMatchObject({ actorId: admin.id, details: { purged: 1 } });
+    });
+
+    it('should reject non-admin users', async () => {
+      resultCache.set('text:the matrix', { success: true, results: [] });
+
+      await request(app)
+        .delete('/api/admin/ai-cache')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+      expect(resultCache.getStats().entries).toBe(1);
+    });
+  });
+});
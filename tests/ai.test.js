@@ -1,5 +1,7 @@
 const request = require('supertest');
 const app = require('../server/index');
+const { db } = require('../server/config/database');
+const { parseEvents } = require('./helpers/sse');
 
 describe('AI Endpoints', () => {
   describe('POST /api/ai/identify', () => {
@@ -51,6 +53,15 @@ describe('AI Endpoints', () => {
       expect(response.body.message).toBe('Validation failed');
     });
 
+    it('should return error for an unknown mode', async () => {
+      const response = await request(app)
+        .post('/api/ai/identify')
+        .send({ type: 'text', query: 'test', mode: 'majority' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+
     it('should return error for missing query in text search', async () => {
       const searchData = {
         type: 'text'
@@ -65,6 +76,47 @@ describe('AI Endpoints', () => {
     });
   });
 
+  describe('POST /api/ai/identify/stream', () => {
+    const streamIdentification = (body) => request(app)
+      .post('/api/ai/identify/stream')
+      .send(body)
+      .buffer(true)
+      .parse((res, callback) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => callback(null, text));
+      });
+
+    it('should stream each stage and end with the result', async () => {
+      await db.addMovie(global.testUtils.createTestMovie({ title: 'Hackers', description: 'Teenage hackers uncover a conspiracy' }));
+
+      const response = await streamIdentification({ type: 'text', query: 'teenage hackers' }).expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+      const events = parseEvents(response.body);
+      expect(events.map(({ event, data }) => data.stage || event)).toEqual([
+        'provider_queried',
+        'provider_finished',
+        'candidate',
+        'result'
+      ]);
+      expect(events[0].data).toEqual({ stage: 'provider_queried', provider: 'local' });
+      expect(events[1].data).toMatchObject({ provider: 'local', outcome: 'success' });
+      expect(events[2].data.candidate).toMatchObject({ title: 'Hackers', year: 2023 });
+
+      const { data: result } = events[3];
+      expect(result).toMatchObject({ success: true, provider: 'local', cached: false });
+      expect(result.results[0].title).toBe('Hackers');
+    });
+
+    it('should validate the input before streaming', async () => {
+      const response = await streamIdentification({ type: 'text' }).expect(400);
+
+      expect(response.headers['content-type']).toMatch(/json/);
+    });
+  });
+
   describe('GET /api/ai/providers', () => {
     it('should get available AI providers', async () => {
       const response = await request(app)
@@ -74,6 +126,12 @@ describe('AI Endpoints', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.providers).toBeDefined();
       expect(response.body.current).toBeDefined();
+      expect(response.body.providers).toContainEqual({
+        name: 'local',
+        displayName: 'Local Catalog',
+        capabilities: ['text', 'actor'],
+        model: null
+      });
     });
   });
 
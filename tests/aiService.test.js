@@ -0,0 +1,519 @@
+const express = require('express');
+const { AIService, GeminiProvider, registerProvider } = require('../server/services/aiService');
+const { CircuitBreaker, getResiliencePolicy } = require('../server/services/aiResilience');
+const { db } = require('../server/config/database');
+
+const result = (title) => ({ title, year: 1999, type: 'movie', confidence: 90 });
+
+// Provider double answering from a list of scripted outcomes, one per call
+const scriptedProvider = (...outcomes) => {
+  const provider = {
+    calls: 0,
+    identify: jest.fn(async () => {
+      const outcome = outcomes[Math.min(provider.calls++, outcomes.length - 1)];
+      if (outcome === 'hang') return new Promise(() => {});
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    })
+  };
+  return provider;
+};
+
+const ok = (title = 'The Matrix') => ({ success: true, results: [result(title)], processingTime: 5, confidence: 90 });
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+describe('AIService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new AIService({
+      resilience: {
+        timeoutMs: 50,
+        maxRetries: 2,
+        retryBaseDelayMs: 1,
+        retryMaxDelayMs: 5,
+        failureThreshold: 2,
+        cooldownMs: 60 * 1000
+      },
+      // Every call should reach the scripted providers
+      cache: null
+    });
+    service.providers.clear();
+  });
+
+  const useProviders = (providers) => {
+    Object.entries(providers).forEach(([name, provider]) => service.providers.set(name, provider));
+    service.currentProvider = Object.keys(providers)[0];
+  };
+
+  describe('provider chain', () => {
+    it('should fail over to the next provider and report what was tried', async () => {
+      useProviders({
+        openai: scriptedProvider(httpError(401)),
+        gemini: scriptedProvider(ok('Inception'))
+      });
+
+      const response = await service.identifyContent({ type: 'text', content: 'dream heist' });
+
+      expect(response.success).toBe(true);
+      expect(response.provider).toBe('gemini');
+      expect(response.results[0].title).toBe('Inception');
+      expect(response.providersTried).toEqual([
+        expect.objectContaining({ provider: 'openai', outcome: 'failed', attempts: 1, error: 'HTTP 401' }),
+        expect.objectContaining({ provider: 'gemini', outcome: 'success', attempts: 1 })
+      ]);
+    });
+
+    it('should treat an unsuccessful response as a failure', async () => {
+      useProviders({
+        openai: scriptedProvider({ success: false, results: [], error: 'Unparseable output' }),
+        gemini: scriptedProvider(ok())
+      });
+
+      const response = await service.identifyContent({ type: 'text', content: 'hackers' });
+
+      expect(response.provider).toBe('gemini');
+      expect(response.providersTried[0].error).toBe('Unparseable output');
+    });
+
+    it('should follow AI_PROVIDER_ORDER when set', async () => {
+      useProviders({ openai: scriptedProvider(ok('A')), gemini: scriptedProvider(ok('B')) });
+      process.env.AI_PROVIDER_ORDER = 'gemini,openai';
+      try {
+        expect(service.getProviderChain()).toEqual(['gemini', 'openai']);
+        expect((await service.identifyContent({ type: 'text', content: 'x' })).provider).toBe('gemini');
+      } finally {
+        delete process.env.AI_PROVIDER_ORDER;
+      }
+    });
+
+    it('should keep the local catalog last and skip it for image searches', async () => {
+      const local = new AIService();
+      local.providers.set('openai', scriptedProvider(httpError(400)));
+      local.currentProvider = 'openai';
+
+      expect(local.getProviderChain()).toEqual(['openai', 'local']);
+
+      const response = await local.identifyContent({ type: 'image', content: Buffer.from('') });
+      expect(response.providersTried[1]).toEqual({ provider: 'local', outcome: 'skipped', reason: 'unsupported_type' });
+    });
+
+    it('should reject schema-invalid results from any provider', async () => {
+      useProviders({
+        openai: scriptedProvider({ success: true, results: [result('Content Identified')], confidence: 75 }),
+        gemini: scriptedProvider({ success: true, results: [{ ...result('Heat'), year: '1995', rating: 82 }] })
+      });
+
+      const response = await service.identifyContent({ type: 'text', content: 'x' });
+
+      expect(response.providersTried[0].error).toContain('placeholder');
+      expect(response.results[0]).toMatchObject({ title: 'Heat', year: 1995, rating: 8.2 });
+    });
+
+    it('should report failure when every provider fails', async () => {
+      useProviders({ openai: scriptedProvider(httpError(400)), gemini: scriptedProvider(httpError(403)) });
+
+      const response = await service.identifyContent({ type: 'text', content: 'x' });
+
+      expect(response.success).toBe(false);
+      expect(response.provider).toBeNull();
+      expect(response.providersTried.map(p => p.outcome)).toEqual(['failed', 'failed']);
+    });
+  });
+
+  describe('retries and timeouts', () => {
+    it('should retry rate limits and 5xx errors with backoff', async () => {
+      const openai = scriptedProvider(httpError(429), httpError(503), ok());
+      useProviders({ openai });
+
+      const response = await service.identifyContent({ type: 'text', content: 'x' });
+
+      expect(response.provider).toBe('openai');
+      expect(response.providersTried[0].attempts).toBe(3);
+      expect(openai.identify).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry client errors', async () => {
+      const openai = scriptedProvider(httpError(400), ok());
+      useProviders({ openai });
+
+      await service.identifyContent({ type: 'text', content: 'x' });
+
+      expect(openai.identify).toHaveBeenCalledTimes(1);
+    });
+
+    it('should time out a hanging provider and abort its request', async () => {
+      const openai = scriptedProvider('hang');
+      useProviders({ openai, gemini: scriptedProvider(ok()) });
+
+      const response = await service.identifyContent({ type: 'text', content: 'x' });
+
+      expect(response.provider).toBe('gemini');
+      expect(response.providersTried[0]).toMatchObject({ outcome: 'failed', attempts: 3 });
+      expect(response.providersTried[0].error).toContain('did not respond within 50ms');
+      expect(openai.identify.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+
+    it('should stop asking providers when the search is cancelled', async () => {
+      const openai = scriptedProvider('hang');
+      const gemini = scriptedProvider(ok());
+      useProviders({ openai, gemini });
+      service.resilience.timeoutMs = 5000;
+      const controller = new AbortController();
+
+      const identifying = service.identifyContent({ type: 'text', content: 'x' }, { signal: controller.signal });
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort();
+      const response = await identifying;
+
+      expect(response.success).toBe(false);
+      expect(response.providersTried).toEqual([expect.objectContaining({ provider: 'openai', outcome: 'cancelled', attempts: 1 })]);
+      expect(openai.identify).toHaveBeenCalledTimes(1);
+      expect(openai.identify.mock.calls[0][1].signal.aborted).toBe(true);
+      expect(gemini.identify).not.toHaveBeenCalled();
+      expect(service.getProviderHealth().openai).toBe('closed');
+    });
+
+    it('should stop waiting for a retry when the search is cancelled', async () => {
+      const openai = scriptedProvider(httpError(503), ok());
+      useProviders({ openai });
+      service.resilience.retryBaseDelayMs = 5000;
+      service.resilience.retryMaxDelayMs = 5000;
+      const controller = new AbortController();
+
+      const identifying = service.identifyContent({ type: 'text', content: 'x' }, { signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const cancelledAt = Date.now();
+      controller.abort();
+      const response = await identifying;
+
+      expect(Date.now() - cancelledAt).toBeLessThan(1000);
+      expect(response.providersTried).toEqual([expect.objectContaining({ provider: 'openai', outcome: 'cancelled', attempts: 1 })]);
+      expect(openai.identify).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('resilience policy', () => {
+    afterEach(() => {
+      delete process.env.AI_PROVIDER_MAX_RETRIES;
+    });
+
+    it('should read the retry count, allowing 0', () => {
+      process.env.AI_PROVIDER_MAX_RETRIES = '0';
+      expect(getResiliencePolicy().maxRetries).toBe(0);
+
+      process.env.AI_PROVIDER_MAX_RETRIES = '5';
+      expect(getResiliencePolicy().maxRetries).toBe(5);
+    });
+
+    it('should fall back to 2 retries for empty or invalid values', () => {
+      ['', 'many', '-1'].forEach(value => {
+        process.env.AI_PROVIDER_MAX_RETRIES = value;
+        expect(getResiliencePolicy().maxRetries).toBe(2);
+      });
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('should skip a failing provider until the cooldown passes', async () => {
+      const openai = scriptedProvider(httpError(401));
+      useProviders({ openai, gemini: scriptedProvider(ok()) });
+
+      await service.identifyContent({ type: 'text', content: 'x' });
+      await service.identifyContent({ type: 'text', content: 'x' });
+      expect(service.getProviderHealth()).toEqual({ openai: 'open', gemini: 'closed' });
+
+      const skipped = await service.identifyContent({ type: 'text', content: 'x' });
+      expect(skipped.providersTried[0]).toEqual({ provider: 'openai', outcome: 'skipped', reason: 'circuit_open' });
+      expect(openai.identify).toHaveBeenCalledTimes(2);
+
+      service.getBreaker('openai').openUntil = Date.now() - 1;
+      expect(service.getProviderHealth().openai).toBe('half_open');
+      await service.identifyContent({ type: 'text', content: 'x' });
+      expect(openai.identify).toHaveBeenCalledTimes(3);
+      expect(service.getProviderHealth().openai).toBe('open');
+    });
+
+    it('should let a single trial through while half-open', async () => {
+      const openai = scriptedProvider('hang');
+      useProviders({ openai, gemini: scriptedProvider(ok()) });
+      service.resilience.timeoutMs = 5000;
+      const breaker = service.getBreaker('openai');
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.openUntil = Date.now() - 1;
+      const controller = new AbortController();
+
+      const trial = service.identifyContent({ type: 'text', content: 'x' }, { signal: controller.signal });
+      const other = await service.identifyContent({ type: 'text', content: 'x' });
+      expect(other.providersTried[0]).toEqual({ provider: 'openai', outcome: 'skipped', reason: 'circuit_open' });
+      expect(other.provider).toBe('gemini');
+
+      // A cancelled trial leaves the circuit half-open for the next one
+      controller.abort();
+      await trial;
+      expect(openai.identify).toHaveBeenCalledTimes(1);
+      expect(breaker.allowsRequest()).toBe(true);
+    });
+
+    it('should give back the trial and the call when the prompt template cannot be loaded', async () => {
+      const openai = scriptedProvider(ok());
+      useProviders({ openai });
+      const breaker = service.getBreaker('openai');
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.openUntil = Date.now() - 1;
+      const budget = { remaining: 1, take: jest.fn(() => true), release: jest.fn() };
+      const lookup = jest.spyOn(db, 'getPromptTemplates').mockRejectedValueOnce(new Error('database unavailable'));
+
+      try {
+        await expect(service.tryProvider('openai', { type: 'text', content: 'x' }, () => {}, undefined, budget))
+          .rejects.toThrow('database unavailable');
+      } finally {
+        lookup.mockRestore();
+      }
+
+      expect(budget.release).toHaveBeenCalledTimes(1);
+      expect(breaker.allowsRequest()).toBe(true);
+      expect(openai.identify).not.toHaveBeenCalled();
+    });
+
+    it('should close again after a success', () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+      breaker.recordFailure(0);
+      breaker.recordFailure(0);
+      expect(breaker.isOpen(500)).toBe(true);
+      expect(breaker.getState(1500)).toBe('half_open');
+
+      breaker.recordSuccess();
+      expect(breaker.getState(1500)).toBe('closed');
+    });
+  });
+
+  describe('provider registry', () => {
+    const withEnv = async (vars, fn) => {
+      Object.assign(process.env, vars);
+      try {
+        return await fn();
+      } finally {
+        Object.keys(vars).forEach(key => delete process.env[key]);
+      }
+    };
+
+    it('should enable registered providers configured in the environment', async () => {
+      registerProvider('test-vision', {
+        displayName: 'Test Vision',
+        capabilities: ['image'],
+        defaultModel: 'vision-1',
+        envPrefix: 'TEST_VISION',
+        create: config => ({ ...config, name: config.displayName, identify: async () => ok('Alien') })
+      });
+
+      const unconfigured = new AIService();
+      expect(unconfigured.getAvailableProviders()).not.toContain('test-vision');
+
+      await withEnv({ TEST_VISION_API_KEY: 'key', TEST_VISION_MODEL: 'vision-2' }, async () => {
+        const configured = new AIService();
+        expect(configured.getProviderDetails()).toContainEqual({
+          name: 'test-vision',
+          displayName: 'Test Vision',
+          capabilities: ['image'],
+          model: 'vision-2'
+        });
+
+        const response = await configured.identifyContent({ type: 'image', content: Buffer.from('') });
+        expect(response.provider).toBe('test-vision');
+      });
+    });
+
+    it('should report the capabilities and model of built-in providers', async () => {
+      await withEnv({ GEMINI_API_KEY: 'key' }, async () => {
+        const details = new AIService().getProviderDetails();
+
+        expect(details).toContainEqual(expect.objectContaining({
+          name: 'gemini',
+          capabilities: ['text', 'image', 'video', 'actor'],
+          model: 'gemini-1.0-pro-vision'
+        }));
+        expect(details).toContainEqual(expect.objectContaining({ name: 'local', capabilities: ['text', 'actor'], model: null }));
+      });
+    });
+
+    it('should reject keys for unknown or incomplete providers', () => {
+      expect(() => service.setApiKey('unknown', 'key')).toThrow('Provider unknown not available');
+      expect(() => service.setApiKey('openai-compatible', 'key')).toThrow('missing configuration');
+    });
+
+    describe('OpenAI-compatible server', () => {
+      let server;
+      let requests;
+      let replies;
+
+      beforeAll(async () => {
+        const modelApp = express();
+        modelApp.use(express.json());
+        modelApp.post('/v1/chat/completions', (req, res) => {
+          requests.push({ body: req.body, authorization: req.headers.authorization });
+          res.json({
+            id: 'chatcmpl-1',
+            object: 'chat.completion',
+            created: 0,
+            model: req.body.model,
+            choices: [{
+              index: 0,
+              finish_reason: 'stop',
+              message: { role: 'assistant', content: replies.shift() || JSON.stringify({ results: [result('Hackers')] }) }
+            }],
+            usage: { prompt_tokens: 120, completion_tokens: 40, total_tokens: 160 }
+          });
+        });
+        await new Promise(resolve => {
+          server = modelApp.listen(0, '127.0.0.1', resolve);
+        });
+      });
+
+      beforeEach(() => {
+        requests = [];
+        replies = [];
+      });
+
+      const compatibleEnv = () => ({
+        OPENAI_COMPATIBLE_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+        OPENAI_COMPATIBLE_MODEL: 'llama3'
+      });
+
+      it('should re-prompt once when the output does not match the schema', async () => {
+        replies = ['{"results": [{"title": "Hackers", "year": "1995"}]}'];
+
+        await withEnv(compatibleEnv(), async () => {
+          const response = await new AIService().identifyContent({ type: 'text', content: 'teen hackers' });
+
+          expect(response.provider).toBe('openai-compatible');
+          expect(response.results[0]).toMatchObject({ title: 'Hackers', year: 1999, type: 'movie' });
+          expect(requests).toHaveLength(2);
+          const repair = requests[1].body.messages;
+          expect(repair[repair.length - 2]).toEqual({ role: 'assistant', content: '{"results": [{"title": "Hackers", "year": "1995"}]}' });
+          expect(repair[repair.length - 1].content).toContain('results[0].type must be "movie" or "series"');
+        });
+      });
+
+      it('should report the model and the tokens used by every request', async () => {
+        replies = ['{"results": [{"title": "Hackers", "year": "1995"}]}'];
+
+        await withEnv(compatibleEnv(), async () => {
+          const response = await new AIService().identifyContent({ type: 'text', content: 'teen hackers' });
+
+          expect(response.providersTried[0]).toMatchObject({
+            provider: 'openai-compatible',
+            model: 'llama3',
+            outcome: 'success',
+            usage: { inputTokens: 240, outputTokens: 80 }
+          });
+        });
+      });
+
+      it('should reject output that is still invalid after the repair', async () => {
+        replies = ['It looks like Hackers (1995).', JSON.stringify({ results: [{ ...result('Content Identified') }] })];
+
+        await withEnv(compatibleEnv(), async () => {
+          const response = await new AIService().identifyContent({ type: 'text', content: 'teen hackers' });
+
+          expect(response.provider).toBe('local');
+          expect(response.results).toEqual([]);
+          expect(response.providersTried[0]).toMatchObject({ provider: 'openai-compatible', outcome: 'failed', attempts: 2 });
+          expect(response.providersTried[0].error).toContain('placeholder');
+          expect(requests).toHaveLength(2);
+        });
+      });
+
+      it('should not send the repair prompt without a call left in the budget', async () => {
+        replies = ['{"results": [{"title": "Hackers", "year": "1995"}]}'];
+
+        await withEnv(compatibleEnv(), async () => {
+          const response = await new AIService().identifyContent({ type: 'text', content: 'teen hackers' }, { maxCalls: 1 });
+
+          expect(requests).toHaveLength(1);
+          expect(response.providersTried[0]).toMatchObject({ provider: 'openai-compatible', outcome: 'failed', attempts: 1 });
+          expect(response.providersTried[0].error).toContain('results[0].type');
+        });
+      });
+
+      afterAll(() => new Promise(resolve => server.close(resolve)));
+
+      it('should send requests to the configured base URL and model', async () => {
+        const env = {
+          OPENAI_COMPATIBLE_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+          OPENAI_COMPATIBLE_MODEL: 'llama3',
+          OPENAI_COMPATIBLE_API_KEY: 'self-hosted-key'
+        };
+
+        await withEnv(env, async () => {
+          const compatible = new AIService();
+          compatible.setProvider('openai-compatible');
+
+          const response = await compatible.identifyContent({ type: 'text', content: 'teen hackers' });
+
+          expect(response.success).toBe(true);
+          expect(response.provider).toBe('openai-compatible');
+          expect(response.results[0].title).toBe('Hackers');
+          expect(requests).toHaveLength(1);
+          expect(requests[0].body.model).toBe('llama3');
+          expect(requests[0].authorization).toBe('Bearer self-hosted-key');
+        });
+      });
+
+      it('should skip search types outside its capabilities', async () => {
+        const env = {
+          OLLAMA_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+          OLLAMA_MODEL: 'llava'
+        };
+
+        await withEnv(env, async () => {
+          const ollama = new AIService();
+          const response = await ollama.identifyContent({ type: 'image', content: Buffer.from('') });
+          expect(response.providersTried[0]).toEqual({ provider: 'ollama', outcome: 'skipped', reason: 'unsupported_type' });
+          expect(requests).toHaveLength(0);
+        });
+
+        await withEnv({ ...env, OLLAMA_CAPABILITIES: 'text,image' }, async () => {
+          const ollama = new AIService();
+          expect(ollama.getCapabilities('ollama')).toEqual(['text', 'image']);
+          expect((await ollama.identifyContent({ type: 'image', content: Buffer.from('frame') })).provider).toBe('ollama');
+          expect(requests[0].body.messages[1].content[1].type).toBe('image_url');
+        });
+      });
+    });
+  });
+
+  describe('GeminiProvider', () => {
+    const geminiWith = (...outputs) => {
+      const generateContent = jest.fn();
+      outputs.forEach(text => generateContent.mockResolvedValueOnce({ response: { text: () => text } }));
+      const provider = new GeminiProvider({ apiKey: 'key', model: 'gemini-test' });
+      provider.client = { getGenerativeModel: () => ({ generateContent }) };
+      return { provider, generateContent };
+    };
+
+    it('should never fabricate a result from unparseable output', async () => {
+      const { provider, generateContent } = geminiWith('This looks like a sci-fi film.', 'Sorry, no JSON.');
+
+      const response = await provider.identify({ type: 'text', content: 'robots' });
+
+      expect(response.success).toBe(false);
+      expect(response.results).toEqual([]);
+      expect(response.error).toContain('response is not valid JSON');
+      expect(generateContent).toHaveBeenCalledTimes(2);
+      expect(generateContent.mock.calls[1][0].contents.map(c => c.role)).toEqual(['user', 'model', 'user']);
+    });
+
+    it('should use repaired output', async () => {
+      const { provider } = geminiWith('{"results": [{"title": "Alien"}]}', JSON.stringify({ results: [result('Alien')] }));
+
+      const response = await provider.identify({ type: 'text', content: 'space horror' });
+
+      expect(response.success).toBe(true);
+      expect(response.results[0]).toMatchObject({ title: 'Alien', confidence: 90 });
+      expect(response.confidence).toBe(90);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const request = require('supertest');
+const app = require('../server/index');
+const { db } = require('../server/config/database');
+
+describe('Personal Access Tokens', () => {
+  let user;
+  let authToken;
+
+  beforeEach(async () => {
+    user = await db.createUser(global.testUtils.createTestUser({ role: 'user' }));
+    authToken = await global.testUtils.createAuthToken(user);
+  });
+
+  const createToken = (body) => request(app)
+    .post('/api/users/tokens')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ name: 'Script', scopes: ['catalog:read'], ...body });
+
+  describe('token management', () => {
+    it('should create, list and revoke a token', async () => {
+      const created = await createToken({ expiresInDays: 30 }).expect(201);
+
+      expect(created.body.token).toMatch(/^cineai_pat_/);
+      expect(created.body.apiToken).toMatchObject({ name: 'Script', scopes: ['catalog:read'] });
+      expect(created.body.apiToken.expiresAt).toBeTruthy();
+      expect(created.body.apiToken.tokenHash).toBeUndefined();
+
+      const list = await request(app)
+        .get('/api/users/tokens')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.tokens).toHaveLength(1);
+      expect(list.body.tokens[0].tokenHash).toBeUndefined();
+      expect(created.body.token.startsWith(list.body.tokens[0].tokenPrefix)).toBe(true);
+
+      await request(app)
+        .delete(`/api/users/tokens/${created.body.apiToken.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/users/tokens/${created.body.apiToken.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should reject unknown scopes', async () => {
+      await createToken({ scopes: ['admin'] }).expect(400);
+      await createToken({ scopes: [] }).expect(400);
+    });
+
+    it('should not let a token manage tokens', async () => {
+      const { body } = await createToken().expect(201);
+
+      await request(app)
+        .post('/api/users/tokens')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ name: 'Escalated', scopes: ['history:read'] })
+        .expect(403);
+    });
+  });
+
+  describe('authentication', () => {
+    it('should allow endpoints matching the token scopes', async () => {
+      const { body } = await createToken({ scopes: ['catalog:read', 'history:read'] }).expect(201);
+
+      await request(app)
+        .get('/api/movies')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/users/search-history')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      const [stored] = await db.getApiTokens(user.id);
+      expect(stored.lastUsedAt).toBeTruthy();
+    });
+
+    it('should refuse a token without the required scope', async () => {
+      const { body } = await createToken().expect(201);
+
+      const response = await request(app)
+        .get('/api/users/search-history')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(403);
+
+      expect(response.body.message).toContain('history:read');
+    });
+
+    it('should refuse tokens on endpoints that do not accept them', async () => {
+      const { body } = await createToken({ scopes: ['catalog:read', 'history:read', 'identify'] }).expect(201);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(403);
+
+      await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ name: 'Changed' })
+        .expect(403);
+    });
+
+    it('should reject revoked and expired tokens', async () => {
+      const revoked = (await createToken().expect(201)).body;
+      await db.revokeApiToken(revoked.apiToken.id, user.id);
+
+      await request(app)
+        .get('/api/movies')
+        .set('Authorization', `Bearer ${revoked.token}`)
+        .expect(401);
+
+      const expired = (await createToken({ expiresInDays: 1 }).expect(201)).body;
+      db.writeFile(db.apiTokensFile, db.readFile(db.apiTokensFile).map(token => (
+        token.id === expired.apiToken.id
+          ? { ...token, expiresAt: new Date(Date.now() - 1000).toISOString() }
+          : token
+      )));
+
+      await request(app)
+        .get('/api/movies')
+        .set('Authorization', `Bearer ${expired.token}`)
+        .expect(401);
+    });
+  });
+});
@@ -1,16 +1,18 @@
 const request = require('supertest');
+const bcrypt = require('bcryptjs');
 const app = require('../server/index');
 const { db } = require('../server/config/database');
+const { hashToken } = require('../server/services/tokenService');
 
 describe('Authentication Endpoints', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     // Create test user for login tests
     const testUser = global.testUtils.createTestUser({
       email: 'test@example.com',
       password: '$2a$12$rOvHPGkwxaXGwxkOVHMoUeQs7QGWqNVOa8T5fKMxEQGwxaXGwxkOV' // password: test123
     });
     const { db } = require('../server/config/database');
-    db.createUser(testUser);
+    await db.createUser(testUser);
   });
 
   describe('POST /api/auth/register', () => {
@@ -175,4 +177,339 @@ describe('Authentication Endpoints', () => {
       expect(response.body.message).toBe('Invalid or expired token');
     });
   });
+
+  describe('refresh tokens and logout', () => {
+    let tokens;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Jane Doe', email: 'jane@example.com', password: 'Password123!' })
+        .expect(201);
+
+      tokens = response.body;
+    });
+
+    const refresh = (refreshToken) => request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    it('should return a refresh token on register', () => {
+      expect(tokens.refreshToken).toBeDefined();
+      expect(tokens.refreshTokenExpiresAt).toBeDefined();
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await refresh(tokens.refreshToken).expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(tokens.refreshToken);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200);
+    });
+
+    it('should revoke the family when a used refresh token is replayed', async () => {
+      const rotated = await refresh(tokens.refreshToken).expect(200);
+
+      const replay = await refresh(tokens.refreshToken).expect(401);
+      expect(replay.body.message).toContain('reuse detected');
+
+      await refresh(rotated.body.refreshToken).expect(401);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${rotated.body.token}`)
+        .expect(401);
+    });
+
+    it('should refuse to refresh for a disabled account and revoke the session', async () => {
+      await db.updateUser(tokens.user.id, { disabled: true });
+
+      const response = await refresh(tokens.refreshToken).expect(401);
+      expect(response.body.message).toBe('Invalid refresh token');
+
+      await db.updateUser(tokens.user.id, { disabled: false });
+      await refresh(tokens.refreshToken).expect(401);
+    });
+
+    it('should refuse to refresh while a password reset is required', async () => {
+      await db.updateUser(tokens.user.id, { passwordResetRequired: true });
+
+      await refresh(tokens.refreshToken).expect(401);
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      const response = await refresh('not-a-real-token').expect(401);
+      expect(response.body.message).toBe('Invalid refresh token');
+    });
+
+    it('should require a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({})
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+
+    it('should revoke the current session on logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(401);
+      await refresh(tokens.refreshToken).expect(401);
+    });
+
+    it('should revoke every session on logout-all', async () => {
+      const user = db.findUserByEmail('jane@example.com');
+      const otherToken = await global.testUtils.createAuthToken(user);
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(200);
+
+      expect(response.body.revoked).toBe(2);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(401);
+    });
+  });
+
+  describe('email verification', () => {
+    const register = () => request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Jane Doe', email: 'jane@example.com', password: 'Password123!' })
+      .expect(201);
+
+    const tokenFromEmail = (message) => message.text.match(/token=([\w-]+)/)[1];
+
+    it('should send a verification email on register', async () => {
+      const response = await register();
+
+      expect(response.body.user.emailVerified).toBe(false);
+      const [message] = global.testUtils.readOutbox();
+      expect(message.to).toBe('jane@example.com');
+      expect(message.text).toContain('/verify-email?token=');
+    });
+
+    it('should verify the email with a single-use token', async () => {
+      await register();
+      const token = tokenFromEmail(global.testUtils.readOutbox()[0]);
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(200);
+
+      expect(db.findUserByEmail('jane@example.com').emailVerified).toBe(true);
+
+      const reuse = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(400);
+      expect(reuse.body.message).toBe('Invalid or expired verification token');
+    });
+
+    it('should limit unverified accounts until verified', async () => {
+      const { body } = await register();
+
+      const blocked = await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ name: 'Jane Smith' })
+        .expect(403);
+      expect(blocked.body.message).toBe('Email verification required');
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: tokenFromEmail(global.testUtils.readOutbox()[0]) })
+        .expect(200);
+
+      await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ name: 'Jane Smith' })
+        .expect(200);
+    });
+
+    it('should resend the verification email and invalidate the old link', async () => {
+      const { body } = await register();
+      const firstToken = tokenFromEmail(global.testUtils.readOutbox()[0]);
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: firstToken })
+        .expect(400);
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: tokenFromEmail(global.testUtils.readOutbox()[1]) })
+        .expect(200);
+    });
+  });
+
+  describe('password reset', () => {
+    let user;
+
+    beforeEach(() => {
+      user = db.findUserByEmail('test@example.com');
+    });
+
+    const requestReset = (email) => request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email })
+      .expect(200);
+
+    const resetToken = () => global.testUtils.readOutbox()
+      .find(message => message.subject.includes('Reset'))
+      .text.match(/token=([\w-]+)/)[1];
+
+    it('should not reveal whether an email is registered', async () => {
+      const known = await requestReset('test@example.com');
+      const unknown = await requestReset('nobody@example.com');
+
+      expect(unknown.body.message).toBe(known.body.message);
+      expect(global.testUtils.readOutbox()).toHaveLength(1);
+    });
+
+    it('should reset the password and log out every session', async () => {
+      const oldToken = await global.testUtils.createAuthToken(user);
+      await requestReset('test@example.com');
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken(), password: 'NewPassword123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'NewPassword123' })
+        .expect(200);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${oldToken}`)
+        .expect(401);
+    });
+
+    it('should only accept a reset token once', async () => {
+      await requestReset('test@example.com');
+      const token = resetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'NewPassword123' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'OtherPassword123' })
+        .expect(400);
+      expect(response.body.message).toBe('Invalid or expired reset token');
+    });
+
+    it('should reject an expired reset token', async () => {
+      await db.createUserToken({
+        userId: user.id,
+        type: 'password_reset',
+        tokenHash: hashToken('expired-token'),
+        expiresAt: new Date(Date.now() - 1000).toISOString()
+      });
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'expired-token', password: 'NewPassword123' })
+        .expect(400);
+    });
+
+    it('should enforce the password rules', async () => {
+      await requestReset('test@example.com');
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken(), password: 'weak' })
+        .expect(400);
+      expect(response.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('login protection', () => {
+    const login = (email, password) => request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+    it('should make the client wait after repeated failures', async () => {
+      for (let i = 0; i < 3; i++) {
+        await login('test@example.com', 'wrongpassword').expect(401);
+      }
+
+      const response = await login('test@example.com', 'wrongpassword').expect(429);
+      expect(response.headers['retry-after']).toBe('1');
+      expect(db.findUserByEmail('test@example.com').failedLoginAttempts).toBe(3);
+    });
+
+    it('should lock the account at the threshold and audit it', async () => {
+      const user = db.findUserByEmail('test@example.com');
+      await db.updateUser(user.id, { failedLoginAttempts: 9, lastFailedLoginAt: minutesAgo(2) });
+
+      const response = await login('test@example.com', 'wrongpassword').expect(423);
+      expect(response.body.retryAfter).toBe(15 * 60);
+
+      const [entry] = await db.getAuditLog({ action: 'account.locked' });
+      expect(entry.targetUserId).toBe(user.id);
+      expect(entry.details.failedAttempts).toBe(10);
+    });
+
+    it('should refuse even the right password while locked', async () => {
+      const user = await db.createUser(global.testUtils.createTestUser({
+        email: 'locked@example.com',
+        password: bcrypt.hashSync('Password123', 4),
+        lockedUntil: new Date(Date.now() + 60 * 1000).toISOString()
+      }));
+
+      await login('locked@example.com', 'Password123').expect(423);
+
+      await db.updateUser(user.id, { lockedUntil: minutesAgo(1) });
+      await login('locked@example.com', 'Password123').expect(200);
+    });
+
+    it('should forget old failures and reset on success', async () => {
+      const user = await db.createUser(global.testUtils.createTestUser({
+        email: 'jane@example.com',
+        password: bcrypt.hashSync('Password123', 4),
+        failedLoginAttempts: 8,
+        lastFailedLoginAt: minutesAgo(30)
+      }));
+
+      await login('jane@example.com', 'wrongpassword').expect(401);
+      expect(db.findUserById(user.id).failedLoginAttempts).toBe(1);
+
+      await login('jane@example.com', 'Password123').expect(200);
+      expect(db.findUserById(user.id).failedLoginAttempts).toBe(0);
+    });
+
+    it('should limit failures per IP and account', async () => {
+      for (let i = 0; i < 10; i++) {
+        await login('nobody@example.com', 'wrongpassword').expect(401);
+      }
+
+      await login('nobody@example.com', 'wrongpassword').expect(429);
+      await login('somebody@example.com', 'wrongpassword').expect(401);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database, DatabaseCorruptionError } = require('../server/config/database');
+
+describe('File Database', () => {
+  let dbPath;
+  let fileDb;
+
+  beforeEach(() => {
+    dbPath = fs.mkdtempSync(path.join(os.tmpdir(), 'cineai-db-'));
+    fileDb = new Database({ dbPath });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dbPath, { recursive: true, force: true });
+  });
+
+  describe('concurrent writes', () => {
+    it('should not lose entries when mutations overlap', async () => {
+      await Promise.all(
+        Array.from({ length: 25 }, (_, i) =>
+          fileDb.addSearchHistory('user-1', { type: 'text', query: `query ${i}` })
+        )
+      );
+
+      expect(fileDb.getSearchHistory('user-1')).toHaveLength(25);
+    });
+
+    it('should apply updates in order', async () => {
+      const user = await fileDb.createUser(global.testUtils.createTestUser());
+
+      await Promise.all([
+        fileDb.updateUser(user.id, { name: 'First' }),
+        fileDb.updateUser(user.id, { name: 'Second' })
+      ]);
+
+      expect(fileDb.findUserById(user.id).name).toBe('Second');
+    });
+
+    it('should leave no temp or journal files behind', async () => {
+      await fileDb.addMovie(global.testUtils.createTestMovie());
+
+      const leftovers = fs.readdirSync(dbPath)
+        .filter(name => name.endsWith('.tmp') || name.endsWith('.journal'));
+      expect(leftovers).toEqual([]);
+    });
+  });
+
+  describe('journal replay', () => {
+    it('should apply journal entries left by a crash on startup', () => {
+      const movie = { id: 'movie-1', ...global.testUtils.createTestMovie() };
+      fs.writeFileSync(
+        `${fileDb.moviesFile}.journal`,
+        JSON.stringify({ op: 'insert', record: movie }) + '\n'
+      );
+
+      const restarted = new Database({ dbPath });
+
+      expect(restarted.getMovies()).toEqual([movie]);
+      expect(fs.existsSync(`${fileDb.moviesFile}.journal`)).toBe(false);
+    });
+
+    it('should not duplicate entries that already reached the file', async () => {
+      const movie = await fileDb.addMovie(global.testUtils.createTestMovie());
+      fs.writeFileSync(
+        `${fileDb.moviesFile}.journal`,
+        JSON.stringify({ op: 'insert', record: movie }) + '\n'
+      );
+
+      const restarted = new Database({ dbPath });
+
+      expect(restarted.getMovies()).toHaveLength(1);
+    });
+
+    it('should ignore a torn final journal line', () => {
+      const movie = { id: 'movie-1', ...global.testUtils.createTestMovie() };
+      fs.writeFileSync(
+        `${fileDb.moviesFile}.journal`,
+        JSON.stringify({ op: 'insert', record: movie }) + '\n{"op":"insert","rec'
+      );
+
+      const restarted = new Database({ dbPath });
+
+      expect(restarted.getMovies()).toEqual([movie]);
+    });
+  });
+
+  describe('corruption', () => {
+    it('should throw a corruption error instead of returning empty data', () => {
+      fs.writeFileSync(fileDb.usersFile, '[{"id": "1", "name": ');
+
+      expect(() => fileDb.getUsers()).toThrow(DatabaseCorruptionError);
+    });
+
+    it('should restore the last good copy on startup', async () => {
+      const user = await fileDb.createUser(global.testUtils.createTestUser());
+      fs.writeFileSync(fileDb.usersFile, '[{"id": "1", "name": ');
+
+      const restarted = new Database({ dbPath });
+
+      expect(restarted.getUsers()).toEqual([user]);
+      expect(fs.readdirSync(dbPath).some(name => name.startsWith('users.json.corrupt-'))).toBe(true);
+    });
+  });
+
+  describe('identifiers', () => {
+    it('should assign distinct UUIDs to records created together', async () => {
+      const entries = await Promise.all(
+        Array.from({ length: 10 }, () => fileDb.addSearchHistory('user-1', { type: 'text' }))
+      );
+
+      const ids = new Set(entries.map(entry => entry.id));
+      expect(ids.size).toBe(10);
+      entries.forEach(entry => expect(entry.id).toMatch(/^[0-9a-f-]{36}$/));
+    });
+
+    it('should keep an ID supplied with a movie', async () => {
+      const movie = await fileDb.addMovie(global.testUtils.createTestMovie({
+        id: '9b2f7c1e-3d4a-4b5c-8d6e-7f8091a2b3c4'
+      }));
+
+      expect(movie.id).toBe('9b2f7c1e-3d4a-4b5c-8d6e-7f8091a2b3c4');
+    });
+
+    it('should find or create catalog movies by title and year', async () => {
+      const existing = await fileDb.addMovie(global.testUtils.createTestMovie({ title: 'The Matrix', year: 1999 }));
+      const matrix = global.testUtils.createTestMovie({ title: 'the matrix', year: 1999 });
+      const alien = global.testUtils.createTestMovie({ id: existing.id, title: 'Alien', year: 1979 });
+
+      const [[first, second], [again]] = await Promise.all([
+        fileDb.findOrCreateMovies([matrix, alien]),
+        fileDb.findOrCreateMovies([alien])
+      ]);
+
+      expect(first.id).toBe(existing.id);
+      expect(second.id).not.toBe(existing.id);
+      expect(again.id).toBe(second.id);
+      expect(fileDb.getMovies()).toHaveLength(2);
+    });
+
+    it('should migrate legacy IDs and keep history references intact', async () => {
+      await fileDb.saveUsers([{ id: '1712345678901', email: 'legacy@example.com' }]);
+      await fileDb.saveMovies([{ id: '1712345678902', title: 'Legacy Movie' }]);
+      fileDb.writeFile(fileDb.searchHistoryFile, [
+        { id: '1712345678903', userId: '1712345678901', query: 'legacy search' }
+      ]);
+
+      const migrated = await fileDb.migrateToUuids();
+
+      expect(migrated).toEqual({ users: 1, movies: 1, searchHistory: 1 });
+      const [user] = fileDb.getUsers();
+      expect(user.id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(fileDb.getMovies()[0].id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(fileDb.getSearchHistory(user.id)).toHaveLength(1);
+
+      expect(await fileDb.migrateToUuids()).toEqual({ users: 0, movies: 0, searchHistory: 0 });
+    });
+  });
+});
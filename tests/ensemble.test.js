@@ -0,0 +1,108 @@
+const { AIService, LocalCatalogProvider } = require('../server/services/aiService');
+const { isSameTitle, mergeProviderResults } = require('../server/services/ensemble');
+
+const movie = (title, year, confidence) => ({ title, year, type: 'movie', confidence });
+
+// Calls in progress across provider doubles, and the most at once
+const calls = { inFlight: 0, peak: 0 };
+
+// Provider double answering after `delay` ms
+const delayedProvider = (delay, outcome) => ({
+  identify: jest.fn(() => new Promise((resolve, reject) => {
+    calls.inFlight += 1;
+    calls.peak = Math.max(calls.peak, calls.inFlight);
+    setTimeout(() => {
+      calls.inFlight -= 1;
+      return outcome instanceof Error ? reject(outcome) : resolve(outcome);
+    }, delay);
+  }))
+});
+
+const answer = (...results) => ({ success: true, results, processingTime: 10, confidence: results[0]?.confidence || 0 });
+
+describe('Ensemble identification', () => {
+  describe('isSameTitle', () => {
+    it('should match spelling variants and a year off', () => {
+      expect(isSameTitle(movie('The Matrix', 1999), movie('Matrix', 1999))).toBe(true);
+      expect(isSameTitle(movie('Spider-Man: Homecoming', 2017), movie('Spiderman Homecoming', 2017))).toBe(true);
+      expect(isSameTitle(movie('Amélie', 2001), movie('Amelie', 2002))).toBe(true);
+      expect(isSameTitle(movie('Crouching Tiger, Hidden Dragon', 2000), movie('Crouching Tiger Hiden Dragon', 2000))).toBe(true);
+    });
+
+    it('should keep different titles and remakes apart', () => {
+      expect(isSameTitle(movie('Alien', 1979), movie('Aliens', 1986))).toBe(false);
+      expect(isSameTitle(movie('The Matrix', 1999), movie('The Matrix Reloaded', 2003))).toBe(false);
+      expect(isSameTitle(movie('Dune', 1984), movie('Dune', 2021))).toBe(false);
+    });
+  });
+
+  describe('mergeProviderResults', () => {
+    it('should rank titles providers agree on higher and list who agreed', () => {
+      const results = mergeProviderResults([
+        { provider: 'openai', results: [movie('Fight Club', 1999, 90), movie('The Matrix', 1999, 80)] },
+        { provider: 'gemini', results: [movie('Matrix', 1999, 70), movie('The Matrix', 1999, 60)] }
+      ]);
+
+      expect(results.map(r => r.title)).toEqual(['The Matrix', 'Fight Club']);
+      expect(results[0]).toMatchObject({
+        confidence: 75,
+        providers: [{ provider: 'openai', confidence: 80 }, { provider: 'gemini', confidence: 70 }]
+      });
+      expect(results[1]).toMatchObject({
+        confidence: Math.round(90 * 0.8),
+        providers: [{ provider: 'openai', confidence: 90 }]
+      });
+    });
+
+    it('should keep the details of the most confident candidate', () => {
+      const [result] = mergeProviderResults([
+        { provider: 'openai', results: [{ ...movie('Amelie', 2001, 60), director: 'Someone' }] },
+        { provider: 'gemini', results: [{ ...movie('Amélie', 2001, 95), director: 'Jean-Pierre Jeunet' }] }
+      ]);
+
+      expect(result).toMatchObject({ title: 'Amélie', director: 'Jean-Pierre Jeunet' });
+    });
+  });
+
+  describe('AIService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new AIService({ resilience: { maxRetries: 0, timeoutMs: 1000 }, cache: null });
+      service.providers.clear();
+      service.providers.set('local', new LocalCatalogProvider());
+      calls.peak = 0;
+    });
+
+    it('should query every provider in parallel and merge their answers', async () => {
+      service.providers.set('openai', delayedProvider(50, answer(movie('The Matrix', 1999, 80))));
+      service.providers.set('gemini', delayedProvider(50, answer(movie('Matrix', 2000, 90), movie('Dark City', 1998, 60))));
+      service.currentProvider = 'openai';
+
+      const response = await service.identifyContent({ type: 'text', query: 'simulated reality', content: 'simulated reality', mode: 'ensemble' });
+
+      expect(calls.peak).toBe(2);
+      expect(response).toMatchObject({ success: true, provider: 'ensemble', confidence: 85 });
+      expect(response.results.map(r => r.title)).toEqual(['Matrix', 'Dark City']);
+      expect(response.results[0].providers.map(p => p.provider)).toEqual(['gemini', 'openai']);
+      expect(response.providersTried.map(p => [p.provider, p.outcome])).toEqual([['openai', 'success'], ['gemini', 'success']]);
+    });
+
+    it('should merge the providers that answered when others fail', async () => {
+      service.providers.set('openai', delayedProvider(5, Object.assign(new Error('Invalid API key'), { status: 401 })));
+      service.providers.set('gemini', delayedProvider(5, answer(movie('Her', 2013, 80))));
+      service.currentProvider = 'openai';
+
+      const response = await service.identifyContent({ type: 'text', query: 'lonely writer', content: 'lonely writer', mode: 'ensemble' });
+
+      expect(response.results[0]).toMatchObject({ title: 'Her', confidence: 80, providers: [{ provider: 'gemini', confidence: 80 }] });
+      expect(response.providersTried[0]).toMatchObject({ provider: 'openai', outcome: 'failed', error: 'Invalid API key' });
+    });
+
+    it('should fall back to the catalog when no provider can answer', async () => {
+      const response = await service.identifyContent({ type: 'text', query: 'lonely writer', content: 'lonely writer', mode: 'ensemble' });
+
+      expect(response.provider).toBe('local');
+    });
+  });
+});
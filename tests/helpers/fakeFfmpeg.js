@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+const FRAME_TIMESTAMPS = [0, 4.2, 9.8];
+
+/**
+ * Write a stand-in for ffmpeg to `dir` and return its path.
+ *
+ * Frame extraction copies `frameFiles` to the output pattern and logs a
+ * showinfo line per frame. Audio extraction writes a tiny WAV. Clips not
+ * starting with "fake" are unreadable, and "fake-silent" clips have no audio.
+ */
+const writeFakeFfmpeg = (dir, frameFiles) => {
+  const scriptPath = path.join(dir, 'ffmpeg');
+  fs.writeFileSync(scriptPath, `#!${process.execPath}
+const fs = require('fs');
+const args = process.argv.slice(2);
+const clip = fs.readFileSync(args[args.indexOf('-i') + 1], 'utf8');
+const output = args[args.length - 1];
+if (!clip.startsWith('fake')) {
+  process.stderr.write('clip: Invalid data found when processing input\\n');
+  process.exit(1);
+}
+if (args.includes('-vn')) {
+  if (clip.startsWith('fake-silent')) {
+    process.stderr.write('Output file #0 does not contain any stream\\n');
+    process.exit(1);
+  }
+  fs.writeFileSync(output, 'RIFF-fake-wav');
+  process.exit(0);
+}
+const maxFrames = Number(args[args.indexOf('-frames:v') + 1]);
+const frames = ${JSON.stringify(frameFiles)}.slice(0, maxFrames);
+const timestamps = ${JSON.stringify(FRAME_TIMESTAMPS)};
+frames.forEach((file, n) => {
+  fs.copyFileSync(file, output.replace('%03d', String(n + 1).padStart(3, '0')));
+  process.stderr.write('[Parsed_showinfo_1 @ 0x55d0] n:   ' + n + ' pts:  ' + n * 1000 + ' pts_time:' + timestamps[n] + ' duration:1\\n');
+});
+`);
+  fs.chmodSync(scriptPath, 0o755);
+  return scriptPath;
+};
+
+module.exports = { writeFakeFfmpeg, FRAME_TIMESTAMPS };
@@ -0,0 +1,15 @@
+/**
+ * Split a server-sent event stream into [{ event, data }], parsing data as JSON
+ */
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter(block => block.trim())
+  .map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => {
+      const separator = line.indexOf(': ');
+      return [line.slice(0, separator), line.slice(separator + 2)];
+    }));
+    return { event: fields.event, data: JSON.parse(fields.data) };
+  });
+
+module.exports = { parseEvents };
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const app = require('../server/index');
+const { db } = require('../server/config/database');
+const { LocalCatalogProvider } = require('../server/services/aiService');
+const { aiService } = require('../server/services/identificationService');
+const { JobQueue, jobQueue, pruneJobs } = require('../server/services/jobService');
+
+const movie = (title) => ({ title, year: 1999, type: 'movie', confidence: 90 });
+
+/**
+ * Provider that holds every request until release() is called, so tests
+ * can look at jobs while they run
+ */
+const createHeldProvider = () => {
+  let release;
+  const released = new Promise(resolve => {
+    release = resolve;
+  });
+  const provider = {
+    inFlight: 0,
+    peak: 0,
+    identify: jest.fn(async () => {
+      provider.inFlight += 1;
+      provider.peak = Math.max(provider.peak, provider.inFlight);
+      await released;
+      provider.inFlight -= 1;
+      return { success: true, results: [movie('The Matrix')], processingTime: 5, confidence: 90 };
+    }),
+    release: () => release()
+  };
+  return provider;
+};
+
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (await condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for condition');
+};
+
+describe('Identification jobs', () => {
+  let originalProviders;
+  let provider;
+  let uploadDir;
+
+  beforeAll(() => {
+    originalProviders = aiService.providers;
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cineai-job-uploads-'));
+    jobQueue.uploadDir = uploadDir;
+  });
+
+  beforeEach(() => {
+    provider = createHeldProvider();
+    aiService.providers = new Map([['openai', provider], ['local', new LocalCatalogProvider()]]);
+  });
+
+  afterEach(async () => {
+    provider.release();
+    await jobQueue.onIdle();
+  });
+
+  afterAll(() => {
+    aiService.providers = originalProviders;
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  it('should run a queued job in the background and report its result', async () => {
+    const response = await request(app)
+      .post('/api/ai/jobs')
+      .send({ type: 'text', query: 'hackers in a simulation' })
+      .expect(202);
+
+    const { job } = response.body;
+    expect(job).toMatchObject({ status: expect.stringMatching(/queued|running/), type: 'text', result: null });
+    expect(response.headers.location).toBe(`/api/ai/jobs/${job.id}`);
+
+    await waitFor(() => provider.identify.mock.calls.length === 1);
+    const running = await request(app).get(`/api/ai/jobs/${job.id}`).expect(200);
+    expect(running.body.job.status).toBe('running');
+    expect(running.body.job.startedAt).toEqual(expect.any(String));
+
+    provider.release();
+    await jobQueue.onIdle();
+
+    const finished = await request(app).get(`/api/ai/jobs/${job.id}`).expect(200);
+    expect(finished.body.job).toMatchObject({ status: 'succeeded', error: null });
+    expect(finished.body.job.result).toMatchObject({ success: true, provider: 'openai' });
+    expect(finished.body.job.result.results[0].title).toBe('The Matrix');
+    expect(finished.body.job.progress.map(event => event.stage)).toEqual(['provider_queried', 'provider_finished', 'candidate']);
+    expect(finished.body.job.finishedAt).toEqual(expect.any(String));
+  });
+
+  it('should reject a job without the input its type needs', async () => {
+    const response = await request(app)
+      .post('/api/ai/jobs')
+      .send({ type: 'image' })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+    expect(await db.getJobsByStatus(['queued', 'running'])).toHaveLength(0);
+  });
+
+  it('should cancel a queued job and remove its upload', async () => {
+    const image = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toBuffer();
+    const queue = new JobQueue({ concurrency: 1, uploadDir });
+    const first = await queue.enqueue({ type: 'text', query: 'hackers in a simulation' });
+    const second = await queue.enqueue({
+      type: 'image',
+      file: { buffer: image, mimetype: 'image/png', originalname: 'still.png', size: image.length }
+    });
+    expect(fs.readdirSync(uploadDir)).toHaveLength(1);
+
+    const cancelled = await queue.cancel(second.id);
+    provider.release();
+    await queue.onIdle();
+
+    expect(cancelled.status).toBe('cancelled');
+    expect(await db.findJobById(first.id)).toMatchObject({ status: 'succeeded' });
+    expect(await db.findJobById(second.id)).toMatchObject({ status: 'cancelled', startedAt: null, result: null });
+    expect(provider.identify).toHaveBeenCalledTimes(1);
+    expect(fs.readdirSync(uploadDir)).toHaveLength(0);
+  });
+
+  it('should remove the upload of a queued job deleted with its owner', async () => {
+    const user = await db.createUser(global.testUtils.createTestUser());
+    const image = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toBuffer();
+    const queue = new JobQueue({ concurrency: 1, uploadDir });
+    await queue.enqueue({ type: 'text', query: 'hackers in a simulation' });
+    const queued = await queue.enqueue({
+      type: 'image',
+      userId: user.id,
+      file: { buffer: image, mimetype: 'image/png', originalname: 'still.png', size: image.length }
+    });
+    // The record goes, but the queue still holds the job
+    db.writeFile(db.jobsFile, db.readFile(db.jobsFile).filter(job => job.id !== queued.id));
+
+    provider.release();
+    await queue.onIdle();
+
+    expect(provider.identify).toHaveBeenCalledTimes(1);
+    expect(fs.readdirSync(uploadDir)).toHaveLength(0);
+  });
+
+  it('should stop a running job when it is cancelled', async () => {
+    const user = await db.createUser(global.testUtils.createTestUser());
+    const token = await global.testUtils.createAuthToken(user);
+
+    const { body } = await request(app)
+      .post('/api/ai/jobs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ type: 'text', query: 'hackers in a simulation' })
+      .expect(202);
+    await waitFor(() => provider.identify.mock.calls.length === 1);
+
+    const response = await request(app)
+      .delete(`/api/ai/jobs/${body.job.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(response.body).toMatchObject({ success: true, job: { status: 'cancelled' } });
+
+    // The provider call is aborted instead of running to completion
+    await jobQueue.onIdle();
+    expect(provider.identify.mock.calls[0][1].signal.aborted).toBe(true);
+    provider.release();
+
+    expect(await db.findJobById(body.job.id)).toMatchObject({ status: 'cancelled', result: null });
+    expect(await db.getSearchHistory(user.id)).toHaveLength(0);
+
+    const again = await request(app)
+      .delete(`/api/ai/jobs/${body.job.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(409);
+    expect(again.body.message).toBe('Job has already finished');
+  });
+
+  it('should run no more jobs at once than the concurrency limit', async () => {
+    const queue = new JobQueue({ concurrency: 2, uploadDir });
+    const jobs = await Promise.all(['one', 'two', 'three', 'four'].map(query => queue.enqueue({ type: 'text', query })));
+
+    await waitFor(() => provider.inFlight === 2);
+    expect(await db.getJobsByStatus(['queued'])).toHaveLength(2);
+
+    provider.release();
+    await queue.onIdle();
+
+    expect(provider.peak).toBe(2);
+    for (const job of jobs) {
+      expect(await db.findJobById(job.id)).toMatchObject({ status: 'succeeded' });
+    }
+  });
+
+  it('should pick up unfinished jobs after a restart', async () => {
+    const queued = await db.createJob({ type: 'text', query: 'hackers in a simulation' });
+    const interrupted = await db.createJob({ type: 'actor', query: 'Keanu Reeves' });
+    await db.updateJob(interrupted.id, { status: 'running', startedAt: new Date().toISOString() });
+    const finished = await db.createJob({ type: 'text', query: 'finished before the restart' });
+    await db.updateJob(finished.id, { status: 'succeeded' });
+
+    provider.release();
+    const queue = new JobQueue({ uploadDir });
+    expect(await queue.resume()).toBe(2);
+    await queue.onIdle();
+
+    expect(await db.findJobById(queued.id)).toMatchObject({ status: 'succeeded' });
+    expect(await db.findJobById(interrupted.id)).toMatchObject({ status: 'succeeded' });
+    expect(provider.identify).toHaveBeenCalledTimes(2);
+  });
+
+  it('should prune finished jobs past retention and keep unfinished ones', async () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const oldFinished = await db.createJob({ type: 'text', query: 'finished long ago' });
+    await db.updateJob(oldFinished.id, { status: 'succeeded', result: { success: true }, finishedAt: daysAgo(10) });
+    const oldCancelled = await db.createJob({ type: 'text', query: 'cancelled long ago' });
+    await db.updateJob(oldCancelled.id, { status: 'cancelled', finishedAt: daysAgo(8) });
+    const recent = await db.createJob({ type: 'text', query: 'finished recently' });
+    await db.updateJob(recent.id, { status: 'failed', finishedAt: daysAgo(1) });
+    const stuck = await db.createJob({ type: 'text', query: 'still queued' });
+    await db.updateJob(stuck.id, { status: 'running', startedAt: daysAgo(10) });
+
+    expect(await pruneJobs()).toBe(2);
+
+    expect(await db.findJobById(oldFinished.id)).toBeUndefined();
+    expect(await db.findJobById(oldCancelled.id)).toBeUndefined();
+    expect(await db.findJobById(recent.id)).toMatchObject({ status: 'failed' });
+    expect(await db.findJobById(stuck.id)).toMatchObject({ status: 'running' });
+  });
+
+  it('should hide a user\'s jobs from other callers', async () => {
+    const owner = await db.createUser(global.testUtils.createTestUser({ email: 'owner@example.com' }));
+    const other = await db.createUser(global.testUtils.createTestUser({ email: 'other@example.com' }));
+    const admin = await db.createUser(global.testUtils.createTestUser({ email: 'admin@example.com', role: 'admin' }));
+    const job = await db.createJob({ userId: owner.id, type: 'text', query: 'hackers in a simulation' });
+
+    await request(app).get(`/api/ai/jobs/${job.id}`).expect(404);
+    const response = await request(app)
+      .get(`/api/ai/jobs/${job.id}`)
+      .set('Authorization', `Bearer ${await global.testUtils.createAuthToken(other)}`)
+      .expect(404);
+    expect(response.body.message).toBe('Job not found');
+
+    await request(app)
+      .delete(`/api/ai/jobs/${job.id}`)
+      .set('Authorization', `Bearer ${await global.testUtils.createAuthToken(other)}`)
+      .expect(404);
+    await request(app)
+      .get(`/api/ai/jobs/${job.id}`)
+      .set('Authorization', `Bearer ${await global.testUtils.createAuthToken(owner)}`)
+      .expect(200);
+    await request(app)
+      .get(`/api/ai/jobs/${job.id}`)
+      .set('Authorization', `Bearer ${await global.testUtils.createAuthToken(admin)}`)
+      .expect(200);
+  });
+});
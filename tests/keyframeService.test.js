@@ -0,0 +1,270 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const sharp = require('sharp');
+const request = require('supertest');
+const app = require('../server/index');
+const { db } = require('../server/config/database');
+const {
+  buildFfmpegArgs,
+  parseFrameTimestamps,
+  extractKeyframes,
+  aggregateFrameResults,
+  VideoProcessingError
+} = require('../server/services/keyframeService');
+const { transcriptionService, StubTranscriber } = require('../server/services/transcriptionService');
+const { writeFakeFfmpeg, FRAME_TIMESTAMPS } = require('./helpers/fakeFfmpeg');
+const { parseEvents } = require('./helpers/sse');
+
+describe('Video keyframes', () => {
+  let workDir;
+
+  beforeAll(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cineai-fake-ffmpeg-'));
+    const frameFiles = await Promise.all([[200, 30, 30], [30, 200, 30], [30, 30, 200]].map(async ([r, g, b], index) => {
+      const file = path.join(workDir, `source-${index}.jpg`);
+      await sharp({ create: { width: 320, height: 180, channels: 3, background: { r, g, b } } }).jpeg().toFile(file);
+      return file;
+    }));
+    process.env.FFMPEG_PATH = writeFakeFfmpeg(workDir, frameFiles);
+  });
+
+  afterAll(() => {
+    delete process.env.FFMPEG_PATH;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should ask ffmpeg for the first frame and scene changes only', () => {
+    const args = buildFfmpegArgs('in', 'out-%03d.jpg', { maxFrames: 4, sceneThreshold: 0.4, frameWidth: 640 });
+
+    expect(args).toContain("select='eq(n,0)+gt(scene,0.4)',showinfo,scale='min(640,iw)':-2");
+    expect(args[args.length - 1]).toBe('out-%03d.jpg');
+    expect(args[args.indexOf('-frames:v') + 1]).toBe('4');
+  });
+
+  it('should read frame timestamps from the showinfo log', () => {
+    const log = [
+      'Input #0, mov,mp4,m4a,3gp,3g2,mj2, from \'clip\':',
+      '[Parsed_showinfo_1 @ 0x600] config in time_base: 1/12800, frame_rate: 25/1',
+      '[Parsed_showinfo_1 @ 0x600] n:   0 pts:      0 pts_time:0       duration:    512',
+      '[Parsed_showinfo_1 @ 0x600] n:   1 pts:  53760 pts_time:4.2     duration:    512'
+    ].join('\n');
+
+    expect(parseFrameTimestamps(log)).toEqual([0, 4.2]);
+  });
+
+  describe('extractKeyframes', () => {
+    it('should return the sampled frames with their timestamps', async () => {
+      const frames = await extractKeyframes(Buffer.from('fake video'), { maxFrames: 2 });
+
+      expect(frames.map(({ index, timestamp, mimeType }) => ({ index, timestamp, mimeType }))).toEqual([
+        { index: 0, timestamp: 0, mimeType: 'image/jpeg' },
+        { index: 1, timestamp: 4.2, mimeType: 'image/jpeg' }
+      ]);
+      expect((await sharp(frames[0].image).metadata()).format).toBe('jpeg');
+    });
+
+    it('should reject clips ffmpeg cannot read', async () => {
+      await expect(extractKeyframes(Buffer.from('not a video'))).rejects.toMatchObject({
+        message: 'The video clip could not be read',
+        statusCode: 422
+      });
+    });
+
+    it('should report a missing ffmpeg as unavailable', async () => {
+      const error = await extractKeyframes(Buffer.from('clip'), { ffmpegPath: path.join(workDir, 'missing') }).catch(e => e);
+
+      expect(error).toBeInstanceOf(VideoProcessingError);
+      expect(error.statusCode).toBe(503);
+    });
+  });
+
+  describe('aggregateFrameResults', () => {
+    const frames = FRAME_TIMESTAMPS.map((timestamp, index) => ({ index, timestamp }));
+    const candidate = (title, confidence, frameNumbers) => ({ title, year: 1999, type: 'movie', confidence, frames: frameNumbers });
+
+    it('should merge candidates and rank titles seen in more frames higher', () => {
+      const results = aggregateFrameResults([
+        candidate('Fight Club', 90, [2]),
+        candidate('The Matrix', 80, [0]),
+        candidate('the matrix', 85, [1, 2, 7])
+      ], frames);
+
+      expect(results.map(r => r.title)).toEqual(['the matrix', 'Fight Club']);
+      expect(results[0]).toMatchObject({
+        confidence: 85,
+        evidence: [{ frame: 0, timestamp: 0 }, { frame: 1, timestamp: 4.2 }, { frame: 2, timestamp: 9.8 }]
+      });
+      expect(results[0]).not.toHaveProperty('frames');
+      expect(results[1].confidence).toBe(Math.round(90 * (0.75 + 0.25 / 3)));
+    });
+  });
+
+  describe('POST /api/ai/identify with a video clip', () => {
+    let modelServer;
+    let modelRequests;
+
+    beforeAll(async () => {
+      const modelApp = express();
+      modelApp.use(express.json({ limit: '5mb' }));
+      modelApp.post('/v1/chat/completions', (req, res) => {
+        modelRequests.push(req.body);
+        const movie = (title, confidence, frameNumbers) => ({ title, year: 2010, type: 'movie', confidence, frames: frameNumbers });
+        res.json({
+          id: 'chatcmpl-1',
+          object: 'chat.completion',
+          created: 0,
+          model: req.body.model,
+          choices: [{
+            index: 0,
+            finish_reason: 'stop',
+            message: {
+              role: 'assistant',
+              content: JSON.stringify({ results: [movie('Inception', 80, [0, 1]), movie('Shutter Island', 85, [2])] })
+            }
+          }]
+        });
+      });
+      await new Promise(resolve => {
+        modelServer = modelApp.listen(0, '127.0.0.1', resolve);
+      });
+
+      Object.assign(process.env, {
+        OLLAMA_BASE_URL: `http://127.0.0.1:${modelServer.address().port}/v1`,
+        OLLAMA_MODEL: 'llava',
+        OLLAMA_CAPABILITIES: 'text,image,video'
+      });
+      await request(app).post('/api/ai/config').send({ provider: 'ollama', apiKey: 'unused' }).expect(200);
+    });
+
+    beforeEach(() => {
+      modelRequests = [];
+    });
+
+    afterAll(async () => {
+      ['OLLAMA_BASE_URL', 'OLLAMA_MODEL', 'OLLAMA_CAPABILITIES'].forEach(key => delete process.env[key]);
+      await new Promise(resolve => modelServer.close(resolve));
+    });
+
+    it('should send the keyframes in one request and return evidence frames', async () => {
+      const response = await request(app)
+        .post('/api/ai/identify')
+        .field('type', 'video')
+        .attach('file', Buffer.from('fake mp4'), { filename: 'clip.mp4', contentType: 'video/mp4' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.provider).toBe('ollama');
+
+      const [userMessage] = modelRequests[0].messages.slice(-1);
+      expect(userMessage.content.filter(part => part.type === 'image_url')).toHaveLength(3);
+      expect(userMessage.content[0].text).toContain('3 frames sampled at scene changes');
+
+      expect(response.body.results.map(r => r.title)).toEqual(['Inception', 'Shutter Island']);
+      expect(response.body.results[0].evidence).toEqual([{ frame: 0, timestamp: 0 }, { frame: 1, timestamp: 4.2 }]);
+      // Evidence belongs to this search, not the catalog
+      const saved = db.getMovies().find(movie => movie.title === 'Inception');
+      expect(saved.id).toBe(response.body.results[0].id);
+      expect(saved.evidence).toBeUndefined();
+      expect(response.body.confidence).toBe(response.body.results[0].confidence);
+      expect(response.body.frames).toHaveLength(3);
+      expect(response.body.frames[2]).toMatchObject({ index: 2, timestamp: 9.8 });
+      expect(response.body.frames[2].thumbnail).toMatch(/^data:image\/jpeg;base64,/);
+    });
+
+    it('should send quotes from the dialogue and return the transcript', async () => {
+      const transcriber = new StubTranscriber([
+        { start: 1.5, end: 3, text: ' You mustn\'t be afraid to dream a little bigger, darling.' },
+        { start: 3, end: 4, text: '[Music]' },
+        { start: 5, end: 6, text: 'Okay.' }
+      ]);
+      transcriptionService.setTranscriber(transcriber);
+      try {
+        const response = await request(app)
+          .post('/api/ai/identify')
+          .field('type', 'video')
+          .attach('file', Buffer.from('fake mp4'), { filename: 'clip.mp4', contentType: 'video/mp4' })
+          .expect(200);
+
+        const [userMessage] = modelRequests[0].messages.slice(-1);
+        expect(userMessage.content[0].text).toContain('Dialogue transcribed from the clip');
+        expect(userMessage.content[0].text).toContain('"You mustn\'t be afraid to dream a little bigger, darling."');
+        expect(userMessage.content[0].text).not.toContain('Okay.');
+
+        expect(response.body.transcript).toEqual({
+          language: 'en',
+          text: 'You mustn\'t be afraid to dream a little bigger, darling. [Music] Okay.',
+          quotes: [{ start: 1.5, end: 3, text: 'You mustn\'t be afraid to dream a little bigger, darling.' }]
+        });
+      } finally {
+        transcriptionService.setTranscriber(null);
+      }
+    });
+
+    it('should identify the clip from its frames when transcription fails', async () => {
+      transcriptionService.setTranscriber({ transcribe: async () => { throw new Error('model not loaded'); } });
+      try {
+        const response = await request(app)
+          .post('/api/ai/identify')
+          .field('type', 'video')
+          .attach('file', Buffer.from('fake mp4'), { filename: 'clip.mp4', contentType: 'video/mp4' })
+          .expect(200);
+
+        expect(response.body.success).toBe(true);
+        expect(response.body).not.toHaveProperty('transcript');
+      } finally {
+        transcriptionService.setTranscriber(null);
+      }
+    });
+
+    it('should reject clips that cannot be read', async () => {
+      const response = await request(app)
+        .post('/api/ai/identify')
+        .field('type', 'video')
+        .attach('file', Buffer.from('garbage'), { filename: 'clip.mp4', contentType: 'video/mp4' })
+        .expect(422);
+
+      expect(response.body).toEqual({ success: false, message: 'The video clip could not be read' });
+      expect(modelRequests).toHaveLength(0);
+    });
+
+    describe('streaming progress', () => {
+      const streamClip = (clip) => request(app)
+        .post('/api/ai/identify/stream')
+        .field('type', 'video')
+        .attach('file', Buffer.from(clip), { filename: 'clip.mp4', contentType: 'video/mp4' })
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = '';
+          res.setEncoding('utf8');
+          res.on('data', chunk => { text += chunk; });
+          res.on('end', () => callback(null, text));
+        })
+        .expect(200);
+
+      it('should report the keyframes before querying the provider', async () => {
+        const events = parseEvents((await streamClip('fake mp4')).body);
+
+        expect(events.map(({ event, data }) => data.stage || event)).toEqual([
+          'upload_processed',
+          'frames_extracted',
+          'provider_queried',
+          'provider_finished',
+          'candidate',
+          'result'
+        ]);
+        expect(events[1].data).toEqual({ stage: 'frames_extracted', frames: 3 });
+        expect(events[4].data).toMatchObject({ provider: 'ollama', candidate: { title: 'Inception' } });
+        expect(events[5].data.frames).toHaveLength(3);
+      });
+
+      it('should end with an error event when the clip cannot be read', async () => {
+        const events = parseEvents((await streamClip('garbage')).body);
+
+        expect(events.map(({ event, data }) => data.stage || event)).toEqual(['upload_processed', 'error']);
+        expect(events[1].data).toEqual({ success: false, statusCode: 422, message: 'The video clip could not be read' });
+      });
+    });
+  });
+});
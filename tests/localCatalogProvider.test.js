@@ -0,0 +1,120 @@
+const request = require('supertest');
+const app = require('../server/index');
+const { db } = require('../server/config/database');
+const { LocalCatalogProvider } = require('../server/services/localCatalogProvider');
+
+const catalog = [
+  {
+    id: 'matrix',
+    title: 'The Matrix',
+    year: 1999,
+    type: 'movie',
+    genre: ['Action', 'Sci-Fi'],
+    rating: 8.7,
+    description: 'A computer hacker learns that reality is a simulation run by machines.',
+    cast: ['Keanu Reeves', 'Laurence Fishburne', 'Carrie-Anne Moss'],
+    director: 'Lana Wachowski'
+  },
+  {
+    id: 'john-wick',
+    title: 'John Wick',
+    year: 2014,
+    type: 'movie',
+    genre: ['Action', 'Thriller'],
+    rating: 7.4,
+    description: 'A retired hitman seeks vengeance for the killing of his dog.',
+    cast: ['Keanu Reeves', 'Michael Nyqvist'],
+    director: 'Chad Stahelski'
+  },
+  {
+    id: 'mr-robot',
+    title: 'Mr. Robot',
+    year: 2015,
+    type: 'series',
+    genre: ['Drama', 'Thriller'],
+    rating: 8.5,
+    description: 'A cybersecurity engineer and hacker is recruited by an anarchist.',
+    cast: ['Rami Malek', 'Christian Slater'],
+    director: 'Sam Esmail'
+  }
+];
+
+describe('Local catalog provider', () => {
+  const provider = new LocalCatalogProvider();
+
+  beforeEach(async () => {
+    await db.saveMovies(catalog.map(movie => ({ ...movie })));
+  });
+
+  describe('text search', () => {
+    it('should rank movies by how well they match the description', async () => {
+      const response = await provider.identify({ type: 'text', content: 'A thriller series about a hacker' });
+
+      expect(response.success).toBe(true);
+      expect(response.results.map(r => r.title)).toEqual(['Mr. Robot', 'John Wick']);
+      expect(response.results[0].confidence).toBeGreaterThan(response.results[1].confidence);
+      expect(response.confidence).toBe(response.results[0].confidence);
+    });
+
+    it('should give a title match the highest confidence', async () => {
+      const response = await provider.identify({ type: 'text', content: 'john wick' });
+
+      expect(response.results[0]).toMatchObject({ id: 'john-wick', title: 'John Wick', confidence: 95 });
+    });
+
+    it('should return results in the MovieResult shape', async () => {
+      const { results } = await provider.identify({ type: 'text', content: 'Rami Malek' });
+
+      expect(Object.keys(results[0]).sort()).toEqual([
+        'backdrop', 'cast', 'confidence', 'description', 'director', 'duration',
+        'genre', 'id', 'poster', 'rating', 'title', 'type', 'year'
+      ]);
+      expect(results[0].title).toBe('Mr. Robot');
+    });
+
+    it('should return no results when nothing matches', async () => {
+      const response = await provider.identify({ type: 'text', content: 'a cooking competition in Paris' });
+
+      expect(response.success).toBe(true);
+      expect(response.results).toEqual([]);
+      expect(response.confidence).toBe(0);
+    });
+  });
+
+  describe('actor search', () => {
+    it('should find every title with the actor in the cast', async () => {
+      const response = await provider.identify({ type: 'actor', content: 'keanu reeves' });
+
+      expect(response.results.map(r => r.title)).toEqual(['The Matrix', 'John Wick']);
+      expect(response.results.every(r => r.confidence === 95)).toBe(true);
+    });
+
+    it('should score a partial name lower than a full name', async () => {
+      const response = await provider.identify({ type: 'actor', content: 'Keanu Smith' });
+
+      expect(response.results.length).toBe(2);
+      expect(response.results[0].confidence).toBeLessThan(50);
+    });
+  });
+
+  it('should refuse image searches', async () => {
+    const response = await provider.identify({ type: 'image', content: Buffer.from('') });
+
+    expect(response.success).toBe(false);
+    expect(provider.capabilities).not.toContain('image');
+  });
+
+  describe('POST /api/ai/identify without API keys', () => {
+    it('should answer from the catalog', async () => {
+      const response = await request(app)
+        .post('/api/ai/identify')
+        .send({ type: 'actor', query: 'Rami Malek' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.provider).toBe('local');
+      expect(response.body.results[0]).toMatchObject({ id: 'mr-robot', title: 'Mr. Robot' });
+      expect(await db.getMovies()).toHaveLength(catalog.length);
+    });
+  });
+});
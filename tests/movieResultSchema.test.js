@@ -0,0 +1,131 @@
+const {
+  validateMovieResult,
+  parseMovieResults,
+  requestMovieResults,
+  InvalidProviderOutputError
+} = require('../server/services/movieResultSchema');
+
+const valid = {
+  title: 'The Matrix',
+  year: 1999,
+  type: 'movie',
+  genre: ['Action', 'Sci-Fi'],
+  rating: 8.7,
+  duration: '136 min',
+  description: 'A hacker learns the truth about reality.',
+  cast: ['Keanu Reeves'],
+  director: 'Lana Wachowski',
+  confidence: 95
+};
+
+describe('MovieResult schema', () => {
+  describe('validateMovieResult', () => {
+    it('should accept a valid result unchanged', () => {
+      expect(validateMovieResult(valid)).toEqual({ result: valid });
+    });
+
+    it('should coerce values with an unambiguous meaning', () => {
+      const { result } = validateMovieResult({
+        ...valid,
+        year: '1999-2003',
+        type: 'TV Series',
+        genre: 'Action, Sci-Fi',
+        rating: '87',
+        duration: 136,
+        cast: 'Keanu Reeves, Carrie-Anne Moss',
+        director: ['Lana Wachowski', 'Lilly Wachowski'],
+        confidence: 0.87
+      });
+
+      expect(result).toMatchObject({
+        year: 1999,
+        type: 'series',
+        genre: ['Action', 'Sci-Fi'],
+        rating: 8.7,
+        duration: '136 min',
+        cast: ['Keanu Reeves', 'Carrie-Anne Moss'],
+        director: 'Lana Wachowski, Lilly Wachowski',
+        confidence: 87
+      });
+    });
+
+    it('should clamp ratings and confidence out of range', () => {
+      const { result } = validateMovieResult({ ...valid, rating: -3, confidence: 140 });
+
+      expect(result.rating).toBe(0);
+      expect(result.confidence).toBe(100);
+    });
+
+    it('should strip fields outside the schema', () => {
+      const { result } = validateMovieResult({ ...valid, platforms: ['Netflix'], streamingUrl: 'http://x' });
+
+      expect(result).not.toHaveProperty('platforms');
+      expect(result).not.toHaveProperty('streamingUrl');
+    });
+
+    it('should reject missing or impossible values', () => {
+      const { errors } = validateMovieResult({ ...valid, title: ' ', year: 1700, type: 'podcast', confidence: 'high' });
+
+      expect(errors).toEqual([
+        'result.title is required',
+        expect.stringContaining('result.year must be a year between 1888'),
+        'result.type must be "movie" or "series"',
+        'result.confidence must be a number from 0 to 100'
+      ]);
+    });
+
+    it('should reject placeholder titles', () => {
+      expect(validateMovieResult({ ...valid, title: 'Content Identified' }).errors[0]).toContain('placeholder');
+      expect(validateMovieResult({ ...valid, title: 'Unknown Movie' }).errors[0]).toContain('placeholder');
+    });
+  });
+
+  describe('parseMovieResults', () => {
+    it('should parse JSON inside a code fence or surrounding text', () => {
+      expect(parseMovieResults('```json\n{"results": []}\n```')).toEqual({ valid: true, results: [] });
+      expect(parseMovieResults(`Here you go: ${JSON.stringify({ results: [valid] })} Enjoy!`).results[0].title).toBe('The Matrix');
+    });
+
+    it('should reject prose and objects without a results array', () => {
+      expect(parseMovieResults('I think this is The Matrix (1999).').errors).toEqual(['response is not valid JSON']);
+      expect(parseMovieResults(JSON.stringify(valid)).valid).toBe(false);
+    });
+
+    it('should reject the whole response when one result is invalid', () => {
+      const validation = parseMovieResults(JSON.stringify({ results: [valid, { ...valid, year: null }] }));
+
+      expect(validation.valid).toBe(false);
+      expect(validation.errors[0]).toContain('results[1].year');
+    });
+  });
+
+  describe('requestMovieResults', () => {
+    it('should re-prompt once with the validation errors', async () => {
+      const complete = jest.fn()
+        .mockResolvedValueOnce('{"results": [{"title": "The Matrix"}]}')
+        .mockResolvedValueOnce(JSON.stringify({ results: [valid] }));
+
+      const results = await requestMovieResults(complete, 'Test');
+
+      expect(results).toEqual([valid]);
+      expect(complete).toHaveBeenCalledTimes(2);
+      const [repairPrompt, previousOutput] = complete.mock.calls[1];
+      expect(repairPrompt).toContain('results[0].year');
+      expect(previousOutput).toBe('{"results": [{"title": "The Matrix"}]}');
+    });
+
+    it('should reject output that is still invalid after the repair', async () => {
+      const complete = jest.fn().mockResolvedValue('not json');
+
+      await expect(requestMovieResults(complete, 'Test')).rejects.toThrow(InvalidProviderOutputError);
+      expect(complete).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not re-prompt when no call is left for the repair', async () => {
+      const complete = jest.fn().mockResolvedValue('not json');
+
+      await expect(requestMovieResults(complete, 'Test', () => false)).rejects.toThrow('response is not valid JSON');
+      expect(complete).toHaveBeenCalledTimes(1);
+    });
+  });
+});
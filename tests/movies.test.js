@@ -3,9 +3,9 @@ const app = require('../server/index');
 const { db } = require('../server/config/database');
 
 describe('Movies Endpoints', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     // Start with empty movie database - movies will be added via AI identification
-    db.saveMovies([]);
+    await db.saveMovies([]);
   });
 
   describe('GET /api/movies', () => {
@@ -15,7 +15,7 @@ describe('Movies Endpoints', () => {
         global.testUtils.createTestMovie({ id: 'movie-1', title: 'Test Movie 1' }),
         global.testUtils.createTestMovie({ id: 'movie-2', title: 'Test Movie 2', type: 'series' })
       ];
-      db.saveMovies(testMovies);
+      await db.saveMovies(testMovies);
 
       const response = await request(app)
         .get('/api/movies')
@@ -30,7 +30,7 @@ describe('Movies Endpoints', () => {
       const testMovies = [
         global.testUtils.createTestMovie({ id: 'movie-1', genre: ['Sci-Fi', 'Action'] })
       ];
-      db.saveMovies(testMovies);
+      await db.saveMovies(testMovies);
 
       const response = await request(app)
         .get('/api/movies?genre=Sci-Fi')
@@ -45,7 +45,7 @@ describe('Movies Endpoints', () => {
       const testMovies = [
         global.testUtils.createTestMovie({ id: 'series-1', type: 'series' })
       ];
-      db.saveMovies(testMovies);
+      await db.saveMovies(testMovies);
 
       const response = await request(app)
         .get('/api/movies?type=series')
@@ -60,7 +60,7 @@ describe('Movies Endpoints', () => {
       const testMovies = [
         global.testUtils.createTestMovie({ id: 'movie-1', year: 1999 })
       ];
-      db.saveMovies(testMovies);
+      await db.saveMovies(testMovies);
 
       const response = await request(app)
         .get('/api/movies?year=1999')
@@ -75,7 +75,7 @@ describe('Movies Endpoints', () => {
       const testMovies = [
         global.testUtils.createTestMovie({ id: 'movie-1', title: 'The Matrix Test' })
       ];
-      db.saveMovies(testMovies);
+      await db.saveMovies(testMovies);
 
       const response = await request(app)
         .get('/api/movies?search=matrix')
@@ -91,7 +91,7 @@ describe('Movies Endpoints', () => {
         global.testUtils.createTestMovie({ id: 'movie-1' }),
         global.testUtils.createTestMovie({ id: 'movie-2' })
       ];
-      db.saveMovies(testMovies);
+      await db.saveMovies(testMovies);
 
       const response = await request(app)
         .get('/api/movies?limit=1&offset=0')
@@ -109,7 +109,7 @@ describe('Movies Endpoints', () => {
       const testMovies = [
         global.testUtils.createTestMovie({ id: 'movie-1', title: 'Test Movie' })
       ];
-      db.saveMovies(testMovies);
+      await db.saveMovies(testMovies);
 
       const response = await request(app)
         .get('/api/movies/movie-1')
@@ -135,7 +135,7 @@ describe('Movies Endpoints', () => {
         global.testUtils.createTestMovie({ genre: ['Sci-Fi', 'Action'] }),
         global.testUtils.createTestMovie({ genre: ['Drama', 'Crime'] })
       ];
-      db.saveMovies(testMovies);
+      await db.saveMovies(testMovies);
 
       const response = await request(app)
         .get('/api/movies/meta/genres')
@@ -155,7 +155,7 @@ describe('Movies Endpoints', () => {
         global.testUtils.createTestMovie({ type: 'movie', year: 1999 }),
         global.testUtils.createTestMovie({ type: 'series', year: 2008 })
       ];
-      db.saveMovies(testMovies);
+      await db.saveMovies(testMovies);
 
       const response = await request(app)
         .get('/api/movies/meta/stats')
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../server/index');
+const { db } = require('../server/config/database');
+const { clearOidcCache } = require('../server/services/oidcService');
+
+const CLIENT_ID = 'cineai-test';
+const CLIENT_SECRET = 'mock-secret';
+
+/**
+ * Minimal OpenID Connect issuer: discovery, JWKS and a token endpoint.
+ * authorize() stands in for the user signing in at the provider.
+ */
+const startMockIssuer = () => new Promise((resolve) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map();
+  const issuerApp = express();
+  issuerApp.use(express.urlencoded({ extended: false }));
+
+  const issuer = {
+    url: null,
+    signingKey: privateKey,
+
+    authorize(authorizationUrl, claims) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(8).toString('hex');
+      codes.set(code, {
+        claims,
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge')
+      });
+      return { code, state: params.get('state') };
+    }
+  };
+
+  issuerApp.get('/.well-known/openid-configuration', (req, res) => res.json({
+    issuer: issuer.url,
+    authorization_endpoint: `${issuer.url}/authorize`,
+    token_endpoint: `${issuer.url}/token`,
+    jwks_uri: `${issuer.url}/jwks`,
+    token_endpoint_auth_methods_supported: ['client_secret_post']
+  }));
+
+  issuerApp.get('/jwks', (req, res) => res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'mock-key', use: 'sig', alg: 'RS256' }]
+  }));
+
+  issuerApp.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (!grant || req.body.client_id !== CLIENT_ID || req.body.client_secret !== CLIENT_SECRET ||
+      challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ nonce: grant.nonce, ...grant.claims }, issuer.signingKey, {
+      algorithm: 'RS256',
+      keyid: 'mock-key',
+      issuer: issuer.url,
+      audience: CLIENT_ID,
+      expiresIn: '5m'
+    });
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  const server = issuerApp.listen(0, '127.0.0.1', () => {
+    issuer.url = `http://127.0.0.1:${server.address().port}`;
+    issuer.close = () => new Promise(done => server.close(done));
+    resolve(issuer);
+  });
+});
+
+describe('OpenID Connect Login', () => {
+  let issuer;
+
+  beforeAll(async () => {
+    issuer = await startMockIssuer();
+    process.env.OIDC_PROVIDERS = 'mock';
+    process.env.OIDC_MOCK_ISSUER = issuer.url;
+    process.env.OIDC_MOCK_CLIENT_ID = CLIENT_ID;
+    process.env.OIDC_MOCK_CLIENT_SECRET = CLIENT_SECRET;
+    process.env.OIDC_MOCK_DISPLAY_NAME = 'Mock ID';
+  });
+
+  afterAll(async () => {
+    for (const key of ['PROVIDERS', 'MOCK_ISSUER', 'MOCK_CLIENT_ID', 'MOCK_CLIENT_SECRET', 'MOCK_DISPLAY_NAME']) {
+      delete process.env[`OIDC_${key}`];
+    }
+    clearOidcCache();
+    await issuer.close();
+  });
+
+  const defaultClaims = {
+    sub: 'mock-user-1',
+    email: 'jane@example.com',
+    email_verified: true,
+    name: 'Jane Doe'
+  };
+
+  // Run the browser part of the flow and return the callback parameters
+  const signInAtProvider = async (claims = defaultClaims) => {
+    const response = await request(app)
+      .get('/api/auth/oidc/mock/authorize')
+      .expect(200);
+
+    const authorizationUrl = new URL(response.body.authorizationUrl);
+    expect(authorizationUrl.origin + authorizationUrl.pathname).toBe(`${issuer.url}/authorize`);
+    expect(authorizationUrl.searchParams.get('code_challenge_method')).toBe('S256');
+
+    return { ...issuer.authorize(response.body.authorizationUrl, claims), loginBinding: response.body.loginBinding };
+  };
+
+  const callback = (params) => request(app)
+    .post('/api/auth/oidc/mock/callback')
+    .send(params);
+
+  it('should list configured providers', async () => {
+    const response = await request(app)
+      .get('/api/auth/oidc/providers')
+      .expect(200);
+
+    expect(response.body.providers).toEqual([{ name: 'mock', displayName: 'Mock ID' }]);
+
+    await request(app)
+      .get('/api/auth/oidc/unknown/authorize')
+      .expect(404);
+  });
+
+  it('should create a passwordless account on first login', async () => {
+    const response = await callback(await signInAtProvider()).expect(200);
+
+    expect(response.body.accountCreated).toBe(true);
+    expect(response.body.user).toMatchObject({ email: 'jane@example.com', name: 'Jane Doe', emailVerified: true });
+    expect(response.body.user.password).toBeUndefined();
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${response.body.token}`)
+      .expect(200);
+
+    const user = await db.findUserByEmail('jane@example.com');
+    expect(user.password).toBeNull();
+    expect(await db.getUserIdentities(user.id)).toHaveLength(1);
+
+    // There is no password to log in with
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'jane@example.com', password: 'anything' })
+      .expect(401);
+  });
+
+  it('should link an existing account by verified email', async () => {
+    const existing = await db.createUser(global.testUtils.createTestUser({
+      email: 'jane@example.com',
+      password: bcrypt.hashSync('Password123', 4)
+    }));
+
+    const first = await callback(await signInAtProvider()).expect(200);
+    expect(first.body.accountCreated).toBe(false);
+    expect(first.body.user.id).toBe(existing.id);
+
+    const [entry] = await db.getAuditLog({ action: 'identity.linked' });
+    expect(entry).toMatchObject({ targetUserId: existing.id, details: { provider: 'mock', newAccount: false } });
+
+    // Later logins follow the linked identity even if the provider email changes
+    const second = await callback(await signInAtProvider({ ...defaultClaims, email: 'jane@new.example.com' }))
+      .expect(200);
+    expect(second.body.user.id).toBe(existing.id);
+  });
+
+  it('should refuse a linked account that must reset its password', async () => {
+    await db.createUser(global.testUtils.createTestUser({
+      email: 'jane@example.com',
+      password: bcrypt.hashSync('Password123', 4),
+      passwordResetRequired: true
+    }));
+
+    const response = await callback(await signInAtProvider()).expect(403);
+    expect(response.body.passwordResetRequired).toBe(true);
+    expect(response.body.token).toBeUndefined();
+  });
+
+  it('should take over an unverified account and drop its password', async () => {
+    await db.createUser(global.testUtils.createTestUser({
+      email: 'jane@example.com',
+      password: bcrypt.hashSync('Password123', 4),
+      emailVerified: false
+    }));
+
+    await callback(await signInAtProvider()).expect(200);
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'jane@example.com', password: 'Password123' })
+      .expect(401);
+  });
+
+  it('should refuse emails the provider has not verified', async () => {
+    await callback(await signInAtProvider({ ...defaultClaims, email_verified: false })).expect(403);
+    expect(await db.findUserByEmail('jane@example.com')).toBeUndefined();
+  });
+
+  it('should not accept a state twice', async () => {
+    const params = await signInAtProvider();
+    await callback(params).expect(200);
+    await callback(params).expect(400);
+  });
+
+  it('should refuse a login started in another browser', async () => {
+    const attacker = await signInAtProvider();
+    const victim = await signInAtProvider({ ...defaultClaims, sub: 'mock-user-2', email: 'john@example.com' });
+
+    const response = await callback({ ...attacker, loginBinding: victim.loginBinding }).expect(400);
+    expect(response.body.message).toBe('Login was started in another browser');
+
+    const { loginBinding, ...withoutBinding } = await signInAtProvider();
+    expect(loginBinding).toEqual(expect.any(String));
+    await callback(withoutBinding).expect(400);
+
+    expect(await db.findUserByEmail('jane@example.com')).toBeUndefined();
+  });
+
+  it('should reject ID tokens not signed by the issuer', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const params = await signInAtProvider();
+
+    const issuerKey = issuer.signingKey;
+    issuer.signingKey = privateKey;
+    try {
+      await callback(params).expect(401);
+    } finally {
+      issuer.signingKey = issuerKey;
+    }
+  });
+
+  it('should ask for the second factor when 2FA is enabled', async () => {
+    await db.createUser(global.testUtils.createTestUser({
+      email: 'jane@example.com',
+      password: bcrypt.hashSync('Password123', 4),
+      twoFactorEnabled: true,
+      twoFactorSecret: 'JBSWY3DPEHPK3PXP'
+    }));
+
+    const response = await callback(await signInAtProvider()).expect(200);
+
+    expect(response.body.twoFactorRequired).toBe(true);
+    expect(response.body.challengeToken).toBeDefined();
+    expect(response.body.token).toBeUndefined();
+  });
+});
@@ -0,0 +1,713 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { newDb, DataType } = require('pg-mem');
+const { PostgresDatabase } = require('../server/config/postgres');
+
+const createSchema = (mem) => {
+  mem.public.registerFunction({
+    name: 'gen_random_uuid',
+    returns: DataType.uuid,
+    implementation: () => crypto.randomUUID(),
+    impure: true
+  });
+
+  mem.public.none(`
+    CREATE TABLE users (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(100) NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password VARCHAR(255),
+      role VARCHAR(20) DEFAULT 'user',
+      preferences JSONB DEFAULT '{}',
+      search_history_retention JSONB,
+      email_verified BOOLEAN NOT NULL DEFAULT true,
+      email_verified_at TIMESTAMP WITH TIME ZONE,
+      failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+      last_failed_login_at TIMESTAMP WITH TIME ZONE,
+      locked_until TIMESTAMP WITH TIME ZONE,
+      two_factor_enabled BOOLEAN NOT NULL DEFAULT false,
+      two_factor_secret VARCHAR(64),
+      two_factor_pending_secret VARCHAR(64),
+      two_factor_recovery_codes JSONB NOT NULL DEFAULT '[]',
+      two_factor_last_used_step INTEGER,
+      two_factor_enabled_at TIMESTAMP WITH TIME ZONE,
+      disabled BOOLEAN NOT NULL DEFAULT false,
+      disabled_at TIMESTAMP WITH TIME ZONE,
+      disabled_reason VARCHAR(500),
+      password_reset_required BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE movies (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      title VARCHAR(255) NOT NULL,
+      year INTEGER NOT NULL,
+      type VARCHAR(20) NOT NULL,
+      genre TEXT[] NOT NULL,
+      rating DECIMAL DEFAULT 0.0,
+      duration VARCHAR(50),
+      description TEXT,
+      poster VARCHAR(500),
+      backdrop VARCHAR(500),
+      "cast" TEXT[] DEFAULT '{}',
+      director VARCHAR(255),
+      confidence INTEGER DEFAULT 0,
+      platforms JSONB DEFAULT '[]',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE UNIQUE INDEX idx_movies_title_year_unique ON movies (lower(title), year);
+    CREATE TABLE search_history (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      search_type VARCHAR(20) NOT NULL,
+      query TEXT,
+      results_count INTEGER DEFAULT 0,
+      confidence INTEGER DEFAULT 0,
+      processing_time INTEGER DEFAULT 0,
+      ai_provider VARCHAR(50),
+      prompt_versions JSONB,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE user_sessions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      family_id UUID NOT NULL,
+      token_hash VARCHAR(255) NOT NULL UNIQUE,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      revoked_at TIMESTAMP WITH TIME ZONE,
+      replaced_by UUID,
+      last_used_at TIMESTAMP WITH TIME ZONE,
+      user_agent TEXT,
+      ip_address VARCHAR(64),
+      two_factor_verified BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE user_tokens (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      token_type VARCHAR(32) NOT NULL,
+      token_hash VARCHAR(255) NOT NULL UNIQUE,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      used_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE audit_log (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      action VARCHAR(64) NOT NULL,
+      actor_id UUID,
+      target_user_id UUID,
+      ip_address VARCHAR(64),
+      details JSONB DEFAULT '{}',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE api_tokens (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      scopes TEXT[] NOT NULL DEFAULT '{}',
+      token_hash VARCHAR(255) NOT NULL UNIQUE,
+      token_prefix VARCHAR(32) NOT NULL,
+      expires_at TIMESTAMP WITH TIME ZONE,
+      last_used_at TIMESTAMP WITH TIME ZONE,
+      revoked_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE user_identities (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      provider VARCHAR(50) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      email VARCHAR(255),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      last_login_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (provider, subject)
+    );
+    CREATE TABLE identification_jobs (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      ip_address VARCHAR(64),
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      search_type VARCHAR(20) NOT NULL,
+      query TEXT,
+      mode VARCHAR(20),
+      upload JSONB,
+      progress JSONB NOT NULL DEFAULT '[]',
+      result JSONB,
+      error TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP WITH TIME ZONE,
+      finished_at TIMESTAMP WITH TIME ZONE
+    );
+    CREATE TABLE ai_usage (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      ip_address VARCHAR(64),
+      provider VARCHAR(50) NOT NULL,
+      model VARCHAR(100),
+      outcome VARCHAR(20) NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 1,
+      input_tokens INTEGER NOT NULL DEFAULT 0,
+      output_tokens INTEGER NOT NULL DEFAULT 0,
+      cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+      latency_ms INTEGER,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE prompt_templates (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      provider VARCHAR(50) NOT NULL,
+      search_type VARCHAR(20) NOT NULL,
+      version INTEGER NOT NULL,
+      system_prompt TEXT NOT NULL,
+      prompt TEXT NOT NULL,
+      notes TEXT,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (provider, search_type, version)
+    );
+    CREATE TABLE app_settings (
+      key VARCHAR(100) PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+describe('PostgresDatabase', () => {
+  let pgDb;
+
+  beforeEach(() => {
+    const mem = newDb();
+    createSchema(mem);
+    const { Pool } = mem.adapters.createPg();
+    pgDb = new PostgresDatabase({ pool: new Pool() });
+  });
+
+  afterEach(async () => {
+    await pgDb.close();
+  });
+
+  describe('users', () => {
+    it('should create and find users by email and id', async () => {
+      const created = await pgDb.createUser(global.testUtils.createTestUser({
+        role: 'user',
+        preferences: { favoriteGenres: ['Drama'] }
+      }));
+
+      expect(created.id).toBeDefined();
+      expect(created.createdAt).toBeDefined();
+      expect(created.preferences.favoriteGenres).toEqual(['Drama']);
+
+      const byEmail = await pgDb.findUserByEmail('test@example.com');
+      expect(byEmail.id).toBe(created.id);
+
+      const byId = await pgDb.findUserById(created.id);
+      expect(byId.email).toBe('test@example.com');
+    });
+
+    it('should return undefined for unknown or non-UUID ids', async () => {
+      expect(await pgDb.findUserById('12345')).toBeUndefined();
+      expect(await pgDb.findUserById(crypto.randomUUID())).toBeUndefined();
+    });
+
+    it('should update only the provided fields', async () => {
+      const created = await pgDb.createUser(global.testUtils.createTestUser());
+
+      const updated = await pgDb.updateUser(created.id, { name: 'Renamed User' });
+
+      expect(updated.name).toBe('Renamed User');
+      expect(updated.email).toBe(created.email);
+      expect(await pgDb.updateUser(crypto.randomUUID(), { name: 'Nobody' })).toBeNull();
+    });
+
+    it('should keep account state when saving all users', async () => {
+      const created = await pgDb.createUser(global.testUtils.createTestUser());
+      const user = await pgDb.updateUser(created.id, {
+        failedLoginAttempts: 5,
+        lastFailedLoginAt: '2026-03-01T10:00:00.000Z',
+        lockedUntil: '2026-03-01T10:15:00.000Z',
+        twoFactorEnabled: true,
+        twoFactorSecret: 'JBSWY3DPEHPK3PXP',
+        twoFactorPendingSecret: 'KRSXG5CTMVRXEZLU',
+        twoFactorRecoveryCodes: ['hashed-code'],
+        twoFactorLastUsedStep: 58000000,
+        twoFactorEnabledAt: '2026-02-01T00:00:00.000Z',
+        disabled: true,
+        disabledAt: '2026-03-02T00:00:00.000Z',
+        disabledReason: 'Spam',
+        passwordResetRequired: true
+      });
+
+      await pgDb.saveUsers(await pgDb.getUsers());
+
+      expect(await pgDb.findUserById(user.id)).toEqual(user);
+    });
+
+    it('should disable users and delete them with their data', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      await pgDb.addSearchHistory(user.id, { type: 'text', query: 'heist movie' });
+      await pgDb.createSession({
+        userId: user.id,
+        familyId: crypto.randomUUID(),
+        tokenHash: 'session-hash',
+        expiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+      });
+
+      const disabled = await pgDb.updateUser(user.id, { disabled: true, disabledReason: 'Spam' });
+      expect(disabled).toMatchObject({ disabled: true, disabledReason: 'Spam', passwordResetRequired: false });
+
+      expect(await pgDb.deleteUser(user.id)).toBe(true);
+      expect(await pgDb.deleteUser(user.id)).toBe(false);
+      expect(await pgDb.findUserById(user.id)).toBeUndefined();
+      expect(await pgDb.getSearchHistory(user.id)).toHaveLength(0);
+      expect(await pgDb.findSessionByTokenHash('session-hash')).toBeUndefined();
+    });
+
+    it('should remove the uploads of a deleted user\'s pending jobs', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cineai-uploads-'));
+      const uploadPath = path.join(uploadDir, 'clip');
+      fs.writeFileSync(uploadPath, 'fake mp4');
+      await pgDb.createJob({ userId: user.id, type: 'video', upload: { path: uploadPath, originalname: 'clip.mp4' } });
+
+      await pgDb.deleteUser(user.id);
+
+      expect(fs.existsSync(uploadPath)).toBe(false);
+      fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('login protection', () => {
+    it('should count failed logins and restart after a quiet period', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      const since = new Date(Date.now() - 60 * 1000);
+
+      await pgDb.incrementFailedLogins(user.id, { since });
+      const counted = await pgDb.incrementFailedLogins(user.id, { since });
+      expect(counted.failedLoginAttempts).toBe(2);
+
+      const restarted = await pgDb.incrementFailedLogins(user.id, { since: new Date(Date.now() + 1000) });
+      expect(restarted.failedLoginAttempts).toBe(1);
+    });
+
+    it('should strip a user from the audit log', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      const admin = await pgDb.createUser(global.testUtils.createTestUser({ email: 'admin@example.com' }));
+      await pgDb.addAuditEntry({ action: 'account.locked', targetUserId: user.id, ipAddress: '10.0.0.1', details: { failedAttempts: 10 } });
+      await pgDb.addAuditEntry({ action: 'user.disabled', actorId: user.id, targetUserId: admin.id, details: { reason: 'Spam' } });
+
+      expect(await pgDb.anonymizeAuditLog(user.id)).toBe(2);
+
+      const [locked] = await pgDb.getAuditLog({ action: 'account.locked' });
+      expect(locked).toMatchObject({ targetUserId: null, ipAddress: null, details: {} });
+      const [disabled] = await pgDb.getAuditLog({ action: 'user.disabled' });
+      expect(disabled).toMatchObject({ actorId: null, targetUserId: admin.id, details: { reason: 'Spam' } });
+    });
+
+    it('should store and filter audit entries', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      await pgDb.addAuditEntry({ action: 'account.locked', targetUserId: user.id, details: { failedAttempts: 10 } });
+      await pgDb.addAuditEntry({ action: 'account.unlocked', targetUserId: user.id });
+
+      const locked = await pgDb.getAuditLog({ action: 'account.locked' });
+      expect(locked).toHaveLength(1);
+      expect(locked[0].details).toEqual({ failedAttempts: 10 });
+      expect(await pgDb.getAuditLog({ targetUserId: user.id })).toHaveLength(2);
+    });
+  });
+
+  describe('movies', () => {
+    it('should add and list movies', async () => {
+      const movie = await pgDb.addMovie(global.testUtils.createTestMovie({
+        title: 'The Matrix',
+        cast: ['Keanu Reeves']
+      }));
+
+      expect(movie.id).toBeDefined();
+      expect(movie.rating).toBe(8);
+      expect(movie.cast).toEqual(['Keanu Reeves']);
+
+      const movies = await pgDb.getMovies();
+      expect(movies).toHaveLength(1);
+      expect(movies[0].title).toBe('The Matrix');
+    });
+
+    it('should replace all movies on save', async () => {
+      await pgDb.addMovie(global.testUtils.createTestMovie());
+      await pgDb.saveMovies([
+        global.testUtils.createTestMovie({ title: 'Movie A' }),
+        global.testUtils.createTestMovie({ title: 'Movie B' })
+      ]);
+
+      const titles = (await pgDb.getMovies()).map(m => m.title).sort();
+      expect(titles).toEqual(['Movie A', 'Movie B']);
+    });
+
+    it('should find or create catalog movies by title and year', async () => {
+      const existing = await pgDb.addMovie(global.testUtils.createTestMovie({ title: 'The Matrix', year: 1999 }));
+      const matrix = global.testUtils.createTestMovie({ id: crypto.randomUUID(), title: 'the matrix', year: 1999 });
+      const alien = global.testUtils.createTestMovie({ id: existing.id, title: 'Alien', year: 1979 });
+
+      const [first, second] = await pgDb.findOrCreateMovies([matrix, alien]);
+      const [again] = await pgDb.findOrCreateMovies([alien]);
+
+      expect(first.id).toBe(existing.id);
+      expect(second.title).toBe('Alien');
+      expect(second.id).not.toBe(existing.id);
+      expect(again.id).toBe(second.id);
+      expect(await pgDb.getMovies()).toHaveLength(2);
+    });
+  });
+
+  describe('search history', () => {
+    it('should store entries per user', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      const other = await pgDb.createUser(global.testUtils.createTestUser({ email: 'other@example.com' }));
+
+      await pgDb.addSearchHistory(user.id, {
+        type: 'text',
+        query: 'hackers in a simulation',
+        results: 2,
+        confidence: 91.6,
+        processingTime: 120,
+        provider: 'openai',
+        promptVersions: [{ provider: 'openai', template: 'default/text', version: 2 }]
+      });
+      await pgDb.addSearchHistory(other.id, { type: 'actor', query: 'Keanu Reeves' });
+
+      const history = await pgDb.getSearchHistory(user.id);
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({
+        userId: user.id,
+        type: 'text',
+        query: 'hackers in a simulation',
+        results: 2,
+        confidence: 92,
+        processingTime: 120,
+        provider: 'openai',
+        promptVersions: [{ provider: 'openai', template: 'default/text', version: 2 }]
+      });
+      expect(history[0].timestamp).toBeDefined();
+    });
+
+    it('should delete, clear and prune entries', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      const entries = [];
+      for (let i = 0; i < 4; i++) {
+        entries.push(await pgDb.addSearchHistory(user.id, { type: 'text', query: `query ${i}` }));
+      }
+
+      const deleted = await pgDb.deleteSearchHistoryEntry(entries[0].id);
+      expect(deleted.id).toBe(entries[0].id);
+      expect(await pgDb.findSearchHistoryEntry(entries[0].id)).toBeUndefined();
+
+      expect(await pgDb.pruneSearchHistory(user.id, { maxEntries: 2 })).toBe(1);
+      expect(await pgDb.getSearchHistory(user.id)).toHaveLength(2);
+
+      expect(await pgDb.clearSearchHistory(user.id)).toBe(2);
+      expect(await pgDb.getSearchHistory(user.id)).toHaveLength(0);
+    });
+
+    it('should store the retention setting on the user', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+
+      const updated = await pgDb.updateUser(user.id, {
+        searchHistoryRetention: { maxAgeDays: 90, maxEntries: null }
+      });
+
+      expect(updated.searchHistoryRetention).toEqual({ maxAgeDays: 90, maxEntries: null });
+    });
+  });
+
+  describe('sessions', () => {
+    const createSession = (userId, familyId, tokenHash) => pgDb.createSession({
+      userId,
+      familyId,
+      tokenHash,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    });
+
+    it('should revoke a session only once', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      const familyId = crypto.randomUUID();
+      const session = await createSession(user.id, familyId, 'hash-1');
+
+      expect(await pgDb.findSessionByTokenHash('hash-1')).toMatchObject({ id: session.id, familyId });
+      expect(await pgDb.hasActiveSession(familyId)).toBe(true);
+
+      expect(await pgDb.revokeSession(session.id)).toBe(true);
+      expect(await pgDb.revokeSession(session.id)).toBe(false);
+      expect(await pgDb.hasActiveSession(familyId)).toBe(false);
+    });
+
+    it('should revoke a family or every session of a user', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      const familyA = crypto.randomUUID();
+      const familyB = crypto.randomUUID();
+      await createSession(user.id, familyA, 'hash-a1');
+      await createSession(user.id, familyA, 'hash-a2');
+      await createSession(user.id, familyB, 'hash-b1');
+
+      expect(await pgDb.revokeSessionFamily(familyA)).toBe(2);
+      expect(await pgDb.hasActiveSession(familyB)).toBe(true);
+
+      expect(await pgDb.revokeUserSessions(user.id)).toBe(1);
+      expect(await pgDb.hasActiveSession(familyB)).toBe(false);
+    });
+  });
+
+  describe('one-time tokens', () => {
+    const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    it('should consume a token once and replace older tokens', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser({ emailVerified: false }));
+      expect(user.emailVerified).toBe(false);
+
+      await pgDb.createUserToken({ userId: user.id, type: 'password_reset', tokenHash: 'old', expiresAt: inOneHour() });
+      await pgDb.createUserToken({ userId: user.id, type: 'password_reset', tokenHash: 'new', expiresAt: inOneHour() });
+
+      expect(await pgDb.consumeUserToken('old', 'password_reset')).toBeNull();
+      expect(await pgDb.consumeUserToken('new', 'email_verification')).toBeNull();
+      expect((await pgDb.consumeUserToken('new', 'password_reset')).userId).toBe(user.id);
+      expect(await pgDb.consumeUserToken('new', 'password_reset')).toBeNull();
+    });
+
+    it('should not consume an expired token', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      await pgDb.createUserToken({
+        userId: user.id,
+        type: 'email_verification',
+        tokenHash: 'expired',
+        expiresAt: new Date(Date.now() - 1000).toISOString()
+      });
+
+      expect(await pgDb.consumeUserToken('expired', 'email_verification')).toBeNull();
+    });
+  });
+
+  describe('API tokens', () => {
+    it('should store scopes and revoke a token only for its owner', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      const other = await pgDb.createUser(global.testUtils.createTestUser({ email: 'other@example.com' }));
+      const created = await pgDb.createApiToken({
+        userId: user.id,
+        name: 'CI',
+        scopes: ['identify', 'catalog:read'],
+        tokenHash: 'pat-hash',
+        tokenPrefix: 'cineai_pat_abcdef',
+        expiresAt: null
+      });
+
+      expect(created).toMatchObject({ userId: user.id, scopes: ['identify', 'catalog:read'], revokedAt: null });
+      expect((await pgDb.findApiTokenByHash('pat-hash')).id).toBe(created.id);
+      expect(await pgDb.getApiTokens(user.id)).toHaveLength(1);
+
+      await pgDb.touchApiToken(created.id);
+      expect((await pgDb.findApiTokenByHash('pat-hash')).lastUsedAt).toBeTruthy();
+
+      expect(await pgDb.revokeApiToken(created.id, other.id)).toBe(false);
+      expect(await pgDb.revokeApiToken(created.id, user.id)).toBe(true);
+      expect(await pgDb.revokeApiToken(created.id, user.id)).toBe(false);
+      expect((await pgDb.findApiTokenByHash('pat-hash')).revokedAt).toBeTruthy();
+    });
+  });
+
+  describe('external identities', () => {
+    it('should link identities to users without a password', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser({ password: null }));
+      expect(user.password).toBeNull();
+
+      const identity = await pgDb.createUserIdentity({
+        userId: user.id,
+        provider: 'google',
+        subject: 'sub-123',
+        email: user.email
+      });
+
+      expect(await pgDb.findUserIdentity('google', 'sub-123')).toMatchObject({ id: identity.id, userId: user.id });
+      expect(await pgDb.findUserIdentity('github', 'sub-123')).toBeUndefined();
+      expect(await pgDb.getUserIdentities(user.id)).toHaveLength(1);
+      expect((await pgDb.touchUserIdentity(identity.id)).lastLoginAt).toBeTruthy();
+    });
+  });
+
+  describe('identification jobs', () => {
+    it('should store jobs and update them only from the expected status', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      const job = await pgDb.createJob({
+        userId: user.id,
+        type: 'video',
+        upload: { path: '/tmp/clip', originalname: 'clip.mp4', mimetype: 'video/mp4', size: 4 }
+      });
+
+      expect(job).toMatchObject({ status: 'queued', type: 'video', progress: [], result: null, startedAt: null });
+      expect((await pgDb.findJobById(job.id)).upload.originalname).toBe('clip.mp4');
+      expect(await pgDb.findJobById('not-a-uuid')).toBeUndefined();
+
+      const running = await pgDb.updateJob(job.id, {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        progress: [{ stage: 'frames_extracted', frames: 3 }]
+      });
+      expect(running.progress).toEqual([{ stage: 'frames_extracted', frames: 3 }]);
+      expect((await pgDb.getJobsByStatus(['queued', 'running'])).map(j => j.id)).toEqual([job.id]);
+
+      await pgDb.updateJob(job.id, { status: 'cancelled' }, { fromStatuses: ['queued', 'running'] });
+      expect(await pgDb.updateJob(job.id, { status: 'succeeded', result: { success: true } }, { fromStatuses: ['running'] })).toBeNull();
+      expect((await pgDb.findJobById(job.id))).toMatchObject({ status: 'cancelled', result: null });
+    });
+
+    it('should prune finished jobs before a cutoff', async () => {
+      const finished = await pgDb.createJob({ type: 'text', query: 'hackers' });
+      await pgDb.updateJob(finished.id, { status: 'succeeded', finishedAt: new Date(Date.now() - 60 * 1000).toISOString() });
+      const queued = await pgDb.createJob({ type: 'text', query: 'still queued' });
+
+      expect(await pgDb.pruneJobs(['succeeded', 'failed', 'cancelled'], new Date(Date.now() - 120 * 1000))).toBe(0);
+      expect(await pgDb.pruneJobs(['succeeded', 'failed', 'cancelled'], new Date())).toBe(1);
+      expect(await pgDb.findJobById(finished.id)).toBeUndefined();
+      expect(await pgDb.findJobById(queued.id)).toMatchObject({ status: 'queued' });
+    });
+  });
+
+  describe('AI usage', () => {
+    it('should keep usage of users and anonymous callers apart', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      const record = {
+        provider: 'openai',
+        model: 'gpt-4o',
+        outcome: 'success',
+        attempts: 1,
+        inputTokens: 1200,
+        outputTokens: 300,
+        cost: 0.006,
+        latency: 850
+      };
+      const since = new Date(Date.now() - 60 * 1000);
+
+      const stored = await pgDb.addUsageRecord({ ...record, userId: user.id, ipAddress: '203.0.113.7' });
+      await pgDb.addUsageRecord({ ...record, ipAddress: '203.0.113.7' });
+
+      expect(stored).toMatchObject({ ...record, userId: user.id });
+      expect(await pgDb.getUsageRecords({ userId: user.id }, since)).toHaveLength(1);
+      const anonymous = await pgDb.getUsageRecords({ ipAddress: '203.0.113.7' }, since);
+      expect(anonymous).toHaveLength(1);
+      expect(anonymous[0].userId).toBeNull();
+      expect(await pgDb.getUsageRecords({ userId: user.id }, new Date(Date.now() + 60 * 1000))).toHaveLength(0);
+    });
+
+    it('should prune usage records created before a date', async () => {
+      const record = { provider: 'openai', model: 'gpt-4o', outcome: 'success', attempts: 1, inputTokens: 0, outputTokens: 0, cost: 0, latency: 100 };
+      await pgDb.addUsageRecord({ ...record, ipAddress: '203.0.113.7' });
+
+      expect(await pgDb.pruneUsageRecords(new Date(Date.now() - 60 * 1000))).toBe(0);
+      expect(await pgDb.pruneUsageRecords(new Date(Date.now() + 60 * 1000))).toBe(1);
+      expect(await pgDb.getUsageRecords({ ipAddress: '203.0.113.7' }, new Date(0))).toHaveLength(0);
+    });
+  });
+
+  describe('prompt templates', () => {
+    it('should number versions per provider and search type', async () => {
+      const admin = await pgDb.createUser(global.testUtils.createTestUser({ role: 'admin' }));
+      const template = { provider: 'default', type: 'text', system: 'System', prompt: 'Find {{query}}', createdBy: admin.id };
+
+      const first = await pgDb.addPromptTemplate(template, { firstVersion: 2 });
+      const second = await pgDb.addPromptTemplate({ ...template, notes: 'Shorter' }, { firstVersion: 2 });
+      await pgDb.addPromptTemplate({ ...template, type: 'actor' });
+
+      expect(first).toMatchObject({ version: 2, system: 'System', prompt: 'Find {{query}}', notes: null, createdBy: admin.id });
+      expect(second).toMatchObject({ version: 3, notes: 'Shorter' });
+      const versions = await pgDb.getPromptTemplates('default', 'text');
+      expect(versions.map(version => version.version)).toEqual([2, 3]);
+      expect((await pgDb.getPromptTemplates('default', 'actor'))[0].version).toBe(1);
+    });
+
+    it('should keep a deleted author\'s templates without the author', async () => {
+      const admin = await pgDb.createUser(global.testUtils.createTestUser({ role: 'admin' }));
+      await pgDb.addPromptTemplate({ provider: 'default', type: 'text', system: 'System', prompt: 'Find {{query}}', createdBy: admin.id });
+
+      await pgDb.deleteUser(admin.id);
+
+      const [template] = await pgDb.getPromptTemplates('default', 'text');
+      expect(template).toMatchObject({ version: 1, createdBy: null });
+    });
+  });
+
+  describe('settings', () => {
+    it('should insert and overwrite settings', async () => {
+      expect(await pgDb.getSetting('twoFactorRequiredRoles')).toBeUndefined();
+
+      await pgDb.setSetting('twoFactorRequiredRoles', ['admin']);
+      await pgDb.setSetting('twoFactorRequiredRoles', ['admin', 'user']);
+
+      expect(await pgDb.getSetting('twoFactorRequiredRoles')).toEqual(['admin', 'user']);
+    });
+
+    it('should keep 2FA state on users', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      const updated = await pgDb.updateUser(user.id, {
+        twoFactorEnabled: true,
+        twoFactorSecret: 'SECRET',
+        twoFactorRecoveryCodes: ['hash-1', 'hash-2'],
+        twoFactorLastUsedStep: 123
+      });
+
+      expect(updated).toMatchObject({
+        twoFactorEnabled: true,
+        twoFactorSecret: 'SECRET',
+        twoFactorRecoveryCodes: ['hash-1', 'hash-2'],
+        twoFactorLastUsedStep: 123
+      });
+    });
+  });
+
+  describe('import', () => {
+    it('should replace all data and keep IDs and references', async () => {
+      await pgDb.createUser(global.testUtils.createTestUser({ email: 'old@example.com' }));
+      const userId = crypto.randomUUID();
+      const movieId = crypto.randomUUID();
+
+      await pgDb.importData({
+        users: [{ id: userId, ...global.testUtils.createTestUser(), role: 'admin', createdAt: '2024-01-01T00:00:00.000Z' }],
+        movies: [{ id: movieId, ...global.testUtils.createTestMovie() }],
+        searchHistory: [{ id: crypto.randomUUID(), userId, type: 'text', query: 'restored' }]
+      });
+
+      const users = await pgDb.getUsers();
+      expect(users).toHaveLength(1);
+      expect(users[0]).toMatchObject({ id: userId, role: 'admin', createdAt: '2024-01-01T00:00:00.000Z' });
+      expect((await pgDb.getMovies())[0].id).toBe(movieId);
+      expect((await pgDb.getSearchHistory(userId))[0].query).toBe('restored');
+      expect(await pgDb.getAllSearchHistory()).toHaveLength(1);
+    });
+
+    it('should keep the sessions, tokens and usage of users that stay', async () => {
+      const user = await pgDb.createUser(global.testUtils.createTestUser());
+      const removed = await pgDb.createUser(global.testUtils.createTestUser({ email: 'removed@example.com' }));
+      const addSession = (userId, tokenHash) => pgDb.createSession({
+        userId,
+        familyId: crypto.randomUUID(),
+        tokenHash,
+        expiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+      });
+      await addSession(user.id, 'kept-session');
+      await addSession(removed.id, 'removed-session');
+      await pgDb.createUserIdentity({ userId: user.id, provider: 'google', subject: 'google-123', email: user.email });
+      await pgDb.addUsageRecord({ userId: user.id, provider: 'openai', model: 'gpt-4o', outcome: 'success', attempts: 1, inputTokens: 10, outputTokens: 5, cost: 0, latency: 100 });
+
+      await pgDb.importData({
+        users: [{ ...user, name: 'Restored Name' }],
+        movies: [],
+        searchHistory: []
+      });
+
+      expect(await pgDb.getUsers()).toEqual([expect.objectContaining({ id: user.id, name: 'Restored Name' })]);
+      expect(await pgDb.findSessionByTokenHash('kept-session')).toBeDefined();
+      expect(await pgDb.findSessionByTokenHash('removed-session')).toBeUndefined();
+      expect(await pgDb.getUserIdentities(user.id)).toHaveLength(1);
+      expect(await pgDb.getUsageRecords({ userId: user.id }, new Date(0))).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const app = require('../server/index');
+const { db } = require('../server/config/database');
+const { LocalCatalogProvider } = require('../server/services/aiService');
+const { aiService } = require('../server/services/identificationService');
+const { getActiveTemplate, getBuiltInTemplate, renderPrompts } = require('../server/services/promptTemplates');
+
+const movie = (title) => ({ title, year: 1999, type: 'movie', confidence: 90 });
+
+describe('Prompt templates', () => {
+  describe('rendering', () => {
+    it('should fill in the query and result format', () => {
+      const { system, prompt } = renderPrompts(getBuiltInTemplate('default', 'text'), { type: 'text', content: 'hackers in a simulation' });
+
+      expect(system).toMatch(/^You are an expert movie and TV series identification AI\. Always respond with only a JSON object/);
+      expect(prompt).toContain('based on this description: "hackers in a simulation"');
+    });
+
+    it('should describe the frames and dialogue of a video', () => {
+      const template = getBuiltInTemplate('gemini', 'video');
+      const frames = [{ index: 0 }, { index: 1 }, { index: 2 }];
+
+      const silent = renderPrompts(template, { type: 'video', frames });
+      const withDialogue = renderPrompts(template, { type: 'video', frames, quotes: [{ text: 'I know kung fu.' }] });
+
+      expect(silent.prompt).toContain('3 frames sampled at scene changes from one video clip, in order, numbered 0 to 2.');
+      expect(silent.prompt).not.toContain('Dialogue');
+      expect(withDialogue.prompt).toContain('Dialogue transcribed from the clip');
+      expect(withDialogue.prompt).toContain('- "I know kung fu."');
+    });
+
+    it('should fall back to the default template for providers without their own', async () => {
+      expect(await getActiveTemplate('ollama', 'text')).toMatchObject({ provider: 'default', version: 1, builtIn: true });
+      expect(await getActiveTemplate('gemini', 'text')).toMatchObject({ provider: 'gemini', version: 1 });
+    });
+  });
+
+  describe('admin API', () => {
+    let admin;
+    let adminToken;
+    let originalProviders;
+    let provider;
+
+    beforeAll(() => {
+      originalProviders = aiService.providers;
+    });
+
+    beforeEach(async () => {
+      admin = await db.createUser(global.testUtils.createTestUser({ email: 'admin@example.com', role: 'admin' }));
+      adminToken = await global.testUtils.createAuthToken(admin);
+
+      provider = {
+        identify: jest.fn(async () => ({ success: true, results: [movie('The Matrix')], processingTime: 5, confidence: 90 }))
+      };
+      aiService.providers = new Map([['openai', provider], ['local', new LocalCatalogProvider()]]);
+    });
+
+    afterAll(() => {
+      aiService.providers = originalProviders;
+    });
+
+    const saveTemplate = (path, body, token = adminToken) => request(app)
+      .put(`/api/admin/prompts/${path}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    it('should save a new version that later identifications use', async () => {
+      const saved = await saveTemplate('default/text', {
+        system: 'You name films. {{format}}',
+        prompt: 'Which film is this: {{query}}?',
+        notes: 'Shorter prompt'
+      }).expect(201);
+
+      expect(saved.body.template).toMatchObject({ provider: 'default', type: 'text', version: 2, notes: 'Shorter prompt', createdBy: admin.id });
+
+      const user = await db.createUser(global.testUtils.createTestUser());
+      const token = await global.testUtils.createAuthToken(user);
+      await request(app)
+        .post('/api/ai/identify')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ type: 'text', query: 'hackers in a simulation' })
+        .expect(200);
+
+      const [input, { template }] = provider.identify.mock.calls[0];
+      expect(template).toMatchObject({ provider: 'default', version: 2 });
+      expect(renderPrompts(template, input).prompt).toBe('Which film is this: hackers in a simulation?');
+
+      const [entry] = await db.getSearchHistory(user.id);
+      expect(entry.promptVersions).toEqual([{ provider: 'openai', template: 'default/text', version: 2 }]);
+
+      const [audit] = await db.getAuditLog({ action: 'prompt_template.updated' });
+      expect(audit.details).toMatchObject({ template: 'default/text', from: 'default/text@1', version: 2 });
+    });
+
+    it('should list versions with the built-in one first', async () => {
+      await saveTemplate('gemini/actor', { system: '{{format}}', prompt: 'Films with {{query}}' }).expect(201);
+      await saveTemplate('gemini/actor', { system: '{{format}}', prompt: 'Films starring {{query}}' }).expect(201);
+
+      const response = await request(app)
+        .get('/api/admin/prompts/gemini/actor')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.versions.map(version => version.version)).toEqual([1, 2, 3]);
+      expect(response.body.versions[0].builtIn).toBe(true);
+      expect(response.body.active).toMatchObject({ version: 3, prompt: 'Films starring {{query}}' });
+      expect(response.body.variables).toEqual(['query', 'format']);
+
+      const list = await request(app)
+        .get('/api/admin/prompts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.providers).toEqual(expect.arrayContaining(['default', 'openai', 'gemini']));
+      expect(list.body.providers).not.toContain('local');
+      expect(list.body.templates.find(t => t.provider === 'gemini' && t.type === 'actor').version).toBe(3);
+    });
+
+    it('should reject variables the search type does not have', async () => {
+      const response = await saveTemplate('default/image', { system: '{{format}}', prompt: 'Identify {{query}}' }).expect(400);
+
+      expect(response.body.message).toContain('Unknown template variables: query');
+      expect(await db.getPromptTemplates('default', 'image')).toHaveLength(0);
+    });
+
+    it('should reject unknown providers and search types', async () => {
+      await saveTemplate('local/text', { system: 'System', prompt: 'Prompt' }).expect(404);
+      await saveTemplate('default/audio', { system: 'System', prompt: 'Prompt' }).expect(404);
+    });
+
+    it('should be restricted to admins', async () => {
+      const user = await db.createUser(global.testUtils.createTestUser({ email: 'user@example.com', role: 'user' }));
+      const token = await global.testUtils.createAuthToken(user);
+
+      await saveTemplate('default/text', { system: 'System', prompt: 'Prompt' }, token).expect(403);
+      await request(app).get('/api/admin/prompts').expect(401);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const express = require('express');
+const sharp = require('sharp');
+const request = require('supertest');
+const app = require('../server/index');
+const { db } = require('../server/config/database');
+const { AIService, LocalCatalogProvider } = require('../server/services/aiService');
+const {
+  ResultCache,
+  getCacheOptions,
+  normalizeQuery,
+  perceptualHash,
+  hammingDistance,
+  buildCacheKey
+} = require('../server/services/resultCache');
+
+// A picture with some structure: diagonal stripes over a horizontal gradient
+const createPicture = () => {
+  const width = 320;
+  const height = 180;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 3;
+      const stripe = Math.floor((x + y) / 40) % 2 === 0 ? 120 : 0;
+      pixels[offset] = Math.min(255, stripe + Math.floor(x / 3));
+      pixels[offset + 1] = stripe;
+      pixels[offset + 2] = Math.floor(y / 2);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg({ quality: 90 }).toBuffer();
+};
+
+const movie = (title) => ({ title, year: 1999, type: 'movie', confidence: 90 });
+
+describe('Result cache', () => {
+  describe('cache keys', () => {
+    it('should normalize case, accents, punctuation and spacing', () => {
+      expect(normalizeQuery('  Amélie!  ')).toBe('amelie');
+      expect(normalizeQuery('The MATRIX: Reloaded')).toBe(normalizeQuery('the matrix  reloaded'));
+    });
+
+    it('should key searches by type and normalized query', async () => {
+      expect(await buildCacheKey({ type: 'text', query: 'The Matrix!' })).toEqual({ key: 'text:the matrix' });
+      expect(await buildCacheKey({ type: 'actor', query: 'Keanu Reeves' })).toEqual({ key: 'actor:keanu reeves' });
+      expect(await buildCacheKey({ type: 'video', content: Buffer.from('clip') })).toBeNull();
+    });
+
+    it('should hash resized and recompressed copies of an image alike', async () => {
+      const original = await createPicture();
+      const copy = await sharp(original).resize(640).jpeg({ quality: 40 }).toBuffer();
+      const mirrored = await sharp(original).flop().toBuffer();
+
+      const hash = await perceptualHash(original);
+      expect(hash).toMatch(/^[0-9a-f]{16}$/);
+      expect(hammingDistance(hash, await perceptualHash(copy))).toBeLessThanOrEqual(4);
+      expect(hammingDistance(hash, await perceptualHash(mirrored))).toBeGreaterThan(4);
+    });
+  });
+
+  describe('ResultCache', () => {
+    it('should return copies of stored values', () => {
+      const cache = new ResultCache({ ttlMs: 1000, maxEntries: 10 });
+      cache.set('text:matrix', { results: [movie('The Matrix')] });
+
+      const { value, storedAt } = cache.get('text:matrix');
+      value.results[0].title = 'Changed';
+
+      expect(cache.get('text:matrix').value.results[0].title).toBe('The Matrix');
+      expect(new Date(storedAt).getTime()).not.toBeNaN();
+      expect(cache.getStats()).toMatchObject({ entries: 1, hits: 2, misses: 0 });
+    });
+
+    it('should expire entries after the TTL', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      try {
+        const cache = new ResultCache({ ttlMs: 500, maxEntries: 10 });
+        cache.set('text:matrix', {});
+
+        now.mockReturnValue(1499);
+        expect(cache.get('text:matrix')).not.toBeNull();
+        now.mockReturnValue(1500);
+        expect(cache.get('text:matrix')).toBeNull();
+        expect(cache.getStats().entries).toBe(0);
+      } finally {
+        now.mockRestore();
+      }
+    });
+
+    it('should evict the least recently used entry when full', () => {
+      const cache = new ResultCache({ ttlMs: 1000, maxEntries: 2 });
+      cache.set('a', {});
+      cache.set('b', {});
+      cache.get('a');
+      cache.set('c', {});
+
+      expect(cache.get('b')).toBeNull();
+      expect(cache.get('a')).not.toBeNull();
+      expect(cache.get('c')).not.toBeNull();
+    });
+
+    it('should find the closest image within the distance', () => {
+      const cache = new ResultCache({ ttlMs: 1000, maxEntries: 10, imageDistance: 4 });
+      cache.set('image:ffff000000000000', { title: 'far' }, { imageHash: 'ffff000000000000' });
+      cache.set('image:0000000000000007', { title: 'near' }, { imageHash: '0000000000000007' });
+
+      expect(cache.get('image:0000000000000001', { imageHash: '0000000000000001' }).value.title).toBe('near');
+      expect(cache.get('image:00000000000000ff', { imageHash: '00000000000000ff' })).toBeNull();
+    });
+
+    it('should be off with a TTL of 0', () => {
+      const cache = new ResultCache({ ttlMs: 0 });
+      cache.set('a', {});
+
+      expect(cache.get('a')).toBeNull();
+      expect(cache.getStats()).toMatchObject({ enabled: false, entries: 0 });
+    });
+
+    it('should fall back to the default TTL for empty or invalid values', () => {
+      try {
+        process.env.AI_CACHE_TTL_MS = '0';
+        expect(getCacheOptions().ttlMs).toBe(0);
+
+        ['', 'an hour', '-1'].forEach(value => {
+          process.env.AI_CACHE_TTL_MS = value;
+          expect(getCacheOptions().ttlMs).toBe(60 * 60 * 1000);
+        });
+      } finally {
+        delete process.env.AI_CACHE_TTL_MS;
+      }
+    });
+  });
+
+  describe('AIService', () => {
+    let service;
+    let provider;
+
+    beforeEach(() => {
+      service = new AIService({ cache: new ResultCache({ ttlMs: 60 * 1000, maxEntries: 10 }) });
+      service.providers.clear();
+      provider = {
+        identify: jest.fn(async () => ({ success: true, results: [movie('The Matrix')], processingTime: 5, confidence: 90 }))
+      };
+      service.providers.set('openai', provider);
+    });
+
+    it('should answer repeated searches from the cache', async () => {
+      const first = await service.identifyContent({ type: 'text', query: 'The Matrix', content: 'The Matrix' });
+      const second = await service.identifyContent({ type: 'text', query: 'the matrix!', content: 'the matrix!' });
+
+      expect(first).toMatchObject({ cached: false, provider: 'openai' });
+      expect(second).toMatchObject({ success: true, cached: true, provider: 'openai', providersTried: [] });
+      expect(second.results[0].title).toBe('The Matrix');
+      expect(second.cachedAt).toEqual(expect.any(String));
+      expect(provider.identify).toHaveBeenCalledTimes(1);
+    });
+
+    it('should recognize a recompressed copy of an uploaded image', async () => {
+      const original = await createPicture();
+      const copy = await sharp(original).resize(300).jpeg({ quality: 50 }).toBuffer();
+
+      await service.identifyContent({ type: 'image', content: original });
+      const response = await service.identifyContent({ type: 'image', content: copy });
+
+      expect(response.cached).toBe(true);
+      expect(provider.identify).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not cache failures or catalog answers', async () => {
+      await db.addMovie(global.testUtils.createTestMovie({ title: 'The Matrix' }));
+      service.providers.set('local', new LocalCatalogProvider());
+      provider.identify.mockRejectedValue(new Error('Invalid API key'));
+      service.resilience.maxRetries = 0;
+
+      await service.identifyContent({ type: 'text', query: 'the matrix', content: 'the matrix' });
+      const response = await service.identifyContent({ type: 'text', query: 'the matrix', content: 'the matrix' });
+
+      expect(response.cached).toBe(false);
+      expect(response).toMatchObject({ success: true, provider: 'local' });
+      expect(service.cache.getStats().entries).toBe(0);
+    });
+  });
+
+  describe('POST /api/ai/identify', () => {
+    let modelServer;
+    let completions;
+
+    beforeAll(async () => {
+      const modelApp = express();
+      modelApp.use(express.json());
+      modelApp.post('/v1/chat/completions', (req, res) => {
+        completions += 1;
+        res.json({
+          id: 'chatcmpl-1',
+          object: 'chat.completion',
+          created: 0,
+          model: req.body.model,
+          choices: [{
+            index: 0,
+            finish_reason: 'stop',
+            message: { role: 'assistant', content: JSON.stringify({ results: [movie('The Matrix')] }) }
+          }]
+        });
+      });
+      await new Promise(resolve => {
+        modelServer = modelApp.listen(0, '127.0.0.1', resolve);
+      });
+
+      Object.assign(process.env, {
+        OLLAMA_BASE_URL: `http://127.0.0.1:${modelServer.address().port}/v1`,
+        OLLAMA_MODEL: 'llama3'
+      });
+      await request(app).post('/api/ai/config').send({ provider: 'ollama', apiKey: 'unused' }).expect(200);
+    });
+
+    beforeEach(() => {
+      completions = 0;
+    });
+
+    afterAll(async () => {
+      ['OLLAMA_BASE_URL', 'OLLAMA_MODEL'].forEach(key => delete process.env[key]);
+      await new Promise(resolve => modelServer.close(resolve));
+    });
+
+    it('should report cache hits', async () => {
+      const identify = (query) => request(app).post('/api/ai/identify').send({ type: 'text', query }).expect(200);
+
+      expect((await identify('Hackers in a simulation')).body.cached).toBe(false);
+      const response = await identify('hackers in a simulation?');
+
+      expect(response.body).toMatchObject({ success: true, cached: true, provider: 'ollama' });
+      expect(response.body.cachedAt).toEqual(expect.any(String));
+      expect(completions).toBe(1);
+    });
+  });
+});
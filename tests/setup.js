@@ -1,17 +1,36 @@
 // Test setup file
+const os = require('os');
+const path = require('path');
 const { db } = require('../server/config/database');
+const { mailService } = require('../server/services/mailService');
+const { loginLimiterStore } = require('../server/middleware/rateLimit');
+const { resultCache } = require('../server/services/resultCache');
 
 // Mock environment variables
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-secret-key';
 process.env.PORT = '5001';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), `cineai-test-outbox-${process.pid}`);
 
 // Clean up database before each test
-beforeEach(() => {
+beforeEach(async () => {
   // Clean database for each test
-  db.saveUsers([]);
-  db.saveMovies([]);
+  await db.saveUsers([]);
+  await db.saveMovies([]);
   db.writeFile(db.searchHistoryFile, []);
+  db.writeFile(db.sessionsFile, []);
+  db.writeFile(db.userTokensFile, []);
+  db.writeFile(db.auditLogFile, []);
+  db.writeFile(db.settingsFile, []);
+  db.writeFile(db.apiTokensFile, []);
+  db.writeFile(db.identitiesFile, []);
+  db.writeFile(db.jobsFile, []);
+  db.writeFile(db.aiUsageFile, []);
+  db.writeFile(db.promptTemplatesFile, []);
+  mailService.getTransport().clear();
+  loginLimiterStore.resetAll();
+  resultCache.clear();
 });
 
 // Global test utilities
@@ -23,6 +42,16 @@ global.testUtils = {
     ...overrides
   }),
 
+  // Start a real session for a user and return its access token
+  createAuthToken: async (user) => {
+    const { issueTokens } = require('../server/services/tokenService');
+    const { tokens } = await issueTokens(user);
+    return tokens.token;
+  },
+
+  // Messages written to the test outbox, oldest first
+  readOutbox: () => mailService.getTransport().readMessages(),
+
   createTestMovie: (overrides = {}) => ({
     title: 'Test Movie',
     year: 2023,
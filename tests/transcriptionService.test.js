@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  TranscriptionService,
+  WhisperCppTranscriber,
+  StubTranscriber,
+  createTranscriber,
+  selectQuotes
+} = require('../server/services/transcriptionService');
+const { writeFakeFfmpeg } = require('./helpers/fakeFfmpeg');
+
+/**
+ * Stand-in for the whisper.cpp CLI: records its arguments and writes the
+ * JSON output whisper.cpp produces with -oj
+ */
+const writeFakeWhisper = (dir) => {
+  const scriptPath = path.join(dir, 'whisper-cli');
+  fs.writeFileSync(scriptPath, `#!${process.execPath}
+const fs = require('fs');
+const path = require('path');
+const args = process.argv.slice(2);
+const prefix = args[args.indexOf('-of') + 1];
+fs.writeFileSync(path.join(${JSON.stringify(dir)}, 'whisper-args.json'), JSON.stringify(args));
+if (!fs.existsSync(args[args.indexOf('-m') + 1])) {
+  process.stderr.write('whisper_init_from_file: failed to open model\\n');
+  process.exit(2);
+}
+fs.writeFileSync(prefix + '.json', JSON.stringify({
+  result: { language: 'en' },
+  transcription: [
+    { timestamps: { from: '00:00:00,000', to: '00:00:02,500' }, offsets: { from: 0, to: 2500 }, text: ' Here\\'s looking at you, kid.' },
+    { timestamps: { from: '00:00:02,500', to: '00:00:04,000' }, offsets: { from: 2500, to: 4000 }, text: ' [Music]' }
+  ]
+}));
+`);
+  fs.chmodSync(scriptPath, 0o755);
+  return scriptPath;
+};
+
+describe('Transcription service', () => {
+  let workDir;
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cineai-fake-whisper-'));
+    process.env.FFMPEG_PATH = writeFakeFfmpeg(workDir, []);
+  });
+
+  afterAll(() => {
+    delete process.env.FFMPEG_PATH;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('selectQuotes', () => {
+    it('should keep dialogue of a few words in clip order', () => {
+      const quotes = selectQuotes([
+        { start: 0, end: 1, text: '[Music]' },
+        { start: 1, end: 2, text: 'Hey.' },
+        { start: 2, end: 4, text: 'May the Force be with you.' },
+        { start: 4, end: 5, text: '(door slams)' },
+        { start: 5, end: 7, text: 'I have a bad feeling about this.' }
+      ]);
+
+      expect(quotes.map(quote => quote.text)).toEqual(['May the Force be with you.', 'I have a bad feeling about this.']);
+    });
+
+    it('should cap the number and length of quotes', () => {
+      const segments = Array.from({ length: 12 }, (_, index) => ({ start: index, end: index + 1, text: `line ${index} ${'word '.repeat(60)}` }));
+      const quotes = selectQuotes(segments);
+
+      expect(quotes).toHaveLength(8);
+      expect(quotes[0].text.length).toBe(200);
+      expect(quotes[0].text.endsWith('…')).toBe(true);
+    });
+  });
+
+  describe('createTranscriber', () => {
+    it('should be off unless TRANSCRIBER is set', () => {
+      expect(createTranscriber(undefined)).toBeNull();
+      expect(createTranscriber('none')).toBeNull();
+      expect(createTranscriber('whisper-cpp')).toBeInstanceOf(WhisperCppTranscriber);
+      expect(() => createTranscriber('dictaphone')).toThrow('Unknown transcriber: dictaphone');
+    });
+  });
+
+  describe('WhisperCppTranscriber', () => {
+    it('should run the CLI and read its JSON output', async () => {
+      const modelPath = path.join(workDir, 'ggml-base.en.bin');
+      fs.writeFileSync(modelPath, 'model');
+      const transcriber = new WhisperCppTranscriber({ binaryPath: writeFakeWhisper(workDir), modelPath, language: 'en' });
+
+      const transcript = await transcriber.transcribe(Buffer.from('RIFF'));
+
+      expect(transcript).toEqual({
+        language: 'en',
+        segments: [
+          { start: 0, end: 2.5, text: ' Here\'s looking at you, kid.' },
+          { start: 2.5, end: 4, text: ' [Music]' }
+        ]
+      });
+      const args = JSON.parse(fs.readFileSync(path.join(workDir, 'whisper-args.json'), 'utf8'));
+      expect(args).toEqual(expect.arrayContaining(['-m', modelPath, '-l', 'en', '-oj']));
+    });
+
+    it('should report CLI failures', async () => {
+      const transcriber = new WhisperCppTranscriber({
+        binaryPath: writeFakeWhisper(workDir),
+        modelPath: path.join(workDir, 'missing.bin')
+      });
+
+      await expect(transcriber.transcribe(Buffer.from('RIFF'))).rejects.toThrow('whisper.cpp failed: whisper_init_from_file: failed to open model');
+    });
+
+    it('should require a model', async () => {
+      await expect(new WhisperCppTranscriber().transcribe(Buffer.from('RIFF'))).rejects.toThrow('WHISPER_MODEL_PATH is not set');
+    });
+  });
+
+  describe('transcribeClip', () => {
+    it('should transcribe the audio track and select quotes', async () => {
+      const service = new TranscriptionService(new StubTranscriber([
+        { start: 0, end: 2, text: ' Here\'s looking at you, kid. ' },
+        { start: 2, end: 3, text: '' }
+      ]));
+
+      expect(await service.transcribeClip(Buffer.from('fake mp4'))).toEqual({
+        language: 'en',
+        text: 'Here\'s looking at you, kid.',
+        quotes: [{ start: 0, end: 2, text: 'Here\'s looking at you, kid.' }]
+      });
+    });
+
+    it('should skip clips without audio', async () => {
+      const transcriber = new StubTranscriber();
+      const service = new TranscriptionService(transcriber);
+
+      expect(await service.transcribeClip(Buffer.from('fake-silent mp4'))).toBeNull();
+      expect(transcriber.calls).toBe(0);
+    });
+
+    it('should do nothing when transcription is off', async () => {
+      const service = new TranscriptionService(null);
+
+      expect(await service.transcribeClip(Buffer.from('not even a video'))).toBeNull();
+    });
+  });
+});
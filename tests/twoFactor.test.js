@@ -0,0 +1,310 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../server/index');
+const { db } = require('../server/config/database');
+const {
+  generateTotp,
+  base32Encode,
+  beginEnrollment,
+  confirmEnrollment
+} = require('../server/services/twoFactorService');
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+describe('Two-Factor Authentication', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await db.createUser(global.testUtils.createTestUser({
+      email: 'jane@example.com',
+      password: bcrypt.hashSync('Password123', 4),
+      role: 'user'
+    }));
+  });
+
+  // Enroll directly and return the secret. Codes for the current step are then used up.
+  const enroll = async (target) => {
+    const { secret } = await beginEnrollment(target);
+    const recoveryCodes = await confirmEnrollment(await db.findUserById(target.id), generateTotp(secret, currentStep()));
+    return { secret, recoveryCodes };
+  };
+
+  const login = (email = 'jane@example.com') => request(app)
+    .post('/api/auth/login')
+    .send({ email, password: 'Password123' })
+    .expect(200);
+
+  describe('TOTP', () => {
+    it('should match the RFC 6238 test vector', () => {
+      const secret = base32Encode(Buffer.from('12345678901234567890'));
+      expect(generateTotp(secret, 1, 8)).toBe('94287082');
+    });
+  });
+
+  describe('enrollment', () => {
+    it('should enable 2FA after confirming a code', async () => {
+      const authToken = await global.testUtils.createAuthToken(user);
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(setup.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\/CineAI%3Ajane%40example\.com\?secret=/);
+
+      await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: generateTotp(setup.body.secret, currentStep() + 5) })
+        .expect(400);
+
+      const enabled = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: generateTotp(setup.body.secret, currentStep()) })
+        .expect(200);
+
+      expect(enabled.body.recoveryCodes).toHaveLength(10);
+      expect(db.findUserById(user.id).twoFactorEnabled).toBe(true);
+
+      // The old session is replaced by a 2FA-verified one
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(401);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${enabled.body.token}`)
+        .expect(200);
+
+      expect(me.body.user.twoFactorEnabled).toBe(true);
+      expect(me.body.user.twoFactorSecret).toBeUndefined();
+      expect(me.body.user.twoFactorRecoveryCodes).toBeUndefined();
+    });
+  });
+
+  describe('login', () => {
+    it('should require a second step with an authenticator code', async () => {
+      const { secret } = await enroll(user);
+
+      const first = await login();
+      expect(first.body.twoFactorRequired).toBe(true);
+      expect(first.body.token).toBeUndefined();
+
+      // The challenge token is not an access token
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${first.body.challengeToken}`)
+        .expect(403);
+
+      const code = generateTotp(secret, currentStep() + 1);
+      const second = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code })
+        .expect(200);
+
+      expect(second.body.token).toBeDefined();
+      expect(second.body.refreshToken).toBeDefined();
+
+      // A code can only be used once
+      const replay = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code })
+        .expect(401);
+      expect(replay.body.message).toBe('Invalid two-factor code');
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enroll(user);
+      const { body } = await login();
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() })
+        .expect(200);
+      expect(response.body.recoveryCodesRemaining).toBe(9);
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should count wrong codes as failed logins', async () => {
+      await enroll(user);
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, recoveryCode: 'wrong-code' })
+        .expect(401);
+
+      expect(db.findUserById(user.id).failedLoginAttempts).toBe(1);
+    });
+
+    it('should refuse a challenge for an account disabled or flagged for a password reset since', async () => {
+      const { secret } = await enroll(user);
+      const { body } = await login();
+      const code = generateTotp(secret, currentStep() + 1);
+
+      await db.updateUser(user.id, { passwordResetRequired: true });
+      const reset = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, code })
+        .expect(403);
+      expect(reset.body.passwordResetRequired).toBe(true);
+
+      await db.updateUser(user.id, { passwordResetRequired: false, disabled: true });
+      const disabled = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, code })
+        .expect(403);
+      expect(disabled.body.message).toBe('Account is disabled');
+      expect(disabled.body.token).toBeUndefined();
+    });
+
+    it('should reject an invalid challenge token', async () => {
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'invalid', code: '123456' })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/auth/2fa/disable', () => {
+    it('should require the password and a code', async () => {
+      const { secret } = await enroll(user);
+      const authToken = await global.testUtils.createAuthToken(user);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'wrong', code: generateTotp(secret, currentStep() + 1) })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'Password123', code: generateTotp(secret, currentStep() + 1) })
+        .expect(200);
+
+      expect(db.findUserById(user.id).twoFactorEnabled).toBe(false);
+    });
+
+    it('should count wrong codes as failed logins', async () => {
+      await enroll(user);
+      const authToken = await global.testUtils.createAuthToken(user);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'Password123', code: '000000' })
+        .expect(401);
+
+      expect(db.findUserById(user.id).failedLoginAttempts).toBe(1);
+    });
+  });
+
+  describe('POST /api/auth/2fa/recovery-codes', () => {
+    const regenerate = (authToken, code) => request(app)
+      .post('/api/auth/2fa/recovery-codes')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code });
+
+    it('should replace the recovery codes', async () => {
+      const { secret, recoveryCodes } = await enroll(user);
+      const authToken = await global.testUtils.createAuthToken(user);
+
+      const response = await regenerate(authToken, generateTotp(secret, currentStep() + 1)).expect(200);
+      expect(response.body.recoveryCodes).toHaveLength(10);
+      expect(response.body.recoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+
+    it('should lock the account after too many wrong codes', async () => {
+      const { secret } = await enroll(user);
+      const authToken = await global.testUtils.createAuthToken(user);
+      await db.updateUser(user.id, {
+        failedLoginAttempts: 9,
+        lastFailedLoginAt: new Date(Date.now() - 2 * 60 * 1000).toISOString()
+      });
+
+      const response = await regenerate(authToken, '000000').expect(423);
+      expect(response.body.retryAfter).toBe(15 * 60);
+
+      // Even the right code is refused while locked
+      await regenerate(authToken, generateTotp(secret, currentStep() + 1)).expect(423);
+    });
+  });
+
+  describe('mandatory 2FA for admins', () => {
+    let admin;
+
+    beforeEach(async () => {
+      admin = await db.createUser(global.testUtils.createTestUser({
+        email: 'admin@example.com',
+        password: bcrypt.hashSync('Password123', 4),
+        role: 'admin'
+      }));
+    });
+
+    const setPolicy = (token, requiredRoles) => request(app)
+      .put('/api/admin/settings/two-factor')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ requiredRoles });
+
+    const loginWithTwoFactor = async (secret) => {
+      const { body } = await login('admin@example.com');
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, code: generateTotp(secret, currentStep() + 1) })
+        .expect(200);
+      return response.body.token;
+    };
+
+    it('should not let an admin without a 2FA session lock themselves out', async () => {
+      const adminToken = await global.testUtils.createAuthToken(admin);
+
+      const response = await setPolicy(adminToken, ['admin']).expect(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should block admin endpoints for sessions without 2FA', async () => {
+      const { secret } = await enroll(admin);
+      const verifiedToken = await loginWithTwoFactor(secret);
+
+      await setPolicy(verifiedToken, ['admin']).expect(200);
+
+      const otherAdmin = await db.createUser(global.testUtils.createTestUser({
+        email: 'other-admin@example.com',
+        role: 'admin'
+      }));
+      const blocked = await request(app)
+        .get('/api/admin/backup')
+        .set('Authorization', `Bearer ${await global.testUtils.createAuthToken(otherAdmin)}`)
+        .expect(403);
+      expect(blocked.body.twoFactorRequired).toBe(true);
+
+      await request(app)
+        .get('/api/admin/settings/two-factor')
+        .set('Authorization', `Bearer ${verifiedToken}`)
+        .expect(200);
+
+      const [entry] = await db.getAuditLog({ action: 'settings.updated' });
+      expect(entry.actorId).toBe(admin.id);
+      expect(entry.details.to).toEqual(['admin']);
+    });
+
+    it('should not allow disabling 2FA while it is mandatory', async () => {
+      const { secret } = await enroll(admin);
+      const verifiedToken = await loginWithTwoFactor(secret);
+      await setPolicy(verifiedToken, ['admin']).expect(200);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${verifiedToken}`)
+        .send({ password: 'Password123', code: generateTotp(secret, currentStep() + 1) })
+        .expect(403);
+    });
+  });
+});
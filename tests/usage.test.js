@@ -0,0 +1,254 @@
+const request = require('supertest');
+const app = require('../server/index');
+const { db } = require('../server/config/database');
+const { LocalCatalogProvider } = require('../server/services/aiService');
+const { aiService } = require('../server/services/identificationService');
+const { getQuota, estimateCost, getUsageReport, pruneUsageRecords } = require('../server/services/usageService');
+
+const movie = (title) => ({ title, year: 1999, type: 'movie', confidence: 90 });
+
+const withEnv = async (env, fn) => {
+  const previous = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+  Object.assign(process.env, env);
+  try {
+    return await fn();
+  } finally {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+};
+
+describe('AI usage', () => {
+  describe('pricing and quotas', () => {
+    it('should estimate cost from the model price per million tokens', () => {
+      expect(estimateCost('gpt-4o', { inputTokens: 1000, outputTokens: 200 })).toBe(0.0045);
+      expect(estimateCost('llama3', { inputTokens: 1000, outputTokens: 200 })).toBe(0);
+    });
+
+    it('should read model prices from AI_MODEL_PRICES', async () => {
+      await withEnv({ AI_MODEL_PRICES: JSON.stringify({ llama3: { input: 1, output: 2 } }) }, async () => {
+        expect(estimateCost('llama3', { inputTokens: 1e6, outputTokens: 1e6 })).toBe(3);
+        expect(estimateCost('gpt-4o', { inputTokens: 1e6, outputTokens: 0 })).toBe(2.5);
+      });
+    });
+
+    it('should read quotas per role, with 0 meaning unlimited', async () => {
+      expect(getQuota('anonymous')).toEqual({ daily: 20, monthly: 200 });
+      expect(getQuota('admin')).toEqual({ daily: null, monthly: null });
+
+      await withEnv({ AI_QUOTA_USER_DAILY: '0', AI_QUOTA_USER_MONTHLY: '50' }, async () => {
+        expect(getQuota('user')).toEqual({ daily: null, monthly: 50 });
+      });
+    });
+
+    it('should fall back to the default quota when the env value is invalid', async () => {
+      await withEnv({ AI_QUOTA_USER_DAILY: 'unlimited', AI_QUOTA_USER_MONTHLY: '12.5' }, async () => {
+        expect(getQuota('user')).toEqual({ daily: 200, monthly: 3000 });
+      });
+      await withEnv({ AI_QUOTA_ANONYMOUS_DAILY: '-5' }, async () => {
+        expect(getQuota('anonymous')).toEqual({ daily: 20, monthly: 200 });
+      });
+    });
+
+    it('should count calls per UTC day and month', async () => {
+      const user = await db.createUser(global.testUtils.createTestUser());
+      const record = { userId: user.id, provider: 'openai', model: 'gpt-4o', outcome: 'success', attempts: 1, inputTokens: 100, outputTokens: 10, cost: 0.00035, latency: 400 };
+      db.writeFile(db.aiUsageFile, [
+        { ...record, id: '1', createdAt: '2026-02-28T23:00:00.000Z' },
+        { ...record, id: '2', createdAt: '2026-03-14T23:00:00.000Z' },
+        { ...record, id: '3', createdAt: '2026-03-15T01:00:00.000Z' }
+      ]);
+
+      const report = await getUsageReport({ userId: user.id, role: 'user' }, new Date('2026-03-15T12:00:00.000Z'));
+
+      expect(report.daily).toMatchObject({ calls: 1, limit: 200, remaining: 199, resetAt: '2026-03-16T00:00:00.000Z' });
+      expect(report.monthly).toMatchObject({ calls: 2, inputTokens: 200, cost: 0.0007, resetAt: '2026-04-01T00:00:00.000Z' });
+    });
+
+    it('should count every retry against the quota', async () => {
+      const user = await db.createUser(global.testUtils.createTestUser());
+      const record = { userId: user.id, provider: 'openai', model: 'gpt-4o', inputTokens: 0, outputTokens: 0, cost: 0, latency: 400 };
+      db.writeFile(db.aiUsageFile, [
+        { ...record, id: '1', outcome: 'failed', attempts: 3, createdAt: '2026-03-15T01:00:00.000Z' },
+        { ...record, id: '2', outcome: 'success', attempts: 2, createdAt: '2026-03-15T02:00:00.000Z' }
+      ]);
+
+      await withEnv({ AI_QUOTA_USER_DAILY: '5' }, async () => {
+        const report = await getUsageReport({ userId: user.id, role: 'user' }, new Date('2026-03-15T12:00:00.000Z'));
+
+        expect(report.daily).toMatchObject({ calls: 5, limit: 5, remaining: 0 });
+        expect(report.byProvider).toEqual([expect.objectContaining({ provider: 'openai', calls: 5 })]);
+      });
+    });
+
+    it('should prune usage records past retention but keep the current month', async () => {
+      const record = { userId: null, ipAddress: '203.0.113.7', provider: 'openai', model: 'gpt-4o', outcome: 'success', attempts: 1, inputTokens: 0, outputTokens: 0, cost: 0, latency: 400 };
+      db.writeFile(db.aiUsageFile, [
+        { ...record, id: '1', createdAt: '2026-02-27T12:00:00.000Z' },
+        { ...record, id: '2', createdAt: '2026-03-01T00:00:00.000Z' },
+        { ...record, id: '3', createdAt: '2026-03-14T12:00:00.000Z' }
+      ]);
+
+      const removed = await withEnv({ AI_USAGE_RETENTION_DAYS: '7' }, () => pruneUsageRecords(new Date('2026-03-15T12:00:00.000Z')));
+
+      expect(removed).toBe(1);
+      expect(db.readFile(db.aiUsageFile).map(r => r.id).sort()).toEqual(['2', '3']);
+    });
+  });
+
+  describe('metering', () => {
+    let originalProviders;
+    let provider;
+
+    beforeAll(() => {
+      originalProviders = aiService.providers;
+    });
+
+    beforeEach(() => {
+      provider = {
+        model: 'gpt-4o',
+        identify: jest.fn(async () => ({
+          success: true,
+          results: [movie('The Matrix')],
+          processingTime: 5,
+          confidence: 90,
+          usage: { inputTokens: 1000, outputTokens: 200 }
+        }))
+      };
+      aiService.providers = new Map([['openai', provider], ['local', new LocalCatalogProvider()]]);
+    });
+
+    afterAll(() => {
+      aiService.providers = originalProviders;
+    });
+
+    const identify = (query, token) => {
+      const req = request(app).post('/api/ai/identify');
+      if (token) req.set('Authorization', `Bearer ${token}`);
+      return req.send({ type: 'text', query });
+    };
+
+    it('should record provider calls and report them to the user', async () => {
+      const user = await db.createUser(global.testUtils.createTestUser());
+      const token = await global.testUtils.createAuthToken(user);
+
+      await identify('hackers in a simulation', token).expect(200);
+      // Answered from the cache, so it costs nothing
+      await identify('hackers in a simulation', token).expect(200);
+
+      const response = await request(app)
+        .get('/api/users/usage')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.usage).toMatchObject({
+        role: 'user',
+        daily: { calls: 1, inputTokens: 1000, outputTokens: 200, cost: 0.0045, limit: 200, remaining: 199 },
+        monthly: { calls: 1, limit: 3000 },
+        byProvider: [{ provider: 'openai', model: 'gpt-4o', calls: 1, inputTokens: 1000, outputTokens: 200, cost: 0.0045 }]
+      });
+      expect(new Date(response.body.usage.daily.resetAt).getTime()).toBeGreaterThan(Date.now());
+
+      const [record] = await db.getUsageRecords({ userId: user.id }, new Date(0));
+      expect(record).toMatchObject({ provider: 'openai', model: 'gpt-4o', outcome: 'success', attempts: 1 });
+      expect(record.latency).toEqual(expect.any(Number));
+    });
+
+    it('should not meter the local catalog', async () => {
+      provider.identify.mockResolvedValue({ success: false, results: [], error: 'Invalid API key', usage: { inputTokens: 50, outputTokens: 0 } });
+
+      const response = await identify('hackers in a simulation').expect(200);
+
+      expect(response.body.provider).toBe('local');
+      const records = db.readFile(db.aiUsageFile);
+      expect(records.map(record => [record.provider, record.outcome, record.inputTokens])).toEqual([['openai', 'failed', 50]]);
+      expect(records[0]).toMatchObject({ userId: null, ipAddress: expect.any(String) });
+    });
+
+    it('should refuse anonymous callers over their daily quota until it resets', async () => {
+      await withEnv({ AI_QUOTA_ANONYMOUS_DAILY: '2' }, async () => {
+        await identify('first search').expect(200);
+        await identify('second search').expect(200);
+
+        const response = await identify('third search').expect(429);
+
+        expect(response.body).toMatchObject({
+          success: false,
+          quota: { period: 'daily', limit: 2 }
+        });
+        expect(response.body.message).toContain(`It resets at ${response.body.quota.resetAt}`);
+        expect(new Date(response.body.quota.resetAt).getUTCHours()).toBe(0);
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+        expect(provider.identify).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    it('should apply the quota of the caller\'s role', async () => {
+      const user = await db.createUser(global.testUtils.createTestUser({ email: 'user@example.com' }));
+      const admin = await db.createUser(global.testUtils.createTestUser({ email: 'admin@example.com', role: 'admin' }));
+      const userToken = await global.testUtils.createAuthToken(user);
+      const adminToken = await global.testUtils.createAuthToken(admin);
+
+      await withEnv({ AI_QUOTA_USER_MONTHLY: '1', AI_QUOTA_ANONYMOUS_DAILY: '1' }, async () => {
+        await identify('first search', userToken).expect(200);
+        const refused = await identify('second search', userToken).expect(429);
+        expect(refused.body.quota).toMatchObject({ period: 'monthly', limit: 1 });
+
+        // The user's calls don't count against anonymous callers from the same address
+        await identify('anonymous search').expect(200);
+
+        await identify('admin search', adminToken).expect(200);
+        await identify('another admin search', adminToken).expect(200);
+      });
+    });
+
+    it('should not let an ensemble search with retries go over the quota', async () => {
+      const failing = () => ({
+        model: 'gpt-4o',
+        identify: jest.fn(async () => { throw Object.assign(new Error('HTTP 503'), { status: 503 }); })
+      });
+      const openai = failing();
+      const gemini = failing();
+      aiService.providers = new Map([['openai', openai], ['gemini', gemini], ['local', new LocalCatalogProvider()]]);
+      const { resilience } = aiService;
+      aiService.resilience = { ...resilience, maxRetries: 2, retryBaseDelayMs: 1, retryMaxDelayMs: 1, failureThreshold: 10 };
+
+      try {
+        await withEnv({ AI_QUOTA_ANONYMOUS_DAILY: '4' }, async () => {
+          const response = await request(app)
+            .post('/api/ai/identify')
+            .send({ type: 'text', query: 'hackers in a simulation', mode: 'ensemble' })
+            .expect(200);
+
+          // Three attempts each would be six calls
+          expect(openai.identify.mock.calls.length + gemini.identify.mock.calls.length).toBe(4);
+          expect(response.body.success).toBe(false);
+          const [{ ipAddress }] = db.readFile(db.aiUsageFile);
+          const report = await getUsageReport({ ipAddress, role: 'anonymous' });
+          expect(report.daily).toMatchObject({ calls: 4, remaining: 0 });
+        });
+      } finally {
+        aiService.resilience = resilience;
+        aiService.breakers.clear();
+      }
+    });
+
+    it('should check the quota before queueing a job', async () => {
+      await withEnv({ AI_QUOTA_ANONYMOUS_DAILY: '1' }, async () => {
+        await identify('first search').expect(200);
+
+        await request(app)
+          .post('/api/ai/jobs')
+          .send({ type: 'text', query: 'second search' })
+          .expect(429);
+      });
+      expect(await db.getJobsByStatus(['queued', 'running'])).toHaveLength(0);
+    });
+
+    it('should require authentication for the usage report', async () => {
+      await request(app).get('/api/users/usage').expect(401);
+    });
+  });
+});
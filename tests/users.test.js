@@ -0,0 +1,305 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../server/index');
+const { db } = require('../server/config/database');
+const { sweepSearchHistory } = require('../server/services/historySweeper');
+const { createApiToken } = require('../server/services/apiTokenService');
+
+// A background job still waiting to run, with its upload on disk
+const createPendingUpload = async (userId) => {
+  const uploadPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cineai-uploads-')), 'clip');
+  fs.writeFileSync(uploadPath, 'fake mp4');
+  await db.createJob({
+    userId,
+    type: 'video',
+    upload: { path: uploadPath, originalname: 'clip.mp4', mimetype: 'video/mp4', size: 8 }
+  });
+  return uploadPath;
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('User Endpoints', () => {
+  let user;
+  let otherUser;
+  let authToken;
+
+  beforeEach(async () => {
+    user = await db.createUser(global.testUtils.createTestUser({ role: 'user' }));
+    otherUser = await db.createUser(global.testUtils.createTestUser({
+      id: 'other-user',
+      email: 'other@example.com',
+      role: 'user'
+    }));
+    authToken = await global.testUtils.createAuthToken(user);
+  });
+
+  const seedHistory = (entries) => db.writeFile(db.searchHistoryFile, entries);
+
+  describe('DELETE /api/users/search-history/:id', () => {
+    it('should delete an entry owned by the user', async () => {
+      seedHistory([
+        { id: 'entry-1', userId: user.id, type: 'text', query: 'first', timestamp: daysAgo(1) },
+        { id: 'entry-2', userId: user.id, type: 'text', query: 'second', timestamp: daysAgo(0) }
+      ]);
+
+      const response = await request(app)
+        .delete('/api/users/search-history/entry-1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(db.getSearchHistory(user.id).map(e => e.id)).toEqual(['entry-2']);
+    });
+
+    it('should not delete another user\'s entry', async () => {
+      seedHistory([
+        { id: 'entry-1', userId: otherUser.id, type: 'text', query: 'private', timestamp: daysAgo(0) }
+      ]);
+
+      const response = await request(app)
+        .delete('/api/users/search-history/entry-1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(db.getSearchHistory(otherUser.id)).toHaveLength(1);
+    });
+
+    it('should return 404 for a missing entry', async () => {
+      await request(app)
+        .delete('/api/users/search-history/missing')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/users/search-history', () => {
+    it('should clear only the user\'s history', async () => {
+      seedHistory([
+        { id: 'entry-1', userId: user.id, type: 'text', query: 'a', timestamp: daysAgo(0) },
+        { id: 'entry-2', userId: user.id, type: 'text', query: 'b', timestamp: daysAgo(0) },
+        { id: 'entry-3', userId: otherUser.id, type: 'text', query: 'c', timestamp: daysAgo(0) }
+      ]);
+
+      const response = await request(app)
+        .delete('/api/users/search-history')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.deleted).toBe(2);
+      expect(db.getSearchHistory(user.id)).toHaveLength(0);
+      expect(db.getSearchHistory(otherUser.id)).toHaveLength(1);
+    });
+  });
+
+  describe('PUT /api/users/search-history/retention', () => {
+    it('should save the policy and prune existing entries', async () => {
+      seedHistory([
+        { id: 'old', userId: user.id, type: 'text', query: 'old', timestamp: daysAgo(120) },
+        { id: 'recent-1', userId: user.id, type: 'text', query: 'r1', timestamp: daysAgo(3) },
+        { id: 'recent-2', userId: user.id, type: 'text', query: 'r2', timestamp: daysAgo(2) },
+        { id: 'recent-3', userId: user.id, type: 'text', query: 'r3', timestamp: daysAgo(1) }
+      ]);
+
+      const response = await request(app)
+        .put('/api/users/search-history/retention')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ maxAgeDays: 90, maxEntries: 2 })
+        .expect(200);
+
+      expect(response.body.retention).toEqual({ maxAgeDays: 90, maxEntries: 2 });
+      expect(response.body.deleted).toBe(2);
+      expect(db.getSearchHistory(user.id).map(e => e.id).sort()).toEqual(['recent-2', 'recent-3']);
+
+      const stored = await request(app)
+        .get('/api/users/search-history/retention')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(stored.body.retention).toEqual({ maxAgeDays: 90, maxEntries: 2 });
+    });
+
+    it('should reject out-of-range values', async () => {
+      const response = await request(app)
+        .put('/api/users/search-history/retention')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ maxAgeDays: 0 })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('history sweeper', () => {
+    it('should enforce each user\'s retention policy', async () => {
+      await db.updateUser(user.id, { searchHistoryRetention: { maxAgeDays: 30, maxEntries: null } });
+      seedHistory([
+        { id: 'old', userId: user.id, type: 'text', query: 'old', timestamp: daysAgo(45) },
+        { id: 'new', userId: user.id, type: 'text', query: 'new', timestamp: daysAgo(5) },
+        { id: 'other-old', userId: otherUser.id, type: 'text', query: 'kept', timestamp: daysAgo(45) }
+      ]);
+
+      const removed = await sweepSearchHistory();
+
+      expect(removed).toBe(1);
+      expect(db.getSearchHistory(user.id).map(e => e.id)).toEqual(['new']);
+      expect(db.getSearchHistory(otherUser.id)).toHaveLength(1);
+    });
+  });
+
+  describe('GET /api/users/me/export', () => {
+    it('should download the profile, preferences and full history', async () => {
+      await db.updateUser(user.id, { preferences: { favoriteGenres: ['Drama'] } });
+      seedHistory([
+        { id: 'entry-1', userId: user.id, type: 'text', query: 'mine', timestamp: daysAgo(400) },
+        { id: 'entry-2', userId: otherUser.id, type: 'text', query: 'theirs', timestamp: daysAgo(1) }
+      ]);
+
+      const response = await request(app)
+        .get('/api/users/me/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="cineai-export-/);
+      expect(response.body).toMatchObject({
+        format: 'cineai-export',
+        version: 1,
+        profile: { id: user.id, email: 'test@example.com' },
+        preferences: { favoriteGenres: ['Drama'] },
+        uploadedFiles: []
+      });
+      expect(response.body.profile.password).toBeUndefined();
+      expect(response.body.searchHistory.map(e => e.query)).toEqual(['mine']);
+      expect(response.body.sessions).toHaveLength(1);
+      expect(response.body.sessions[0].tokenHash).toBeUndefined();
+      expect(response.body.aiUsage).toEqual([]);
+    });
+
+    it('should include the files of pending jobs', async () => {
+      const uploadPath = await createPendingUpload(user.id);
+      await createPendingUpload(otherUser.id);
+
+      const response = await request(app)
+        .get('/api/users/me/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.uploadedFiles).toEqual([{
+        jobId: expect.any(String),
+        name: 'clip.mp4',
+        mimeType: 'video/mp4',
+        size: 8,
+        data: Buffer.from('fake mp4').toString('base64')
+      }]);
+      fs.rmSync(path.dirname(uploadPath), { recursive: true, force: true });
+    });
+  });
+
+  describe('DELETE /api/users/me', () => {
+    beforeEach(async () => {
+      await db.updateUser(user.id, { password: bcrypt.hashSync('Password123', 4) });
+    });
+
+    it('should require the correct password', async () => {
+      await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+
+      await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'wrong' })
+        .expect(401);
+
+      expect(db.findUserById(user.id)).toBeDefined();
+    });
+
+    it('should purge the user from every store', async () => {
+      seedHistory([
+        { id: 'entry-1', userId: user.id, type: 'text', query: 'mine', timestamp: daysAgo(1) },
+        { id: 'entry-2', userId: otherUser.id, type: 'text', query: 'theirs', timestamp: daysAgo(1) }
+      ]);
+      await createApiToken(user, { name: 'Script', scopes: ['catalog:read'] });
+      await db.addAuditEntry({ action: 'account.locked', targetUserId: user.id, ipAddress: '10.0.0.1' });
+      const uploadPath = await createPendingUpload(user.id);
+
+      await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'Password123' })
+        .expect(200);
+
+      expect(db.findUserById(user.id)).toBeUndefined();
+      const stores = [db.searchHistoryFile, db.sessionsFile, db.userTokensFile, db.apiTokensFile, db.identitiesFile, db.jobsFile];
+      for (const filePath of stores) {
+        expect(db.readFile(filePath).filter(record => record.userId === user.id)).toHaveLength(0);
+      }
+      expect(db.getSearchHistory(otherUser.id)).toHaveLength(1);
+      expect(JSON.stringify(db.readFile(db.auditLogFile))).not.toContain(user.id);
+      expect(fs.existsSync(uploadPath)).toBe(false);
+
+      await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+
+    it('should let an account without a password confirm by email', async () => {
+      await db.updateUser(user.id, { password: null });
+
+      await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'anything' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/users/me/deletion-confirmation')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(202);
+
+      const [message] = global.testUtils.readOutbox();
+      expect(message.to).toBe(user.email);
+      const token = message.text.match(/token=([\w-]+)/)[1];
+
+      // Only the account the token was sent for can use it
+      const otherToken = await global.testUtils.createAuthToken(otherUser);
+      await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ confirmationToken: token })
+        .expect(401);
+      expect(db.findUserById(otherUser.id)).toBeDefined();
+
+      await request(app)
+        .post('/api/users/me/deletion-confirmation')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(202);
+      const freshToken = global.testUtils.readOutbox()[1].text.match(/token=([\w-]+)/)[1];
+
+      await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ confirmationToken: freshToken })
+        .expect(200);
+
+      expect(db.findUserById(user.id)).toBeUndefined();
+    });
+
+    it('should not delete the last admin', async () => {
+      await db.updateUser(user.id, { role: 'admin' });
+
+      await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'Password123' })
+        .expect(400);
+    });
+  });
+});
@@ -7,4 +7,10 @@ export default defineConfig({
   optimizeDeps: {
     exclude: ['lucide-react'],
   },
+  server: {
+    // The API server, for /api/ai/identify/stream during development
+    proxy: {
+      '/api': 'http://localhost:5000',
+    },
+  },
 });